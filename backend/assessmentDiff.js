@@ -0,0 +1,106 @@
+// =========================
+//    評估結果比較
+// =========================
+
+const DIMENSION_KEYS = ['mad', 'mao', 'maa', 'map'];
+
+/**
+ * 正規化條款摘錄作為比對 key（忽略空白與標點差異）
+ * @param {string} excerpt - 條款原文摘錄
+ * @returns {string}
+ */
+function excerptKey(excerpt) {
+  return (excerpt || '').replace(/[\s，。、；;,.:：「」()（）]/g, '').toLowerCase();
+}
+
+/**
+ * 比較兩組 flagged_clauses
+ *
+ * 相同分類且摘錄相同（忽略空白與標點）視為同一條款；影響值不同時列為 changed
+ *
+ * @param {Array<Object>} beforeClauses - 舊的條款列表
+ * @param {Array<Object>} afterClauses - 新的條款列表
+ * @returns {Object} { added, removed, changed, unchanged_count }
+ */
+function diffFlaggedClauses(beforeClauses = [], afterClauses = []) {
+  const remaining = new Map();
+  for (const clause of beforeClauses) {
+    remaining.set(`${clause.category}:${excerptKey(clause.excerpt)}`, clause);
+  }
+
+  const added = [];
+  const changed = [];
+  let unchangedCount = 0;
+
+  for (const clause of afterClauses) {
+    const key = `${clause.category}:${excerptKey(clause.excerpt)}`;
+    const previous = remaining.get(key);
+    if (!previous) {
+      added.push(clause);
+      continue;
+    }
+    remaining.delete(key);
+
+    const impactChanged = DIMENSION_KEYS.some(dim => (previous.impact?.[dim] || 0) !== (clause.impact?.[dim] || 0));
+    if (impactChanged) {
+      changed.push({ before: previous, after: clause });
+    } else {
+      unchangedCount++;
+    }
+  }
+
+  return {
+    added,
+    removed: [...remaining.values()],
+    changed,
+    unchanged_count: unchangedCount,
+  };
+}
+
+/**
+ * 比較兩次評估結果（合約版本或新舊合約）
+ * @param {Object} before - 舊的合約物件
+ * @param {Object} after - 新的合約物件
+ * @returns {Object} 分數、等級、維度、條款與其他欄位的差異
+ */
+function diffAssessments(before, after) {
+  const dimensions = {};
+  for (const key of DIMENSION_KEYS) {
+    const from = before.health_dimensions?.[key] ?? null;
+    const to = after.health_dimensions?.[key] ?? null;
+    dimensions[key] = {
+      before: from,
+      after: to,
+      delta: from !== null && to !== null ? to - from : null,
+    };
+  }
+
+  const changedFields = ['seller_company', 'scoring_profile', 'document_type', 'overall_recommendation']
+    .filter(field => (before[field] ?? null) !== (after[field] ?? null));
+  if (DIMENSION_KEYS.some(key => (before.dimension_explanations?.[key] || '') !== (after.dimension_explanations?.[key] || ''))) {
+    changedFields.push('dimension_explanations');
+  }
+  if (before.background_check?.snapshot_id !== after.background_check?.snapshot_id) {
+    changedFields.push('background_check');
+  }
+
+  return {
+    health_score: {
+      before: before.health_score ?? null,
+      after: after.health_score ?? null,
+      delta: typeof before.health_score === 'number' && typeof after.health_score === 'number'
+        ? after.health_score - before.health_score
+        : null,
+    },
+    health_tier: {
+      before: before.health_tier ?? null,
+      after: after.health_tier ?? null,
+      changed: (before.health_tier ?? null) !== (after.health_tier ?? null),
+    },
+    dimensions,
+    flagged_clauses: diffFlaggedClauses(before.flagged_clauses, after.flagged_clauses),
+    changed_fields: changedFields,
+  };
+}
+
+export { diffAssessments, diffFlaggedClauses };
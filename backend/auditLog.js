@@ -0,0 +1,229 @@
+import crypto from "crypto";
+import { getDatabase } from "./contractStore.js";
+
+// =========================
+//    合約稽核紀錄
+// =========================
+//
+// 每次上傳、檢視、更新公司名稱、重新計分、上傳新版本、審核狀態變更、刪除與還原都寫入 audit_log。
+// audit_log 只能新增：資料庫觸發器會拒絕 UPDATE 與 DELETE（見 contractStore.js 遷移 v10）
+
+const AUDIT_ACTIONS = {
+  upload: '上傳',
+  view: '檢視',
+  company_rename: '更新公司名稱',
+  rescore: '重新計分',
+  replace: '上傳新版本',
+  status_change: '審核狀態變更',
+  delete: '刪除',
+  restore: '還原',
+};
+
+// 變更前後記錄的合約欄位
+const AUDITED_FIELDS = [
+  'filename',
+  'seller_company',
+  'health_score',
+  'health_tier',
+  'health_dimensions',
+  'scoring_profile',
+  'status',
+  'superseded_by',
+  'deleted_at',
+];
+
+const DEFAULT_LIST_LIMIT = 100;
+const MAX_LIST_LIMIT = 1000;
+const MAX_EXPORT_LIMIT = 10000;
+
+// 試算表會解讀為公式的開頭字元（包含 Tab 與換行）
+const CSV_FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+/**
+ * 擷取合約的稽核欄位
+ * @param {Object|null} contract - 合約
+ * @returns {Object|null}
+ */
+function auditSnapshot(contract) {
+  if (!contract) return null;
+  return Object.fromEntries(AUDITED_FIELDS.map(field => [field, contract[field] ?? null]));
+}
+
+/**
+ * 比較變更前後有差異的欄位
+ * @param {Object|null} before - 變更前的稽核欄位
+ * @param {Object|null} after - 變更後的稽核欄位
+ * @returns {Array<string>}
+ */
+function diffAuditFields(before, after) {
+  if (!before || !after) return [];
+  return AUDITED_FIELDS.filter(field => JSON.stringify(before[field]) !== JSON.stringify(after[field]));
+}
+
+/**
+ * 將資料列轉為稽核事件
+ * @param {Object} row - 資料列
+ * @returns {Object}
+ */
+function rowToAuditEvent(row) {
+  return {
+    event_id: row.event_id,
+    contract_id: row.contract_id,
+    team_id: row.team_id,
+    action: row.action,
+    action_label: AUDIT_ACTIONS[row.action] || row.action,
+    user_id: row.user_id,
+    username: row.username,
+    before: row.before ? JSON.parse(row.before) : null,
+    after: row.after ? JSON.parse(row.after) : null,
+    changed_fields: JSON.parse(row.changed_fields),
+    details: row.details ? JSON.parse(row.details) : null,
+    created_at: row.created_at,
+  };
+}
+
+/**
+ * 寫入一筆稽核事件
+ * @param {Object|null} user - 執行者 { user_id, username }，系統動作時為 null
+ * @param {string} action - AUDIT_ACTIONS 之一
+ * @param {Object} contract - 被操作的合約（決定 contract_id 與 team_id）
+ * @param {Object} change - { before: 變更前的合約, after: 變更後的合約, details: 其他說明 }
+ * @returns {Object} 稽核事件
+ */
+function recordAuditEvent(user, action, contract, { before = null, after = null, details = null } = {}) {
+  if (!AUDIT_ACTIONS[action]) {
+    throw new Error(`未知的稽核動作: ${action}`);
+  }
+
+  const beforeSnapshot = auditSnapshot(before);
+  const afterSnapshot = auditSnapshot(after);
+  const row = {
+    event_id: crypto.randomBytes(12).toString('hex'),
+    contract_id: contract.contract_id,
+    team_id: contract.team_id ?? null,
+    action,
+    user_id: user?.user_id ?? null,
+    username: user?.username ?? null,
+    before: beforeSnapshot ? JSON.stringify(beforeSnapshot) : null,
+    after: afterSnapshot ? JSON.stringify(afterSnapshot) : null,
+    changed_fields: JSON.stringify(diffAuditFields(beforeSnapshot, afterSnapshot)),
+    details: details ? JSON.stringify(details) : null,
+    created_at: new Date().toISOString(),
+  };
+
+  getDatabase().prepare(`
+    INSERT INTO audit_log (
+      event_id, contract_id, team_id, action, user_id, username, before, after, changed_fields, details, created_at
+    )
+    VALUES (
+      @event_id, @contract_id, @team_id, @action, @user_id, @username, @before, @after, @changed_fields, @details, @created_at
+    )
+  `).run(row);
+
+  return rowToAuditEvent(row);
+}
+
+/**
+ * 驗證並整理查詢條件
+ * @param {Object} query - 請求的查詢參數 { contract_id, user_id, action, from, to, limit }
+ * @param {number} maxLimit - 筆數上限
+ * @returns {Object} { filters } 或 { errors }
+ */
+function parseAuditQuery(query = {}, maxLimit = MAX_LIST_LIMIT) {
+  const errors = [];
+  const filters = {
+    contractId: query.contract_id || null,
+    userId: query.user_id || null,
+    action: query.action || null,
+    from: null,
+    to: null,
+    limit: Math.min(maxLimit, DEFAULT_LIST_LIMIT),
+  };
+
+  if (filters.action && !AUDIT_ACTIONS[filters.action]) {
+    errors.push(`action 必須是 ${Object.keys(AUDIT_ACTIONS).join(' | ')} 之一`);
+  }
+  for (const key of ['from', 'to']) {
+    if (!query[key]) continue;
+    const date = new Date(query[key]);
+    if (Number.isNaN(date.getTime())) {
+      errors.push(`${key} 必須是 ISO 8601 日期時間`);
+    } else {
+      filters[key] = date.toISOString();
+    }
+  }
+  if (query.limit !== undefined) {
+    const limit = Number(query.limit);
+    if (!Number.isInteger(limit) || limit < 1 || limit > maxLimit) {
+      errors.push(`limit 必須是 1–${maxLimit} 的整數`);
+    } else {
+      filters.limit = limit;
+    }
+  }
+
+  return errors.length > 0 ? { errors } : { filters };
+}
+
+/**
+ * 查詢稽核事件（新到舊）
+ * @param {Object} filters - parseAuditQuery 的結果，另可指定 teamId 限定團隊
+ * @returns {Array<Object>}
+ */
+function listAuditEvents({ contractId = null, userId = null, action = null, from = null, to = null, teamId = null, limit = DEFAULT_LIST_LIMIT } = {}) {
+  return getDatabase()
+    .prepare(`
+      SELECT * FROM audit_log
+      WHERE (@contractId IS NULL OR contract_id = @contractId)
+        AND (@userId IS NULL OR user_id = @userId)
+        AND (@action IS NULL OR action = @action)
+        AND (@from IS NULL OR created_at >= @from)
+        AND (@to IS NULL OR created_at <= @to)
+        AND (@teamId IS NULL OR team_id = @teamId)
+      ORDER BY created_at DESC, rowid DESC
+      LIMIT @limit
+    `)
+    .all({ contractId, userId, action, from, to, teamId, limit })
+    .map(rowToAuditEvent);
+}
+
+/**
+ * CSV 欄位跳脫
+ *
+ * 以 = + - @ 開頭的文字（例如使用者輸入的公司名稱）在 Excel 中會被當成公式執行，加上 ' 前綴
+ * @param {*} value - 欄位值
+ * @returns {string}
+ */
+function toCsvField(value) {
+  if (value === null || value === undefined) return '';
+  let text = typeof value === 'string' ? value : JSON.stringify(value);
+  if (typeof value === 'string' && CSV_FORMULA_PREFIX.test(text)) {
+    text = `'${text}`;
+  }
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * 將稽核事件轉為 CSV（含 UTF-8 BOM，Excel 可直接開啟中文）
+ * @param {Array<Object>} events - 稽核事件
+ * @returns {string}
+ */
+function auditEventsToCsv(events) {
+  const columns = ['created_at', 'event_id', 'contract_id', 'team_id', 'action', 'action_label', 'user_id', 'username', 'changed_fields', 'before', 'after', 'details'];
+  const lines = [columns.join(',')];
+  for (const event of events) {
+    lines.push(columns.map(column => {
+      const value = event[column];
+      return toCsvField(Array.isArray(value) ? value.join(' ') : value);
+    }).join(','));
+  }
+  return '\uFEFF' + lines.join('\r\n') + '\r\n';
+}
+
+export {
+  AUDIT_ACTIONS,
+  MAX_EXPORT_LIMIT,
+  recordAuditEvent,
+  parseAuditQuery,
+  listAuditEvents,
+  auditEventsToCsv,
+};
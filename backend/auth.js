@@ -0,0 +1,540 @@
+import crypto from "crypto";
+import { getDatabase } from "./contractStore.js";
+
+// =========================
+//    使用者帳號與登入驗證
+// =========================
+//
+// 密碼以 scrypt 加鹽雜湊保存；登入工作階段與 API 金鑰只保存 SHA-256 雜湊，
+// 原始值只在建立時回傳一次
+
+// 登入工作階段的有效時間（小時）
+const SESSION_TTL_HOURS = parseFloat(process.env.SESSION_TTL_HOURS || '12');
+// 串流 token 的有效時間（秒）
+const STREAM_TOKEN_TTL_SECONDS = 60;
+
+// 各角色的權限（admin 另可看到所有團隊的合約，其他角色只看得到自己團隊的合約）
+//   uploader：上傳與修改合約評估、送審、標記已簽署
+//   reviewer：審閱留言、退回
+//   approver：審閱留言、退回、核准（含 D 級或 MAD 熔斷合約的覆核）
+const ROLE_PERMISSIONS = {
+  uploader: ['contract:upload', 'contract:edit', 'contract:submit', 'contract:sign', 'contract:comment'],
+  reviewer: ['contract:comment', 'contract:review'],
+  approver: ['contract:comment', 'contract:review', 'contract:approve'],
+  admin: [
+    'contract:upload', 'contract:edit', 'contract:submit', 'contract:sign', 'contract:comment',
+    'contract:review', 'contract:approve', 'contract:delete',
+    'scoring_profiles:manage', 'users:manage', 'model_output_failures:view', 'audit_log:view',
+  ],
+};
+
+const USER_ROLES = Object.keys(ROLE_PERMISSIONS);
+
+// API 金鑰前綴（用來與登入工作階段的 token 區分）
+const API_KEY_PREFIX = 'tgsa_';
+
+const MIN_PASSWORD_LENGTH = 8;
+const SCRYPT_KEY_LENGTH = 64;
+
+/**
+ * 以 scrypt 雜湊密碼
+ * @param {string} password - 明文密碼
+ * @returns {string} "scrypt$<salt>$<hash>"
+ */
+function hashPassword(password) {
+  const salt = crypto.randomBytes(16).toString('hex');
+  const hash = crypto.scryptSync(password, salt, SCRYPT_KEY_LENGTH).toString('hex');
+  return `scrypt$${salt}$${hash}`;
+}
+
+/**
+ * 驗證密碼
+ * @param {string} password - 明文密碼
+ * @param {string} passwordHash - hashPassword 的結果
+ * @returns {boolean}
+ */
+function verifyPassword(password, passwordHash) {
+  const [scheme, salt, hash] = passwordHash.split('$');
+  if (scheme !== 'scrypt' || !salt || !hash) return false;
+  const expected = Buffer.from(hash, 'hex');
+  const actual = crypto.scryptSync(password, salt, expected.length);
+  return crypto.timingSafeEqual(actual, expected);
+}
+
+// 帳號不存在時仍執行一次雜湊比對，避免以回應時間判斷帳號是否存在
+const DUMMY_PASSWORD_HASH = hashPassword(crypto.randomBytes(16).toString('hex'));
+
+/**
+ * 計算 token 的 SHA-256（資料庫只保存雜湊）
+ * @param {string} token - 工作階段 token 或 API 金鑰
+ * @returns {string}
+ */
+function hashToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+/**
+ * 將資料列轉為公開的使用者資料（不含密碼雜湊）
+ * @param {Object|undefined} row - users JOIN teams 的資料列
+ * @returns {Object|null}
+ */
+function rowToUser(row) {
+  if (!row) return null;
+  return {
+    user_id: row.user_id,
+    username: row.username,
+    display_name: row.display_name,
+    role: row.role,
+    team_id: row.team_id,
+    team_name: row.team_name,
+    disabled: Boolean(row.disabled),
+    created_at: row.created_at,
+    updated_at: row.updated_at,
+  };
+}
+
+const SELECT_USER = `
+  SELECT users.*, teams.name AS team_name
+  FROM users JOIN teams ON teams.team_id = users.team_id
+`;
+
+// =========================
+//    團隊
+// =========================
+
+/**
+ * 列出所有團隊（含成員數）
+ * @returns {Array<Object>}
+ */
+function listTeams() {
+  return getDatabase().prepare(`
+    SELECT teams.team_id, teams.name, teams.created_at, COUNT(users.user_id) AS member_count
+    FROM teams LEFT JOIN users ON users.team_id = teams.team_id
+    GROUP BY teams.team_id
+    ORDER BY teams.name ASC
+  `).all();
+}
+
+/**
+ * 根據 ID 查找團隊
+ * @param {string} teamId - 團隊 ID
+ * @returns {Object|undefined}
+ */
+function getTeam(teamId) {
+  return getDatabase().prepare('SELECT * FROM teams WHERE team_id = ?').get(teamId);
+}
+
+/**
+ * 根據名稱查找團隊
+ * @param {string} name - 團隊名稱
+ * @returns {Object|undefined}
+ */
+function findTeamByName(name) {
+  return getDatabase().prepare('SELECT * FROM teams WHERE name = ?').get(name);
+}
+
+/**
+ * 建立團隊
+ * @param {string} name - 團隊名稱
+ * @returns {Object} { team } 或 { errors }
+ */
+function createTeam(name) {
+  const teamName = typeof name === 'string' ? name.trim() : '';
+  if (!teamName || teamName.length > 64) {
+    return { errors: ['團隊名稱不能為空（最多 64 字）'] };
+  }
+  if (findTeamByName(teamName)) {
+    return { errors: [`團隊「${teamName}」已存在`] };
+  }
+
+  const team = { team_id: crypto.randomBytes(8).toString('hex'), name: teamName, created_at: new Date().toISOString() };
+  getDatabase().prepare('INSERT INTO teams (team_id, name, created_at) VALUES (@team_id, @name, @created_at)').run(team);
+  return { team };
+}
+
+// =========================
+//    使用者
+// =========================
+
+/**
+ * 驗證使用者欄位
+ * @param {Object} input - { username, password, display_name, role, team_id }
+ * @param {boolean} isNew - 是否為新帳號（新帳號的 username、password、team_id 為必填）
+ * @returns {Array<string>} 錯誤訊息
+ */
+function validateUserInput(input, isNew) {
+  const errors = [];
+
+  if (isNew || input.username !== undefined) {
+    if (typeof input.username !== 'string' || !/^[\w.@-]{3,64}$/.test(input.username)) {
+      errors.push('username 只能包含英數字、底線、點、@ 與連字號（3–64 字）');
+    } else if (isNew && getDatabase().prepare('SELECT 1 FROM users WHERE username = ?').get(input.username)) {
+      errors.push(`帳號「${input.username}」已存在`);
+    }
+  }
+  if (isNew || input.password !== undefined) {
+    if (typeof input.password !== 'string' || input.password.length < MIN_PASSWORD_LENGTH) {
+      errors.push(`password 至少需要 ${MIN_PASSWORD_LENGTH} 個字元`);
+    }
+  }
+  if (input.role !== undefined && !USER_ROLES.includes(input.role)) {
+    errors.push(`role 必須是 ${USER_ROLES.join(' | ')} 之一`);
+  }
+  if (isNew || input.team_id !== undefined) {
+    if (!input.team_id || !getTeam(input.team_id)) {
+      errors.push(`團隊 ${input.team_id ?? '(未指定)'} 不存在`);
+    }
+  }
+  if (input.display_name !== undefined && input.display_name !== null && typeof input.display_name !== 'string') {
+    errors.push('display_name 必須是字串');
+  }
+  if (input.disabled !== undefined && typeof input.disabled !== 'boolean') {
+    errors.push('disabled 必須是 true 或 false');
+  }
+
+  return errors;
+}
+
+/**
+ * 列出所有使用者
+ * @returns {Array<Object>}
+ */
+function listUsers() {
+  return getDatabase().prepare(`${SELECT_USER} ORDER BY users.username ASC`).all().map(row => rowToUser(row));
+}
+
+/**
+ * 根據 ID 查找使用者
+ * @param {string} userId - 使用者 ID
+ * @returns {Object|null}
+ */
+function getUser(userId) {
+  return rowToUser(getDatabase().prepare(`${SELECT_USER} WHERE users.user_id = ?`).get(userId));
+}
+
+/**
+ * 建立使用者
+ * @param {Object} input - { username, password, display_name, role（預設 uploader）, team_id }
+ * @returns {Object} { user } 或 { errors }
+ */
+function createUser(input) {
+  const errors = validateUserInput(input, true);
+  if (errors.length > 0) {
+    return { errors };
+  }
+
+  const now = new Date().toISOString();
+  const userId = crypto.randomBytes(8).toString('hex');
+  getDatabase().prepare(`
+    INSERT INTO users (user_id, username, display_name, password_hash, role, team_id, disabled, created_at, updated_at)
+    VALUES (@user_id, @username, @display_name, @password_hash, @role, @team_id, 0, @created_at, @updated_at)
+  `).run({
+    user_id: userId,
+    username: input.username,
+    display_name: input.display_name || input.username,
+    password_hash: hashPassword(input.password),
+    role: input.role || 'uploader',
+    team_id: input.team_id,
+    created_at: now,
+    updated_at: now,
+  });
+
+  return { user: getUser(userId) };
+}
+
+/**
+ * 更新使用者（變更密碼或停用帳號時，既有的登入工作階段一併失效）
+ * @param {string} userId - 使用者 ID
+ * @param {Object} changes - { display_name, password, role, team_id, disabled }
+ * @returns {Object|null} { user } 或 { errors }；使用者不存在時為 null
+ */
+function updateUser(userId, changes) {
+  const current = getUser(userId);
+  if (!current) return null;
+
+  const { username, ...allowed } = changes;
+  const errors = validateUserInput(allowed, false);
+  if (username !== undefined) {
+    errors.push('username 建立後不可修改');
+  }
+  const leavesAdmin = (allowed.role !== undefined && allowed.role !== 'admin') || allowed.disabled === true;
+  if (current.role === 'admin' && !current.disabled && leavesAdmin) {
+    const { count } = getDatabase()
+      .prepare("SELECT COUNT(*) AS count FROM users WHERE role = 'admin' AND disabled = 0 AND user_id != ?")
+      .get(userId);
+    if (count === 0) {
+      errors.push('至少需要保留一位啟用中的管理員');
+    }
+  }
+  if (errors.length > 0) {
+    return { errors };
+  }
+
+  const database = getDatabase();
+  database.transaction(() => {
+    const update = (column, value) => database
+      .prepare(`UPDATE users SET ${column} = ?, updated_at = ? WHERE user_id = ?`)
+      .run(value, new Date().toISOString(), userId);
+
+    if (allowed.display_name !== undefined) update('display_name', allowed.display_name);
+    if (allowed.role !== undefined) update('role', allowed.role);
+    if (allowed.team_id !== undefined) update('team_id', allowed.team_id);
+    if (allowed.password !== undefined) update('password_hash', hashPassword(allowed.password));
+    if (allowed.disabled !== undefined) update('disabled', allowed.disabled ? 1 : 0);
+
+    if (allowed.password !== undefined || allowed.disabled === true) {
+      database.prepare('DELETE FROM sessions WHERE user_id = ?').run(userId);
+    }
+  })();
+
+  return { user: getUser(userId) };
+}
+
+/**
+ * 以帳號密碼驗證使用者
+ * @param {string} username - 帳號
+ * @param {string} password - 密碼
+ * @returns {Object|null} 驗證成功且未停用時回傳使用者
+ */
+function authenticateUser(username, password) {
+  const row = getDatabase().prepare(`${SELECT_USER} WHERE users.username = ?`).get(username);
+  const valid = verifyPassword(password, row ? row.password_hash : DUMMY_PASSWORD_HASH);
+  if (!row || !valid || row.disabled) return null;
+  return rowToUser(row);
+}
+
+// =========================
+//    登入工作階段與 API 金鑰
+// =========================
+
+/**
+ * 建立登入工作階段
+ * @param {string} userId - 使用者 ID
+ * @returns {Object} { token, expires_at }（token 只在此回傳）
+ */
+function createSession(userId) {
+  const token = crypto.randomBytes(32).toString('hex');
+  const now = new Date();
+  const expiresAt = new Date(now.getTime() + SESSION_TTL_HOURS * 60 * 60 * 1000).toISOString();
+
+  const database = getDatabase();
+  database.prepare('DELETE FROM sessions WHERE expires_at <= ?').run(now.toISOString());
+  database.prepare(`
+    INSERT INTO sessions (token_hash, user_id, created_at, expires_at, last_used_at)
+    VALUES (?, ?, ?, ?, NULL)
+  `).run(hashToken(token), userId, now.toISOString(), expiresAt);
+
+  return { token, expires_at: expiresAt };
+}
+
+/**
+ * 刪除登入工作階段（登出）
+ * @param {string} token - 工作階段 token
+ * @returns {boolean} 是否有刪除資料
+ */
+function deleteSession(token) {
+  return getDatabase().prepare('DELETE FROM sessions WHERE token_hash = ?').run(hashToken(token)).changes > 0;
+}
+
+/**
+ * 將 API 金鑰資料列轉為公開格式（不含雜湊）
+ * @param {Object} row - 資料列
+ * @returns {Object}
+ */
+function rowToApiKey(row) {
+  return {
+    key_id: row.key_id,
+    name: row.name,
+    key_prefix: row.key_prefix,
+    created_at: row.created_at,
+    last_used_at: row.last_used_at,
+    revoked_at: row.revoked_at,
+  };
+}
+
+/**
+ * 建立 API 金鑰
+ * @param {string} userId - 使用者 ID
+ * @param {string} name - 金鑰名稱（用途說明）
+ * @returns {Object} { api_key, key }（api_key 為完整金鑰，只在此回傳）
+ */
+function createApiKey(userId, name) {
+  const apiKey = `${API_KEY_PREFIX}${crypto.randomBytes(24).toString('hex')}`;
+  const row = {
+    key_id: crypto.randomBytes(8).toString('hex'),
+    user_id: userId,
+    name,
+    key_hash: hashToken(apiKey),
+    key_prefix: apiKey.substring(0, API_KEY_PREFIX.length + 6),
+    created_at: new Date().toISOString(),
+    last_used_at: null,
+    revoked_at: null,
+  };
+
+  getDatabase().prepare(`
+    INSERT INTO api_keys (key_id, user_id, name, key_hash, key_prefix, created_at, last_used_at, revoked_at)
+    VALUES (@key_id, @user_id, @name, @key_hash, @key_prefix, @created_at, @last_used_at, @revoked_at)
+  `).run(row);
+
+  return { api_key: apiKey, key: rowToApiKey(row) };
+}
+
+/**
+ * 列出使用者的 API 金鑰（新到舊）
+ * @param {string} userId - 使用者 ID
+ * @returns {Array<Object>}
+ */
+function listApiKeys(userId) {
+  return getDatabase()
+    .prepare('SELECT * FROM api_keys WHERE user_id = ? ORDER BY created_at DESC')
+    .all(userId)
+    .map(rowToApiKey);
+}
+
+/**
+ * 撤銷 API 金鑰
+ * @param {string} userId - 使用者 ID（只能撤銷自己的金鑰）
+ * @param {string} keyId - 金鑰 ID
+ * @returns {boolean} 是否有撤銷
+ */
+function revokeApiKey(userId, keyId) {
+  const info = getDatabase()
+    .prepare('UPDATE api_keys SET revoked_at = ? WHERE key_id = ? AND user_id = ? AND revoked_at IS NULL')
+    .run(new Date().toISOString(), keyId, userId);
+  return info.changes > 0;
+}
+
+/**
+ * 解析 Authorization 標頭中的 token（登入工作階段或 API 金鑰）
+ * @param {string} token - Bearer token
+ * @returns {Object|null} { user, auth_type: "session" | "api_key" }；無效、過期、已撤銷或帳號停用時為 null
+ */
+function resolveAccessToken(token) {
+  if (!token) return null;
+
+  const database = getDatabase();
+  const tokenHash = hashToken(token);
+  const now = new Date().toISOString();
+
+  if (token.startsWith(API_KEY_PREFIX)) {
+    const key = database.prepare('SELECT * FROM api_keys WHERE key_hash = ? AND revoked_at IS NULL').get(tokenHash);
+    if (!key) return null;
+    const user = getUser(key.user_id);
+    if (!user || user.disabled) return null;
+    database.prepare('UPDATE api_keys SET last_used_at = ? WHERE key_id = ?').run(now, key.key_id);
+    return { user, auth_type: 'api_key' };
+  }
+
+  const session = database.prepare('SELECT * FROM sessions WHERE token_hash = ?').get(tokenHash);
+  if (!session) return null;
+  if (session.expires_at <= now) {
+    database.prepare('DELETE FROM sessions WHERE token_hash = ?').run(tokenHash);
+    return null;
+  }
+  const user = getUser(session.user_id);
+  if (!user || user.disabled) return null;
+  database.prepare('UPDATE sessions SET last_used_at = ? WHERE token_hash = ?').run(now, tokenHash);
+  return { user, auth_type: 'session' };
+}
+
+// =========================
+//    串流 token
+// =========================
+//
+// EventSource 無法自訂標頭，token 只能放在網址中（會出現在代理伺服器與存取日誌）。
+// 因此串流不接受登入 token，改用只能開啟指定串流一次、短時間內有效的 token。
+// 只保存在記憶體：分析任務本身也只存在記憶體，伺服器重啟後一併失效
+
+const streamTokens = new Map();
+
+/**
+ * 建立串流 token
+ * @param {string} userId - 使用者 ID
+ * @param {string} scope - 可開啟的串流（例如 "job:<job_id>"）
+ * @returns {Object} { token, expires_at }
+ */
+function createStreamToken(userId, scope) {
+  const now = Date.now();
+  for (const [tokenHash, entry] of streamTokens) {
+    if (entry.expires_at <= now) streamTokens.delete(tokenHash);
+  }
+
+  const token = crypto.randomBytes(24).toString('hex');
+  const expiresAt = now + STREAM_TOKEN_TTL_SECONDS * 1000;
+  streamTokens.set(hashToken(token), { user_id: userId, scope, expires_at: expiresAt });
+  return { token, expires_at: new Date(expiresAt).toISOString() };
+}
+
+/**
+ * 使用串流 token（不論成功與否，使用後即失效）
+ * @param {string} token - 串流 token
+ * @param {string} scope - 要開啟的串流
+ * @returns {Object|null} { user, auth_type: "stream_token" }；無效、過期、範圍不符或帳號停用時為 null
+ */
+function consumeStreamToken(token, scope) {
+  if (!token) return null;
+
+  const tokenHash = hashToken(token);
+  const entry = streamTokens.get(tokenHash);
+  streamTokens.delete(tokenHash);
+  if (!entry || entry.scope !== scope || entry.expires_at <= Date.now()) return null;
+
+  const user = getUser(entry.user_id);
+  if (!user || user.disabled) return null;
+  return { user, auth_type: 'stream_token' };
+}
+
+/**
+ * 判斷使用者是否擁有權限
+ * @param {Object} user - 使用者
+ * @param {string} permission - 權限（例如 "contract:approve"）
+ * @returns {boolean}
+ */
+function hasPermission(user, permission) {
+  return (ROLE_PERMISSIONS[user.role] || []).includes(permission);
+}
+
+/**
+ * 判斷使用者是否可以存取合約（管理員可存取全部，其他人只能存取自己團隊的合約）
+ * @param {Object} user - 使用者
+ * @param {Object} contract - 合約（或合約摘要）
+ * @returns {boolean}
+ */
+function canAccessContract(user, contract) {
+  return user.role === 'admin' || (Boolean(contract.team_id) && contract.team_id === user.team_id);
+}
+
+/**
+ * 使用者可見的合約範圍（傳給 contractStore 的列表查詢）
+ * @param {Object} user - 使用者
+ * @returns {Object} { teamId }，管理員為 {}
+ */
+function contractScopeFor(user) {
+  return user.role === 'admin' ? {} : { teamId: user.team_id };
+}
+
+export {
+  SESSION_TTL_HOURS,
+  ROLE_PERMISSIONS,
+  USER_ROLES,
+  listTeams,
+  getTeam,
+  findTeamByName,
+  createTeam,
+  listUsers,
+  getUser,
+  createUser,
+  updateUser,
+  authenticateUser,
+  createSession,
+  deleteSession,
+  createApiKey,
+  listApiKeys,
+  revokeApiKey,
+  resolveAccessToken,
+  createStreamToken,
+  consumeStreamToken,
+  hasPermission,
+  canAccessContract,
+  contractScopeFor,
+};
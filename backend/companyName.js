@@ -0,0 +1,19 @@
+// =========================
+//    公司名稱正規化
+// =========================
+
+/**
+ * 正規化公司名稱，作為快取與分組的 key
+ * 全形轉半形、轉小寫、移除空白與標點、「臺」統一為「台」；不移除「股份有限公司」等後綴，避免混淆不同法人
+ * @param {string} companyName - 公司名稱
+ * @returns {string}
+ */
+function normalizeCompanyName(companyName) {
+  return (companyName || '')
+    .normalize('NFKC')
+    .toLowerCase()
+    .replace(/臺/g, '台')
+    .replace(/[\s.,，。、·・'"「」『』()（）]/g, '');
+}
+
+export { normalizeCompanyName };
@@ -0,0 +1,139 @@
+// =========================
+//    交易對象公司檔案
+// =========================
+
+/**
+ * 背景調查各項目的顯示名稱（與合約詳情頁一致）
+ */
+const BACKGROUND_SECTIONS = {
+  profile: '公司簡介',
+  responsible_person: '負責人資訊',
+  responsible_person_legal: '法律與訴訟紀錄',
+  customs: '營業狀態',
+  legal: '法律合規',
+};
+
+/**
+ * 四捨五入到小數點後一位
+ * @param {number} value
+ * @returns {number}
+ */
+function round1(value) {
+  return Math.round(value * 10) / 10;
+}
+
+/**
+ * 依正規化公司名稱將合約摘要分組（沒有交易對象的合約不列入）
+ * @param {Array<Object>} contracts - 合約摘要（需含 seller_normalized）
+ * @returns {Map<string, Array<Object>>} 每組依上傳時間由舊到新排序
+ */
+function groupBySeller(contracts) {
+  const groups = new Map();
+  for (const contract of contracts) {
+    if (!contract.seller_normalized) continue;
+    if (!groups.has(contract.seller_normalized)) groups.set(contract.seller_normalized, []);
+    groups.get(contract.seller_normalized).push(contract);
+  }
+  for (const group of groups.values()) {
+    group.sort((a, b) => new Date(a.upload_date) - new Date(b.upload_date));
+  }
+  return groups;
+}
+
+/**
+ * 計算同一交易對象的合約統計
+ * @param {Array<Object>} contracts - 同一交易對象的合約摘要（由舊到新）
+ * @returns {Object} 公司摘要
+ */
+function summarizeSeller(contracts) {
+  const latest = contracts[contracts.length - 1];
+  const scores = contracts.map(c => c.health_score).filter(v => typeof v === 'number');
+
+  // MAD 越高風險越大，最差的合約即 MAD 最高者
+  let worst = null;
+  for (const contract of contracts) {
+    const mad = contract.health_dimensions?.mad;
+    if (typeof mad === 'number' && (!worst || mad > worst.mad)) {
+      worst = { contract_id: contract.contract_id, filename: contract.filename, mad };
+    }
+  }
+
+  return {
+    // 顯示名稱以最新一份合約的寫法為準
+    company_name: latest.seller_company,
+    normalized_name: latest.seller_normalized,
+    contract_count: contracts.length,
+    average_score: scores.length > 0 ? round1(scores.reduce((sum, v) => sum + v, 0) / scores.length) : null,
+    worst_mad: worst ? worst.mad : null,
+    worst_mad_contract: worst,
+    latest_score: latest.health_score ?? null,
+    latest_tier: latest.health_tier ?? null,
+    latest_tier_label: latest.health_tier_label ?? null,
+    first_contract_date: contracts[0].upload_date,
+    last_contract_date: latest.upload_date,
+  };
+}
+
+/**
+ * 列出所有交易對象（依最差 MAD 由高到低，風險最高的排在前面）
+ * @param {Array<Object>} contracts - 所有合約摘要
+ * @returns {Array<Object>}
+ */
+function buildCompanyList(contracts) {
+  return [...groupBySeller(contracts).values()]
+    .map(summarizeSeller)
+    .sort((a, b) => (b.worst_mad ?? -1) - (a.worst_mad ?? -1) || b.contract_count - a.contract_count);
+}
+
+/**
+ * 整理背景調查快照中各項目的回答與來源
+ * @param {Object|null} snapshot - getLatestBackgroundCheck 的結果
+ * @returns {Array<Object>} [{ key, label, answer, sources: [{ title, url }] }]
+ */
+function buildBackgroundFindings(snapshot) {
+  if (!snapshot) return [];
+
+  return Object.entries(BACKGROUND_SECTIONS).map(([key, label]) => {
+    const item = snapshot.data?.[key] || {};
+    return {
+      key,
+      label,
+      answer: item.answer || null,
+      sources: (item.results || []).map(result => ({ title: result.title, url: result.url })),
+    };
+  });
+}
+
+/**
+ * 產生單一交易對象的公司檔案
+ * @param {Array<Object>} contracts - 該公司的合約摘要
+ * @param {Object|null} latestSnapshot - 最新背景調查快照
+ * @returns {Object} 公司檔案
+ */
+function buildCompanyProfile(contracts, latestSnapshot) {
+  const sorted = [...contracts].sort((a, b) => new Date(a.upload_date) - new Date(b.upload_date));
+  const summary = sorted.length > 0
+    ? summarizeSeller(sorted)
+    : {
+        company_name: latestSnapshot?.company_name,
+        normalized_name: latestSnapshot?.normalized_name,
+        contract_count: 0,
+      };
+
+  return {
+    ...summary,
+    score_history: sorted.map(contract => ({
+      contract_id: contract.contract_id,
+      filename: contract.filename,
+      upload_date: contract.upload_date,
+      health_score: contract.health_score ?? null,
+      health_tier: contract.health_tier ?? null,
+      health_dimensions: contract.health_dimensions || null,
+    })),
+    latest_background_check: latestSnapshot
+      ? { ...latestSnapshot, findings: buildBackgroundFindings(latestSnapshot) }
+      : null,
+  };
+}
+
+export { BACKGROUND_SECTIONS, buildCompanyList, buildCompanyProfile };
@@ -0,0 +1,123 @@
+import crypto from "crypto";
+import { getDatabase } from "./contractStore.js";
+import { normalizeCompanyName } from "./companyName.js";
+import { decryptText, encryptColumn, needsReencryption } from "./encryption.js";
+
+// =========================
+//    公司背景調查快取
+// =========================
+
+// 背景調查結果的有效期限（小時），過期後下次使用會重新查詢
+const BACKGROUND_CHECK_TTL_HOURS = parseFloat(process.env.BACKGROUND_CHECK_TTL_HOURS || '168');
+
+/**
+ * 判斷快照是否仍在有效期限內
+ * @param {string} checkedAt - 查詢時間 (ISO)
+ * @returns {boolean}
+ */
+function isSnapshotFresh(checkedAt) {
+  return Date.now() - new Date(checkedAt).getTime() < BACKGROUND_CHECK_TTL_HOURS * 60 * 60 * 1000;
+}
+
+/**
+ * 將資料列轉為快照物件
+ * @param {Object|undefined} row - 資料列
+ * @returns {Object|null}
+ */
+function rowToSnapshot(row) {
+  if (!row) return null;
+  return {
+    snapshot_id: row.snapshot_id,
+    company_name: row.company_name,
+    normalized_name: row.normalized_name,
+    checked_at: row.checked_at,
+    expires_at: new Date(new Date(row.checked_at).getTime() + BACKGROUND_CHECK_TTL_HOURS * 60 * 60 * 1000).toISOString(),
+    is_fresh: isSnapshotFresh(row.checked_at),
+    data: JSON.parse(decryptText(row.data)),
+  };
+}
+
+// 限定為某團隊的合約使用過的快照（teamId 為 null 時不限定）
+const TEAM_SNAPSHOT_FILTER = `
+  AND (@teamId IS NULL OR snapshot_id IN (
+    SELECT json_extract(data, '$.background_check.snapshot_id') FROM contracts
+    WHERE team_id = @teamId AND deleted_at IS NULL
+  ))
+`;
+
+/**
+ * 取得公司最新的背景調查快照（不論是否過期）
+ * @param {string} companyName - 公司名稱
+ * @param {Object} scope - { teamId: 只取此團隊的合約使用過的快照，未指定時不限定 }
+ * @returns {Object|null}
+ */
+function getLatestBackgroundCheck(companyName, { teamId = null } = {}) {
+  return rowToSnapshot(getDatabase().prepare(`
+    SELECT * FROM background_checks WHERE normalized_name = @normalizedName ${TEAM_SNAPSHOT_FILTER}
+    ORDER BY checked_at DESC LIMIT 1
+  `).get({ normalizedName: normalizeCompanyName(companyName), teamId }));
+}
+
+/**
+ * 列出公司的所有背景調查快照（不含內容，新到舊）
+ * @param {string} companyName - 公司名稱
+ * @param {Object} scope - { teamId: 只列出此團隊的合約使用過的快照，未指定時不限定 }
+ * @returns {Array<Object>}
+ */
+function listBackgroundCheckHistory(companyName, { teamId = null } = {}) {
+  return getDatabase().prepare(`
+    SELECT snapshot_id, company_name, checked_at FROM background_checks
+    WHERE normalized_name = @normalizedName ${TEAM_SNAPSHOT_FILTER}
+    ORDER BY checked_at DESC
+  `).all({ normalizedName: normalizeCompanyName(companyName), teamId });
+}
+
+/**
+ * 保存新的背景調查快照（舊快照保留，供已評分的合約追溯）
+ * @param {string} companyName - 公司名稱
+ * @param {Object} companyData - performCompanyBackgroundCheck 的結果
+ * @returns {Object} 快照
+ */
+function saveBackgroundCheck(companyName, companyData) {
+  const row = {
+    snapshot_id: crypto.randomBytes(12).toString('hex'),
+    normalized_name: normalizeCompanyName(companyName),
+    company_name: companyName,
+    data: encryptColumn(JSON.stringify(companyData)),
+    checked_at: new Date().toISOString(),
+  };
+
+  getDatabase().prepare(`
+    INSERT INTO background_checks (snapshot_id, normalized_name, company_name, data, checked_at)
+    VALUES (@snapshot_id, @normalized_name, @company_name, @data, @checked_at)
+  `).run(row);
+
+  return rowToSnapshot(row);
+}
+
+/**
+ * 以目前的金鑰重新加密所有背景調查快照（金鑰輪替用）
+ * @returns {number} 重新加密的筆數
+ */
+function reencryptBackgroundChecks() {
+  const database = getDatabase();
+  const update = database.prepare('UPDATE background_checks SET data = ? WHERE snapshot_id = ?');
+  let count = 0;
+  database.transaction(() => {
+    for (const row of database.prepare('SELECT snapshot_id, data FROM background_checks').all()) {
+      if (!needsReencryption(row.data)) continue;
+      update.run(encryptColumn(decryptText(row.data)), row.snapshot_id);
+      count++;
+    }
+  })();
+  return count;
+}
+
+export {
+  BACKGROUND_CHECK_TTL_HOURS,
+  normalizeCompanyName,
+  getLatestBackgroundCheck,
+  listBackgroundCheckHistory,
+  saveBackgroundCheck,
+  reencryptBackgroundChecks,
+};
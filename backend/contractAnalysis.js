@@ -0,0 +1,542 @@
+import crypto from "crypto";
+import { extractJSON } from "./jsonResponse.js";
+import { normalizeFlaggedClauses } from "./flaggedClauses.js";
+import { applyScoringRules } from "./ruleEngine.js";
+import { calculateHealthScore } from "./healthScore.js";
+import { RESPONSE_SCHEMAS, buildAggregationSchema, validateAgainstSchema } from "./responseSchemas.js";
+import { saveModelOutputFailure } from "./modelOutputFailures.js";
+import { splitIntoSections } from "./contractSections.js";
+
+// =========================
+//    合約 AI 分析
+// =========================
+//
+// 上傳、更新公司名稱與黃金樣本評估共用的分析步驟
+// llm 參數為 createLLMProvider() 建立的供應商
+
+// 回應未通過格式驗證時，附上錯誤訊息要求模型修正的次數上限（不含第一次呼叫）
+const LLM_REPAIR_ATTEMPTS = parseInt(process.env.LLM_REPAIR_ATTEMPTS || '2', 10);
+
+// 要求修正時附上的前一次回應長度上限（字元）
+const MAX_REPAIR_RESPONSE_CHARS = 8000;
+
+// 合約文字超過此字數時改為分段分析：各段落先擷取條款發現，再彙整進行四維度評分
+const CHUNKED_ANALYSIS_MIN_CHARS = parseInt(process.env.CHUNKED_ANALYSIS_MIN_CHARS || '60000', 10);
+
+// 提取基本資訊時送出的文字上限（當事人資訊在合約開頭，長合約只送出開頭部分）
+const BASIC_INFO_MAX_CHARS = 20000;
+
+const BASIC_INFO_PROMPT = `請快速分析這份合約文件，只提取以下基本資訊：
+
+1. 文件類型（合約/報價單）
+2. **乙方公司名稱**（對方公司的完整名稱）
+
+⚠️ 重要提醒：
+- 只提取「乙方」公司名稱，不要提取「甲方」
+- 甲方 = 我方公司（不需要分析）
+- 乙方 = 對方公司（需要背景調查的公司）
+- 如果合約中有「甲方：XXX公司」和「乙方：YYY公司」，只回傳 YYY公司
+- 絕對不可以回傳甲方的公司名稱
+
+CRITICAL: 只回傳 JSON 格式，不要其他文字：
+{
+  "document_type": "合約",
+  "seller_company": "乙方公司名稱（只填對方公司，不可填我方公司）"
+}`;
+
+/**
+ * 建立四維度評分提示詞（包含背景調查結果）
+ * @param {string} companyName - 公司名稱
+ * @param {Object} companyData - 公司背景調查結果
+ * @returns {string}
+ */
+function buildScoringPrompt(companyName, companyData) {
+  // 構建背景調查上下文
+  const backgroundContext = `
+────────────────────
+【背景調查結果】
+────────────────────
+你已經針對「${companyName}」進行了深入的背景調查，結果如下：
+
+**公司簡介**: ${companyData.profile?.answer || '未找到相關資訊'}
+
+**海關進出口記錄**: ${companyData.customs?.answer || '未找到相關資訊'}
+
+**法律合規狀況**: ${companyData.legal?.answer || '未找到相關資訊'}
+
+**公司負責人**: ${companyData.responsible_person?.answer || '未找到相關資訊'}
+
+**負責人法律狀況**: ${companyData.responsible_person_legal?.answer || '未找到相關資訊'}
+
+**重要提示**:
+請仔細審查上述背景調查結果，特別注意：
+- 如發現破產記錄、詐欺前科、負責人限制出境或欠稅大戶等致命風險，MAD 應直接給 90+ 分觸發熔斷
+- 如發現勞資糾紛、民事訴訟等警告級別風險，請在 MAD 評分時適度考慮
+- 注意區分否定表述（如"無限制出境"表示安全）和實際風險（"限制出境"表示危險）
+- 5年以上的舊案可視為背景雜訊，僅輕微調整 MAD 分數
+`;
+
+  return `你是一個資深合約談判專家和法律顧問。請仔細分析這份合約文件，進行整體評估。
+
+${backgroundContext}
+
+CRITICAL:
+你必須只回傳「純 JSON」，不得包含任何其他文字、說明、標題或 markdown 格式。
+不得在 JSON 之外輸出任何內容，否則視為系統錯誤。
+
+你的角色：
+你是一名「深度合約談判專家與法律顧問 Agent」，任務不是評論合約，而是依照以下【不可違反的演算法規則】進行評分。
+你的評分必須可回測、可重現，且與商業決策一致。
+
+────────────────────
+【總體評估任務】
+────────────────────
+
+你必須對整份合約進行四個維度的整體評分，並提供每一維度的專業解釋：
+
+1 MAD — 生存風險指標（唯一扣分項）
+2 MAO — 互利營收指標
+3 MAA — 互相保證消耗／承諾深度（正向指標）
+4 MAP — 戰略潛力與憲章指標
+
+────────────────────
+【MAD：生存風險指標（0–100，越高越危險）】
+核心問題：「這份合約會不會殺死公司？」
+
+⚠️ MAD 是唯一的風險扣分項，不得因 MAO、MAA、MAP 高分而抵銷致命風險。
+
+【風險分層過濾（強制規則）】
+
+🔴 致命傷（直接 100 分，觸發熔斷，不可被抵銷）：
+- 破產紀錄
+- 詐欺前科
+- 負責人限制出境
+- 欠稅大戶
+→ 命中任一項，MAD 必須 = 100
+
+🟡 背景雜訊（僅可扣 5–10 分，不得擴大解讀）：
+- 5 年前的勞資糾紛
+- 單純商業民事訴訟（非被告或金額小）
+→ 若合約最終仍被簽署，代表此為可接受雜訊，模型必須忽略放大解讀
+
+【IP 權利灰階評分（強制套用）】
+- IP 完全歸我方／乙方：MAD +0
+- IP 共有／另案協議：約定但不確定：MAD +5～10
+- IP 完全歸對方：MAD +60～80（重傷，原則上不建議簽）
+
+【司法管轄權（V3.1 規則）】
+- 我方所在地法院：MAD +0
+- 對方所在地法院，且對方為付費者：MAD +0（僅提醒，不扣分）
+- 國內異地（非雙方所在地）：不得算入 MAD
+- 海外／第三地法院：MAD +40（司法阻斷，高風險）
+
+────────────────────
+【MAO：互利營收指標（0–100，越高越好）】
+核心問題：「這份合約現在能為公司創造多少實質收益？」
+
+- 0–40：基本交易（市價、無優勢）
+- 41–60：優於市場（價格、付款期、穩定性）
+- 61–80：顯著獲利（獨家、保證量、預付款、槓桿效應）
+- 81–100：壟斷級優勢（免費 IP、對方承擔成本、高度槓桿）
+
+可評估「以小博大」、「成功報酬」、「資金槓桿」等設計。
+
+────────────────────
+【MAA：互相保證消耗／承諾深度（0–100，正向指標）】
+核心問題：「雙方為這段關係押了多少不可撤銷的資源？」
+
+⚠️ MAA 是加分項，不得因行政流程或人工操作而扣分。
+
+- 0–40 流動式交易：無低消、無訂金、隨用隨棄
+- 41–65 預約制維護：訂金、預付款、定期會議、指定窗口
+- 66–87 硬性鎖定：保證採購、沈沒成本、高額解約金、利潤綁定
+- 88–100 共生／排他：獨家條款、股權互持、核心命脈託管
+
+評估重點是「財務鎖定、時間承諾、成效綁定」，而非麻不麻煩。
+
+────────────────────
+【MAP：戰略潛力與憲章指標（0–100，越高越好）】
+核心問題：「這份合約是否成為公司未來的跳板？」
+
+⚠️ 標準行政作業（人工驗收、文件審查、例行會議）= 0 分（綠區）
+不得因『非數位化』或『有人工作業』而扣分。
+
+- 0 分：無法執行（無法開單、無法履約）
+- 1–40：純交易里程碑（能做生意）
+- 41–65：功能性賦能
+  - 資質取得（ISO、專利、合規）
+  - 效率提升（外包非核心）
+  - 履歷背書（案例、Portfolio）
+- 66–80：戰略槓桿
+  - 政府／政策資源
+  - 金融槓桿（補助、授信、估值）
+  - 知識轉移、風險共擔（Success Fee）
+- 81–100：生態系共生
+  - 獨家／排他
+  - 憲章高度對齊、深度資料共享
+  - 世界級品牌光環
+  - 建立競爭門檻
+
+────────────────────
+【輸出格式（嚴格遵守）】
+
+{
+  "mad": 0-100,
+  "mao": 0-100,
+  "maa": 0-100,
+  "map": 0-100,
+  "dimension_explanations_mad": "100–200 字，引用具體條款，說明風險是否為致命或雜訊",
+  "dimension_explanations_mao": "100–200 字，說明營收結構與槓桿",
+  "dimension_explanations_maa": "100–200 字，說明雙方承諾與鎖定程度",
+  "dimension_explanations_map": "100–200 字，說明是否構成跳板或戰略資產",
+  "overall_recommendation": "150–250 字，明確給出是否建議簽署、風險邊界、談判優化點",
+  "clause_facts": {
+    "ip_ownership": "ours | shared | counterparty | not_specified",
+    "jurisdiction": "our_location | counterparty_location | domestic_other | overseas | not_specified"
+  },
+  "flagged_clauses": [
+    {
+      "category": "ip_ownership | jurisdiction | termination | penalty | liability | payment | exclusivity | confidentiality | warranty | other",
+      "excerpt": "逐字摘錄的合約原文（不得改寫，最多 200 字）",
+      "location": "條款位置，例如「第 3 頁 第 5.2 條」或「第 12 段」",
+      "impact": { "mad": 0, "mao": 0, "maa": 0, "map": 0 },
+      "reason": "30–80 字，說明此條款為何造成上述分數變化"
+    }
+  ]
+}
+
+【clause_facts 規則】
+- 只描述合約條文的事實，不做評分；系統會依據這些事實以固定規則計算 IP 與管轄權的 MAD
+- ip_ownership：ours＝IP 完全歸我方／乙方、shared＝共有或另案協議、counterparty＝完全歸對方、not_specified＝未約定
+- jurisdiction：our_location＝我方所在地法院、counterparty_location＝對方所在地法院、domestic_other＝國內異地、overseas＝海外／第三地法院或仲裁、not_specified＝未約定
+
+【flagged_clauses 規則】
+- 列出所有影響四維度評分的關鍵條款（尤其是 IP 歸屬、司法管轄、終止解約、違約金），沒有則回傳空陣列
+- excerpt 必須是合約中實際存在的文字，方便法務人員對照原文
+- impact 為此條款對各維度分數的貢獻（正數為加分、負數為減分），MAD 的 impact 加總應能解釋 MAD 分數的來源
+- 背景調查造成的分數變化不屬於條款，不得列入 flagged_clauses
+
+⚠️ 嚴禁：
+- 使用模糊語言
+- 將行政成本誤判為風險
+- 將背景雜訊誤判為致命傷
+- 在 JSON 外輸出任何內容
+- 使用巢狀的 dimensions 或 dimension_explanations 物件（clause_facts 與 flagged_clauses 除外）`;
+}
+
+/**
+ * 建立長合約單一段落的分析提示詞
+ * @param {Object} section - 段落（splitIntoSections 的結果）
+ * @param {number} sectionCount - 段落總數
+ * @returns {string}
+ */
+function buildSectionPrompt(section, sectionCount) {
+  const pages = section.pages ? `，第 ${section.pages.from}–${section.pages.to} 頁` : '';
+  return `你是一個資深合約談判專家和法律顧問。這份合約篇幅很長，已切分為 ${sectionCount} 個段落逐段審閱，
+你目前審閱的是段落 ${section.section_id}（${section.title}${pages}）。各段落的結果之後會彙整進行整體評分。
+
+CRITICAL:
+你必須只回傳「純 JSON」，不得包含任何其他文字、說明、標題或 markdown 格式。
+
+只根據本段落的內容回傳：
+1. summary：100–200 字，摘要本段落約定的主要義務、權利、金額與期限
+2. clause_facts：本段落中關於 IP 歸屬與司法管轄的事實，本段落未提及時填 not_specified
+3. findings：本段落中影響四維度評分的關鍵條款（尤其是 IP 歸屬、司法管轄、終止解約、違約金），沒有則回傳空陣列
+
+四維度：MAD 生存風險（0–100，越高越危險，唯一扣分項）、MAO 互利營收、MAA 互相保證消耗／承諾深度、MAP 戰略潛力。
+- IP 完全歸我方／乙方：MAD +0；共有或另案協議：MAD +5～10；完全歸對方：MAD +60～80
+- 我方所在地法院、對方所在地法院（對方為付費者）、國內異地：MAD +0；海外／第三地法院：MAD +40
+- 人工驗收、文件審查、例行會議等行政作業不是風險，不得扣分
+- 公司背景調查不在本階段評估
+
+【輸出格式（嚴格遵守）】
+
+{
+  "summary": "本段落摘要",
+  "clause_facts": {
+    "ip_ownership": "ours | shared | counterparty | not_specified",
+    "jurisdiction": "our_location | counterparty_location | domestic_other | overseas | not_specified"
+  },
+  "findings": [
+    {
+      "category": "ip_ownership | jurisdiction | termination | penalty | liability | payment | exclusivity | confidentiality | warranty | other",
+      "excerpt": "逐字摘錄的合約原文（不得改寫，最多 200 字）",
+      "location": "條款位置，例如「第 3 頁 第 5.2 條」或「附件二 第 4 點」",
+      "impact": { "mad": 0, "mao": 0, "maa": 0, "map": 0 },
+      "reason": "30–80 字，說明此條款為何造成上述分數變化"
+    }
+  ]
+}
+
+excerpt 必須是本段落中實際存在的文字，方便法務人員對照原文。`;
+}
+
+/**
+ * 建立長合約的彙整評分提示詞：評分規則同 buildScoringPrompt，合約內容改為各段落的審閱結果
+ * @param {string} companyName - 公司名稱
+ * @param {Object} companyData - 公司背景調查結果
+ * @param {Array<Object>} sectionResults - 各段落的審閱結果 [{ section_id, title, pages, summary, clause_facts, findings }]
+ * @returns {string}
+ */
+function buildAggregationPrompt(companyName, companyData, sectionResults) {
+  const sections = sectionResults.map(section => ({
+    section_id: section.section_id,
+    title: section.title,
+    pages: section.pages,
+    summary: section.summary,
+    clause_facts: section.clause_facts,
+    findings: section.findings.map(({ category, excerpt, location, impact, reason }) => ({ category, excerpt, location, impact, reason })),
+  }));
+
+  return `${buildScoringPrompt(companyName, companyData)}
+
+────────────────────
+【長合約分段審閱結果】
+────────────────────
+這份合約篇幅很長，已切分為 ${sections.length} 個段落，由審閱者逐段擷取摘要、條款事實與條款發現。
+你不會看到合約全文，請依據以下各段落的審閱結果進行上述的整體評估：
+
+${JSON.stringify(sections, null, 2)}
+
+────────────────────
+【分段評估的額外輸出規則】
+────────────────────
+- flagged_clauses 的每一項必須沿用上述 findings 中的原文摘錄（excerpt），並以 section_id 標示來源段落，例如 "S3"
+- 另外回傳 dimension_citations：每個維度的評分依據的段落 ID，例如
+  "dimension_citations": { "mad": ["S3", "S7"], "mao": ["S2"], "maa": [], "map": ["S1"] }
+- dimension_explanations_* 與 overall_recommendation 引用條款時請標示段落，例如「（S3 第 12 條）」
+- clause_facts 依各段落的條款事實彙整：任一段落有約定時以該約定為準，各段落互相矛盾時以對我方較不利者為準
+- section_id 只能使用上述段落的 ID`;
+}
+
+// 提示詞版本：提示詞範本的 SHA-256 前 12 碼，記錄在評估報告中以比較不同版本提示詞的結果
+const PROMPT_VERSION = crypto.createHash('sha256')
+  .update(BASIC_INFO_PROMPT)
+  .update(buildScoringPrompt('{company}', {}))
+  .update(buildSectionPrompt({ section_id: '{section}', title: '{title}', pages: null }, 0))
+  .update(buildAggregationPrompt('{company}', {}, []))
+  .digest('hex')
+  .substring(0, 12);
+
+/**
+ * 要求模型修正回應的提示詞
+ * @param {Object} schema - 回應的 JSON Schema
+ * @param {string} responseText - 前一次的回應
+ * @param {Array<string>} errors - 驗證錯誤
+ * @returns {string}
+ */
+function buildRepairPrompt(schema, responseText, errors) {
+  return `
+
+────────────────────
+【格式驗證失敗，請修正】
+────────────────────
+你上一次的回應未通過格式驗證，錯誤如下：
+${errors.map(error => `- ${error}`).join('\n')}
+
+你上一次的回應：
+${(responseText || '').substring(0, MAX_REPAIR_RESPONSE_CHARS)}
+
+請修正所有錯誤後重新回傳完整的 JSON（不是只回傳修正的欄位），只回傳 JSON，不得包含其他文字。
+回應必須符合以下 JSON Schema：
+${JSON.stringify(schema, null, 2)}`;
+}
+
+/**
+ * 呼叫 LLM 並依 Schema 驗證回應；未通過時附上錯誤訊息重新詢問，最多 LLM_REPAIR_ATTEMPTS 次
+ *
+ * 仍未通過時保存失敗紀錄（model_output_failures）並丟出錯誤，
+ * 錯誤的 details 為驗證錯誤、failure_id 為失敗紀錄 ID
+ *
+ * @param {Object} llm - LLM 供應商
+ * @param {string} stage - 階段名稱（basic_info、scoring、section_findings、aggregation）
+ * @param {Array<Object>} content - 輸入內容
+ * @param {Object} context - 保存在失敗紀錄中的追溯資訊（例如 filename、contract_id）
+ * @param {Object} options - { schema: 回應的 JSON Schema（預設為該階段的 Schema） }
+ * @returns {Promise<Object>} 通過驗證的回應
+ */
+async function generateValidatedJSON(llm, stage, content, context = {}, { schema = RESPONSE_SCHEMAS[stage] } = {}) {
+  if (!schema) {
+    throw new Error(`未宣告 ${stage} 階段的回應 Schema`);
+  }
+
+  const attempts = [];
+  let requestContent = content;
+  let model = null;
+
+  for (let attempt = 1; attempt <= LLM_REPAIR_ATTEMPTS + 1; attempt++) {
+    const response = await llm.generateJSON(stage, requestContent);
+    model = response.model;
+
+    let errors;
+    try {
+      const data = extractJSON(response.text);
+      errors = validateAgainstSchema(schema, data);
+      if (errors.length === 0) {
+        if (attempt > 1) {
+          console.log(`🔧 ${stage} 回應於第 ${attempt} 次嘗試通過格式驗證`);
+        }
+        return data;
+      }
+    } catch (parseError) {
+      errors = [`回應不是有效的 JSON: ${parseError.message}`];
+    }
+
+    console.warn(`⚠️ ${stage} 回應未通過格式驗證 (嘗試 ${attempt}/${LLM_REPAIR_ATTEMPTS + 1}): ${errors.join('；')}`);
+    attempts.push({ attempt, model, response_text: response.text, errors });
+    requestContent = [
+      ...content,
+      { type: "input_text", text: buildRepairPrompt(schema, response.text, errors) },
+    ];
+  }
+
+  const failure = saveModelOutputFailure({ stage, model, context, attempts });
+  console.error(`❌ ${stage} 回應經 ${attempts.length} 次嘗試仍未通過格式驗證，已記錄 ${failure.failure_id}`);
+
+  const error = new Error(`${stage} 回應經 ${attempts.length} 次嘗試仍未通過格式驗證`);
+  error.details = failure.errors.join('；');
+  error.failure_id = failure.failure_id;
+  throw error;
+}
+
+/**
+ * 提取文件類型與乙方公司名稱
+ * @param {Object} llm - LLM 供應商
+ * @param {Object} document - { fileId, documentText, context }，有 documentText 時送出文字，否則送出已上傳的檔案；
+ *   context 為驗證失敗時保存的追溯資訊
+ * @returns {Promise<Object>} { document_type, seller_company }
+ */
+async function extractBasicInfo(llm, { fileId = null, documentText = null, context = {} }) {
+  const excerpt = documentText && documentText.length > BASIC_INFO_MAX_CHARS
+    ? `${documentText.substring(0, BASIC_INFO_MAX_CHARS)}\n\n（合約篇幅很長，以上為開頭部分）`
+    : documentText;
+  const content = documentText
+    ? [{ type: "input_text", text: `${BASIC_INFO_PROMPT}\n\n以下是合約文件內容：\n\n${excerpt}` }]
+    : [
+        { type: "input_text", text: BASIC_INFO_PROMPT },
+        { type: "input_file", file_id: fileId }
+      ];
+
+  return generateValidatedJSON(llm, 'basic_info', content, context);
+}
+
+/**
+ * 合約文字是否需要分段分析
+ * @param {string|null} documentText - 合約全文
+ * @returns {boolean}
+ */
+function requiresChunkedAnalysis(documentText) {
+  return Boolean(documentText) && documentText.length > CHUNKED_ANALYSIS_MIN_CHARS;
+}
+
+/**
+ * 分段分析長合約：逐段擷取條款發現，再彙整進行四維度評分
+ * @param {Object} llm - LLM 供應商
+ * @param {Object} input - 同 analyzeContractWithBackground（documentText 必填）
+ * @returns {Promise<Object>} 彙整評分結果，另含 dimension_citations 與 analysis_sections
+ */
+async function analyzeLongContract(llm, { companyName, companyData, documentText, documentPages, context, onSectionProgress }) {
+  const sections = splitIntoSections(documentText, documentPages);
+  console.log(`📚 合約共 ${documentText.length} 字，分為 ${sections.length} 個段落分析`);
+
+  const sectionResults = [];
+  for (const [index, section] of sections.entries()) {
+    onSectionProgress(index, sections.length);
+    const data = await generateValidatedJSON(llm, 'section_findings', [
+      { type: "input_text", text: buildSectionPrompt(section, sections.length) },
+      { type: "input_text", text: `\n\n以下是段落 ${section.section_id} 的內容：\n\n${section.text}` },
+    ], { ...context, section_id: section.section_id });
+
+    sectionResults.push({
+      section_id: section.section_id,
+      title: section.title,
+      start: section.start,
+      end: section.end,
+      pages: section.pages,
+      summary: data.summary,
+      clause_facts: data.clause_facts,
+      findings: normalizeFlaggedClauses(data.findings),
+    });
+  }
+  onSectionProgress(sections.length, sections.length);
+
+  const result = await generateValidatedJSON(llm, 'aggregation', [
+    { type: "input_text", text: buildAggregationPrompt(companyName, companyData, sectionResults) },
+  ], context, { schema: buildAggregationSchema(sections.map(section => section.section_id)) });
+
+  return { ...result, analysis_sections: sectionResults };
+}
+
+/**
+ * 分析合約（包含公司背景）
+ *
+ * 合約文字超過 CHUNKED_ANALYSIS_MIN_CHARS 字時改為分段分析，回傳結果另含：
+ * - dimension_citations：各維度評分依據的段落 ID { mad: ["S3"], ... }
+ * - analysis_sections：各段落的範圍、摘要與條款發現；flagged_clauses 的 section_id 對應段落 ID
+ *
+ * @param {Object} llm - LLM 供應商
+ * @param {Object} input - { fileId, companyName, companyData, documentText, documentPages, context, onSectionProgress }
+ *   fileId：已上傳的文件 ID（PDF 文件）；documentText：文件文本內容（非 PDF 文件，或供應商無法讀取 PDF 時）；
+ *   documentPages：頁碼對照（分段時標示段落頁碼）；context：驗證失敗時保存的追溯資訊；
+ *   onSectionProgress：(completed, total) 分段分析進度
+ * @returns {Promise<Object>} 通過 Schema 驗證的合約分析結果
+ */
+async function analyzeContractWithBackground(llm, {
+  fileId = null,
+  companyName,
+  companyData,
+  documentText = null,
+  documentPages = null,
+  context = {},
+  onSectionProgress = () => {},
+}) {
+  console.log(`使用公司背景分析合約...`);
+
+  if (requiresChunkedAnalysis(documentText)) {
+    return analyzeLongContract(llm, { companyName, companyData, documentText, documentPages, context, onSectionProgress });
+  }
+
+  // 呼叫 LLM 並驗證回應
+  return generateValidatedJSON(llm, 'scoring', [
+    {
+      type: "input_text",
+      text: buildScoringPrompt(companyName, companyData),
+    },
+    ...(documentText
+      ? [{ type: "input_text", text: `\n\n以下是合約文件內容：\n\n${documentText}` }]
+      : [{ type: "input_file", file_id: fileId }]
+    ),
+  ], context);
+}
+
+/**
+ * 套用評分規則並計算健康評分
+ * @param {Object} result - AI 評分結果
+ * @param {Object} companyData - 公司背景調查結果
+ * @param {Object} scoringProfile - 評分設定檔
+ * @param {Object} options - { silent: 不輸出計算日誌 }
+ * @returns {Object} { flaggedClauses, ruleOutcome, healthScoreResult }
+ */
+function scoreAnalysisResult(result, companyData, scoringProfile, { silent = false } = {}) {
+  const flaggedClauses = normalizeFlaggedClauses(result.flagged_clauses);
+  const ruleOutcome = applyScoringRules(result, flaggedClauses, companyData);
+
+  const dimensions = {
+    mad: ruleOutcome.mad,
+    mao: result.mao,
+    maa: result.maa,
+    map: result.map
+  };
+
+  const healthScoreResult = calculateHealthScore(dimensions, scoringProfile, { silent });
+  return { flaggedClauses, ruleOutcome, healthScoreResult };
+}
+
+export {
+  PROMPT_VERSION,
+  generateValidatedJSON,
+  extractBasicInfo,
+  requiresChunkedAnalysis,
+  analyzeContractWithBackground,
+  scoreAnalysisResult,
+};
@@ -0,0 +1,633 @@
+import { GlobalFonts, PDFDocument } from "@napi-rs/canvas";
+import { CONTRACT_STATUSES, getContractStatus } from "./contractWorkflow.js";
+import { createZip } from "./zipArchive.js";
+
+// =========================
+//    合約分析報告（PDF / Word）
+// =========================
+//
+// 將合約的健康評分、計分明細、四維度說明、整體建議與背景調查結果整理為報告，
+// 在伺服器本機產生，不經過外部服務：
+// - PDF：@napi-rs/canvas 的 PDFDocument（Skia），文字保留為向量、可搜尋
+// - Word：直接寫入 WordprocessingML 並以 zipArchive.js 打包
+//
+// 報告內容先整理為與格式無關的區塊（buildReportContent），再由各格式繪製
+
+// 報告頁首的品牌名稱與主色
+const REPORT_BRAND_NAME = process.env.REPORT_BRAND_NAME || 'TGSA企業合約引擎';
+const REPORT_BRAND_COLOR = /^#[0-9a-f]{6}$/i.test(process.env.REPORT_BRAND_COLOR || '')
+  ? process.env.REPORT_BRAND_COLOR
+  : '#e64545';
+// 頁尾文字（例如機密等級）
+const REPORT_FOOTER_TEXT = process.env.REPORT_FOOTER_TEXT || '機密文件，僅供內部決策使用';
+// PDF 使用的字型檔（.ttf / .otf / .ttc）；未設定時使用系統安裝的中文字型
+const REPORT_FONT_PATH = process.env.REPORT_FONT_PATH || '';
+
+const REPORT_FORMATS = {
+  pdf: { extension: 'pdf', contentType: 'application/pdf' },
+  docx: { extension: 'docx', contentType: 'application/vnd.openxmlformats-officedocument.wordprocessingml.document' },
+};
+
+const DIMENSIONS = [
+  { key: 'mad', name: 'MAD 生存風險', hint: '越高越危險' },
+  { key: 'mao', name: 'MAO 互利營收', hint: '越高越好' },
+  { key: 'maa', name: 'MAA 承諾深度', hint: '越高越好' },
+  { key: 'map', name: 'MAP 戰略潛力', hint: '越高越好' },
+];
+
+// 背景調查項目（與 contract-detail.html 的順序相同）
+const BACKGROUND_CHECK_SECTIONS = [
+  { key: 'profile', label: '公司簡介' },
+  { key: 'responsible_person', label: '負責人資訊' },
+  { key: 'responsible_person_legal', label: '法律與訴訟紀錄' },
+  { key: 'customs', label: '營業狀態' },
+  { key: 'legal', label: '法律合規' },
+];
+
+// 每個背景調查項目列出的來源數上限
+const MAX_SOURCES_PER_SECTION = 3;
+
+// 等級顏色（與 contract-detail.html 相同）
+const TIER_COLORS = { S: '#48bb78', A: '#48bb78', B: '#ed8936', C: '#f56565', D: '#e53e3e' };
+
+const TEXT_COLOR = '#1a202c';
+const MUTED_COLOR = '#718096';
+const BORDER_COLOR = '#e2e8f0';
+const LABEL_BACKGROUND = '#f7fafc';
+
+// 常見的繁體中文字型，依序嘗試
+const CJK_FONT_FAMILIES = [
+  'Noto Sans CJK TC',
+  'Noto Sans TC',
+  'Source Han Sans TC',
+  'PingFang TC',
+  'Microsoft JhengHei',
+  'WenQuanYi Zen Hei',
+];
+const CUSTOM_FONT_ALIAS = 'TGSA Report';
+
+/**
+ * 格式化日期時間
+ * @param {string|Date} value - 日期
+ * @returns {string}
+ */
+function formatDateTime(value) {
+  if (!value) return '-';
+  return new Date(value).toLocaleString('zh-TW', { hour12: false });
+}
+
+/**
+ * 格式化分數（最多一位小數）
+ * @param {number} value - 分數
+ * @returns {string}
+ */
+function formatScore(value) {
+  return value === null || value === undefined ? '-' : String(Math.round(Number(value) * 10) / 10);
+}
+
+/**
+ * 整理報告內容
+ *
+ * 回傳：
+ * {
+ *   title: "合約健檢報告 - ABC 股份有限公司",
+ *   blocks: [
+ *     { type: "title", text, subtitle },
+ *     { type: "heading", text },
+ *     { type: "subheading", text },
+ *     { type: "paragraph", text, muted },
+ *     { type: "table", rows: [[標籤, 內容]] },
+ *     { type: "score", score, tier, tier_label, color }
+ *   ]
+ * }
+ *
+ * @param {Object} contract - 合約（已解密）
+ * @param {Object} options - { generatedBy: 產生報告的使用者名稱, generatedAt: 產生時間 }
+ * @returns {Object}
+ */
+function buildReportContent(contract, { generatedBy = null, generatedAt = new Date() } = {}) {
+  const company = contract.seller_company || '未知公司';
+  const blocks = [];
+
+  blocks.push({ type: 'title', text: company, subtitle: '合約健檢報告' });
+  blocks.push({
+    type: 'table',
+    rows: [
+      ['文件', contract.filename || '-'],
+      ['合約 ID', contract.contract_id],
+      ['上傳日期', formatDateTime(contract.upload_date)],
+      ['評分設定檔', contract.scoring_profile || 'default'],
+      ['審核狀態', CONTRACT_STATUSES[getContractStatus(contract)] || getContractStatus(contract)],
+      ['報告產生', `${formatDateTime(generatedAt)}${generatedBy ? `（${generatedBy}）` : ''}`],
+    ],
+  });
+
+  // 健康評分與計分明細
+  const tier = contract.health_tier || '-';
+  const breakdown = contract.score_breakdown || {};
+  blocks.push({ type: 'heading', text: '健康評分' });
+  blocks.push({
+    type: 'score',
+    score: Math.round(contract.health_score || 0),
+    tier,
+    tier_label: contract.health_tier_label || '',
+    color: TIER_COLORS[tier] || MUTED_COLOR,
+  });
+  blocks.push({
+    type: 'table',
+    rows: [
+      ['安全分', formatScore(breakdown.safetyScore)],
+      ['價值分', formatScore(breakdown.valueScore)],
+      ['獎勵加分', formatScore(breakdown.bonusPoints ?? 0)],
+      ['健康評分', `${Math.round(contract.health_score || 0)} / 100`],
+    ],
+  });
+  if (breakdown.circuitBreakerTriggered) {
+    blocks.push({ type: 'paragraph', text: '注意：MAD 生存風險超過熔斷門檻，健康評分已鎖定在上限以下。' });
+  }
+
+  // 四維度說明
+  const dimensions = contract.health_dimensions || {};
+  const explanations = contract.dimension_explanations || {};
+  blocks.push({ type: 'heading', text: '四維度分析' });
+  for (const dimension of DIMENSIONS) {
+    blocks.push({
+      type: 'subheading',
+      text: `${dimension.name}：${formatScore(dimensions[dimension.key])} 分（${dimension.hint}）`,
+    });
+    blocks.push({ type: 'paragraph', text: explanations[dimension.key] || '沒有說明' });
+    const citations = contract.dimension_citations?.[dimension.key];
+    if (citations?.length) {
+      blocks.push({ type: 'paragraph', text: `依據段落：${citations.join('、')}`, muted: true });
+    }
+  }
+
+  // 整體建議
+  blocks.push({ type: 'heading', text: '整體建議' });
+  blocks.push({ type: 'paragraph', text: contract.overall_recommendation || '沒有整體建議' });
+
+  // 背景調查結果
+  blocks.push({ type: 'heading', text: '公司背景調查' });
+  if (contract.background_check?.checked_at) {
+    blocks.push({ type: 'paragraph', text: `調查時間：${formatDateTime(contract.background_check.checked_at)}`, muted: true });
+  }
+  const findings = BACKGROUND_CHECK_SECTIONS.filter(section => contract.company_data?.[section.key]?.answer?.trim());
+  if (findings.length === 0) {
+    blocks.push({ type: 'paragraph', text: '沒有背景調查結果' });
+  }
+  for (const section of findings) {
+    const data = contract.company_data[section.key];
+    blocks.push({ type: 'subheading', text: section.label });
+    blocks.push({ type: 'paragraph', text: data.answer.trim() });
+    const sources = (data.results || []).filter(result => result.url).slice(0, MAX_SOURCES_PER_SECTION);
+    for (const source of sources) {
+      blocks.push({ type: 'paragraph', text: `來源：${source.title ? `${source.title} ` : ''}${source.url}`, muted: true });
+    }
+  }
+
+  return { title: `合約健檢報告 - ${company}`, blocks };
+}
+
+// =========================
+//    PDF
+// =========================
+
+// A4（點）
+const PAGE_WIDTH = 595.28;
+const PAGE_HEIGHT = 841.89;
+const MARGIN = 50;
+const HEADER_HEIGHT = 56;
+const FOOTER_HEIGHT = 30;
+const CONTENT_WIDTH = PAGE_WIDTH - MARGIN * 2;
+const TABLE_LABEL_WIDTH = 110;
+const TABLE_PADDING = 6;
+
+let reportFontFamily = null;
+
+/**
+ * 建立字型無法使用的錯誤（伺服器設定問題，HTTP 503）
+ * @param {string} message - 錯誤訊息
+ * @returns {Error}
+ */
+function createReportFontError(message) {
+  const error = new Error(message);
+  error.status = 503;
+  error.code = 'report_font_unavailable';
+  return error;
+}
+
+/**
+ * 取得 PDF 使用的字型（首次呼叫時載入 REPORT_FONT_PATH）
+ *
+ * 沒有中文字型時中文會變成空白方框，因此拒絕產生 PDF 而不是輸出無法閱讀的報告
+ * @returns {string} CSS font-family
+ * @throws {Error} 無法載入 REPORT_FONT_PATH，或未設定且系統沒有中文字型（status 503）
+ */
+function getReportFontFamily() {
+  if (reportFontFamily) return reportFontFamily;
+
+  const families = [...CJK_FONT_FAMILIES];
+  if (REPORT_FONT_PATH) {
+    if (!GlobalFonts.registerFromPath(REPORT_FONT_PATH, CUSTOM_FONT_ALIAS)) {
+      throw createReportFontError(`無法載入報告字型: ${REPORT_FONT_PATH}`);
+    }
+    families.unshift(CUSTOM_FONT_ALIAS);
+  } else {
+    const installed = new Set(GlobalFonts.families.map(font => font.family));
+    if (!CJK_FONT_FAMILIES.some(family => installed.has(family))) {
+      throw createReportFontError('伺服器沒有中文字型，無法產生 PDF 報告；請安裝 Noto Sans CJK 或設定 REPORT_FONT_PATH，或改為匯出 Word 報告');
+    }
+  }
+  reportFontFamily = [...families.map(family => `"${family}"`), 'sans-serif'].join(', ');
+  return reportFontFamily;
+}
+
+/**
+ * 依寬度將文字斷行：中文逐字斷行，英文與數字以單字為單位
+ * @param {Object} ctx - CanvasRenderingContext2D（已設定字型）
+ * @param {string} text - 文字（可包含換行）
+ * @param {number} maxWidth - 最大寬度
+ * @returns {Array<string>}
+ */
+function wrapText(ctx, text, maxWidth) {
+  const lines = [];
+  for (const paragraph of String(text).split(/\r?\n/)) {
+    const tokens = paragraph.match(/[\x21-\x7e]+|\s+|./gu) || [''];
+    let line = '';
+    for (const token of tokens) {
+      if (ctx.measureText(line + token).width <= maxWidth) {
+        line += token;
+        continue;
+      }
+      if (line.trim()) {
+        lines.push(line.trimEnd());
+      }
+      line = '';
+      if (/^\s+$/.test(token)) continue;
+      // 單一英文字（例如網址）超過寬度時逐字斷行
+      for (const char of token) {
+        if (line && ctx.measureText(line + char).width > maxWidth) {
+          lines.push(line);
+          line = '';
+        }
+        line += char;
+      }
+    }
+    lines.push(line.trimEnd());
+  }
+  return lines;
+}
+
+/**
+ * 繪製 PDF 報告
+ * @param {Object} content - buildReportContent 的結果
+ * @returns {Buffer}
+ */
+function renderReportPdf(content) {
+  const fontFamily = getReportFontFamily();
+  const doc = new PDFDocument({
+    title: content.title,
+    author: REPORT_BRAND_NAME,
+    creator: REPORT_BRAND_NAME,
+    subject: '合約健檢報告',
+  });
+
+  let ctx = null;
+  let pageNumber = 0;
+  let y = 0;
+
+  const setFont = (size, { bold = false, color = TEXT_COLOR } = {}) => {
+    ctx.font = `${bold ? 'bold ' : ''}${size}px ${fontFamily}`;
+    ctx.fillStyle = color;
+  };
+
+  const endPage = () => {
+    const footerY = PAGE_HEIGHT - MARGIN + 10;
+    ctx.fillStyle = BORDER_COLOR;
+    ctx.fillRect(MARGIN, footerY - 16, CONTENT_WIDTH, 0.75);
+    setFont(8, { color: MUTED_COLOR });
+    ctx.textAlign = 'left';
+    ctx.fillText(REPORT_FOOTER_TEXT, MARGIN, footerY);
+    ctx.textAlign = 'right';
+    ctx.fillText(`第 ${pageNumber} 頁`, PAGE_WIDTH - MARGIN, footerY);
+    ctx.textAlign = 'left';
+    doc.endPage();
+  };
+
+  const newPage = () => {
+    if (ctx) endPage();
+    ctx = doc.beginPage(PAGE_WIDTH, PAGE_HEIGHT);
+    pageNumber++;
+
+    // 頁首品牌列
+    ctx.fillStyle = REPORT_BRAND_COLOR;
+    ctx.fillRect(0, 0, PAGE_WIDTH, HEADER_HEIGHT);
+    setFont(15, { bold: true, color: '#ffffff' });
+    ctx.fillText(REPORT_BRAND_NAME, MARGIN, 34);
+    setFont(10, { color: '#ffffff' });
+    ctx.textAlign = 'right';
+    ctx.fillText('合約健檢報告', PAGE_WIDTH - MARGIN, 34);
+    ctx.textAlign = 'left';
+    y = HEADER_HEIGHT + 30;
+  };
+
+  // 剩餘空間不足時換頁
+  const ensureSpace = height => {
+    if (y + height > PAGE_HEIGHT - MARGIN - FOOTER_HEIGHT) newPage();
+  };
+
+  const drawText = (text, size, { bold = false, color = TEXT_COLOR, lineHeight = size * 1.7 } = {}) => {
+    setFont(size, { bold, color });
+    for (const line of wrapText(ctx, text, CONTENT_WIDTH)) {
+      ensureSpace(lineHeight);
+      setFont(size, { bold, color });
+      ctx.fillText(line, MARGIN, y + size);
+      y += lineHeight;
+    }
+  };
+
+  const drawTable = rows => {
+    const lineHeight = 15;
+    const valueWidth = CONTENT_WIDTH - TABLE_LABEL_WIDTH - TABLE_PADDING * 2;
+    for (const [label, value] of rows) {
+      setFont(10);
+      const lines = wrapText(ctx, value, valueWidth);
+      const rowHeight = lines.length * lineHeight + TABLE_PADDING * 2;
+      ensureSpace(rowHeight);
+
+      ctx.fillStyle = LABEL_BACKGROUND;
+      ctx.fillRect(MARGIN, y, TABLE_LABEL_WIDTH, rowHeight);
+      ctx.fillStyle = BORDER_COLOR;
+      ctx.fillRect(MARGIN, y + rowHeight - 0.75, CONTENT_WIDTH, 0.75);
+
+      setFont(10, { bold: true, color: MUTED_COLOR });
+      ctx.fillText(label, MARGIN + TABLE_PADDING, y + TABLE_PADDING + 11);
+      setFont(10);
+      lines.forEach((line, index) => {
+        ctx.fillText(line, MARGIN + TABLE_LABEL_WIDTH + TABLE_PADDING, y + TABLE_PADDING + 11 + index * lineHeight);
+      });
+      y += rowHeight;
+    }
+    y += 12;
+  };
+
+  const drawScore = block => {
+    const height = 76;
+    ensureSpace(height + 12);
+    ctx.fillStyle = LABEL_BACKGROUND;
+    ctx.fillRect(MARGIN, y, CONTENT_WIDTH, height);
+    ctx.fillStyle = block.color;
+    ctx.fillRect(MARGIN, y, 5, height);
+
+    setFont(42, { bold: true, color: block.color });
+    ctx.fillText(block.tier, MARGIN + 24, y + 54);
+    setFont(22, { bold: true });
+    ctx.fillText(`${block.score} / 100`, MARGIN + 90, y + 36);
+    setFont(11, { color: MUTED_COLOR });
+    ctx.fillText(`${block.tier} 級${block.tier_label ? `・${block.tier_label}` : ''}`, MARGIN + 90, y + 58);
+    y += height + 12;
+  };
+
+  newPage();
+  for (const block of content.blocks) {
+    switch (block.type) {
+      case 'title':
+        drawText(block.text, 22, { bold: true });
+        drawText(block.subtitle, 12, { color: MUTED_COLOR });
+        y += 8;
+        break;
+      case 'heading':
+        // 標題不單獨留在頁尾
+        ensureSpace(60);
+        y += 10;
+        drawText(block.text, 14, { bold: true, color: REPORT_BRAND_COLOR });
+        ctx.fillStyle = REPORT_BRAND_COLOR;
+        ctx.fillRect(MARGIN, y - 4, CONTENT_WIDTH, 1);
+        y += 8;
+        break;
+      case 'subheading':
+        ensureSpace(40);
+        drawText(block.text, 11, { bold: true });
+        break;
+      case 'paragraph':
+        drawText(block.text, block.muted ? 9 : 10.5, { color: block.muted ? MUTED_COLOR : TEXT_COLOR });
+        y += 6;
+        break;
+      case 'table':
+        drawTable(block.rows);
+        break;
+      case 'score':
+        drawScore(block);
+        break;
+    }
+  }
+  endPage();
+  return doc.close();
+}
+
+// =========================
+//    Word (.docx)
+// =========================
+
+const WORD_NAMESPACE = 'http://schemas.openxmlformats.org/wordprocessingml/2006/main';
+const RELATIONSHIP_NAMESPACE = 'http://schemas.openxmlformats.org/officeDocument/2006/relationships';
+const RELATIONSHIP_TYPE = 'http://schemas.openxmlformats.org/officeDocument/2006/relationships';
+
+/**
+ * XML 跳脫（並移除 XML 不允許的控制字元）
+ * @param {string} text - 文字
+ * @returns {string}
+ */
+function escapeXml(text) {
+  return String(text ?? '')
+    .replace(/[\x00-\x08\x0b\x0c\x0e-\x1f]/g, '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+/**
+ * 產生文字 run（換行轉為 <w:br/>）
+ * @param {string} text - 文字
+ * @param {string} properties - <w:rPr> 內容
+ * @returns {string}
+ */
+function wordRun(text, properties = '') {
+  const parts = String(text ?? '').split(/\r?\n/).map(part => `<w:t xml:space="preserve">${escapeXml(part)}</w:t>`);
+  return `<w:r>${properties ? `<w:rPr>${properties}</w:rPr>` : ''}${parts.join('<w:br/>')}</w:r>`;
+}
+
+/**
+ * 產生段落
+ * @param {string} runs - 段落內容
+ * @param {string} style - 段落樣式 ID
+ * @returns {string}
+ */
+function wordParagraph(runs, style = null) {
+  return `<w:p>${style ? `<w:pPr><w:pStyle w:val="${style}"/></w:pPr>` : ''}${runs}</w:p>`;
+}
+
+/**
+ * 產生兩欄表格（標籤、內容）
+ * @param {Array<Array<string>>} rows - [[標籤, 內容]]
+ * @returns {string}
+ */
+function wordTable(rows) {
+  const border = `w:val="single" w:sz="4" w:space="0" w:color="${BORDER_COLOR.slice(1)}"`;
+  const cell = (width, content, shading = null) => `<w:tc><w:tcPr><w:tcW w:w="${width}" w:type="dxa"/>${
+    shading ? `<w:shd w:val="clear" w:color="auto" w:fill="${shading.slice(1)}"/>` : ''
+  }</w:tcPr>${content}</w:tc>`;
+
+  const body = rows.map(([label, value]) => `<w:tr>${
+    cell(2200, wordParagraph(wordRun(label, `<w:b/><w:color w:val="${MUTED_COLOR.slice(1)}"/>`), 'TableText'), LABEL_BACKGROUND)
+  }${
+    cell(6800, wordParagraph(wordRun(value), 'TableText'))
+  }</w:tr>`).join('');
+
+  return `<w:tbl><w:tblPr><w:tblW w:w="9000" w:type="dxa"/><w:tblBorders>`
+    + `<w:top ${border}/><w:bottom ${border}/><w:insideH ${border}/>`
+    + `</w:tblBorders><w:tblCellMar><w:left w:w="100" w:type="dxa"/><w:right w:w="100" w:type="dxa"/></w:tblCellMar></w:tblPr>`
+    + `<w:tblGrid><w:gridCol w:w="2200"/><w:gridCol w:w="6800"/></w:tblGrid>${body}</w:tbl>`
+    + wordParagraph('');
+}
+
+/**
+ * 將報告區塊轉為 document.xml 的內容
+ * @param {Object} block - 報告區塊
+ * @returns {string}
+ */
+function blockToWordXml(block) {
+  switch (block.type) {
+    case 'title':
+      return wordParagraph(wordRun(block.text), 'Title') + wordParagraph(wordRun(block.subtitle), 'Subtitle');
+    case 'heading':
+      return wordParagraph(wordRun(block.text), 'Heading1');
+    case 'subheading':
+      return wordParagraph(wordRun(block.text), 'Heading2');
+    case 'paragraph':
+      return wordParagraph(wordRun(block.text), block.muted ? 'Note' : null);
+    case 'table':
+      return wordTable(block.rows);
+    case 'score': {
+      const color = block.color.slice(1);
+      return wordParagraph(
+        wordRun(block.tier, `<w:b/><w:color w:val="${color}"/><w:sz w:val="64"/>`)
+        + wordRun(`    ${block.score} / 100`, '<w:b/><w:sz w:val="40"/>')
+        + wordRun(`    ${block.tier} 級${block.tier_label ? `・${block.tier_label}` : ''}`, `<w:color w:val="${MUTED_COLOR.slice(1)}"/><w:sz w:val="24"/>`)
+      );
+    }
+    default:
+      return '';
+  }
+}
+
+/**
+ * 產生 Word 報告
+ * @param {Object} content - buildReportContent 的結果
+ * @param {Date} generatedAt - 產生時間（寫入文件屬性）
+ * @returns {Buffer}
+ */
+function renderReportDocx(content, generatedAt = new Date()) {
+  const brandColor = REPORT_BRAND_COLOR.slice(1);
+  const xmlHeader = '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>';
+
+  const documentXml = `${xmlHeader}<w:document xmlns:w="${WORD_NAMESPACE}" xmlns:r="${RELATIONSHIP_NAMESPACE}"><w:body>`
+    + content.blocks.map(blockToWordXml).join('')
+    + '<w:sectPr><w:headerReference w:type="default" r:id="rIdHeader"/><w:footerReference w:type="default" r:id="rIdFooter"/>'
+    + '<w:pgSz w:w="11906" w:h="16838"/><w:pgMar w:top="1440" w:right="1134" w:bottom="1134" w:left="1134" w:header="567" w:footer="567" w:gutter="0"/>'
+    + '</w:sectPr></w:body></w:document>';
+
+  const headerXml = `${xmlHeader}<w:hdr xmlns:w="${WORD_NAMESPACE}"><w:p><w:pPr>`
+    + `<w:pBdr><w:bottom w:val="single" w:sz="12" w:space="4" w:color="${brandColor}"/></w:pBdr>`
+    + '<w:tabs><w:tab w:val="right" w:pos="9638"/></w:tabs></w:pPr>'
+    + wordRun(REPORT_BRAND_NAME, `<w:b/><w:color w:val="${brandColor}"/><w:sz w:val="26"/>`)
+    + `<w:r><w:tab/></w:r>${wordRun('合約健檢報告', `<w:color w:val="${MUTED_COLOR.slice(1)}"/>`)}</w:p></w:hdr>`;
+
+  const mutedRun = `<w:color w:val="${MUTED_COLOR.slice(1)}"/><w:sz w:val="16"/>`;
+  const footerXml = `${xmlHeader}<w:ftr xmlns:w="${WORD_NAMESPACE}"><w:p><w:pPr><w:tabs><w:tab w:val="right" w:pos="9638"/></w:tabs></w:pPr>`
+    + wordRun(REPORT_FOOTER_TEXT, mutedRun)
+    + `<w:r><w:tab/></w:r>${wordRun('第 ', mutedRun)}`
+    + `<w:r><w:rPr>${mutedRun}</w:rPr><w:fldChar w:fldCharType="begin"/></w:r>`
+    + `<w:r><w:rPr>${mutedRun}</w:rPr><w:instrText xml:space="preserve"> PAGE </w:instrText></w:r>`
+    + `<w:r><w:rPr>${mutedRun}</w:rPr><w:fldChar w:fldCharType="end"/></w:r>`
+    + `${wordRun(' 頁', mutedRun)}</w:p></w:ftr>`;
+
+  const paragraphStyle = (id, name, runProperties, paragraphProperties = '') => `<w:style w:type="paragraph" w:styleId="${id}">`
+    + `<w:name w:val="${name}"/><w:basedOn w:val="Normal"/><w:next w:val="Normal"/><w:qFormat/>`
+    + `<w:pPr>${paragraphProperties}</w:pPr><w:rPr>${runProperties}</w:rPr></w:style>`;
+
+  const stylesXml = `${xmlHeader}<w:styles xmlns:w="${WORD_NAMESPACE}">`
+    + '<w:docDefaults><w:rPrDefault><w:rPr><w:rFonts w:ascii="Calibri" w:hAnsi="Calibri" w:eastAsia="Microsoft JhengHei" w:cs="Calibri"/>'
+    + `<w:color w:val="${TEXT_COLOR.slice(1)}"/><w:sz w:val="21"/><w:lang w:val="en-US" w:eastAsia="zh-TW"/></w:rPr></w:rPrDefault>`
+    + '<w:pPrDefault><w:pPr><w:spacing w:after="120" w:line="300" w:lineRule="auto"/></w:pPr></w:pPrDefault></w:docDefaults>'
+    + '<w:style w:type="paragraph" w:default="1" w:styleId="Normal"><w:name w:val="Normal"/><w:qFormat/></w:style>'
+    + paragraphStyle('Title', 'Title', '<w:b/><w:sz w:val="44"/>', '<w:spacing w:after="60"/>')
+    + paragraphStyle('Subtitle', 'Subtitle', `<w:color w:val="${MUTED_COLOR.slice(1)}"/><w:sz w:val="24"/>`, '<w:spacing w:after="240"/>')
+    + paragraphStyle('Heading1', 'heading 1', `<w:b/><w:color w:val="${brandColor}"/><w:sz w:val="28"/>`,
+      `<w:keepNext/><w:spacing w:before="360" w:after="120"/><w:pBdr><w:bottom w:val="single" w:sz="6" w:space="2" w:color="${brandColor}"/></w:pBdr><w:outlineLvl w:val="0"/>`)
+    + paragraphStyle('Heading2', 'heading 2', '<w:b/><w:sz w:val="22"/>', '<w:keepNext/><w:spacing w:before="200" w:after="60"/><w:outlineLvl w:val="1"/>')
+    + paragraphStyle('Note', 'Note', `<w:color w:val="${MUTED_COLOR.slice(1)}"/><w:sz w:val="18"/>`)
+    + paragraphStyle('TableText', 'Table Text', '', '<w:spacing w:before="60" w:after="60"/>')
+    + '</w:styles>';
+
+  const coreXml = `${xmlHeader}<cp:coreProperties xmlns:cp="http://schemas.openxmlformats.org/package/2006/metadata/core-properties" `
+    + 'xmlns:dc="http://purl.org/dc/elements/1.1/" xmlns:dcterms="http://purl.org/dc/terms/" '
+    + 'xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance">'
+    + `<dc:title>${escapeXml(content.title)}</dc:title><dc:creator>${escapeXml(REPORT_BRAND_NAME)}</dc:creator>`
+    + `<dcterms:created xsi:type="dcterms:W3CDTF">${generatedAt.toISOString().replace(/\.\d{3}Z$/, 'Z')}</dcterms:created>`
+    + '</cp:coreProperties>';
+
+  return createZip({
+    '[Content_Types].xml': `${xmlHeader}<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">`
+      + '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>'
+      + '<Default Extension="xml" ContentType="application/xml"/>'
+      + '<Override PartName="/word/document.xml" ContentType="application/vnd.openxmlformats-officedocument.wordprocessingml.document.main+xml"/>'
+      + '<Override PartName="/word/styles.xml" ContentType="application/vnd.openxmlformats-officedocument.wordprocessingml.styles+xml"/>'
+      + '<Override PartName="/word/header1.xml" ContentType="application/vnd.openxmlformats-officedocument.wordprocessingml.header+xml"/>'
+      + '<Override PartName="/word/footer1.xml" ContentType="application/vnd.openxmlformats-officedocument.wordprocessingml.footer+xml"/>'
+      + '<Override PartName="/docProps/core.xml" ContentType="application/vnd.openxmlformats-package.core-properties+xml"/>'
+      + '</Types>',
+    '_rels/.rels': `${xmlHeader}<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">`
+      + `<Relationship Id="rId1" Type="${RELATIONSHIP_TYPE}/officeDocument" Target="word/document.xml"/>`
+      + '<Relationship Id="rId2" Type="http://schemas.openxmlformats.org/package/2006/relationships/metadata/core-properties" Target="docProps/core.xml"/>'
+      + '</Relationships>',
+    'word/_rels/document.xml.rels': `${xmlHeader}<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">`
+      + `<Relationship Id="rIdStyles" Type="${RELATIONSHIP_TYPE}/styles" Target="styles.xml"/>`
+      + `<Relationship Id="rIdHeader" Type="${RELATIONSHIP_TYPE}/header" Target="header1.xml"/>`
+      + `<Relationship Id="rIdFooter" Type="${RELATIONSHIP_TYPE}/footer" Target="footer1.xml"/>`
+      + '</Relationships>',
+    'word/document.xml': documentXml,
+    'word/styles.xml': stylesXml,
+    'word/header1.xml': headerXml,
+    'word/footer1.xml': footerXml,
+    'docProps/core.xml': coreXml,
+  });
+}
+
+/**
+ * 產生合約分析報告
+ * @param {Object} contract - 合約（已解密）
+ * @param {string} format - pdf | docx
+ * @param {Object} options - { generatedBy: 產生報告的使用者名稱 }
+ * @returns {Object} { buffer, contentType, filename }
+ */
+function generateContractReport(contract, format, { generatedBy = null } = {}) {
+  const reportFormat = REPORT_FORMATS[format];
+  if (!reportFormat) {
+    throw new Error(`不支援的報告格式: ${format}`);
+  }
+
+  const generatedAt = new Date();
+  const content = buildReportContent(contract, { generatedBy, generatedAt });
+  const buffer = format === 'pdf' ? renderReportPdf(content) : renderReportDocx(content, generatedAt);
+  // 檔名不可包含的字元
+  const company = (contract.seller_company || contract.contract_id).replace(/[\\/:*?"<>|\x00-\x1f]/g, '_');
+  return {
+    buffer,
+    contentType: reportFormat.contentType,
+    filename: `合約健檢報告_${company}_${generatedAt.toISOString().slice(0, 10)}.${reportFormat.extension}`,
+  };
+}
+
+export { REPORT_FORMATS, buildReportContent, generateContractReport };
@@ -0,0 +1,111 @@
+import { splitIntoClauses } from "./redline.js";
+
+// =========================
+//    長合約分段
+// =========================
+//
+// 長合約分段分析時，依條款標題（見 redline.js 的 splitIntoClauses）切分後，
+// 將相鄰條款合併為不超過 SECTION_MAX_CHARS 字的段落；單一條款過長時依行切分
+
+const SECTION_MAX_CHARS = parseInt(process.env.SECTION_MAX_CHARS || '15000', 10);
+
+// 段落標題中條款標題的長度上限
+const MAX_TITLE_HEADING_CHARS = 40;
+
+/**
+ * 將過長的文字依行切分為不超過 maxChars 字的片段（單行過長時直接截斷）
+ * @param {string} text - 文字
+ * @param {number} maxChars - 字數上限
+ * @returns {Array<string>}
+ */
+function splitLongText(text, maxChars) {
+  const chunks = [];
+  let current = '';
+  for (const line of text.split('\n')) {
+    for (let offset = 0; offset < Math.max(line.length, 1); offset += maxChars) {
+      const piece = line.substring(offset, offset + maxChars);
+      if (current && current.length + piece.length + 1 > maxChars) {
+        chunks.push(current);
+        current = '';
+      }
+      current = current ? `${current}\n${piece}` : piece;
+    }
+  }
+  if (current.trim()) chunks.push(current);
+  return chunks;
+}
+
+/**
+ * 依全文位置找出段落涵蓋的頁碼
+ * @param {Array<Object>|null} pages - 頁碼對照 [{ page, start, end }]
+ * @param {number} start - 段落起點
+ * @param {number} end - 段落終點
+ * @returns {Object|null} { from, to }，沒有頁碼對照時為 null
+ */
+function findPageRange(pages, start, end) {
+  if (!Array.isArray(pages) || pages.length === 0) return null;
+  const covered = pages.filter(page => page.end >= start && page.start < Math.max(end, start + 1));
+  if (covered.length === 0) return null;
+  return { from: covered[0].page, to: covered[covered.length - 1].page };
+}
+
+/**
+ * 將合約全文切分為分析用的段落
+ *
+ * 每個段落：
+ * {
+ *   section_id: "S1",
+ *   title: "前言 ～ 第五條 付款",
+ *   text: "段落全文",
+ *   start: 0,                        // 在全文中的起點（依條款標題定位，為近似值）
+ *   end: 12000,
+ *   pages: { from: 1, to: 4 } | null // 有頁碼對照（PDF）時才有
+ * }
+ *
+ * @param {string} text - 合約全文
+ * @param {Array<Object>|null} pages - 頁碼對照（documentIngestion 的 pages）
+ * @param {number} maxChars - 每個段落的字數上限
+ * @returns {Array<Object>}
+ */
+function splitIntoSections(text, pages = null, maxChars = SECTION_MAX_CHARS) {
+  // 依條款切分並定位每個條款在全文中的起點
+  const pieces = [];
+  let cursor = 0;
+  for (const clause of splitIntoClauses(text)) {
+    splitLongText(clause.text, maxChars).forEach((chunk, index) => {
+      const firstLine = chunk.split('\n')[0];
+      const found = text.indexOf(firstLine, cursor);
+      const start = found >= 0 ? found : cursor;
+      cursor = start + firstLine.length;
+      pieces.push({ heading: index === 0 ? clause.heading : `${clause.heading}（續）`, text: chunk, start });
+    });
+  }
+
+  // 合併相鄰條款
+  const groups = [];
+  for (const piece of pieces) {
+    const current = groups[groups.length - 1];
+    if (current && current.text.length + piece.text.length + 2 <= maxChars) {
+      current.text += `\n\n${piece.text}`;
+      current.lastHeading = piece.heading;
+    } else {
+      groups.push({ firstHeading: piece.heading, lastHeading: piece.heading, text: piece.text, start: piece.start });
+    }
+  }
+
+  return groups.map((group, index) => {
+    const end = index + 1 < groups.length ? groups[index + 1].start : text.length;
+    const first = group.firstHeading.substring(0, MAX_TITLE_HEADING_CHARS);
+    const last = group.lastHeading.substring(0, MAX_TITLE_HEADING_CHARS);
+    return {
+      section_id: `S${index + 1}`,
+      title: first === last ? first : `${first} ～ ${last}`,
+      text: group.text,
+      start: group.start,
+      end,
+      pages: findPageRange(pages, group.start, end),
+    };
+  });
+}
+
+export { SECTION_MAX_CHARS, splitIntoSections };
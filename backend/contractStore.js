@@ -0,0 +1,818 @@
+import Database from "better-sqlite3";
+import fs from "fs";
+import crypto from "crypto";
+import path from "path";
+import { normalizeCompanyName } from "./companyName.js";
+import {
+  decryptText,
+  encryptColumn,
+  sealFields,
+  openFields,
+  fieldsNeedReencryption,
+  needsReencryption,
+} from "./encryption.js";
+
+// =========================
+//    合約資料庫 (SQLite)
+// =========================
+
+const CONTRACTS_DB_PATH = process.env.CONTRACTS_DB_PATH || './data/contracts.db';
+
+// 加密保存的合約欄位（AI 說明、風險條款、背景調查結果、覆核理由等）；列表、篩選與排序用的欄位保持明文
+const SENSITIVE_CONTRACT_FIELDS = [
+  'dimension_explanations',
+  'overall_recommendation',
+  'flagged_clauses',
+  'rule_engine',
+  'raw_data',
+  'company_data',
+  'analysis_sections',
+  'approval_override',
+];
+
+/**
+ * 資料庫結構遷移（依版本順序執行，已執行的版本記錄在 schema_migrations）
+ * 新增欄位或資料表時，只能在陣列尾端加入新版本，不可修改已發布的版本
+ * up 可以是 SQL 字串，或需要回填資料時使用 (database) => void 函式
+ */
+const MIGRATIONS = [
+  {
+    version: 1,
+    description: '建立 contracts 資料表與索引',
+    up: `
+      CREATE TABLE contracts (
+        contract_id TEXT PRIMARY KEY,
+        file_hash TEXT,
+        filename TEXT,
+        seller_company TEXT,
+        upload_date TEXT,
+        last_updated TEXT,
+        health_score INTEGER,
+        health_tier TEXT,
+        health_tier_label TEXT,
+        health_dimensions TEXT,
+        document_type TEXT,
+        data TEXT NOT NULL
+      );
+      CREATE INDEX idx_contracts_file_hash ON contracts (file_hash);
+      CREATE INDEX idx_contracts_seller_company ON contracts (seller_company);
+      CREATE INDEX idx_contracts_upload_date ON contracts (upload_date);
+    `,
+  },
+  {
+    version: 2,
+    description: '建立 scoring_profiles 資料表',
+    up: `
+      CREATE TABLE scoring_profiles (
+        name TEXT PRIMARY KEY,
+        data TEXT NOT NULL,
+        updated_at TEXT NOT NULL
+      );
+    `,
+  },
+  {
+    version: 3,
+    description: '建立 background_checks 資料表（公司背景調查快照）',
+    up: `
+      CREATE TABLE background_checks (
+        snapshot_id TEXT PRIMARY KEY,
+        normalized_name TEXT NOT NULL,
+        company_name TEXT NOT NULL,
+        data TEXT NOT NULL,
+        checked_at TEXT NOT NULL
+      );
+      CREATE INDEX idx_background_checks_company ON background_checks (normalized_name, checked_at);
+    `,
+  },
+  {
+    version: 4,
+    description: 'contracts 新增 seller_normalized 欄位（依交易對象分組）',
+    up: (database) => {
+      database.exec(`
+        ALTER TABLE contracts ADD COLUMN seller_normalized TEXT;
+        CREATE INDEX idx_contracts_seller_normalized ON contracts (seller_normalized);
+      `);
+      const update = database.prepare('UPDATE contracts SET seller_normalized = ? WHERE contract_id = ?');
+      for (const row of database.prepare('SELECT contract_id, seller_company FROM contracts').all()) {
+        update.run(normalizeCompanyName(row.seller_company) || null, row.contract_id);
+      }
+    },
+  },
+  {
+    version: 5,
+    description: '建立 contract_revisions 資料表（每次分析的不可變版本）',
+    up: (database) => {
+      database.exec(`
+        CREATE TABLE contract_revisions (
+          revision_id TEXT PRIMARY KEY,
+          contract_id TEXT NOT NULL REFERENCES contracts (contract_id) ON DELETE CASCADE,
+          revision_number INTEGER NOT NULL,
+          trigger TEXT NOT NULL,
+          created_at TEXT NOT NULL,
+          data TEXT NOT NULL
+        );
+        CREATE UNIQUE INDEX idx_contract_revisions_number ON contract_revisions (contract_id, revision_number);
+      `);
+      // 既有合約以目前的評估結果建立第 1 版，之後的重新評估才有比較基準
+      for (const row of database.prepare('SELECT data FROM contracts').all()) {
+        const contract = JSON.parse(row.data);
+        insertRevision(database, contract, {
+          trigger: 'migration',
+          created_at: contract.last_updated || contract.upload_date,
+        });
+      }
+    },
+  },
+  {
+    version: 6,
+    description: '建立 contract_documents 資料表（本機擷取的合約全文）',
+    up: `
+      CREATE TABLE contract_documents (
+        contract_id TEXT PRIMARY KEY REFERENCES contracts (contract_id) ON DELETE CASCADE,
+        text TEXT NOT NULL,
+        pages TEXT,
+        extractor TEXT NOT NULL,
+        extracted_at TEXT NOT NULL
+      );
+    `,
+  },
+  {
+    version: 7,
+    description: '建立 model_output_failures 資料表（未通過格式驗證的 AI 回應）',
+    up: `
+      CREATE TABLE model_output_failures (
+        failure_id TEXT PRIMARY KEY,
+        stage TEXT NOT NULL,
+        model TEXT,
+        context TEXT NOT NULL,
+        errors TEXT NOT NULL,
+        attempts TEXT NOT NULL,
+        created_at TEXT NOT NULL
+      );
+      CREATE INDEX idx_model_output_failures_created ON model_output_failures (created_at);
+    `,
+  },
+  {
+    version: 8,
+    description: '建立使用者、團隊、登入工作階段與 API 金鑰，contracts 新增上傳者與團隊欄位',
+    up: `
+      CREATE TABLE teams (
+        team_id TEXT PRIMARY KEY,
+        name TEXT NOT NULL UNIQUE,
+        created_at TEXT NOT NULL
+      );
+      CREATE TABLE users (
+        user_id TEXT PRIMARY KEY,
+        username TEXT NOT NULL UNIQUE COLLATE NOCASE,
+        display_name TEXT,
+        password_hash TEXT NOT NULL,
+        role TEXT NOT NULL,
+        team_id TEXT NOT NULL REFERENCES teams (team_id),
+        disabled INTEGER NOT NULL DEFAULT 0,
+        created_at TEXT NOT NULL,
+        updated_at TEXT NOT NULL
+      );
+      CREATE TABLE sessions (
+        token_hash TEXT PRIMARY KEY,
+        user_id TEXT NOT NULL REFERENCES users (user_id) ON DELETE CASCADE,
+        created_at TEXT NOT NULL,
+        expires_at TEXT NOT NULL,
+        last_used_at TEXT
+      );
+      CREATE INDEX idx_sessions_user ON sessions (user_id);
+      CREATE TABLE api_keys (
+        key_id TEXT PRIMARY KEY,
+        user_id TEXT NOT NULL REFERENCES users (user_id) ON DELETE CASCADE,
+        name TEXT NOT NULL,
+        key_hash TEXT NOT NULL UNIQUE,
+        key_prefix TEXT NOT NULL,
+        created_at TEXT NOT NULL,
+        last_used_at TEXT,
+        revoked_at TEXT
+      );
+      CREATE INDEX idx_api_keys_user ON api_keys (user_id);
+      -- 既有合約沒有上傳者，team_id 為 NULL 時只有管理員看得到（可用 npm run user:create -- --assign-unowned 指派）
+      ALTER TABLE contracts ADD COLUMN owner_user_id TEXT;
+      ALTER TABLE contracts ADD COLUMN team_id TEXT;
+      CREATE INDEX idx_contracts_team ON contracts (team_id);
+    `,
+  },
+  {
+    version: 9,
+    description: '合約審核流程：contracts 新增 status 欄位、建立 contract_reviews 資料表，member 角色改為 uploader',
+    up: `
+      ALTER TABLE contracts ADD COLUMN status TEXT NOT NULL DEFAULT 'draft';
+      UPDATE contracts SET data = json_set(data, '$.status', 'draft');
+      CREATE INDEX idx_contracts_status ON contracts (status);
+      CREATE TABLE contract_reviews (
+        event_id TEXT PRIMARY KEY,
+        contract_id TEXT NOT NULL REFERENCES contracts (contract_id) ON DELETE CASCADE,
+        action TEXT NOT NULL,
+        from_status TEXT,
+        to_status TEXT,
+        user_id TEXT,
+        username TEXT,
+        comment TEXT,
+        override_reason TEXT,
+        override_triggers TEXT,
+        created_at TEXT NOT NULL
+      );
+      CREATE INDEX idx_contract_reviews_contract ON contract_reviews (contract_id, created_at);
+      UPDATE users SET role = 'uploader' WHERE role = 'member';
+    `,
+  },
+  {
+    version: 10,
+    description: '建立 audit_log 稽核紀錄（只能新增），contracts 新增軟刪除欄位',
+    up: `
+      ALTER TABLE contracts ADD COLUMN deleted_at TEXT;
+      ALTER TABLE contracts ADD COLUMN deleted_by TEXT;
+      CREATE INDEX idx_contracts_deleted ON contracts (deleted_at);
+      -- 不設外鍵：稽核紀錄需比合約保存得更久
+      CREATE TABLE audit_log (
+        event_id TEXT PRIMARY KEY,
+        contract_id TEXT NOT NULL,
+        team_id TEXT,
+        action TEXT NOT NULL,
+        user_id TEXT,
+        username TEXT,
+        before TEXT,
+        after TEXT,
+        changed_fields TEXT NOT NULL,
+        details TEXT,
+        created_at TEXT NOT NULL
+      );
+      CREATE INDEX idx_audit_log_contract ON audit_log (contract_id, created_at);
+      CREATE INDEX idx_audit_log_created ON audit_log (created_at);
+      CREATE TRIGGER audit_log_no_update BEFORE UPDATE ON audit_log
+      BEGIN
+        SELECT RAISE(ABORT, 'audit_log 只能新增，不能修改');
+      END;
+      CREATE TRIGGER audit_log_no_delete BEFORE DELETE ON audit_log
+      BEGIN
+        SELECT RAISE(ABORT, 'audit_log 只能新增，不能刪除');
+      END;
+    `,
+  },
+  {
+    version: 11,
+    description: '建立批次上傳 upload_batches 與每個檔案的處理狀態 upload_batch_items',
+    up: `
+      CREATE TABLE upload_batches (
+        batch_id TEXT PRIMARY KEY,
+        team_id TEXT,
+        user_id TEXT,
+        username TEXT,
+        scoring_profile TEXT NOT NULL,
+        created_at TEXT NOT NULL
+      );
+      CREATE INDEX idx_upload_batches_team ON upload_batches (team_id, created_at);
+      CREATE TABLE upload_batch_items (
+        batch_id TEXT NOT NULL REFERENCES upload_batches (batch_id) ON DELETE CASCADE,
+        item_index INTEGER NOT NULL,
+        filename TEXT NOT NULL,
+        archive TEXT,
+        status TEXT NOT NULL,
+        code TEXT,
+        error TEXT,
+        file_hash TEXT,
+        job_id TEXT,
+        contract_id TEXT,
+        duplicate_of_item INTEGER,
+        result TEXT,
+        updated_at TEXT NOT NULL,
+        PRIMARY KEY (batch_id, item_index)
+      );
+      CREATE INDEX idx_upload_batch_items_status ON upload_batch_items (status);
+    `,
+  },
+];
+
+let db = null;
+
+/**
+ * 執行尚未套用的遷移
+ * @param {Database} database - SQLite 連線
+ */
+function runMigrations(database) {
+  database.exec(`
+    CREATE TABLE IF NOT EXISTS schema_migrations (
+      version INTEGER PRIMARY KEY,
+      description TEXT,
+      applied_at TEXT NOT NULL
+    )
+  `);
+
+  const applied = new Set(
+    database.prepare('SELECT version FROM schema_migrations').all().map(row => row.version)
+  );
+
+  for (const migration of MIGRATIONS) {
+    if (applied.has(migration.version)) continue;
+
+    const apply = database.transaction(() => {
+      if (typeof migration.up === 'function') {
+        migration.up(database);
+      } else {
+        database.exec(migration.up);
+      }
+      database.prepare('INSERT INTO schema_migrations (version, description, applied_at) VALUES (?, ?, ?)')
+        .run(migration.version, migration.description, new Date().toISOString());
+    });
+    apply();
+    console.log(`🗄️ 資料庫遷移完成: v${migration.version} ${migration.description}`);
+  }
+}
+
+/**
+ * 取得資料庫連線（首次呼叫時建立並執行遷移）
+ * @returns {Database}
+ */
+function getDatabase() {
+  if (db) return db;
+
+  fs.mkdirSync(path.dirname(CONTRACTS_DB_PATH), { recursive: true });
+  db = new Database(CONTRACTS_DB_PATH);
+  db.pragma('journal_mode = WAL');
+  db.pragma('foreign_keys = ON');
+  runMigrations(db);
+  return db;
+}
+
+/**
+ * 將資料列還原為合約物件
+ * @param {Object|undefined} row - 資料列
+ * @returns {Object|undefined} 合約物件
+ */
+function rowToContract(row) {
+  return row ? openFields(JSON.parse(row.data)) : undefined;
+}
+
+/**
+ * 將摘要資料列的 health_dimensions 解析為物件
+ * @param {Object} row - 資料列
+ * @returns {Object} 合約摘要
+ */
+function rowToSummary(row) {
+  return {
+    ...row,
+    health_dimensions: row.health_dimensions ? JSON.parse(row.health_dimensions) : undefined,
+  };
+}
+
+// 合約列表的摘要欄位
+const SUMMARY_COLUMNS = `
+  contract_id, filename, seller_company, seller_normalized, health_score, health_tier,
+  health_tier_label, health_dimensions, upload_date, document_type, owner_user_id, team_id, status,
+  deleted_at, deleted_by,
+  json_extract(data, '$.predecessor_id') AS predecessor_id,
+  json_extract(data, '$.superseded_by') AS superseded_by
+`;
+
+/**
+ * 讀取所有未刪除的合約（依上傳時間排序）
+ * @returns {Array<Object>}
+ */
+function getAllContracts() {
+  return getDatabase()
+    .prepare('SELECT data FROM contracts WHERE deleted_at IS NULL ORDER BY upload_date ASC')
+    .all()
+    .map(rowToContract);
+}
+
+/**
+ * 讀取合約列表需要的摘要欄位（不解析完整的 company_data / raw_data）
+ * @param {Object} scope - { teamId: 只列出此團隊的合約, status: 只列出此審核狀態的合約,
+ *   deleted: true 時只列出已刪除（可還原）的合約 }，未指定時列出全部未刪除的合約
+ * @returns {Array<Object>}
+ */
+function listContractSummaries({ teamId = null, status = null, deleted = false } = {}) {
+  return getDatabase()
+    .prepare(`
+      SELECT ${SUMMARY_COLUMNS}
+      FROM contracts
+      WHERE (@teamId IS NULL OR team_id = @teamId) AND (@status IS NULL OR status = @status)
+        AND (deleted_at IS NOT NULL) = @deleted
+      ORDER BY upload_date ASC
+    `)
+    .all({ teamId, status, deleted: deleted ? 1 : 0 })
+    .map(rowToSummary);
+}
+
+/**
+ * 讀取同一交易對象的合約摘要（依正規化後的公司名稱比對）
+ * @param {string} companyName - 公司名稱
+ * @param {Object} scope - { teamId: 只列出此團隊的合約，未指定時列出全部 }
+ * @returns {Array<Object>}
+ */
+function listContractSummariesBySeller(companyName, { teamId = null } = {}) {
+  return getDatabase()
+    .prepare(`
+      SELECT ${SUMMARY_COLUMNS}
+      FROM contracts
+      WHERE seller_normalized = @sellerNormalized AND (@teamId IS NULL OR team_id = @teamId)
+        AND deleted_at IS NULL
+      ORDER BY upload_date ASC
+    `)
+    .all({ sellerNormalized: normalizeCompanyName(companyName), teamId })
+    .map(rowToSummary);
+}
+
+/**
+ * 根據 hash 查找合約
+ * @param {string} fileHash - 文件 SHA-256
+ * @param {Object} scope - { teamId: 只查找此團隊的合約，未指定時查找全部 }
+ * @returns {Object|undefined}
+ */
+function findContractByHash(fileHash, { teamId = null } = {}) {
+  return rowToContract(
+    getDatabase()
+      .prepare(`
+        SELECT data FROM contracts
+        WHERE file_hash = @fileHash AND (@teamId IS NULL OR team_id = @teamId) AND deleted_at IS NULL
+        LIMIT 1
+      `)
+      .get({ fileHash, teamId })
+  );
+}
+
+/**
+ * 根據 ID 查找合約
+ * @param {string} contractId - 合約 ID
+ * @param {Object} options - { includeDeleted: 是否包含已刪除的合約（預設否） }
+ * @returns {Object|undefined}
+ */
+function findContractById(contractId, { includeDeleted = false } = {}) {
+  return rowToContract(
+    getDatabase()
+      .prepare('SELECT data FROM contracts WHERE contract_id = @contractId AND (@includeDeleted OR deleted_at IS NULL)')
+      .get({ contractId, includeDeleted: includeDeleted ? 1 : 0 })
+  );
+}
+
+/**
+ * 新增一筆合約版本（版本號依合約遞增）
+ *
+ * 版本內容：
+ * {
+ *   revision_id, contract_id, revision_number,
+ *   trigger: "upload" | "company_rename" | "rescore" | "replace" | "import" | "migration",
+ *   created_at,
+ *   models: { basic_info: "gpt-5.2", scoring: "gpt-4.1" }（未呼叫 AI 的步驟為 null）,
+ *   inputs: { file_hash, file_id, filename, seller_company, scoring_profile, background_check, rules_version },
+ *   contract: 當時完整的合約物件
+ * }
+ *
+ * @param {Database} database - SQLite 連線
+ * @param {Object} contractData - 完整合約物件
+ * @param {Object} revision - { trigger, models, inputs, created_at }
+ * @returns {Object} 新增的版本
+ */
+function insertRevision(database, contractData, revision) {
+  const { max } = database
+    .prepare('SELECT MAX(revision_number) AS max FROM contract_revisions WHERE contract_id = ?')
+    .get(contractData.contract_id);
+
+  const record = {
+    revision_id: crypto.randomBytes(12).toString('hex'),
+    contract_id: contractData.contract_id,
+    revision_number: (max || 0) + 1,
+    trigger: revision.trigger,
+    created_at: revision.created_at || new Date().toISOString(),
+    models: revision.models || null,
+    inputs: revision.inputs || {
+      file_hash: contractData.file_hash ?? null,
+      file_id: contractData.file_id ?? null,
+      filename: contractData.filename ?? null,
+      seller_company: contractData.seller_company ?? null,
+      scoring_profile: contractData.scoring_profile ?? null,
+      background_check: contractData.background_check ?? null,
+      rules_version: contractData.rule_engine?.rules_version ?? null,
+    },
+    contract: contractData,
+  };
+
+  const stored = { ...record, contract: sealFields(contractData, SENSITIVE_CONTRACT_FIELDS) };
+  database.prepare(`
+    INSERT INTO contract_revisions (revision_id, contract_id, revision_number, trigger, created_at, data)
+    VALUES (?, ?, ?, ?, ?, ?)
+  `).run(record.revision_id, record.contract_id, record.revision_number, record.trigger, record.created_at, JSON.stringify(stored));
+
+  return record;
+}
+
+/**
+ * 保存合約（新增或更新，單一語句寫入，具原子性）
+ *
+ * 提供 revision 時，合約與新版本在同一個交易中寫入
+ *
+ * @param {Object} contractData - 完整合約物件
+ * @param {Object|null} revision - 版本資訊 { trigger, models, inputs }，不需記錄版本時為 null
+ * @returns {Object} 保存的合約
+ */
+function saveContract(contractData, revision = null) {
+  const database = getDatabase();
+  if (revision) {
+    database.transaction(() => {
+      upsertContract(database, contractData);
+      insertRevision(database, contractData, revision);
+    })();
+  } else {
+    upsertContract(database, contractData);
+  }
+  return contractData;
+}
+
+/**
+ * 以新版本取代既有合約：保存新合約與其版本，並在原合約記錄 superseded_by
+ *
+ * 原合約保留不刪除，新合約以 predecessor_id 指回原合約；全部在同一個交易中寫入
+ *
+ * @param {string} predecessorId - 被取代的合約 ID
+ * @param {Object} contractData - 新合約（需含 predecessor_id）
+ * @param {Object} revision - 新合約的版本資訊 { trigger, models, inputs }
+ * @returns {Object} 保存的新合約
+ */
+function supersedeContract(predecessorId, contractData, revision) {
+  const database = getDatabase();
+  database.transaction(() => {
+    const predecessor = findContractById(predecessorId);
+    if (!predecessor) {
+      throw new Error(`原合約 ${predecessorId} 已不存在`);
+    }
+
+    upsertContract(database, {
+      ...predecessor,
+      superseded_by: contractData.contract_id,
+      superseded_at: new Date().toISOString(),
+    });
+    upsertContract(database, contractData);
+    insertRevision(database, contractData, revision);
+  })();
+  return contractData;
+}
+
+/**
+ * 寫入合約資料列
+ * @param {Database} database - SQLite 連線
+ * @param {Object} contractData - 完整合約物件
+ */
+function upsertContract(database, contractData) {
+  database.prepare(`
+    INSERT INTO contracts (
+      contract_id, file_hash, filename, seller_company, seller_normalized, upload_date, last_updated,
+      health_score, health_tier, health_tier_label, health_dimensions, document_type, owner_user_id, team_id, status, data
+    )
+    VALUES (
+      @contract_id, @file_hash, @filename, @seller_company, @seller_normalized, @upload_date, @last_updated,
+      @health_score, @health_tier, @health_tier_label, @health_dimensions, @document_type, @owner_user_id, @team_id, @status, @data
+    )
+    ON CONFLICT (contract_id) DO UPDATE SET
+      file_hash = excluded.file_hash,
+      filename = excluded.filename,
+      seller_company = excluded.seller_company,
+      seller_normalized = excluded.seller_normalized,
+      upload_date = excluded.upload_date,
+      last_updated = excluded.last_updated,
+      health_score = excluded.health_score,
+      health_tier = excluded.health_tier,
+      health_tier_label = excluded.health_tier_label,
+      health_dimensions = excluded.health_dimensions,
+      document_type = excluded.document_type,
+      owner_user_id = excluded.owner_user_id,
+      team_id = excluded.team_id,
+      status = excluded.status,
+      data = excluded.data
+  `).run({
+    contract_id: contractData.contract_id,
+    file_hash: contractData.file_hash ?? null,
+    filename: contractData.filename ?? null,
+    seller_company: contractData.seller_company ?? null,
+    seller_normalized: normalizeCompanyName(contractData.seller_company) || null,
+    upload_date: contractData.upload_date ?? null,
+    last_updated: contractData.last_updated ?? null,
+    health_score: contractData.health_score ?? null,
+    health_tier: contractData.health_tier ?? null,
+    health_tier_label: contractData.health_tier_label ?? null,
+    health_dimensions: contractData.health_dimensions ? JSON.stringify(contractData.health_dimensions) : null,
+    document_type: contractData.document_type ?? null,
+    owner_user_id: contractData.owner_user_id ?? null,
+    team_id: contractData.team_id ?? null,
+    status: contractData.status ?? 'draft',
+    data: JSON.stringify(sealFields(contractData, SENSITIVE_CONTRACT_FIELDS)),
+  });
+}
+
+/**
+ * 列出合約的所有版本（不含完整合約內容，由舊到新）
+ * @param {string} contractId - 合約 ID
+ * @returns {Array<Object>}
+ */
+function listContractRevisions(contractId) {
+  return getDatabase()
+    .prepare('SELECT data FROM contract_revisions WHERE contract_id = ? ORDER BY revision_number ASC')
+    .all(contractId)
+    .map(row => {
+      const { contract, ...meta } = JSON.parse(row.data);
+      return {
+        ...meta,
+        health_score: contract.health_score ?? null,
+        health_tier: contract.health_tier ?? null,
+        health_tier_label: contract.health_tier_label ?? null,
+        health_dimensions: contract.health_dimensions ?? null,
+      };
+    });
+}
+
+/**
+ * 取得合約的單一版本（含完整合約內容）
+ * @param {string} contractId - 合約 ID
+ * @param {number} revisionNumber - 版本號
+ * @returns {Object|undefined}
+ */
+function getContractRevision(contractId, revisionNumber) {
+  const row = getDatabase()
+    .prepare('SELECT data FROM contract_revisions WHERE contract_id = ? AND revision_number = ?')
+    .get(contractId, revisionNumber);
+  if (!row) return undefined;
+  const revision = JSON.parse(row.data);
+  return { ...revision, contract: openFields(revision.contract) };
+}
+
+/**
+ * 刪除合約（軟刪除：記錄 deleted_at、deleted_by，資料、版本與全文保留，可用 restoreContract 還原）
+ * @param {string} contractId - 合約 ID
+ * @param {string|null} deletedBy - 刪除者帳號
+ * @returns {Object|undefined} 刪除後的合約，合約不存在或已刪除時為 undefined
+ */
+function deleteContract(contractId, deletedBy = null) {
+  const info = getDatabase().prepare(`
+    UPDATE contracts
+    SET deleted_at = @now,
+        deleted_by = @deletedBy,
+        data = json_set(data, '$.deleted_at', @now, '$.deleted_by', @deletedBy)
+    WHERE contract_id = @contractId AND deleted_at IS NULL
+  `).run({ contractId, deletedBy, now: new Date().toISOString() });
+  return info.changes > 0 ? findContractById(contractId, { includeDeleted: true }) : undefined;
+}
+
+/**
+ * 還原已刪除的合約
+ * @param {string} contractId - 合約 ID
+ * @returns {Object|undefined} 還原後的合約，合約不存在或未被刪除時為 undefined
+ */
+function restoreContract(contractId) {
+  const info = getDatabase().prepare(`
+    UPDATE contracts
+    SET deleted_at = NULL,
+        deleted_by = NULL,
+        data = json_remove(data, '$.deleted_at', '$.deleted_by')
+    WHERE contract_id = ? AND deleted_at IS NOT NULL
+  `).run(contractId);
+  return info.changes > 0 ? findContractById(contractId) : undefined;
+}
+
+/**
+ * 保存合約全文（新增或覆寫）
+ * @param {string} contractId - 合約 ID
+ * @param {Object} document - ingestDocument 的結果 { text, pages, extractor }
+ */
+function saveContractDocument(contractId, document) {
+  getDatabase().prepare(`
+    INSERT INTO contract_documents (contract_id, text, pages, extractor, extracted_at)
+    VALUES (?, ?, ?, ?, ?)
+    ON CONFLICT (contract_id) DO UPDATE SET
+      text = excluded.text,
+      pages = excluded.pages,
+      extractor = excluded.extractor,
+      extracted_at = excluded.extracted_at
+  `).run(
+    contractId,
+    encryptColumn(document.text),
+    document.pages ? encryptColumn(JSON.stringify(document.pages)) : null,
+    document.extractor,
+    new Date().toISOString()
+  );
+}
+
+/**
+ * 取得合約全文
+ * @param {string} contractId - 合約 ID
+ * @returns {Object|undefined} { contract_id, text, pages, extractor, extracted_at }
+ */
+function getContractDocument(contractId) {
+  const row = getDatabase().prepare('SELECT * FROM contract_documents WHERE contract_id = ?').get(contractId);
+  if (!row) return undefined;
+  return { ...row, text: decryptText(row.text), pages: row.pages ? JSON.parse(decryptText(row.pages)) : null };
+}
+
+/**
+ * 以目前的金鑰重新加密合約、評估版本與合約全文（金鑰輪替，或為加密功能上線前的明文資料加密）
+ * 已使用目前金鑰加密的資料不會重寫
+ * @returns {Object} { contracts, revisions, documents } 各自重新加密的筆數
+ */
+function reencryptContractData() {
+  const database = getDatabase();
+  const counts = { contracts: 0, revisions: 0, documents: 0 };
+
+  database.transaction(() => {
+    const updateContract = database.prepare('UPDATE contracts SET data = ? WHERE contract_id = ?');
+    for (const row of database.prepare('SELECT contract_id, data FROM contracts').all()) {
+      const stored = JSON.parse(row.data);
+      if (!fieldsNeedReencryption(stored, SENSITIVE_CONTRACT_FIELDS)) continue;
+      updateContract.run(JSON.stringify(sealFields(openFields(stored), SENSITIVE_CONTRACT_FIELDS)), row.contract_id);
+      counts.contracts++;
+    }
+
+    const updateRevision = database.prepare('UPDATE contract_revisions SET data = ? WHERE revision_id = ?');
+    for (const row of database.prepare('SELECT revision_id, data FROM contract_revisions').all()) {
+      const stored = JSON.parse(row.data);
+      if (!fieldsNeedReencryption(stored.contract, SENSITIVE_CONTRACT_FIELDS)) continue;
+      const contract = sealFields(openFields(stored.contract), SENSITIVE_CONTRACT_FIELDS);
+      updateRevision.run(JSON.stringify({ ...stored, contract }), row.revision_id);
+      counts.revisions++;
+    }
+
+    const updateDocument = database.prepare('UPDATE contract_documents SET text = ?, pages = ? WHERE contract_id = ?');
+    for (const row of database.prepare('SELECT contract_id, text, pages FROM contract_documents').all()) {
+      if (!needsReencryption(row.text) && (row.pages === null || !needsReencryption(row.pages))) continue;
+      updateDocument.run(
+        encryptColumn(decryptText(row.text)),
+        row.pages === null ? null : encryptColumn(decryptText(row.pages)),
+        row.contract_id
+      );
+      counts.documents++;
+    }
+  })();
+
+  return counts;
+}
+
+/**
+ * 將沒有團隊的合約（使用者帳號功能上線前的資料）指派給團隊
+ * @param {string} teamId - 團隊 ID
+ * @param {string|null} ownerUserId - 記為上傳者的使用者 ID
+ * @returns {number} 指派的合約數
+ */
+function assignUnownedContracts(teamId, ownerUserId = null) {
+  const info = getDatabase().prepare(`
+    UPDATE contracts
+    SET team_id = @teamId,
+        owner_user_id = @ownerUserId,
+        data = json_set(data, '$.team_id', @teamId, '$.owner_user_id', @ownerUserId)
+    WHERE team_id IS NULL
+  `).run({ teamId, ownerUserId });
+  return info.changes;
+}
+
+/**
+ * 匯入舊版 contracts.json（完整保留每筆合約的所有欄位）
+ * 已存在的 contract_id 不會被覆蓋，因此可重複執行
+ * @param {string} jsonPath - contracts.json 路徑
+ * @returns {Object} { total, imported, skipped }
+ */
+function importContractsFromJson(jsonPath) {
+  const contracts = JSON.parse(fs.readFileSync(jsonPath, 'utf8'));
+  if (!Array.isArray(contracts)) {
+    throw new Error(`${jsonPath} 不是合約陣列`);
+  }
+
+  const database = getDatabase();
+  const exists = database.prepare('SELECT 1 FROM contracts WHERE contract_id = ?');
+  let imported = 0;
+  let skipped = 0;
+
+  const importAll = database.transaction(() => {
+    for (const contract of contracts) {
+      if (!contract.contract_id || exists.get(contract.contract_id)) {
+        skipped++;
+        continue;
+      }
+      saveContract(contract, { trigger: 'import', created_at: contract.last_updated || contract.upload_date });
+      imported++;
+    }
+  });
+  importAll();
+
+  return { total: contracts.length, imported, skipped };
+}
+
+export {
+  getDatabase,
+  getAllContracts,
+  listContractSummaries,
+  listContractSummariesBySeller,
+  findContractByHash,
+  findContractById,
+  saveContract,
+  supersedeContract,
+  deleteContract,
+  restoreContract,
+  listContractRevisions,
+  getContractRevision,
+  saveContractDocument,
+  getContractDocument,
+  assignUnownedContracts,
+  reencryptContractData,
+  importContractsFromJson,
+};
@@ -0,0 +1,320 @@
+import crypto from "crypto";
+import { getDatabase, findContractById, saveContract } from "./contractStore.js";
+import { hasPermission } from "./auth.js";
+import { decryptText, encryptColumn, needsReencryption } from "./encryption.js";
+
+// =========================
+//    合約審核流程
+// =========================
+//
+// 草稿 → 審核中 → 已核准 / 已退回 → 已簽署（已退回可修改後重新送審）
+// 審核事件（狀態變更與留言）保存在 contract_reviews；狀態變更不產生新的評估版本
+// 留言與覆核理由可能包含合約內容，加密保存
+
+const CONTRACT_STATUSES = {
+  draft: '草稿',
+  under_review: '審核中',
+  approved: '已核准',
+  rejected: '已退回',
+  signed: '已簽署',
+};
+
+/**
+ * 狀態變更動作
+ * from：允許的目前狀態；permission：需要的權限；requiresComment：是否必須附上說明
+ */
+const WORKFLOW_ACTIONS = {
+  submit: { label: '送審', from: ['draft', 'rejected'], to: 'under_review', permission: 'contract:submit' },
+  approve: { label: '核准', from: ['under_review'], to: 'approved', permission: 'contract:approve' },
+  reject: { label: '退回', from: ['under_review'], to: 'rejected', permission: 'contract:review', requiresComment: true },
+  sign: { label: '標記已簽署', from: ['approved'], to: 'signed', permission: 'contract:sign' },
+};
+
+// 審核中或已核准、已簽署的合約不可再修改評估（需上傳新版本）
+const LOCKED_STATUSES = ['under_review', 'approved', 'signed'];
+
+const MAX_COMMENT_LENGTH = 2000;
+
+/**
+ * 取得合約目前的審核狀態（舊資料沒有 status 欄位時視為草稿）
+ * @param {Object} contract - 合約
+ * @returns {string}
+ */
+function getContractStatus(contract) {
+  return contract.status || 'draft';
+}
+
+/**
+ * 判斷合約評估是否已鎖定（不可重新計分或重新評估）
+ * @param {Object} contract - 合約
+ * @returns {boolean}
+ */
+function isAssessmentLocked(contract) {
+  return LOCKED_STATUSES.includes(getContractStatus(contract));
+}
+
+/**
+ * 核准前需要核准者覆核的原因：D 級或 MAD 熔斷已觸發
+ * @param {Object} contract - 合約
+ * @returns {Array<Object>} [{ code, label }]，不需覆核時為空陣列
+ */
+function getOverrideTriggers(contract) {
+  const triggers = [];
+  if (contract.health_tier === 'D') {
+    triggers.push({ code: 'tier_d', label: `健康等級為 D 級（${contract.health_score ?? '-'} 分）` });
+  }
+  if (contract.score_breakdown?.circuitBreakerTriggered) {
+    triggers.push({ code: 'circuit_breaker', label: `MAD 熔斷已觸發（MAD ${contract.health_dimensions?.mad ?? '-'}）` });
+  }
+  return triggers;
+}
+
+/**
+ * 清理說明文字
+ * @param {*} value - 請求中的文字
+ * @returns {string}
+ */
+function normalizeText(value) {
+  return typeof value === 'string' ? value.trim() : '';
+}
+
+/**
+ * 檢查使用者能否對合約執行狀態變更
+ * @param {Object} user - 使用者
+ * @param {Object} contract - 合約
+ * @param {string} action - submit | approve | reject | sign
+ * @param {Object} input - { comment, override, override_reason }
+ * @returns {Object|null} 不可執行時回傳 { status: HTTP 狀態碼, error, ... }，可執行時為 null
+ */
+function checkWorkflowAction(user, contract, action, input = {}) {
+  const definition = WORKFLOW_ACTIONS[action];
+  if (!definition) {
+    return { status: 400, error: `action 必須是 ${Object.keys(WORKFLOW_ACTIONS).join(' | ')} 之一` };
+  }
+  if (!hasPermission(user, definition.permission)) {
+    return { status: 403, error: `您的角色（${user.role}）不能${definition.label}` };
+  }
+
+  const currentStatus = getContractStatus(contract);
+  if (!definition.from.includes(currentStatus)) {
+    return {
+      status: 409,
+      error: `合約目前為「${CONTRACT_STATUSES[currentStatus]}」，不能${definition.label}`,
+      current_status: currentStatus,
+    };
+  }
+  if (contract.superseded_by) {
+    return { status: 409, error: "此合約已被新版本取代，請對最新版本進行審核", superseded_by: contract.superseded_by };
+  }
+
+  const comment = normalizeText(input.comment);
+  if (comment.length > MAX_COMMENT_LENGTH) {
+    return { status: 400, error: `說明最多 ${MAX_COMMENT_LENGTH} 字` };
+  }
+  if (definition.requiresComment && !comment) {
+    return { status: 400, error: `${definition.label}時請填寫說明` };
+  }
+
+  if (action === 'approve') {
+    const triggers = getOverrideTriggers(contract);
+    const reason = normalizeText(input.override_reason);
+    if (triggers.length > 0 && (input.override !== true || !reason)) {
+      return {
+        status: 400,
+        error: "此合約需由核准者明確覆核（override: true）並填寫覆核理由（override_reason）才能核准",
+        requires_override: true,
+        override_triggers: triggers,
+      };
+    }
+    if (reason.length > MAX_COMMENT_LENGTH) {
+      return { status: 400, error: `覆核理由最多 ${MAX_COMMENT_LENGTH} 字` };
+    }
+  }
+
+  return null;
+}
+
+/**
+ * 寫入審核事件（comment、override_reason 加密保存）
+ * @param {Database} database - SQLite 連線
+ * @param {Object} event - 事件內容（不含 event_id、created_at）
+ * @returns {Object} 審核事件
+ */
+function insertReviewEvent(database, event) {
+  const row = {
+    event_id: crypto.randomBytes(12).toString('hex'),
+    from_status: null,
+    to_status: null,
+    comment: null,
+    override_reason: null,
+    override_triggers: null,
+    created_at: new Date().toISOString(),
+    ...event,
+  };
+  database.prepare(`
+    INSERT INTO contract_reviews (
+      event_id, contract_id, action, from_status, to_status, user_id, username,
+      comment, override_reason, override_triggers, created_at
+    )
+    VALUES (
+      @event_id, @contract_id, @action, @from_status, @to_status, @user_id, @username,
+      @comment, @override_reason, @override_triggers, @created_at
+    )
+  `).run({ ...row, comment: encryptColumn(row.comment), override_reason: encryptColumn(row.override_reason) });
+  return rowToReviewEvent(row);
+}
+
+/**
+ * 將資料列轉為審核事件（解密留言與覆核理由）
+ * @param {Object} row - 資料列
+ * @returns {Object}
+ */
+function rowToReviewEvent(row) {
+  return {
+    ...row,
+    comment: decryptText(row.comment),
+    override_reason: decryptText(row.override_reason),
+    override_triggers: row.override_triggers ? JSON.parse(row.override_triggers) : null,
+  };
+}
+
+/**
+ * 執行狀態變更（呼叫前需先以 checkWorkflowAction 檢查）
+ *
+ * 合約上記錄：status、status_updated_at、status_updated_by，
+ * 覆核核准時另記 approval_override: { user_id, username, reason, triggers, approved_at }
+ *
+ * @param {Object} user - 使用者
+ * @param {Object} contract - 合約
+ * @param {string} action - submit | approve | reject | sign
+ * @param {Object} input - { comment, override, override_reason }
+ * @returns {Object} { contract: 更新後的合約, event: 審核事件 }
+ */
+function applyWorkflowAction(user, contract, action, input = {}) {
+  const definition = WORKFLOW_ACTIONS[action];
+  const fromStatus = getContractStatus(contract);
+  const now = new Date().toISOString();
+  const triggers = action === 'approve' ? getOverrideTriggers(contract) : [];
+  const overrideReason = triggers.length > 0 ? normalizeText(input.override_reason) : null;
+  const approvalOverride = overrideReason
+    ? { user_id: user.user_id, username: user.username, reason: overrideReason, triggers, approved_at: now }
+    : null;
+  // 核准時寫入本次覆核；重新送審時清除前一次的覆核（仍保留在審核事件中）；其他動作保留原值
+  let nextOverride = contract.approval_override ?? null;
+  if (action === 'approve') nextOverride = approvalOverride;
+  if (action === 'submit') nextOverride = null;
+
+  const database = getDatabase();
+  let event;
+  database.transaction(() => {
+    // 經由 saveContract 寫入，approval_override（含覆核理由）與其他敏感欄位一起加密
+    saveContract({
+      ...(findContractById(contract.contract_id) ?? contract),
+      status: definition.to,
+      status_updated_at: now,
+      status_updated_by: user.username,
+      approval_override: nextOverride,
+    });
+
+    event = insertReviewEvent(database, {
+      contract_id: contract.contract_id,
+      action,
+      from_status: fromStatus,
+      to_status: definition.to,
+      user_id: user.user_id,
+      username: user.username,
+      comment: normalizeText(input.comment) || null,
+      override_reason: overrideReason,
+      override_triggers: approvalOverride ? JSON.stringify(triggers) : null,
+      created_at: now,
+    });
+  })();
+
+  console.log(`📝 合約 ${contract.contract_id} ${definition.label}: ${CONTRACT_STATUSES[fromStatus]} → ${CONTRACT_STATUSES[definition.to]}（${user.username}${approvalOverride ? '，覆核' : ''}）`);
+
+  return { contract: findContractById(contract.contract_id), event };
+}
+
+/**
+ * 新增審閱留言
+ * @param {Object} user - 使用者
+ * @param {Object} contract - 合約
+ * @param {string} comment - 留言
+ * @returns {Object} { event } 或 { status, error }
+ */
+function addReviewComment(user, contract, comment) {
+  if (!hasPermission(user, 'contract:comment')) {
+    return { status: 403, error: `您的角色（${user.role}）不能留言` };
+  }
+  const text = normalizeText(comment);
+  if (!text || text.length > MAX_COMMENT_LENGTH) {
+    return { status: 400, error: `留言不能為空（最多 ${MAX_COMMENT_LENGTH} 字）` };
+  }
+
+  const event = insertReviewEvent(getDatabase(), {
+    contract_id: contract.contract_id,
+    action: 'comment',
+    user_id: user.user_id,
+    username: user.username,
+    comment: text,
+  });
+  return { event };
+}
+
+/**
+ * 列出合約的審核事件（由舊到新）
+ * @param {string} contractId - 合約 ID
+ * @returns {Array<Object>}
+ */
+function listReviewEvents(contractId) {
+  return getDatabase()
+    .prepare('SELECT * FROM contract_reviews WHERE contract_id = ? ORDER BY created_at ASC, rowid ASC')
+    .all(contractId)
+    .map(rowToReviewEvent);
+}
+
+/**
+ * 以目前的金鑰重新加密所有審核事件的留言與覆核理由（金鑰輪替用）
+ * @returns {number} 重新加密的筆數
+ */
+function reencryptReviewEvents() {
+  const database = getDatabase();
+  const update = database.prepare('UPDATE contract_reviews SET comment = ?, override_reason = ? WHERE event_id = ?');
+  const stale = value => value !== null && needsReencryption(value);
+  let count = 0;
+  database.transaction(() => {
+    for (const row of database.prepare('SELECT event_id, comment, override_reason FROM contract_reviews').all()) {
+      if (!stale(row.comment) && !stale(row.override_reason)) continue;
+      update.run(encryptColumn(decryptText(row.comment)), encryptColumn(decryptText(row.override_reason)), row.event_id);
+      count++;
+    }
+  })();
+  return count;
+}
+
+/**
+ * 使用者目前可以對合約執行的動作（供前端顯示按鈕）
+ * @param {Object} user - 使用者
+ * @param {Object} contract - 合約
+ * @returns {Array<string>}
+ */
+function listAvailableActions(user, contract) {
+  return Object.keys(WORKFLOW_ACTIONS).filter(action => {
+    const blocked = checkWorkflowAction(user, contract, action, { comment: '-', override: true, override_reason: '-' });
+    return !blocked;
+  });
+}
+
+export {
+  CONTRACT_STATUSES,
+  WORKFLOW_ACTIONS,
+  getContractStatus,
+  isAssessmentLocked,
+  getOverrideTriggers,
+  checkWorkflowAction,
+  applyWorkflowAction,
+  addReviewComment,
+  listReviewEvents,
+  listAvailableActions,
+  reencryptReviewEvents,
+};
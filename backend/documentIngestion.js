@@ -0,0 +1,239 @@
+import fs from "fs";
+import path from "path";
+import mammoth from "mammoth";
+import WordExtractor from "word-extractor";
+import { createWorker } from "tesseract.js";
+import { extractText, getDocumentProxy, renderPageAsImage } from "unpdf";
+
+// =========================
+//    合約文件擷取（本機）
+// =========================
+//
+// 所有格式都在本機轉為純文字與頁碼對照，不經過 LLM 供應商：
+// - .docx：mammoth；.doc（Word 97-2003）：word-extractor
+// - .pdf：unpdf（pdf.js）擷取文字層，沒有文字層的頁面（掃描頁）轉為圖片後以 tesseract.js 辨識
+// - .txt：UTF-8，無法以 UTF-8 解碼時改用 Big5
+// - 圖片：tesseract.js 辨識
+
+// 支援的文件格式（副檔名 → 類型）
+const SUPPORTED_DOCUMENT_TYPES = {
+  '.pdf': { kind: 'pdf', label: 'PDF' },
+  '.docx': { kind: 'docx', label: 'Word' },
+  '.doc': { kind: 'doc', label: 'Word 97-2003' },
+  '.txt': { kind: 'text', label: '純文字' },
+  '.png': { kind: 'image', label: 'PNG 圖片' },
+  '.jpg': { kind: 'image', label: 'JPEG 圖片' },
+  '.jpeg': { kind: 'image', label: 'JPEG 圖片' },
+  '.tif': { kind: 'image', label: 'TIFF 圖片' },
+  '.tiff': { kind: 'image', label: 'TIFF 圖片' },
+  '.bmp': { kind: 'image', label: 'BMP 圖片' },
+  '.webp': { kind: 'image', label: 'WebP 圖片' },
+};
+
+// 各頁文字之間的分隔
+const PAGE_SEPARATOR = '\n\n';
+
+// PDF 頁面文字層少於此字數時視為掃描頁，改用 OCR
+const MIN_TEXT_LAYER_CHARS = 10;
+
+// OCR 語言（tesseract 語言代碼，以 + 串接）與語言檔位置
+const OCR_LANGUAGES = process.env.OCR_LANGUAGES || 'chi_tra+eng';
+// 語言檔（*.traineddata）目錄；未設定時首次辨識會下載並快取在 OCR_CACHE_DIR
+const OCR_LANG_PATH = process.env.OCR_LANG_PATH || null;
+const OCR_CACHE_DIR = process.env.OCR_CACHE_DIR || './data/ocr';
+// 掃描頁轉圖片的放大倍率（越大越清晰，辨識越慢）
+const OCR_RENDER_SCALE = Number(process.env.OCR_RENDER_SCALE) || 2;
+
+/**
+ * 依檔名取得文件類型
+ * @param {string} filename - 原始檔名
+ * @returns {Object|null} { extension, kind, label }，不支援時為 null
+ */
+function getDocumentType(filename) {
+  const extension = path.extname(filename || '').toLowerCase();
+  const type = SUPPORTED_DOCUMENT_TYPES[extension];
+  return type ? { extension, ...type } : null;
+}
+
+/**
+ * 檢查檔案格式是否支援（上傳時在分析前先檢查）
+ * @param {string} filename - 原始檔名
+ * @returns {string|null} 錯誤訊息，支援時為 null
+ */
+function checkDocumentType(filename) {
+  if (getDocumentType(filename)) return null;
+  const extension = path.extname(filename || '').toLowerCase();
+  return `不支援的文件格式: ${extension || '無副檔名'}（支援 ${Object.keys(SUPPORTED_DOCUMENT_TYPES).join('、')}）`;
+}
+
+/**
+ * 將各頁文字合併為全文，記錄每頁在全文中的起訖位置
+ * @param {Array<Object>} pageTexts - [{ text, ocr }]
+ * @returns {Object} { text, pages: [{ page, start, end, ocr }] }
+ */
+function joinPages(pageTexts) {
+  let text = '';
+  const pages = pageTexts.map((pageText, index) => {
+    if (index > 0) text += PAGE_SEPARATOR;
+    const start = text.length;
+    text += pageText.text;
+    return { page: index + 1, start, end: text.length, ocr: pageText.ocr };
+  });
+  return { text, pages };
+}
+
+/**
+ * 建立 OCR worker（呼叫端負責 terminate）
+ * @returns {Promise<Object>} tesseract.js worker
+ */
+async function createOcrWorker() {
+  const options = { cachePath: OCR_CACHE_DIR };
+  if (OCR_LANG_PATH) {
+    options.langPath = OCR_LANG_PATH;
+  }
+  fs.mkdirSync(OCR_CACHE_DIR, { recursive: true });
+  return createWorker(OCR_LANGUAGES, undefined, options);
+}
+
+/**
+ * 整理 OCR 結果：中文字之間的空白是辨識產生的，移除後才能搜尋與比對
+ * @param {string} text - OCR 文字
+ * @returns {string}
+ */
+function normalizeOcrText(text) {
+  return text
+    .replace(/(?<=[\u3000-\u9fff\uff00-\uffef])[ \t]+(?=[\u3000-\u9fff\uff00-\uffef])/g, '')
+    .replace(/[ \t]+\n/g, '\n')
+    .trim();
+}
+
+/**
+ * 擷取 PDF 文字；掃描頁以 OCR 辨識
+ * @param {string} filePath - 文件路徑
+ * @param {Function} onOcrProgress - (completed, total) 掃描頁辨識進度
+ * @returns {Promise<Object>} { text, pages, extractor }
+ */
+async function ingestPdf(filePath, onOcrProgress) {
+  const pdf = await getDocumentProxy(new Uint8Array(fs.readFileSync(filePath)));
+  try {
+    const { text: layerTexts } = await extractText(pdf, { mergePages: false });
+
+    const scannedPages = layerTexts
+      .map((pageText, index) => (pageText.trim().length < MIN_TEXT_LAYER_CHARS ? index + 1 : null))
+      .filter(Boolean);
+    const pageTexts = layerTexts.map(text => ({ text, ocr: false }));
+
+    if (scannedPages.length > 0) {
+      console.log(`🔍 PDF 有 ${scannedPages.length}/${layerTexts.length} 頁沒有文字層，進行 OCR...`);
+      const worker = await createOcrWorker();
+      try {
+        for (const [index, pageNumber] of scannedPages.entries()) {
+          onOcrProgress(index, scannedPages.length);
+          const image = await renderPageAsImage(pdf, pageNumber, {
+            canvasImport: () => import("@napi-rs/canvas"),
+            scale: OCR_RENDER_SCALE,
+          });
+          const { data } = await worker.recognize(Buffer.from(image));
+          const ocrText = normalizeOcrText(data.text);
+          // 辨識結果比原本的文字層還少時（例如只有頁碼的頁面），保留文字層
+          if (ocrText.length > layerTexts[pageNumber - 1].trim().length) {
+            pageTexts[pageNumber - 1] = { text: ocrText, ocr: true };
+          }
+        }
+        onOcrProgress(scannedPages.length, scannedPages.length);
+      } finally {
+        await worker.terminate();
+      }
+    }
+
+    const extractor = scannedPages.length === 0
+      ? 'unpdf'
+      : scannedPages.length === layerTexts.length ? 'tesseract' : 'unpdf+tesseract';
+    return { ...joinPages(pageTexts), extractor };
+  } finally {
+    // 釋放 pdf.js 載入的文件與字型等資源
+    await pdf.destroy();
+  }
+}
+
+/**
+ * 以 OCR 辨識圖片
+ * @param {string} filePath - 圖片路徑
+ * @returns {Promise<Object>} { text, pages, extractor }
+ */
+async function ingestImage(filePath) {
+  const worker = await createOcrWorker();
+  try {
+    const { data } = await worker.recognize(fs.readFileSync(filePath));
+    return { ...joinPages([{ text: normalizeOcrText(data.text), ocr: true }]), extractor: 'tesseract' };
+  } finally {
+    await worker.terminate();
+  }
+}
+
+/**
+ * 讀取純文字檔：先以 UTF-8 解碼，失敗時改用 Big5（舊版 Windows 繁體中文記事本）
+ * @param {string} filePath - 文件路徑
+ * @returns {string}
+ */
+function readTextFile(filePath) {
+  const buffer = fs.readFileSync(filePath);
+  try {
+    return new TextDecoder('utf-8', { fatal: true, ignoreBOM: false }).decode(buffer);
+  } catch {
+    return new TextDecoder('big5').decode(buffer);
+  }
+}
+
+/**
+ * 在本機擷取合約文件的純文字與頁碼對照
+ *
+ * pages 記錄每頁在全文中的起訖位置（ocr 表示該頁由 OCR 辨識）；
+ * Word 與純文字沒有固定分頁，pages 為 null
+ *
+ * @param {string} filePath - 文件路徑
+ * @param {string} originalFilename - 原始檔名（用於判斷格式）
+ * @param {Object} options - { onOcrProgress: (completed, total) => void }
+ * @returns {Promise<Object>} { text, pages: [{ page, start, end, ocr }] | null, extractor }
+ */
+async function ingestDocument(filePath, originalFilename, { onOcrProgress = () => {} } = {}) {
+  const type = getDocumentType(originalFilename);
+  if (!type) {
+    throw new Error(checkDocumentType(originalFilename));
+  }
+
+  switch (type.kind) {
+    case 'docx': {
+      const result = await mammoth.extractRawText({ path: filePath });
+      return { text: result.value, pages: null, extractor: 'mammoth' };
+    }
+    case 'doc': {
+      const document = await new WordExtractor().extract(filePath);
+      return { text: document.getBody(), pages: null, extractor: 'word-extractor' };
+    }
+    case 'pdf':
+      return ingestPdf(filePath, onOcrProgress);
+    case 'text':
+      return { text: readTextFile(filePath), pages: null, extractor: 'text' };
+    case 'image':
+      onOcrProgress(0, 1);
+      return ingestImage(filePath);
+  }
+}
+
+/**
+ * 文件是否有經過 OCR 辨識的頁面
+ * @param {Object|undefined} document - ingestDocument 或 getContractDocument 的結果
+ * @returns {boolean}
+ */
+function isOcrDocument(document) {
+  return Boolean(document?.pages?.some(page => page.ocr));
+}
+
+export {
+  SUPPORTED_DOCUMENT_TYPES,
+  getDocumentType,
+  checkDocumentType,
+  ingestDocument,
+  isOcrDocument,
+};
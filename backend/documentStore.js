@@ -0,0 +1,132 @@
+import fs from "fs";
+import os from "os";
+import path from "path";
+import crypto from "crypto";
+import { encryptBuffer, decryptBuffer, isEncryptionEnabled, needsReencryption } from "./encryption.js";
+
+// =========================
+//    合約原始文件保存
+// =========================
+//
+// 上傳的原始文件以合約 ID 命名保存在 DOCUMENT_STORE_DIR（設定金鑰時加密），
+// 重新評估時使用保存的原始文件，不依賴 LLM 供應商端的 file_id 是否仍存在。
+// 合約刪除為軟刪除，原始文件隨合約保留以便還原。
+
+const DOCUMENT_STORE_DIR = process.env.DOCUMENT_STORE_DIR || './data/documents';
+
+/**
+ * 原始文件的保存路徑
+ * @param {string} contractId - 合約 ID
+ * @returns {string}
+ */
+function originalDocumentPath(contractId) {
+  if (!/^[a-f0-9]+$/i.test(contractId)) {
+    throw new Error(`無效的合約 ID: ${contractId}`);
+  }
+  return path.join(DOCUMENT_STORE_DIR, `${contractId}.bin`);
+}
+
+/**
+ * 寫入檔案（先寫暫存檔再改名，避免留下寫到一半的檔案）
+ * @param {string} filePath - 目標路徑
+ * @param {Buffer} content - 內容
+ */
+function writeFileAtomically(filePath, content) {
+  const tempPath = `${filePath}.${crypto.randomBytes(6).toString('hex')}.tmp`;
+  fs.writeFileSync(tempPath, content, { mode: 0o600 });
+  fs.renameSync(tempPath, filePath);
+}
+
+/**
+ * 保存上傳的原始文件
+ * @param {string} contractId - 合約 ID
+ * @param {string} sourcePath - 上傳的暫存檔路徑
+ * @returns {Object} { size: 原始大小, encrypted: 是否加密 }
+ */
+function saveOriginalDocument(contractId, sourcePath) {
+  fs.mkdirSync(DOCUMENT_STORE_DIR, { recursive: true });
+  const content = fs.readFileSync(sourcePath);
+  const encrypted = isEncryptionEnabled();
+  writeFileAtomically(originalDocumentPath(contractId), encrypted ? encryptBuffer(content) : content);
+  return { size: content.length, encrypted };
+}
+
+/**
+ * 刪除保存的原始文件（例如合約資料寫入失敗時，避免留下沒有對應合約的檔案）
+ * @param {string} contractId - 合約 ID
+ */
+function deleteOriginalDocument(contractId) {
+  fs.rmSync(originalDocumentPath(contractId), { force: true });
+}
+
+/**
+ * 是否有保存原始文件
+ * @param {string} contractId - 合約 ID
+ * @returns {boolean}
+ */
+function hasOriginalDocument(contractId) {
+  return fs.existsSync(originalDocumentPath(contractId));
+}
+
+/**
+ * 讀取並解密原始文件
+ * @param {string} contractId - 合約 ID
+ * @returns {Buffer|null} 沒有保存時為 null
+ */
+function readOriginalDocument(contractId) {
+  const filePath = originalDocumentPath(contractId);
+  if (!fs.existsSync(filePath)) return null;
+  return decryptBuffer(fs.readFileSync(filePath));
+}
+
+/**
+ * 將原始文件解密到暫存檔後執行 handler（例如上傳給 LLM 供應商），結束後刪除暫存檔
+ * @param {string} contractId - 合約 ID
+ * @param {string} filename - 原始檔名（保留副檔名）
+ * @param {Function} handler - async (tempPath) => result
+ * @returns {Promise<*>} handler 的結果
+ */
+async function withOriginalDocumentFile(contractId, filename, handler) {
+  const content = readOriginalDocument(contractId);
+  if (!content) {
+    throw new Error(`合約 ${contractId} 沒有保存原始文件`);
+  }
+
+  const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'contract-original-'));
+  const tempPath = path.join(tempDir, `original${path.extname(filename || '').toLowerCase()}`);
+  try {
+    fs.writeFileSync(tempPath, content, { mode: 0o600 });
+    return await handler(tempPath);
+  } finally {
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  }
+}
+
+/**
+ * 以目前的金鑰重新加密所有原始文件（金鑰輪替，或為加密功能上線前保存的明文文件加密）
+ * @returns {number} 重新加密的檔案數
+ */
+function reencryptOriginalDocuments() {
+  if (!fs.existsSync(DOCUMENT_STORE_DIR)) return 0;
+
+  let count = 0;
+  for (const name of fs.readdirSync(DOCUMENT_STORE_DIR)) {
+    if (!name.endsWith('.bin')) continue;
+    const filePath = path.join(DOCUMENT_STORE_DIR, name);
+    const stored = fs.readFileSync(filePath);
+    if (!needsReencryption(stored)) continue;
+    writeFileAtomically(filePath, encryptBuffer(decryptBuffer(stored)));
+    count++;
+  }
+  return count;
+}
+
+export {
+  DOCUMENT_STORE_DIR,
+  saveOriginalDocument,
+  deleteOriginalDocument,
+  hasOriginalDocument,
+  readOriginalDocument,
+  withOriginalDocumentFile,
+  reencryptOriginalDocuments,
+};
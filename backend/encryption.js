@@ -0,0 +1,312 @@
+import crypto from "crypto";
+
+// =========================
+//    靜態資料加密
+// =========================
+//
+// 使用 AES-256-GCM，金鑰由環境變數提供（32 bytes，base64）：
+// - CONTRACT_ENCRYPTION_KEY：目前的金鑰，新寫入的資料都以此加密
+// - CONTRACT_ENCRYPTION_PREVIOUS_KEYS：輪替期間仍需解密的舊金鑰（逗號分隔）
+// 每筆密文都記錄金鑰 ID（金鑰 SHA-256 的前 8 碼），解密時依 ID 選擇金鑰。
+// 未設定 CONTRACT_ENCRYPTION_KEY 時不加密（啟動時會警告），已加密的資料仍需金鑰才能讀取。
+
+const ALGORITHM = 'aes-256-gcm';
+const KEY_LENGTH = 32;
+const IV_LENGTH = 12;
+const TAG_LENGTH = 16;
+const KEY_ID_LENGTH = 8;
+
+// 文字密文格式：enc:v1:<金鑰 ID>:<iv>:<tag>:<密文>（base64）
+const TEXT_PREFIX = 'enc:v1:';
+// 檔案密文格式：MAGIC + 金鑰 ID + iv + tag + 密文
+const BUFFER_MAGIC = Buffer.from('TGSAENC1');
+
+// 合約物件中加密欄位的鍵名
+const ENCRYPTED_FIELDS_KEY = 'encrypted_fields';
+
+let cachedKeyring = null;
+let cachedKeyringSource = null;
+
+/**
+ * 解析 base64 金鑰
+ * @param {string} value - base64 字串
+ * @param {string} name - 環境變數名稱（錯誤訊息用）
+ * @returns {Object} { id, key }
+ */
+function parseKey(value, name) {
+  const key = Buffer.from(value.trim(), 'base64');
+  if (key.length !== KEY_LENGTH) {
+    throw new Error(`${name} 必須是 ${KEY_LENGTH} bytes 的 base64 金鑰（可用 npm run encryption:rotate -- --generate-key 產生）`);
+  }
+  const id = crypto.createHash('sha256').update(key).digest('hex').substring(0, KEY_ID_LENGTH);
+  return { id, key };
+}
+
+/**
+ * 讀取環境變數中的金鑰（環境變數變更時重新解析，供金鑰輪替與測試使用）
+ * @returns {Object} { current: { id, key } | null, byId: Map<string, Buffer> }
+ */
+function getKeyring() {
+  const currentValue = process.env.CONTRACT_ENCRYPTION_KEY || '';
+  const previousValue = process.env.CONTRACT_ENCRYPTION_PREVIOUS_KEYS || '';
+  const source = `${currentValue}|${previousValue}`;
+  if (cachedKeyring && cachedKeyringSource === source) {
+    return cachedKeyring;
+  }
+
+  const current = currentValue.trim() ? parseKey(currentValue, 'CONTRACT_ENCRYPTION_KEY') : null;
+  const previous = previousValue
+    .split(',')
+    .map(value => value.trim())
+    .filter(Boolean)
+    .map(value => parseKey(value, 'CONTRACT_ENCRYPTION_PREVIOUS_KEYS'));
+
+  const byId = new Map();
+  for (const { id, key } of [current, ...previous].filter(Boolean)) {
+    byId.set(id, key);
+  }
+
+  cachedKeyring = { current, byId };
+  cachedKeyringSource = source;
+  return cachedKeyring;
+}
+
+/**
+ * 是否已設定加密金鑰
+ * @returns {boolean}
+ */
+function isEncryptionEnabled() {
+  return Boolean(getKeyring().current);
+}
+
+/**
+ * 目前金鑰的 ID（未設定時為 null）
+ * @returns {string|null}
+ */
+function getCurrentKeyId() {
+  return getKeyring().current?.id ?? null;
+}
+
+/**
+ * 依金鑰 ID 取得金鑰
+ * @param {string} keyId - 金鑰 ID
+ * @returns {Buffer}
+ */
+function getKeyById(keyId) {
+  const key = getKeyring().byId.get(keyId);
+  if (!key) {
+    throw new Error(`找不到金鑰 ${keyId}，請確認 CONTRACT_ENCRYPTION_KEY 或 CONTRACT_ENCRYPTION_PREVIOUS_KEYS`);
+  }
+  return key;
+}
+
+/**
+ * 取得目前金鑰（未設定時拋出錯誤）
+ * @returns {Object} { id, key }
+ */
+function requireCurrentKey() {
+  const { current } = getKeyring();
+  if (!current) {
+    throw new Error('未設定 CONTRACT_ENCRYPTION_KEY，無法加密');
+  }
+  return current;
+}
+
+/**
+ * 以 AES-256-GCM 加密
+ * @param {Buffer} key - 金鑰
+ * @param {Buffer} plaintext - 明文
+ * @returns {Object} { iv, tag, ciphertext }
+ */
+function seal(key, plaintext) {
+  const iv = crypto.randomBytes(IV_LENGTH);
+  const cipher = crypto.createCipheriv(ALGORITHM, key, iv);
+  const ciphertext = Buffer.concat([cipher.update(plaintext), cipher.final()]);
+  return { iv, tag: cipher.getAuthTag(), ciphertext };
+}
+
+/**
+ * 以 AES-256-GCM 解密（密文遭竄改時拋出錯誤）
+ * @param {Buffer} key - 金鑰
+ * @param {Object} sealed - { iv, tag, ciphertext }
+ * @returns {Buffer} 明文
+ */
+function unseal(key, { iv, tag, ciphertext }) {
+  const decipher = crypto.createDecipheriv(ALGORITHM, key, iv);
+  decipher.setAuthTag(tag);
+  return Buffer.concat([decipher.update(ciphertext), decipher.final()]);
+}
+
+/**
+ * 判斷字串是否為密文
+ * @param {*} value - 值
+ * @returns {boolean}
+ */
+function isEncryptedText(value) {
+  return typeof value === 'string' && value.startsWith(TEXT_PREFIX);
+}
+
+/**
+ * 加密文字
+ * @param {string} plaintext - 明文
+ * @returns {string} enc:v1:... 密文
+ */
+function encryptText(plaintext) {
+  const { id, key } = requireCurrentKey();
+  const { iv, tag, ciphertext } = seal(key, Buffer.from(plaintext, 'utf8'));
+  return `${TEXT_PREFIX}${id}:${iv.toString('base64')}:${tag.toString('base64')}:${ciphertext.toString('base64')}`;
+}
+
+/**
+ * 解密文字（不是密文時原樣回傳，相容加密功能上線前的資料）
+ * @param {string} value - 密文或明文
+ * @returns {string}
+ */
+function decryptText(value) {
+  if (!isEncryptedText(value)) return value;
+  const [keyId, iv, tag, ciphertext] = value.substring(TEXT_PREFIX.length).split(':');
+  return unseal(getKeyById(keyId), {
+    iv: Buffer.from(iv, 'base64'),
+    tag: Buffer.from(tag, 'base64'),
+    ciphertext: Buffer.from(ciphertext, 'base64'),
+  }).toString('utf8');
+}
+
+/**
+ * 判斷檔案內容是否為密文
+ * @param {Buffer} buffer - 檔案內容
+ * @returns {boolean}
+ */
+function isEncryptedBuffer(buffer) {
+  return buffer.length >= BUFFER_MAGIC.length && buffer.subarray(0, BUFFER_MAGIC.length).equals(BUFFER_MAGIC);
+}
+
+/**
+ * 加密檔案內容
+ * @param {Buffer} plaintext - 明文
+ * @returns {Buffer}
+ */
+function encryptBuffer(plaintext) {
+  const { id, key } = requireCurrentKey();
+  const { iv, tag, ciphertext } = seal(key, plaintext);
+  return Buffer.concat([BUFFER_MAGIC, Buffer.from(id, 'ascii'), iv, tag, ciphertext]);
+}
+
+/**
+ * 解密檔案內容（不是密文時原樣回傳）
+ * @param {Buffer} buffer - 密文或明文
+ * @returns {Buffer}
+ */
+function decryptBuffer(buffer) {
+  if (!isEncryptedBuffer(buffer)) return buffer;
+  let offset = BUFFER_MAGIC.length;
+  const keyId = buffer.toString('ascii', offset, offset + KEY_ID_LENGTH);
+  offset += KEY_ID_LENGTH;
+  const iv = buffer.subarray(offset, offset + IV_LENGTH);
+  offset += IV_LENGTH;
+  const tag = buffer.subarray(offset, offset + TAG_LENGTH);
+  offset += TAG_LENGTH;
+  return unseal(getKeyById(keyId), { iv, tag, ciphertext: buffer.subarray(offset) });
+}
+
+/**
+ * 取得密文使用的金鑰 ID
+ * @param {string|Buffer} value - 文字或檔案密文
+ * @returns {string|null} 不是密文時為 null
+ */
+function getEncryptionKeyId(value) {
+  if (Buffer.isBuffer(value)) {
+    return isEncryptedBuffer(value)
+      ? value.toString('ascii', BUFFER_MAGIC.length, BUFFER_MAGIC.length + KEY_ID_LENGTH)
+      : null;
+  }
+  return isEncryptedText(value) ? value.substring(TEXT_PREFIX.length).split(':')[0] : null;
+}
+
+/**
+ * 判斷資料是否需要以目前金鑰重新加密（明文或以舊金鑰加密）
+ * @param {string|Buffer} value - 文字或檔案內容
+ * @returns {boolean} 未設定金鑰時一律為 false
+ */
+function needsReencryption(value) {
+  const currentKeyId = getCurrentKeyId();
+  return Boolean(currentKeyId) && getEncryptionKeyId(value) !== currentKeyId;
+}
+
+/**
+ * 加密可為空的文字欄位（未設定金鑰時保留明文）
+ * @param {string|null} value - 明文
+ * @returns {string|null}
+ */
+function encryptColumn(value) {
+  if (value === null || value === undefined || !isEncryptionEnabled()) return value ?? null;
+  return encryptText(value);
+}
+
+/**
+ * 將物件的敏感欄位加密後收在 encrypted_fields（未設定金鑰時原樣回傳）
+ * 其他欄位保持明文，資料庫仍可用 json_set / json_extract 讀寫
+ * @param {Object} object - 物件
+ * @param {Array<string>} fields - 要加密的欄位
+ * @returns {Object}
+ */
+function sealFields(object, fields) {
+  if (!isEncryptionEnabled()) return object;
+  const { [ENCRYPTED_FIELDS_KEY]: _previous, ...rest } = object;
+  const sensitive = {};
+  for (const field of fields) {
+    if (rest[field] !== undefined) {
+      sensitive[field] = rest[field];
+      delete rest[field];
+    }
+  }
+  if (Object.keys(sensitive).length === 0) return rest;
+  return { ...rest, [ENCRYPTED_FIELDS_KEY]: encryptText(JSON.stringify(sensitive)) };
+}
+
+/**
+ * 還原 sealFields 加密的欄位
+ * @param {Object} object - 物件
+ * @returns {Object}
+ */
+function openFields(object) {
+  if (!object || !object[ENCRYPTED_FIELDS_KEY]) return object;
+  const { [ENCRYPTED_FIELDS_KEY]: sealed, ...rest } = object;
+  return { ...rest, ...JSON.parse(decryptText(sealed)) };
+}
+
+/**
+ * 物件是否需要以目前金鑰重新加密
+ * @param {Object} object - 資料庫中保存的物件（尚未還原）
+ * @param {Array<string>} fields - 應加密的欄位
+ * @returns {boolean}
+ */
+function fieldsNeedReencryption(object, fields) {
+  if (!isEncryptionEnabled()) return false;
+  // 仍有明文欄位（包含後來才加入加密清單的欄位）
+  if (fields.some(field => object[field] !== undefined)) return true;
+  return Boolean(object[ENCRYPTED_FIELDS_KEY]) && needsReencryption(object[ENCRYPTED_FIELDS_KEY]);
+}
+
+/**
+ * 產生新的金鑰
+ * @returns {string} base64
+ */
+function generateEncryptionKey() {
+  return crypto.randomBytes(KEY_LENGTH).toString('base64');
+}
+
+export {
+  isEncryptionEnabled,
+  getCurrentKeyId,
+  encryptText,
+  decryptText,
+  encryptBuffer,
+  decryptBuffer,
+  needsReencryption,
+  encryptColumn,
+  sealFields,
+  openFields,
+  fieldsNeedReencryption,
+  generateEncryptionKey,
+};
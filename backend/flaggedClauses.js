@@ -0,0 +1,77 @@
+// =========================
+//    條款層級風險標記
+// =========================
+
+/**
+ * 條款分類（AI 回應中的 category 必須是以下 key 之一，其餘歸類為 other）
+ */
+const CLAUSE_CATEGORIES = {
+  ip_ownership: '智慧財產權歸屬',
+  jurisdiction: '司法管轄',
+  termination: '終止與解約',
+  penalty: '違約金與罰則',
+  liability: '責任與賠償',
+  payment: '付款條件',
+  exclusivity: '獨家與排他',
+  confidentiality: '保密義務',
+  warranty: '保固',
+  other: '其他',
+};
+
+const DIMENSION_KEYS = ['mad', 'mao', 'maa', 'map'];
+
+/**
+ * 將維度影響值轉為 -100 ~ 100 的數字
+ * @param {*} value - AI 回傳的值
+ * @returns {number}
+ */
+function normalizeDelta(value) {
+  const number = typeof value === 'number' ? value : parseFloat(value);
+  if (!Number.isFinite(number)) return 0;
+  return Math.max(-100, Math.min(100, Math.round(number)));
+}
+
+/**
+ * 整理 AI 回傳的 flagged_clauses，過濾缺少原文摘錄的項目
+ *
+ * 每一項的格式：
+ * {
+ *   clause_id: "c1",
+ *   category: "ip_ownership",
+ *   category_label: "智慧財產權歸屬",
+ *   excerpt: "合約原文摘錄",
+ *   location: "第 3 頁 第 5.2 條",
+ *   impact: { mad: 60, mao: 0, maa: 0, map: 0 },
+ *   reason: "為何此條款影響分數",
+ *   section_id: "S3"              // 長合約分段分析時，條款所在的段落（見 contractSections.js）
+ * }
+ *
+ * @param {Array|undefined} rawClauses - AI 回應中的 flagged_clauses
+ * @returns {Array<Object>} 整理後的條款列表
+ */
+function normalizeFlaggedClauses(rawClauses) {
+  if (!Array.isArray(rawClauses)) return [];
+
+  return rawClauses
+    .filter(clause => clause && typeof clause.excerpt === 'string' && clause.excerpt.trim() !== '')
+    .map((clause, index) => {
+      const category = CLAUSE_CATEGORIES[clause.category] ? clause.category : 'other';
+      const impact = {};
+      for (const key of DIMENSION_KEYS) {
+        impact[key] = normalizeDelta(clause.impact?.[key]);
+      }
+
+      return {
+        clause_id: `c${index + 1}`,
+        category,
+        category_label: CLAUSE_CATEGORIES[category],
+        excerpt: clause.excerpt.trim(),
+        location: typeof clause.location === 'string' ? clause.location.trim() : '',
+        impact,
+        reason: typeof clause.reason === 'string' ? clause.reason.trim() : '',
+        ...(typeof clause.section_id === 'string' && clause.section_id ? { section_id: clause.section_id } : {}),
+      };
+    });
+}
+
+export { CLAUSE_CATEGORIES, normalizeFlaggedClauses };
@@ -0,0 +1,359 @@
+import fs from "fs";
+import path from "path";
+import { normalizeCompanyName } from "./companyName.js";
+
+// =========================
+//    黃金樣本評估（評分一致性）
+// =========================
+//
+// 黃金樣本集為一組已標註預期結果的合約，重複分析 N 次後統計：
+// - 各維度的變異（平均、標準差、最小、最大）
+// - 等級一致率（與眾數等級相同的比例）與預期等級命中率
+// - 規則違反：應命中的致命傷未命中、致命傷命中但 MAD 未達規定值等
+
+const DIMENSION_KEYS = ['mad', 'mao', 'maa', 'map'];
+
+const DEFAULT_RUNS = 3;
+
+/**
+ * 四捨五入到小數點後兩位
+ * @param {number} value
+ * @returns {number}
+ */
+function round2(value) {
+  return Math.round(value * 100) / 100;
+}
+
+/**
+ * 檢查是否為 [最小值, 最大值] 的數字區間
+ * @param {*} range
+ * @returns {boolean}
+ */
+function isRange(range) {
+  return Array.isArray(range) && range.length === 2 &&
+    range.every(value => typeof value === 'number' && Number.isFinite(value)) &&
+    range[0] <= range[1];
+}
+
+/**
+ * 檢查是否為字串陣列
+ * @param {*} value
+ * @returns {boolean}
+ */
+function isStringArray(value) {
+  return Array.isArray(value) && value.every(item => typeof item === 'string');
+}
+
+/**
+ * 驗證單一樣本的預期結果
+ * @param {string} label - 錯誤訊息中的樣本名稱
+ * @param {Object} expected - 預期結果
+ * @returns {Array<string>} 錯誤訊息
+ */
+function validateExpected(label, expected) {
+  const errors = [];
+  if (expected.seller_company !== undefined && typeof expected.seller_company !== 'string') {
+    errors.push(`${label}.expected.seller_company 必須是字串`);
+  }
+  if (expected.tiers !== undefined && (!isStringArray(expected.tiers) || expected.tiers.length === 0)) {
+    errors.push(`${label}.expected.tiers 必須是非空的等級陣列`);
+  }
+  if (expected.health_score !== undefined && !isRange(expected.health_score)) {
+    errors.push(`${label}.expected.health_score 必須是 [最小值, 最大值]`);
+  }
+  for (const [dimension, range] of Object.entries(expected.dimensions || {})) {
+    if (!DIMENSION_KEYS.includes(dimension)) {
+      errors.push(`${label}.expected.dimensions 包含未知的維度: ${dimension}`);
+    } else if (!isRange(range)) {
+      errors.push(`${label}.expected.dimensions.${dimension} 必須是 [最小值, 最大值]`);
+    }
+  }
+  for (const key of ['must_fire', 'must_not_fire']) {
+    if (expected[key] !== undefined && !isStringArray(expected[key])) {
+      errors.push(`${label}.expected.${key} 必須是規則 ID 陣列`);
+    }
+  }
+  return errors;
+}
+
+/**
+ * 讀取並驗證黃金樣本集
+ *
+ * 文件與背景調查目錄的路徑以樣本集檔案所在目錄為基準
+ *
+ * @param {string} filePath - 樣本集 JSON 路徑
+ * @returns {Object} { description, runs, scoring_profile, cases: [{ id, description, documentPath, researchDir, expected }] }
+ */
+function loadGoldenSet(filePath) {
+  const baseDir = path.dirname(path.resolve(filePath));
+  const config = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  const errors = [];
+
+  if (!Array.isArray(config.cases) || config.cases.length === 0) {
+    throw new Error('黃金樣本集必須包含至少一個 cases');
+  }
+  if (config.runs !== undefined && (!Number.isInteger(config.runs) || config.runs < 1)) {
+    errors.push('runs 必須是正整數');
+  }
+
+  const seenIds = new Set();
+  const cases = config.cases.map((testCase, index) => {
+    const label = `cases[${index}]`;
+    if (typeof testCase.id !== 'string' || !testCase.id) {
+      errors.push(`${label}.id 必須是非空字串`);
+    } else if (seenIds.has(testCase.id)) {
+      errors.push(`${label}.id 重複: ${testCase.id}`);
+    }
+    seenIds.add(testCase.id);
+
+    const documentPath = typeof testCase.document === 'string' ? path.join(baseDir, testCase.document) : null;
+    if (!documentPath || !fs.existsSync(documentPath)) {
+      errors.push(`${label}.document 找不到文件: ${testCase.document}`);
+    }
+
+    const researchDir = testCase.research ? path.join(baseDir, testCase.research) : null;
+    if (researchDir && !fs.existsSync(researchDir)) {
+      errors.push(`${label}.research 找不到背景調查目錄: ${testCase.research}`);
+    }
+
+    errors.push(...validateExpected(label, testCase.expected || {}));
+
+    return {
+      id: testCase.id,
+      description: testCase.description || '',
+      documentPath,
+      researchDir,
+      expected: testCase.expected || {},
+    };
+  });
+
+  if (errors.length > 0) {
+    throw new Error(`黃金樣本集格式錯誤:\n- ${errors.join('\n- ')}`);
+  }
+
+  return {
+    description: config.description || '',
+    runs: config.runs || DEFAULT_RUNS,
+    scoring_profile: config.scoring_profile || null,
+    cases,
+  };
+}
+
+/**
+ * 計算一組數值的統計
+ * @param {Array<number>} values
+ * @returns {Object|null} { mean, stddev, min, max }（母體標準差），沒有數值時為 null
+ */
+function describeValues(values) {
+  if (values.length === 0) return null;
+  const mean = values.reduce((sum, value) => sum + value, 0) / values.length;
+  const variance = values.reduce((sum, value) => sum + (value - mean) ** 2, 0) / values.length;
+  return {
+    mean: round2(mean),
+    stddev: round2(Math.sqrt(variance)),
+    min: Math.min(...values),
+    max: Math.max(...values),
+  };
+}
+
+/**
+ * 檢查單次分析的規則違反
+ *
+ * - must_fire_missing：預期命中的規則未命中
+ * - must_not_fire_fired：預期不命中的規則命中
+ * - fatal_not_enforced：致命傷規則（effect.set）命中，但最終維度分數不等於規定值
+ * - model_fatal_miss：致命傷規則命中，但 AI 自己給的 MAD 不等於規定值（提示詞規則未被遵守，由規則引擎補正）
+ *
+ * @param {Object} run - 單次分析結果
+ * @param {Object} expected - 預期結果
+ * @returns {Array<Object>} [{ type, rule, message }]
+ */
+function findRuleViolations(run, expected) {
+  const violations = [];
+  const firedIds = run.fired_rules.map(rule => rule.id);
+
+  for (const ruleId of expected.must_fire || []) {
+    if (!firedIds.includes(ruleId)) {
+      violations.push({ type: 'must_fire_missing', rule: ruleId, message: `預期命中 ${ruleId}，但規則未命中` });
+    }
+  }
+  for (const ruleId of expected.must_not_fire || []) {
+    if (firedIds.includes(ruleId)) {
+      violations.push({ type: 'must_not_fire_fired', rule: ruleId, message: `預期不命中 ${ruleId}，但規則命中` });
+    }
+  }
+
+  for (const rule of run.fired_rules) {
+    const { dimension, set } = rule.effect || {};
+    if (typeof set !== 'number') continue;
+
+    if (run.dimensions[dimension] !== set) {
+      violations.push({
+        type: 'fatal_not_enforced',
+        rule: rule.id,
+        message: `${rule.id} 命中，但最終 ${dimension.toUpperCase()} = ${run.dimensions[dimension]}（應為 ${set}）`,
+      });
+    }
+    if (dimension === 'mad' && run.model_mad !== set) {
+      violations.push({
+        type: 'model_fatal_miss',
+        rule: rule.id,
+        message: `${rule.id} 命中，但 AI 給的 MAD = ${run.model_mad}（應為 ${set}）`,
+      });
+    }
+  }
+
+  return violations;
+}
+
+/**
+ * 檢查單次分析是否符合預期的公司、等級與分數範圍
+ * @param {Object} run - 單次分析結果
+ * @param {Object} expected - 預期結果
+ * @returns {Array<Object>} [{ type, message }]
+ */
+function findExpectationMisses(run, expected) {
+  const misses = [];
+
+  if (expected.seller_company &&
+      normalizeCompanyName(run.seller_company || '') !== normalizeCompanyName(expected.seller_company)) {
+    misses.push({ type: 'seller_mismatch', message: `乙方公司為「${run.seller_company}」，預期「${expected.seller_company}」` });
+  }
+  if (expected.tiers && !expected.tiers.includes(run.health_tier)) {
+    misses.push({ type: 'tier_out_of_range', message: `等級 ${run.health_tier}，預期 ${expected.tiers.join('/')}` });
+  }
+  if (expected.health_score) {
+    const [min, max] = expected.health_score;
+    if (run.health_score < min || run.health_score > max) {
+      misses.push({ type: 'score_out_of_range', message: `健康評分 ${run.health_score}，預期 ${min}–${max}` });
+    }
+  }
+  for (const [dimension, [min, max]] of Object.entries(expected.dimensions || {})) {
+    const value = run.dimensions[dimension];
+    if (value < min || value > max) {
+      misses.push({ type: 'dimension_out_of_range', message: `${dimension.toUpperCase()} = ${value}，預期 ${min}–${max}` });
+    }
+  }
+
+  return misses;
+}
+
+/**
+ * 彙整單一樣本的多次分析結果
+ * @param {Object} testCase - loadGoldenSet 的樣本
+ * @param {Array<Object>} runs - 每次分析結果，失敗時為 { error, failure_id }；成功時為
+ *   { seller_company, model_mad, dimensions, health_score, health_tier, fired_rules: [{ id, effect }] }
+ * @returns {Object} 樣本報告
+ */
+function evaluateCaseRuns(testCase, runs) {
+  const completed = runs.filter(run => !run.error);
+
+  const dimensions = {};
+  for (const key of DIMENSION_KEYS) {
+    dimensions[key] = describeValues(completed.map(run => run.dimensions[key]));
+  }
+
+  const tierCounts = {};
+  for (const run of completed) {
+    tierCounts[run.health_tier] = (tierCounts[run.health_tier] || 0) + 1;
+  }
+  const [modalTier = null, modalCount = 0] = Object.entries(tierCounts).sort((a, b) => b[1] - a[1])[0] || [];
+
+  const ruleViolations = [];
+  const expectationMisses = [];
+  runs.forEach((run, index) => {
+    if (run.error) return;
+    ruleViolations.push(...findRuleViolations(run, testCase.expected).map(item => ({ run: index + 1, ...item })));
+    expectationMisses.push(...findExpectationMisses(run, testCase.expected).map(item => ({ run: index + 1, ...item })));
+  });
+
+  return {
+    id: testCase.id,
+    description: testCase.description,
+    runs: runs.length,
+    failed_runs: runs.length - completed.length,
+    errors: runs
+      .map((run, index) => run.error ? { run: index + 1, error: run.error, ...(run.failure_id ? { failure_id: run.failure_id } : {}) } : null)
+      .filter(Boolean),
+    dimensions,
+    model_mad: describeValues(completed.map(run => run.model_mad)),
+    health_score: describeValues(completed.map(run => run.health_score)),
+    tiers: tierCounts,
+    modal_tier: modalTier,
+    tier_agreement: completed.length > 0 ? round2(modalCount / completed.length) : null,
+    expected_tier_rate: testCase.expected.tiers && completed.length > 0
+      ? round2(completed.filter(run => testCase.expected.tiers.includes(run.health_tier)).length / completed.length)
+      : null,
+    fired_rules: [...new Set(completed.flatMap(run => run.fired_rules.map(rule => rule.id)))],
+    rule_violations: ruleViolations,
+    expectation_misses: expectationMisses,
+  };
+}
+
+/**
+ * 彙整所有樣本
+ * @param {Array<Object>} caseReports - evaluateCaseRuns 的結果
+ * @returns {Object} 整體統計
+ */
+function summarizeGoldenSet(caseReports) {
+  const agreements = caseReports.map(report => report.tier_agreement).filter(value => value !== null);
+  const expectedRates = caseReports.map(report => report.expected_tier_rate).filter(value => value !== null);
+  const average = values => values.length > 0 ? round2(values.reduce((sum, value) => sum + value, 0) / values.length) : null;
+
+  const maxStddev = {};
+  for (const key of DIMENSION_KEYS) {
+    const values = caseReports.map(report => report.dimensions[key]?.stddev).filter(value => value !== undefined);
+    maxStddev[key] = values.length > 0 ? Math.max(...values) : null;
+  }
+
+  return {
+    cases: caseReports.length,
+    runs: caseReports.reduce((sum, report) => sum + report.runs, 0),
+    failed_runs: caseReports.reduce((sum, report) => sum + report.failed_runs, 0),
+    average_tier_agreement: average(agreements),
+    average_expected_tier_rate: average(expectedRates),
+    max_dimension_stddev: maxStddev,
+    rule_violations: caseReports.reduce((sum, report) => sum + report.rule_violations.length, 0),
+    expectation_misses: caseReports.reduce((sum, report) => sum + report.expectation_misses.length, 0),
+  };
+}
+
+/**
+ * 比較兩份評估報告（例如修改提示詞或更換模型前後）
+ * 規則違反以「每次分析平均件數」比較，兩份報告的執行次數不同時仍可比較
+ *
+ * @param {Object} baseline - 先前的報告
+ * @param {Object} current - 本次報告
+ * @returns {Array<Object>} 兩份報告都有的樣本
+ *   [{ id, modal_tier, health_score_mean, tier_agreement, stddev: { mad... }, rule_violations_per_run }]，各欄位為 { before, after, delta }
+ */
+function compareGoldenReports(baseline, current) {
+  const change = (before, after) => ({
+    before: before ?? null,
+    after: after ?? null,
+    delta: typeof before === 'number' && typeof after === 'number' ? round2(after - before) : null,
+  });
+
+  const violationsPerRun = report => report.runs > 0 ? round2(report.rule_violations.length / report.runs) : null;
+
+  const baselineCases = new Map(baseline.cases.map(report => [report.id, report]));
+  return current.cases
+    .filter(report => baselineCases.has(report.id))
+    .map(report => {
+      const previous = baselineCases.get(report.id);
+      const stddev = {};
+      for (const key of DIMENSION_KEYS) {
+        stddev[key] = change(previous.dimensions[key]?.stddev, report.dimensions[key]?.stddev);
+      }
+      return {
+        id: report.id,
+        modal_tier: change(previous.modal_tier, report.modal_tier),
+        health_score_mean: change(previous.health_score?.mean, report.health_score?.mean),
+        tier_agreement: change(previous.tier_agreement, report.tier_agreement),
+        stddev,
+        rule_violations_per_run: change(violationsPerRun(previous), violationsPerRun(report)),
+      };
+    });
+}
+
+export { loadGoldenSet, evaluateCaseRuns, summarizeGoldenSet, compareGoldenReports };
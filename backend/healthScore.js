@@ -0,0 +1,115 @@
+import { DEFAULT_SCORING_PROFILE } from "./scoringProfiles.js";
+
+// =========================
+//    合約健康評分
+// =========================
+
+/**
+ * 計算合約健康評分 (Elite Strategy Distribution - A 級主力化)
+ *
+ * 這個函數使用 M.A.X. 的四維度模型來評估合約的整體健康度：
+ *
+ * 四個維度：
+ * - MAD (Mutually Assured Destruction - 生存風險指標): 0-100, 越高越危險
+ * - MAO (Mutual Advantage Optimization - 互利營收指標): 0-100, 越高越好
+ * - MAA (Mutual Assured Attrition - 互相保證消耗): 0-100, 越高代表綁定越深/越穩定
+ * - MAP (Mutual Assured Potential - 戰略潛力指標): 0-100, 越高越好
+ *
+ * 權重、獎勵、熔斷與等級門檻來自評分設定檔 (backend/scoringProfiles.js)，內建 default 設定檔為：
+ * 總分 = [(100 - MAD) × 60%] + [(MAO + MAA + MAP)/3 × 40%] + 獎勵分
+ *
+ * 獎勵機制 (推動 A 級主力化):
+ * - A 級加速: MAD < 5 且 MAO > 75 → +5 分 (推升至 A 級)
+ * - S 級加速: MAD < 5 且 MAO > 85 → 額外 +3 分 (共 +8 分，推升至 S 級)
+ *
+ * 熔斷機制：
+ * - 若 MAD > 35: 總分強制不得超過 59 分（不及格）
+ *
+ * 等級劃分 (目標分佈):
+ * - S 級 (90-100): 獨角獸 - 10% | MAD<5, MAO>85 | 你的公司擁有絕對議價權
+ * - A 級 (80-89): 核心營收 - 40% 【主力部隊】 | MAD<5, MAO>75 | 優質合約是標準配備
+ * - B 級 (70-79): 備份選項 - 30% | 安全但平庸 | 食之無味，棄之可惜
+ * - C 級 (60-69): 改進區 - 15% | 不合格草約 | 需要談判改進
+ * - D 級 (<60): 拒絕往來 - 5% | 劇毒合約 | 系統熔斷
+ *
+ * @param {Object} overallDimensions - 整體維度分數 { mad, mao, maa, map }
+ * @param {Object} profile - 評分設定檔，預設為內建 default
+ * @param {Object} options - { silent: 不輸出計算日誌（批次重算時使用） }
+ * @returns {Object} { score: 健康評分 (0-100), dimensions: { mad, mao, maa, map }, tier: 等級, tierLabel: 等級名稱, breakdown: 計分明細 }
+ */
+function calculateHealthScore(overallDimensions, profile = DEFAULT_SCORING_PROFILE, options = {}) {
+  const log = options.silent ? () => {} : console.log;
+
+  // 預設值
+  const dimensions = {
+    mad: overallDimensions?.mad || 0,
+    mao: overallDimensions?.mao || 50,
+    maa: overallDimensions?.maa || 50,
+    map: overallDimensions?.map || 0
+  };
+
+  const { mad, mao, maa, map } = dimensions;
+
+  // 計算安全性得分 (Safety Score)
+  const safetyScore = (100 - mad) * profile.weights.safety;
+
+  // 計算價值性得分 (Value Score)：MAO、MAA、MAP 依設定檔的相對權重加權平均
+  const { value_weights: valueWeights } = profile;
+  const valueWeighted = (mao * valueWeights.mao + maa * valueWeights.maa + map * valueWeights.map) /
+    (valueWeights.mao + valueWeights.maa + valueWeights.map);
+  const valueScore = valueWeighted * profile.weights.value;
+
+  // 計算原始總分
+  let rawScore = safetyScore + valueScore;
+
+  // 🎯 獎勵機制：每一項獎勵條件獨立判斷，可疊加
+  let bonusPoints = 0;
+  let bonusReason = '';
+
+  for (const bonus of profile.bonuses) {
+    if (mad < bonus.mad_below && mao > bonus.mao_above) {
+      bonusPoints += bonus.points;
+      bonusReason += `${bonus.label}(+${bonus.points}) `;
+    }
+  }
+
+  rawScore += bonusPoints;
+
+  if (bonusPoints > 0) {
+    log(`✨ 獎勵加分: ${bonusReason}(總計 +${bonusPoints} 分)`);
+  }
+
+  // 🔴 熔斷機制：生存風險超過門檻時，無論利潤多高，總分強制不得超過上限（不及格）
+  const breaker = profile.circuit_breaker;
+  const circuitBreakerTriggered = Boolean(breaker && mad > breaker.mad_above);
+  if (circuitBreakerTriggered) {
+    rawScore = Math.min(rawScore, breaker.score_cap);
+    log(`⚠️ 風險熔斷觸發！MAD = ${mad} > ${breaker.mad_above}，健康評分上限鎖定為 ${breaker.score_cap} 分`);
+  }
+
+  // 限制在 0-100 範圍內
+  const finalScore = Math.round(Math.min(100, Math.max(0, rawScore)));
+
+  // 判斷等級（tiers 已依 min_score 由高到低排序）
+  const matchedTier = profile.tiers.find(t => finalScore >= t.min_score) || profile.tiers[profile.tiers.length - 1];
+  const tier = matchedTier.tier;
+  const tierLabel = matchedTier.label;
+
+  log(`計算詳情 [${profile.name}]: 安全分(${safetyScore.toFixed(1)}) + 價值分(${valueScore.toFixed(1)}) + 獎勵(${bonusPoints}) = ${finalScore} 分 [${tier}級-${tierLabel}]`);
+
+  return {
+    score: finalScore,
+    dimensions: dimensions,
+    tier: tier,
+    tierLabel: tierLabel,
+    breakdown: {
+      safetyScore: Math.round(safetyScore * 10) / 10,
+      valueScore: Math.round(valueScore * 10) / 10,
+      bonusPoints: bonusPoints,
+      circuitBreakerTriggered: circuitBreakerTriggered,
+      profile: profile.name
+    }
+  };
+}
+
+export { calculateHealthScore };
@@ -0,0 +1,183 @@
+import { EventEmitter } from "events";
+import crypto from "crypto";
+
+// =========================
+//    背景任務佇列
+// =========================
+
+// 同時執行的分析任務上限（每個任務會呼叫 OpenAI 與 Tavily 多次）
+const JOB_CONCURRENCY = Math.max(1, parseInt(process.env.JOB_CONCURRENCY || '2', 10) || 2);
+
+// 已結束的任務在記憶體中保留的時間，供前端重新整理後取回結果
+const JOB_RETENTION_MS = 60 * 60 * 1000;
+
+const jobs = new Map();
+const pendingJobs = [];
+const jobEvents = new EventEmitter();
+jobEvents.setMaxListeners(0);
+
+let runningCount = 0;
+
+/**
+ * 將任務轉為可回傳給前端的格式（不包含內部 payload）
+ * @param {Object} job - 任務物件
+ * @returns {Object} 公開的任務狀態
+ */
+function serializeJob(job) {
+  return {
+    job_id: job.job_id,
+    type: job.type,
+    user_id: job.user_id,
+    team_id: job.team_id,
+    status: job.status,
+    stage: job.stage,
+    message: job.message,
+    progress: job.progress,
+    created_at: job.created_at,
+    updated_at: job.updated_at,
+    result: job.result,
+    error: job.error,
+  };
+}
+
+/**
+ * 更新任務狀態並通知所有訂閱者
+ * @param {Object} job - 任務物件
+ * @param {Object} changes - 要更新的欄位
+ */
+function updateJob(job, changes) {
+  Object.assign(job, changes, { updated_at: new Date().toISOString() });
+  jobEvents.emit(job.job_id, serializeJob(job));
+}
+
+/**
+ * 在保留時間後從記憶體移除已結束的任務
+ * @param {Object} job - 任務物件
+ */
+function scheduleCleanup(job) {
+  const timer = setTimeout(() => jobs.delete(job.job_id), JOB_RETENTION_MS);
+  timer.unref();
+}
+
+/**
+ * 執行單一任務
+ * @param {Object} job - 任務物件
+ */
+async function runJob(job) {
+  runningCount++;
+  updateJob(job, { status: 'running', stage: 'started', message: '開始處理' });
+
+  const reportProgress = (stage, message, progress = null) => {
+    updateJob(job, { stage, message, progress });
+  };
+
+  try {
+    const result = await job.handler(job.payload, reportProgress);
+    updateJob(job, { status: 'completed', stage: 'completed', message: '分析完成', progress: null, result });
+  } catch (err) {
+    console.error(`❌ 任務 ${job.job_id} 失敗:`, err);
+    updateJob(job, {
+      status: 'failed',
+      stage: 'failed',
+      message: err.message,
+      progress: null,
+      error: { error: err.message, details: err.details, failure_id: err.failure_id },
+    });
+  } finally {
+    runningCount--;
+    delete job.payload;
+    delete job.handler;
+    scheduleCleanup(job);
+    drainQueue();
+  }
+}
+
+/**
+ * 在並行上限內啟動等待中的任務
+ */
+function drainQueue() {
+  while (runningCount < JOB_CONCURRENCY && pendingJobs.length > 0) {
+    runJob(pendingJobs.shift());
+  }
+}
+
+/**
+ * 建立新任務並放入佇列
+ * @param {string} type - 任務類型（例如 "upload"）
+ * @param {Object} payload - 傳給 handler 的資料
+ * @param {Function} handler - async (payload, reportProgress) => result
+ * @param {Object} owner - { userId: 建立任務的使用者, teamId: 任務所屬的團隊 }（同團隊的使用者與管理員可查詢）
+ * @returns {Object} 公開的任務狀態
+ */
+function enqueueJob(type, payload, handler, { userId = null, teamId = null } = {}) {
+  const now = new Date().toISOString();
+  const job = {
+    job_id: crypto.randomBytes(16).toString('hex'),
+    type,
+    user_id: userId,
+    team_id: teamId,
+    status: 'queued',
+    stage: 'queued',
+    message: '排隊等待中',
+    progress: null,
+    created_at: now,
+    updated_at: now,
+    result: null,
+    error: null,
+    payload,
+    handler,
+  };
+
+  jobs.set(job.job_id, job);
+  pendingJobs.push(job);
+  console.log(`📥 任務已排入佇列: ${job.job_id} (${type})，等待中 ${pendingJobs.length}，執行中 ${runningCount}`);
+  drainQueue();
+
+  return serializeJob(job);
+}
+
+/**
+ * 根據 ID 查找任務
+ * @param {string} jobId - 任務 ID
+ * @returns {Object|null} 公開的任務狀態
+ */
+function getJob(jobId) {
+  const job = jobs.get(jobId);
+  return job ? serializeJob(job) : null;
+}
+
+/**
+ * 查找尚未結束且符合條件的任務（例如同一文件正在分析中）
+ * @param {Function} predicate - (payload) => boolean
+ * @returns {Object|null} 公開的任務狀態
+ */
+function findActiveJob(predicate) {
+  for (const job of jobs.values()) {
+    if ((job.status === 'queued' || job.status === 'running') && predicate(job.payload)) {
+      return serializeJob(job);
+    }
+  }
+  return null;
+}
+
+/**
+ * 訂閱任務狀態變更
+ * @param {string} jobId - 任務 ID
+ * @param {Function} listener - 收到公開任務狀態的回呼
+ * @returns {Function} 取消訂閱函數
+ */
+function subscribeJob(jobId, listener) {
+  jobEvents.on(jobId, listener);
+  return () => jobEvents.off(jobId, listener);
+}
+
+/**
+ * 判斷任務是否已結束
+ * @param {Object} job - 公開的任務狀態
+ * @returns {boolean}
+ */
+function isJobFinished(job) {
+  return job.status === 'completed' || job.status === 'failed';
+}
+
+export { enqueueJob, getJob, findActiveJob, subscribeJob, isJobFinished };
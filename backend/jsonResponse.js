@@ -0,0 +1,98 @@
+// =========================
+//    AI 回應 JSON 解析
+// =========================
+
+/**
+ * 修復常見的 JSON 格式問題（增強版）
+ * @param {string} jsonStr - JSON 字串
+ * @returns {string} 修復後的 JSON 字串
+ */
+function fixCommonJSONIssues(jsonStr) {
+  let fixed = jsonStr;
+
+  // 移除 JSON 中的註解（// 和 /* */）
+  fixed = fixed.replace(/\/\/.*$/gm, "");
+  fixed = fixed.replace(/\/\*[\s\S]*?\*\//g, "");
+
+  // 移除尾隨逗號（trailing commas）- 多次運行以處理嵌套情況
+  for (let i = 0; i < 3; i++) {
+    fixed = fixed.replace(/,(\s*[}\]])/g, "$1");
+  }
+
+  return fixed;
+}
+
+/**
+ * 修復 AI 常見的 JSON 結構錯誤
+ * 注意：改用扁平 JSON 格式（評分回應不再使用巢狀的 dimensions 物件）後，結構性修復已不再需要
+ * 此函數保留作為修復流程的擴充點，目前不修改內容
+ * @param {string} jsonStr - 可能有結構問題的 JSON 字串
+ * @returns {string} 修復後的 JSON 字串
+ */
+function fixJSONStructure(jsonStr) {
+  return jsonStr;
+}
+
+/**
+ * 從 AI 回應中提取 JSON
+ * 處理可能包含 markdown code blocks 或額外文字的情況
+ * @param {string} text - AI 回應文字
+ * @returns {Object} 解析後的 JSON 物件（扁平格式）
+ */
+function extractJSON(text) {
+  // 嘗試直接解析
+  try {
+    return JSON.parse(text);
+  } catch (e) {
+    console.log("直接解析失敗，嘗試其他方法...");
+
+    // 嘗試提取 markdown code block 中的 JSON
+    let jsonMatch = text.match(/```(?:json)?\s*(\{[\s\S]*?\})\s*```/);
+    if (jsonMatch) {
+      try {
+        return JSON.parse(jsonMatch[1]);
+      } catch (e2) {
+        console.log("從 markdown 提取失敗，嘗試修復 JSON...");
+        try {
+          let fixed = fixJSONStructure(jsonMatch[1]);
+          fixed = fixCommonJSONIssues(fixed);
+          return JSON.parse(fixed);
+        } catch (e3) {
+          console.error("修復失敗:", e3.message);
+        }
+      }
+    }
+
+    // 嘗試找到第一個 { 和最後一個 }
+    const firstBrace = text.indexOf("{");
+    const lastBrace = text.lastIndexOf("}");
+
+    if (firstBrace !== -1 && lastBrace !== -1 && lastBrace > firstBrace) {
+      const jsonStr = text.substring(firstBrace, lastBrace + 1);
+
+      // 先嘗試直接解析
+      try {
+        return JSON.parse(jsonStr);
+      } catch (e2) {
+        console.log("提取的 JSON 解析失敗，嘗試修復...");
+        // 嘗試修復結構和常見問題後再解析
+        let fixed = jsonStr;
+        try {
+          fixed = fixJSONStructure(fixed);
+          fixed = fixCommonJSONIssues(fixed);
+          console.log("修復後的 JSON:", fixed.substring(0, 200) + "...");
+          return JSON.parse(fixed);
+        } catch (e3) {
+          console.error("修復後仍失敗:", e3.message);
+          console.error("嘗試的修復 JSON:", fixed.substring(0, 1000));
+          throw new Error(`無法解析 JSON，即使修復後仍失敗。原始錯誤: ${e3.message}\n提取的 JSON: ${jsonStr.substring(0, 500)}`);
+        }
+      }
+    }
+
+    // 如果都失敗，拋出詳細錯誤
+    throw new Error(`無法從回應中提取 JSON。原始錯誤: ${e.message}\n完整回應: ${text.substring(0, 1000)}`);
+  }
+}
+
+export { extractJSON, fixCommonJSONIssues };
@@ -0,0 +1,311 @@
+import fs from "fs";
+import path from "path";
+import crypto from "crypto";
+import OpenAI from "openai";
+
+// =========================
+//    LLM 供應商
+// =========================
+
+// 使用的供應商：openai | openai_compatible | mock
+const LLM_PROVIDER = process.env.LLM_PROVIDER || 'openai';
+
+// 模擬供應商的回應檔目錄
+const LLM_MOCK_FIXTURES_DIR = process.env.LLM_MOCK_FIXTURES_DIR || './fixtures/llm';
+
+/**
+ * 各階段的預設模型
+ * - basic_info：提取文件類型與乙方公司名稱
+ * - scoring：四維度評分（上傳與更新公司名稱）
+ * - section_findings：長合約分段分析，擷取各段落的條款發現
+ * - aggregation：長合約彙整各段落發現後進行四維度評分（使用評分模型）
+ * - redline：說明條款變動對各維度的影響
+ */
+const DEFAULT_STAGE_MODELS = {
+  basic_info: 'gpt-5.2',
+  scoring: 'gpt-4.1',
+  section_findings: 'gpt-4.1',
+  redline: 'gpt-4.1',
+};
+
+/**
+ * 依環境變數決定各階段模型（BASIC_INFO_MODEL、SCORING_MODEL、SECTION_MODEL、REDLINE_MODEL）
+ * @param {Object} defaults - 未設定環境變數時使用的模型
+ * @returns {Object} { basic_info, scoring, section_findings, aggregation, redline }
+ */
+function resolveStageModels(defaults = DEFAULT_STAGE_MODELS) {
+  const scoring = process.env.SCORING_MODEL || defaults.scoring;
+  return {
+    basic_info: process.env.BASIC_INFO_MODEL || defaults.basic_info,
+    scoring,
+    // 未指定時沿用評分模型
+    section_findings: process.env.SECTION_MODEL || (process.env.SCORING_MODEL ? scoring : defaults.section_findings),
+    aggregation: scoring,
+    redline: process.env.REDLINE_MODEL || (process.env.SCORING_MODEL ? scoring : defaults.redline),
+  };
+}
+
+/**
+ * 取得階段對應的模型，階段不存在時丟出錯誤
+ * @param {Object} models - 各階段模型
+ * @param {string} stage - 階段名稱
+ * @returns {string}
+ */
+function modelForStage(models, stage) {
+  if (!models[stage]) {
+    throw new Error(`未知的 LLM 階段: ${stage}`);
+  }
+  return models[stage];
+}
+
+/**
+ * 整理供應商回傳的 token 用量（Responses API 與 Chat Completions 欄位名稱不同）
+ * @param {Object|undefined} usage - 供應商回傳的 usage
+ * @returns {Object|null} { input_tokens, output_tokens }，供應商未回傳時為 null
+ */
+function normalizeTokenUsage(usage) {
+  if (!usage) return null;
+  return {
+    input_tokens: usage.input_tokens ?? usage.prompt_tokens ?? 0,
+    output_tokens: usage.output_tokens ?? usage.completion_tokens ?? 0,
+  };
+}
+
+/**
+ * OpenAI（Responses API，支援直接上傳 PDF）
+ *
+ * OPENAI_BASE_URL 由 SDK 自行讀取，可指向相容 Responses API 的代理伺服器
+ *
+ * @returns {Object} 供應商
+ */
+function createOpenAIProvider() {
+  const client = new OpenAI({
+    apiKey: process.env.OPENAI_API_KEY,
+  });
+  const models = resolveStageModels();
+
+  return {
+    name: 'openai',
+    supportsFiles: true,
+    models,
+
+    async uploadFile(filePath) {
+      const uploaded = await client.files.create({
+        file: fs.createReadStream(filePath),
+        purpose: "assistants",
+      });
+      return { id: uploaded.id };
+    },
+
+    async generateJSON(stage, content) {
+      const model = modelForStage(models, stage);
+      const response = await client.responses.create({
+        model,
+        text: {
+          format: {
+            type: "json_object"
+          }
+        },
+        temperature: 0,
+        input: [
+          {
+            role: "user",
+            content,
+          },
+        ],
+      });
+      return { text: response.output_text, model, usage: normalizeTokenUsage(response.usage) };
+    },
+  };
+}
+
+/**
+ * OpenAI 相容的本機端點（Ollama、vLLM、llama.cpp 等，使用 Chat Completions）
+ *
+ * 這類端點無法讀取 PDF 檔案，PDF 改以本機擷取的文字送出
+ *
+ * @returns {Object} 供應商
+ */
+function createCompatibleProvider() {
+  if (!process.env.LLM_BASE_URL) {
+    throw new Error('LLM_PROVIDER=openai_compatible 需要設定 LLM_BASE_URL（例如 http://localhost:11434/v1）');
+  }
+
+  const client = new OpenAI({
+    baseURL: process.env.LLM_BASE_URL,
+    // 本機端點通常不檢查金鑰，但 SDK 要求必須有值
+    apiKey: process.env.LLM_API_KEY || 'local',
+  });
+  const models = resolveStageModels({
+    basic_info: process.env.LLM_MODEL,
+    scoring: process.env.LLM_MODEL,
+    section_findings: process.env.LLM_MODEL,
+    redline: process.env.LLM_MODEL,
+  });
+  for (const [stage, model] of Object.entries(models)) {
+    if (!model) {
+      throw new Error(`LLM_PROVIDER=openai_compatible 需要設定 LLM_MODEL 或 ${stage.toUpperCase()}_MODEL`);
+    }
+  }
+
+  return {
+    name: 'openai_compatible',
+    supportsFiles: false,
+    models,
+
+    async uploadFile() {
+      throw new Error('OpenAI 相容端點不支援上傳檔案');
+    },
+
+    async generateJSON(stage, content) {
+      const model = modelForStage(models, stage);
+      if (content.some(part => part.type !== 'input_text')) {
+        throw new Error('OpenAI 相容端點只接受文字輸入');
+      }
+
+      const response = await client.chat.completions.create({
+        model,
+        response_format: { type: "json_object" },
+        temperature: 0,
+        messages: [
+          {
+            role: "user",
+            content: content.map(part => part.text).join(''),
+          },
+        ],
+      });
+      return { text: response.choices[0]?.message?.content || '', model, usage: normalizeTokenUsage(response.usage) };
+    },
+  };
+}
+
+/**
+ * 計算輸入內容的指紋，用於挑選模擬回應
+ * @param {string} stage - 階段名稱
+ * @param {Array<Object>} content - 輸入內容
+ * @returns {string} SHA-256 前 16 碼
+ */
+function fingerprintContent(stage, content) {
+  return crypto.createHash('sha256')
+    .update(JSON.stringify({ stage, content }))
+    .digest('hex')
+    .substring(0, 16);
+}
+
+/**
+ * 以回應檔模擬 LLM（離線測試與展示用，結果完全確定）
+ *
+ * 依序讀取：
+ * 1. <目錄>/<階段>/<輸入指紋>.json：針對特定輸入的回應
+ * 2. <目錄>/<階段>.json：該階段的預設回應
+ *
+ * 找不到回應檔時會在錯誤訊息中列出指紋，方便新增回應檔
+ *
+ * @param {string} fixturesDir - 回應檔目錄
+ * @returns {Object} 供應商
+ */
+function createMockProvider(fixturesDir = LLM_MOCK_FIXTURES_DIR) {
+  const models = resolveStageModels({ basic_info: 'mock', scoring: 'mock', section_findings: 'mock', redline: 'mock' });
+
+  return {
+    name: 'mock',
+    supportsFiles: true,
+    models,
+
+    async uploadFile(filePath) {
+      // 以檔案內容決定 ID，同一份文件每次得到相同結果
+      const hash = crypto.createHash('sha256').update(fs.readFileSync(filePath)).digest('hex');
+      return { id: `file-mock-${hash.substring(0, 24)}` };
+    },
+
+    async generateJSON(stage, content) {
+      const model = modelForStage(models, stage);
+      const fingerprint = fingerprintContent(stage, content);
+      const candidates = [
+        path.join(fixturesDir, stage, `${fingerprint}.json`),
+        path.join(fixturesDir, `${stage}.json`),
+      ];
+
+      const fixturePath = candidates.find(candidate => fs.existsSync(candidate));
+      if (!fixturePath) {
+        throw new Error(`找不到 LLM 模擬回應（階段 ${stage}，指紋 ${fingerprint}）: ${candidates.join(', ')}`);
+      }
+      return { text: fs.readFileSync(fixturePath, 'utf8'), model, usage: null };
+    },
+  };
+}
+
+/**
+ * 依 LLM_PROVIDER 建立供應商
+ *
+ * 每個供應商提供：
+ * - name：供應商名稱
+ * - supportsFiles：是否能直接讀取上傳的 PDF（否則需傳入擷取的文字）
+ * - models：各階段使用的模型 { basic_info, scoring, section_findings, aggregation, redline }
+ * - uploadFile(filePath) → { id }
+ * - generateJSON(stage, content) → { text, model, usage }
+ *   content 為 [{ type: "input_text", text }] 或 [{ type: "input_file", file_id }] 組成的陣列；
+ *   usage 為 { input_tokens, output_tokens }，供應商未回傳時為 null
+ *
+ * @param {string} providerName - 供應商名稱（預設為 LLM_PROVIDER）
+ * @returns {Object} 供應商
+ */
+function createLLMProvider(providerName = LLM_PROVIDER) {
+  switch (providerName) {
+    case 'openai':
+      return createOpenAIProvider();
+    case 'openai_compatible':
+      return createCompatibleProvider();
+    case 'mock':
+      return createMockProvider();
+    default:
+      throw new Error(`不支援的 LLM_PROVIDER: ${providerName}（可用值：openai、openai_compatible、mock）`);
+  }
+}
+
+/**
+ * 包裝供應商，累計每次呼叫的 token 用量（一次分析建立一個，記錄在合約上）
+ * @param {Object} llm - LLM 供應商
+ * @returns {Object} 供應商，另提供 getTokenUsage()
+ */
+function trackTokenUsage(llm) {
+  const stages = {};
+  let unreported = 0;
+
+  return {
+    ...llm,
+
+    async generateJSON(stage, content) {
+      const response = await llm.generateJSON(stage, content);
+      const entry = stages[stage] || (stages[stage] = { calls: 0, input_tokens: 0, output_tokens: 0 });
+      entry.calls++;
+      if (response.usage) {
+        entry.input_tokens += response.usage.input_tokens;
+        entry.output_tokens += response.usage.output_tokens;
+      } else {
+        unreported++;
+      }
+      return response;
+    },
+
+    /**
+     * 累計的 token 用量
+     * @returns {Object} { input_tokens, output_tokens, total_tokens, calls, unreported_calls, by_stage }
+     */
+    getTokenUsage() {
+      const byStage = structuredClone(stages);
+      const sum = key => Object.values(byStage).reduce((total, entry) => total + entry[key], 0);
+      return {
+        input_tokens: sum('input_tokens'),
+        output_tokens: sum('output_tokens'),
+        total_tokens: sum('input_tokens') + sum('output_tokens'),
+        calls: sum('calls'),
+        // 供應商未回傳用量的呼叫數（例如 mock），這些呼叫不計入 token 數
+        unreported_calls: unreported,
+        by_stage: byStage,
+      };
+    },
+  };
+}
+
+export { DEFAULT_STAGE_MODELS, createLLMProvider, createMockProvider, trackTokenUsage };
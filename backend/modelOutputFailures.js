@@ -0,0 +1,107 @@
+import crypto from "crypto";
+import { getDatabase } from "./contractStore.js";
+import { decryptText, encryptColumn, needsReencryption } from "./encryption.js";
+
+// =========================
+//    AI 回應驗證失敗紀錄
+// =========================
+
+// 每次嘗試保存的回應原文上限（字元）
+const MAX_RECORDED_RESPONSE_CHARS = 20000;
+
+/**
+ * 將資料列轉為失敗紀錄
+ * @param {Object|undefined} row - 資料列
+ * @param {boolean} includeAttempts - 是否包含每次嘗試的回應原文
+ * @returns {Object|null}
+ */
+function rowToFailure(row, includeAttempts = true) {
+  if (!row) return null;
+  const failure = {
+    failure_id: row.failure_id,
+    stage: row.stage,
+    model: row.model,
+    context: JSON.parse(row.context),
+    errors: JSON.parse(row.errors),
+    created_at: row.created_at,
+  };
+  const attempts = JSON.parse(decryptText(row.attempts));
+  if (includeAttempts) {
+    failure.attempts = attempts;
+  } else {
+    failure.attempt_count = attempts.length;
+  }
+  return failure;
+}
+
+/**
+ * 保存驗證失敗紀錄
+ * @param {Object} failure - { stage, model, context, attempts: [{ attempt, model, response_text, errors }] }
+ *   context 為呼叫端提供的追溯資訊（例如 filename、contract_id）
+ * @returns {Object} 失敗紀錄（errors 為最後一次嘗試的錯誤）
+ */
+function saveModelOutputFailure({ stage, model = null, context = {}, attempts }) {
+  const row = {
+    failure_id: crypto.randomBytes(12).toString('hex'),
+    stage,
+    model,
+    context: JSON.stringify(context),
+    errors: JSON.stringify(attempts[attempts.length - 1]?.errors || []),
+    // 回應原文包含合約內容，與合約同樣加密保存
+    attempts: encryptColumn(JSON.stringify(attempts.map(attempt => ({
+      ...attempt,
+      response_text: typeof attempt.response_text === 'string'
+        ? attempt.response_text.substring(0, MAX_RECORDED_RESPONSE_CHARS)
+        : null,
+    })))),
+    created_at: new Date().toISOString(),
+  };
+
+  getDatabase().prepare(`
+    INSERT INTO model_output_failures (failure_id, stage, model, context, errors, attempts, created_at)
+    VALUES (@failure_id, @stage, @model, @context, @errors, @attempts, @created_at)
+  `).run(row);
+
+  return rowToFailure(row);
+}
+
+/**
+ * 列出驗證失敗紀錄（新到舊，不含回應原文）
+ * @param {Object} options - { stage: 只列出特定階段, limit: 筆數上限 }
+ * @returns {Array<Object>}
+ */
+function listModelOutputFailures({ stage = null, limit = 50 } = {}) {
+  const rows = stage
+    ? getDatabase().prepare('SELECT * FROM model_output_failures WHERE stage = ? ORDER BY created_at DESC LIMIT ?').all(stage, limit)
+    : getDatabase().prepare('SELECT * FROM model_output_failures ORDER BY created_at DESC LIMIT ?').all(limit);
+  return rows.map(row => rowToFailure(row, false));
+}
+
+/**
+ * 取得單筆驗證失敗紀錄（含每次嘗試的回應原文）
+ * @param {string} failureId - 紀錄 ID
+ * @returns {Object|null}
+ */
+function getModelOutputFailure(failureId) {
+  return rowToFailure(getDatabase().prepare('SELECT * FROM model_output_failures WHERE failure_id = ?').get(failureId));
+}
+
+/**
+ * 以目前的金鑰重新加密所有失敗紀錄的回應原文（金鑰輪替用）
+ * @returns {number} 重新加密的筆數
+ */
+function reencryptModelOutputFailures() {
+  const database = getDatabase();
+  const update = database.prepare('UPDATE model_output_failures SET attempts = ? WHERE failure_id = ?');
+  let count = 0;
+  database.transaction(() => {
+    for (const row of database.prepare('SELECT failure_id, attempts FROM model_output_failures').all()) {
+      if (!needsReencryption(row.attempts)) continue;
+      update.run(encryptColumn(decryptText(row.attempts)), row.failure_id);
+      count++;
+    }
+  })();
+  return count;
+}
+
+export { saveModelOutputFailure, listModelOutputFailures, getModelOutputFailure, reencryptModelOutputFailures };
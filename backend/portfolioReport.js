@@ -0,0 +1,154 @@
+// =========================
+//    合約組合分佈報表
+// =========================
+
+/**
+ * 健康評分註解中宣稱的目標等級分佈（百分比）
+ */
+const TARGET_TIER_DISTRIBUTION = { S: 10, A: 40, B: 30, C: 15, D: 5 };
+
+const DIMENSION_KEYS = ['mad', 'mao', 'maa', 'map'];
+
+// 直方圖區間寬度：0-9、10-19 ... 90-100
+const HISTOGRAM_BUCKET_SIZE = 10;
+
+/**
+ * 四捨五入到小數點後一位
+ * @param {number} value
+ * @returns {number}
+ */
+function round1(value) {
+  return Math.round(value * 10) / 10;
+}
+
+/**
+ * 計算等級分佈
+ * @param {Array<string>} tiers - 每份合約的等級
+ * @param {Array<string>} tierOrder - 等級順序（由高到低）
+ * @returns {Object} { [tier]: { count, percentage } }
+ */
+function buildTierDistribution(tiers, tierOrder) {
+  const distribution = {};
+  for (const tier of tierOrder) {
+    distribution[tier] = { count: 0, percentage: 0 };
+  }
+  for (const tier of tiers) {
+    if (!distribution[tier]) distribution[tier] = { count: 0, percentage: 0 };
+    distribution[tier].count++;
+  }
+  for (const tier of Object.keys(distribution)) {
+    distribution[tier].percentage = tiers.length > 0 ? round1(distribution[tier].count / tiers.length * 100) : 0;
+  }
+  return distribution;
+}
+
+/**
+ * 計算單一維度的直方圖與統計
+ * @param {Array<number>} values - 維度分數
+ * @returns {Object} { average, min, max, histogram }
+ */
+function buildDimensionStats(values) {
+  const bucketCount = Math.ceil(100 / HISTOGRAM_BUCKET_SIZE);
+  const histogram = Array.from({ length: bucketCount }, (_, index) => {
+    const from = index * HISTOGRAM_BUCKET_SIZE;
+    const to = index === bucketCount - 1 ? 100 : from + HISTOGRAM_BUCKET_SIZE - 1;
+    return { range: `${from}-${to}`, count: 0 };
+  });
+
+  for (const value of values) {
+    const index = Math.min(bucketCount - 1, Math.floor(value / HISTOGRAM_BUCKET_SIZE));
+    histogram[index].count++;
+  }
+
+  return {
+    average: values.length > 0 ? round1(values.reduce((sum, v) => sum + v, 0) / values.length) : null,
+    min: values.length > 0 ? Math.min(...values) : null,
+    max: values.length > 0 ? Math.max(...values) : null,
+    histogram,
+  };
+}
+
+/**
+ * 產生目前合約組合的分佈報表
+ * @param {Array<Object>} contracts - 合約摘要（需含 health_tier、health_score、health_dimensions）
+ * @returns {Object} 報表
+ */
+function buildPortfolioReport(contracts) {
+  const scored = contracts.filter(c => c.health_dimensions);
+  const tierOrder = Object.keys(TARGET_TIER_DISTRIBUTION);
+  const distribution = buildTierDistribution(scored.map(c => c.health_tier || 'D'), tierOrder);
+
+  const targetComparison = tierOrder.map(tier => ({
+    tier,
+    target_percentage: TARGET_TIER_DISTRIBUTION[tier],
+    actual_percentage: distribution[tier].percentage,
+    difference: round1(distribution[tier].percentage - TARGET_TIER_DISTRIBUTION[tier]),
+  }));
+
+  const dimensions = {};
+  for (const key of DIMENSION_KEYS) {
+    dimensions[key] = buildDimensionStats(
+      scored.map(c => c.health_dimensions[key]).filter(v => typeof v === 'number')
+    );
+  }
+
+  const scores = scored.map(c => c.health_score).filter(v => typeof v === 'number');
+
+  return {
+    total_contracts: contracts.length,
+    scored_contracts: scored.length,
+    average_health_score: scores.length > 0 ? round1(scores.reduce((sum, v) => sum + v, 0) / scores.length) : null,
+    tier_distribution: distribution,
+    target_comparison: targetComparison,
+    dimensions,
+  };
+}
+
+/**
+ * 以候選設定檔重新計算所有合約，回報等級變化（不保存）
+ * @param {Array<Object>} contracts - 合約摘要
+ * @param {Object} profile - 候選評分設定檔
+ * @param {Function} scoreFn - (dimensions, profile) => calculateHealthScore 的結果
+ * @returns {Object} what-if 報表
+ */
+function buildWhatIfReport(contracts, profile, scoreFn) {
+  const scored = contracts.filter(c => c.health_dimensions);
+  const tierOrder = profile.tiers.map(t => t.tier);
+  const transitions = {};
+  const changedContracts = [];
+  const candidateTiers = [];
+
+  for (const contract of scored) {
+    const result = scoreFn(contract.health_dimensions, profile);
+    const fromTier = contract.health_tier || 'D';
+    candidateTiers.push(result.tier);
+
+    const key = `${fromTier}→${result.tier}`;
+    transitions[key] = (transitions[key] || 0) + 1;
+
+    if (result.tier !== fromTier) {
+      changedContracts.push({
+        contract_id: contract.contract_id,
+        filename: contract.filename,
+        seller_company: contract.seller_company,
+        from_tier: fromTier,
+        to_tier: result.tier,
+        from_score: contract.health_score,
+        to_score: result.score,
+      });
+    }
+  }
+
+  return {
+    profile: profile.name,
+    scored_contracts: scored.length,
+    changed_count: changedContracts.length,
+    unchanged_count: scored.length - changedContracts.length,
+    current_distribution: buildTierDistribution(scored.map(c => c.health_tier || 'D'), Object.keys(TARGET_TIER_DISTRIBUTION)),
+    candidate_distribution: buildTierDistribution(candidateTiers, tierOrder),
+    transitions,
+    changed_contracts: changedContracts,
+  };
+}
+
+export { TARGET_TIER_DISTRIBUTION, buildPortfolioReport, buildWhatIfReport };
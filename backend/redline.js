@@ -0,0 +1,318 @@
+// =========================
+//    合約文字差異（Redline）
+// =========================
+
+// 條款相似度低於此值時不視為同一條款（改列為刪除＋新增）
+const MIN_CLAUSE_SIMILARITY = 0.4;
+
+// 條款編號相同時的對齊加權，避免內容大改的同號條款被拆開
+const SAME_KEY_BONUS = 0.2;
+
+// 單一條款逐字比對的 DP 表格上限，超過時整段標示為刪除＋新增
+const MAX_DIFF_CELLS = 4000000;
+
+// 條款數上限（超過的部分併入最後一個條款），避免對齊計算過久
+const MAX_CLAUSES = 400;
+
+const CHINESE_DIGITS = { 零: 0, 〇: 0, 一: 1, 二: 2, 兩: 2, 三: 3, 四: 4, 五: 5, 六: 6, 七: 7, 八: 8, 九: 9 };
+const CHINESE_UNITS = { 十: 10, 百: 100, 千: 1000 };
+
+/**
+ * 條款標題樣式與編號擷取（依序比對，第一個符合者為準）
+ */
+const HEADING_PATTERNS = [
+  /^第\s*([一二三四五六七八九十百千零〇兩\d]+)\s*[條条章節节款]/,
+  /^(?:Article|Section|Clause)\s+(\d+(?:\.\d+)*)/i,
+  /^([一二三四五六七八九十百]+)\s*[、.．]/,
+  /^(\d+(?:\.\d+)+)\s+\S/,
+  /^(\d+)\s*[、.．)）]\s*\S/,
+];
+
+/**
+ * 中文數字轉阿拉伯數字（支援到千位，例如「二十一」→ 21）
+ * @param {string} value - 中文或阿拉伯數字
+ * @returns {string}
+ */
+function toArabicNumber(value) {
+  if (/^[\d.]+$/.test(value)) return value;
+
+  let total = 0;
+  let current = 0;
+  for (const char of value) {
+    if (char in CHINESE_DIGITS) {
+      current = CHINESE_DIGITS[char];
+    } else if (char in CHINESE_UNITS) {
+      total += (current || 1) * CHINESE_UNITS[char];
+      current = 0;
+    }
+  }
+  return String(total + current);
+}
+
+/**
+ * 判斷一行是否為條款標題
+ * @param {string} line - 去除前後空白的行
+ * @returns {string|null} 條款編號（阿拉伯數字），不是標題則為 null
+ */
+function matchHeading(line) {
+  for (const pattern of HEADING_PATTERNS) {
+    const match = line.match(pattern);
+    if (match) return toArabicNumber(match[1]);
+  }
+  return null;
+}
+
+/**
+ * 將合約全文切分為條款
+ *
+ * 依「第 X 條」、「一、」、「1.」、「Article 1」等標題切分；標題前的文字為前言。
+ * 找不到任何標題時改以空行分段。
+ *
+ * @param {string} text - 合約全文
+ * @returns {Array<Object>} [{ key, heading, text }]
+ */
+function splitIntoClauses(text) {
+  const lines = (text || '').replace(/\r\n?/g, '\n').split('\n');
+  const clauses = [];
+  let current = { key: 'preamble', heading: '前言', lines: [] };
+  let headingFound = false;
+
+  for (const rawLine of lines) {
+    const line = rawLine.trim();
+    const key = line ? matchHeading(line) : null;
+    if (key !== null) {
+      headingFound = true;
+      if (current.lines.some(l => l)) clauses.push(current);
+      current = { key, heading: line.substring(0, 80), lines: [line] };
+    } else {
+      current.lines.push(line);
+    }
+  }
+  if (current.lines.some(l => l)) clauses.push(current);
+
+  let result = clauses.map(clause => ({
+    key: clause.key,
+    heading: clause.heading,
+    text: clause.lines.join('\n').trim(),
+  }));
+
+  // 沒有條款標題：以空行分段
+  if (!headingFound) {
+    result = (text || '')
+      .split(/\n\s*\n/)
+      .map(paragraph => paragraph.trim())
+      .filter(Boolean)
+      .map((paragraph, index) => ({
+        key: null,
+        heading: `第 ${index + 1} 段`,
+        text: paragraph,
+      }));
+  }
+
+  if (result.length > MAX_CLAUSES) {
+    const overflow = result.splice(MAX_CLAUSES - 1);
+    result.push({
+      key: overflow[0].key,
+      heading: overflow[0].heading,
+      text: overflow.map(clause => clause.text).join('\n'),
+    });
+  }
+
+  return result;
+}
+
+/**
+ * 計算字元二元組（忽略空白），用於相似度比較
+ * @param {string} text
+ * @returns {Map<string, number>}
+ */
+function buildBigrams(text) {
+  const compact = text.replace(/\s+/g, '');
+  const bigrams = new Map();
+  for (let i = 0; i < compact.length - 1; i++) {
+    const bigram = compact.substring(i, i + 2);
+    bigrams.set(bigram, (bigrams.get(bigram) || 0) + 1);
+  }
+  return bigrams;
+}
+
+/**
+ * Dice 相似度（0–1）
+ * @param {Map<string, number>} a
+ * @param {Map<string, number>} b
+ * @returns {number}
+ */
+function diceSimilarity(a, b) {
+  let sizeA = 0;
+  let sizeB = 0;
+  let overlap = 0;
+  for (const count of a.values()) sizeA += count;
+  for (const count of b.values()) sizeB += count;
+  if (sizeA + sizeB === 0) return 1;
+
+  for (const [bigram, count] of a) {
+    overlap += Math.min(count, b.get(bigram) || 0);
+  }
+  return (2 * overlap) / (sizeA + sizeB);
+}
+
+/**
+ * 依順序對齊新舊條款（動態規劃，最大化配對相似度總和）
+ * @param {Array<Object>} beforeClauses - 舊版條款
+ * @param {Array<Object>} afterClauses - 新版條款
+ * @returns {Array<Object>} [{ before, after, similarity }]，未配對的一側為 null
+ */
+function alignClauses(beforeClauses, afterClauses) {
+  const n = beforeClauses.length;
+  const m = afterClauses.length;
+  const beforeBigrams = beforeClauses.map(clause => buildBigrams(clause.text));
+  const afterBigrams = afterClauses.map(clause => buildBigrams(clause.text));
+
+  const similarity = Array.from({ length: n }, (_, i) =>
+    Array.from({ length: m }, (_, j) => diceSimilarity(beforeBigrams[i], afterBigrams[j]))
+  );
+  const matchScore = (i, j) => {
+    const sameKey = beforeClauses[i].key !== null && beforeClauses[i].key === afterClauses[j].key;
+    const score = similarity[i][j] + (sameKey ? SAME_KEY_BONUS : 0);
+    return similarity[i][j] >= MIN_CLAUSE_SIMILARITY || (sameKey && similarity[i][j] >= MIN_CLAUSE_SIMILARITY / 2)
+      ? score
+      : -Infinity;
+  };
+
+  const score = Array.from({ length: n + 1 }, () => new Float64Array(m + 1));
+  for (let i = n - 1; i >= 0; i--) {
+    for (let j = m - 1; j >= 0; j--) {
+      score[i][j] = Math.max(score[i + 1][j], score[i][j + 1], matchScore(i, j) + score[i + 1][j + 1]);
+    }
+  }
+
+  const aligned = [];
+  let i = 0;
+  let j = 0;
+  while (i < n || j < m) {
+    if (i < n && j < m && score[i][j] === matchScore(i, j) + score[i + 1][j + 1]) {
+      aligned.push({ before: beforeClauses[i], after: afterClauses[j], similarity: similarity[i][j] });
+      i++;
+      j++;
+    } else if (i < n && (j >= m || score[i][j] === score[i + 1][j])) {
+      aligned.push({ before: beforeClauses[i], after: null, similarity: 0 });
+      i++;
+    } else {
+      aligned.push({ before: null, after: afterClauses[j], similarity: 0 });
+      j++;
+    }
+  }
+  return aligned;
+}
+
+/**
+ * 將文字切成比對單位：中日韓文字逐字、英數字以單字、空白與標點各自獨立
+ * @param {string} text
+ * @returns {Array<string>}
+ */
+function tokenize(text) {
+  return text.match(/[\u3400-\u9fff\uf900-\ufaff]|[A-Za-z0-9_]+|\s+|[^\sA-Za-z0-9_\u3400-\u9fff\uf900-\ufaff]/g) || [];
+}
+
+/**
+ * 逐字比對兩段文字（最長共同子序列）
+ * @param {string} beforeText - 舊文字
+ * @param {string} afterText - 新文字
+ * @returns {Array<Object>} [{ type: 'equal' | 'delete' | 'insert', text }]
+ */
+function diffText(beforeText, afterText) {
+  const a = tokenize(beforeText);
+  const b = tokenize(afterText);
+  const n = a.length;
+  const m = b.length;
+
+  if ((n + 1) * (m + 1) > MAX_DIFF_CELLS) {
+    return [
+      { type: 'delete', text: beforeText },
+      { type: 'insert', text: afterText },
+    ].filter(segment => segment.text);
+  }
+
+  // lcs[i][j] = a[i..] 與 b[j..] 的最長共同子序列長度
+  const width = m + 1;
+  const lcs = new Uint32Array((n + 1) * width);
+  for (let i = n - 1; i >= 0; i--) {
+    for (let j = m - 1; j >= 0; j--) {
+      lcs[i * width + j] = a[i] === b[j]
+        ? lcs[(i + 1) * width + j + 1] + 1
+        : Math.max(lcs[(i + 1) * width + j], lcs[i * width + j + 1]);
+    }
+  }
+
+  const segments = [];
+  const push = (type, token) => {
+    const last = segments[segments.length - 1];
+    if (last && last.type === type) {
+      last.text += token;
+    } else {
+      segments.push({ type, text: token });
+    }
+  };
+
+  let i = 0;
+  let j = 0;
+  while (i < n || j < m) {
+    if (i < n && j < m && a[i] === b[j]) {
+      push('equal', a[i]);
+      i++;
+      j++;
+    } else if (i < n && (j >= m || lcs[(i + 1) * width + j] >= lcs[i * width + j + 1])) {
+      // 同一位置先列刪除再列新增，與一般修訂檢視一致
+      push('delete', a[i]);
+      i++;
+    } else {
+      push('insert', b[j]);
+      j++;
+    }
+  }
+  return segments;
+}
+
+/**
+ * 比較兩份合約全文，產生依條款對齊的差異
+ *
+ * 每一項的格式：
+ * {
+ *   index: 0,
+ *   status: "unchanged" | "modified" | "added" | "removed",
+ *   before: { key, heading, text } | null,
+ *   after: { key, heading, text } | null,
+ *   similarity: 0.92,
+ *   segments: [{ type: "equal" | "delete" | "insert", text }]（僅 modified）
+ * }
+ *
+ * @param {string} beforeText - 舊版全文
+ * @param {string} afterText - 新版全文
+ * @returns {Object} { clauses, stats: { unchanged, modified, added, removed } }
+ */
+function buildRedline(beforeText, afterText) {
+  const aligned = alignClauses(splitIntoClauses(beforeText), splitIntoClauses(afterText));
+  const stats = { unchanged: 0, modified: 0, added: 0, removed: 0 };
+  const normalize = text => text.replace(/\s+/g, ' ').trim();
+
+  const clauses = aligned.map((pair, index) => {
+    let status;
+    if (!pair.before) status = 'added';
+    else if (!pair.after) status = 'removed';
+    else status = normalize(pair.before.text) === normalize(pair.after.text) ? 'unchanged' : 'modified';
+    stats[status]++;
+
+    return {
+      index,
+      status,
+      before: pair.before,
+      after: pair.after,
+      similarity: Math.round(pair.similarity * 100) / 100,
+      segments: status === 'modified' ? diffText(pair.before.text, pair.after.text) : undefined,
+    };
+  });
+
+  return { clauses, stats };
+}
+
+export { splitIntoClauses, diffText, buildRedline };
@@ -0,0 +1,221 @@
+import fs from "fs";
+import path from "path";
+import { TavilyClient } from "tavily";
+import { normalizeCompanyName } from "./companyName.js";
+
+// =========================
+//    背景調查搜尋供應商
+// =========================
+
+// 使用的供應商：tavily | http | fixture
+const RESEARCH_PROVIDER = process.env.RESEARCH_PROVIDER || 'tavily';
+
+const RESEARCH_QUERIES_PATH = process.env.RESEARCH_QUERIES_PATH || './config/researchQueries.json';
+
+// 錄製回應檔的目錄（設定後，每次搜尋結果都會寫入，供 fixture 供應商重播）
+const RESEARCH_RECORD_DIR = process.env.RESEARCH_RECORD_DIR || null;
+
+// fixture 供應商的回應檔目錄
+const RESEARCH_FIXTURES_DIR = process.env.RESEARCH_FIXTURES_DIR || './fixtures/research';
+
+/**
+ * 背景調查的五個項目（分析提示詞、規則引擎與公司檔案都依賴這些 key）
+ */
+const RESEARCH_KEYS = ['profile', 'customs', 'legal', 'responsible_person', 'responsible_person_legal'];
+
+/**
+ * 讀取搜尋查詢設定（每次調查時重新讀取，修改設定檔後不需重啟伺服器）
+ *
+ * 查詢範本中的 {company} 會替換為公司名稱
+ *
+ * @returns {Object} { search_options, queries: { key: template } }
+ */
+function loadResearchQueries() {
+  const config = JSON.parse(fs.readFileSync(RESEARCH_QUERIES_PATH, 'utf8'));
+  const queries = config.queries || {};
+
+  for (const key of RESEARCH_KEYS) {
+    if (typeof queries[key] !== 'string' || !queries[key].includes('{company}')) {
+      throw new Error(`搜尋查詢設定 queries.${key} 必須是包含 {company} 的字串`);
+    }
+  }
+  const unknownKeys = Object.keys(queries).filter(key => !RESEARCH_KEYS.includes(key));
+  if (unknownKeys.length > 0) {
+    throw new Error(`搜尋查詢設定包含未知的項目: ${unknownKeys.join(', ')}（可用項目：${RESEARCH_KEYS.join('、')}）`);
+  }
+
+  return {
+    search_options: config.search_options || {},
+    queries,
+  };
+}
+
+/**
+ * 產生公司的所有搜尋查詢
+ * @param {string} companyName - 公司名稱
+ * @returns {Array<Object>} [{ key, query, options }]，順序同 RESEARCH_KEYS
+ */
+function buildResearchQueries(companyName) {
+  const { search_options: options, queries } = loadResearchQueries();
+  return RESEARCH_KEYS.map(key => ({
+    key,
+    query: queries[key].replaceAll('{company}', companyName),
+    options,
+  }));
+}
+
+/**
+ * 將搜尋結果整理為統一格式
+ * @param {Object} result - 供應商回傳的結果
+ * @returns {Object} { answer, results: [{ title, url, content }] }
+ */
+function normalizeSearchResult(result) {
+  return {
+    answer: result?.answer || null,
+    results: Array.isArray(result?.results)
+      ? result.results.map(item => ({ title: item.title || '', url: item.url || '', content: item.content || '' }))
+      : [],
+  };
+}
+
+/**
+ * Tavily 搜尋 API
+ * @returns {Object} 供應商
+ */
+function createTavilyProvider() {
+  const client = new TavilyClient({
+    apiKey: process.env.TAVILY_API_KEY,
+  });
+
+  return {
+    name: 'tavily',
+    async search({ query, options }) {
+      return normalizeSearchResult(await client.search({ query, ...options }));
+    },
+  };
+}
+
+/**
+ * 通用 HTTP 搜尋服務（其他搜尋 API 的轉接服務或內部公司登記資料庫）
+ *
+ * 以 POST 送出 { key, query, company_name, options }，服務需回傳 { answer, results: [{ title, url, content }] }
+ *
+ * @returns {Object} 供應商
+ */
+function createHttpProvider() {
+  const url = process.env.RESEARCH_HTTP_URL;
+  if (!url) {
+    throw new Error('RESEARCH_PROVIDER=http 需要設定 RESEARCH_HTTP_URL');
+  }
+
+  const headers = { 'Content-Type': 'application/json' };
+  if (process.env.RESEARCH_HTTP_API_KEY) {
+    headers.Authorization = `Bearer ${process.env.RESEARCH_HTTP_API_KEY}`;
+  }
+
+  return {
+    name: 'http',
+    async search({ key, query, companyName, options }) {
+      const response = await fetch(url, {
+        method: 'POST',
+        headers,
+        body: JSON.stringify({ key, query, company_name: companyName, options }),
+      });
+      if (!response.ok) {
+        throw new Error(`搜尋服務回應 ${response.status}`);
+      }
+      return normalizeSearchResult(await response.json());
+    },
+  };
+}
+
+/**
+ * 回應檔路徑：<目錄>/<正規化公司名稱>/<項目>.json
+ * @param {string} directory - 回應檔目錄
+ * @param {string} companyName - 公司名稱
+ * @param {string} key - 背景調查項目
+ * @returns {string}
+ */
+function fixturePath(directory, companyName, key) {
+  return path.join(directory, normalizeCompanyName(companyName), `${key}.json`);
+}
+
+/**
+ * 重播錄製的搜尋結果（離線測試與展示用，不連網）
+ *
+ * 依序讀取：
+ * 1. <目錄>/<正規化公司名稱>/<項目>.json：特定公司的錄製結果
+ * 2. <目錄>/<項目>.json：預設結果
+ *
+ * 都沒有時回傳空結果，與搜尋失敗時的行為相同
+ *
+ * @param {string} fixturesDir - 回應檔目錄
+ * @returns {Object} 供應商
+ */
+function createFixtureProvider(fixturesDir = RESEARCH_FIXTURES_DIR) {
+  return {
+    name: 'fixture',
+    async search({ key, companyName }) {
+      const candidates = [
+        fixturePath(fixturesDir, companyName, key),
+        path.join(fixturesDir, `${key}.json`),
+      ];
+      const found = candidates.find(candidate => fs.existsSync(candidate));
+      if (!found) {
+        console.warn(`⚠️ 找不到「${companyName}」的 ${key} 搜尋回應檔: ${candidates.join(', ')}`);
+        return { answer: null, results: [] };
+      }
+      return normalizeSearchResult(JSON.parse(fs.readFileSync(found, 'utf8')));
+    },
+  };
+}
+
+/**
+ * 包裝供應商：把每次成功的搜尋結果寫入回應檔目錄
+ * @param {Object} provider - 實際執行搜尋的供應商
+ * @param {string} recordDir - 回應檔目錄
+ * @returns {Object} 供應商
+ */
+function withRecording(provider, recordDir) {
+  return {
+    name: `${provider.name}+record`,
+    async search(request) {
+      const result = await provider.search(request);
+      const target = fixturePath(recordDir, request.companyName, request.key);
+      fs.mkdirSync(path.dirname(target), { recursive: true });
+      fs.writeFileSync(target, JSON.stringify({ query: request.query, ...result }, null, 2));
+      return result;
+    },
+  };
+}
+
+/**
+ * 依 RESEARCH_PROVIDER 建立搜尋供應商
+ *
+ * 每個供應商提供：
+ * - name：供應商名稱
+ * - search({ key, query, companyName, options }) → { answer, results: [{ title, url, content }] }
+ *
+ * @param {string} providerName - 供應商名稱（預設為 RESEARCH_PROVIDER）
+ * @returns {Object} 供應商
+ */
+function createResearchProvider(providerName = RESEARCH_PROVIDER) {
+  let provider;
+  switch (providerName) {
+    case 'tavily':
+      provider = createTavilyProvider();
+      break;
+    case 'http':
+      provider = createHttpProvider();
+      break;
+    case 'fixture':
+      provider = createFixtureProvider();
+      break;
+    default:
+      throw new Error(`不支援的 RESEARCH_PROVIDER: ${providerName}（可用值：tavily、http、fixture）`);
+  }
+
+  return RESEARCH_RECORD_DIR ? withRecording(provider, RESEARCH_RECORD_DIR) : provider;
+}
+
+export { RESEARCH_KEYS, buildResearchQueries, createResearchProvider, createFixtureProvider };
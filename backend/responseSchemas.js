@@ -0,0 +1,234 @@
+import { CLAUSE_CATEGORIES } from "./flaggedClauses.js";
+
+// =========================
+//    AI 回應 JSON Schema
+// =========================
+//
+// 以 JSON Schema 的子集宣告各階段回應的格式（type、required、properties、
+// additionalProperties、enum、minimum、maximum、minLength、items），
+// 驗證失敗時錯誤訊息會回傳給模型要求修正
+
+const DIMENSION_SCORE = { type: 'number', minimum: 0, maximum: 100 };
+const DIMENSION_DELTA = { type: 'number', minimum: -100, maximum: 100 };
+const REQUIRED_TEXT = { type: 'string', minLength: 1 };
+
+const CLAUSE_FACTS_SCHEMA = {
+  type: 'object',
+  required: ['ip_ownership', 'jurisdiction'],
+  properties: {
+    ip_ownership: { type: 'string', enum: ['ours', 'shared', 'counterparty', 'not_specified'] },
+    jurisdiction: { type: 'string', enum: ['our_location', 'counterparty_location', 'domestic_other', 'overseas', 'not_specified'] },
+  },
+};
+
+const FLAGGED_CLAUSE_SCHEMA = {
+  type: 'object',
+  required: ['category', 'excerpt', 'location', 'impact', 'reason'],
+  properties: {
+    category: { type: 'string', enum: Object.keys(CLAUSE_CATEGORIES) },
+    excerpt: REQUIRED_TEXT,
+    location: { type: 'string' },
+    impact: {
+      type: 'object',
+      required: ['mad', 'mao', 'maa', 'map'],
+      properties: { mad: DIMENSION_DELTA, mao: DIMENSION_DELTA, maa: DIMENSION_DELTA, map: DIMENSION_DELTA },
+      additionalProperties: false,
+    },
+    reason: REQUIRED_TEXT,
+  },
+};
+
+const BASIC_INFO_SCHEMA = {
+  type: 'object',
+  required: ['document_type', 'seller_company'],
+  properties: {
+    document_type: REQUIRED_TEXT,
+    seller_company: REQUIRED_TEXT,
+  },
+};
+
+const SCORING_SCHEMA = {
+  type: 'object',
+  required: [
+    'mad', 'mao', 'maa', 'map',
+    'dimension_explanations_mad', 'dimension_explanations_mao', 'dimension_explanations_maa', 'dimension_explanations_map',
+    'overall_recommendation', 'clause_facts', 'flagged_clauses',
+  ],
+  properties: {
+    mad: DIMENSION_SCORE,
+    mao: DIMENSION_SCORE,
+    maa: DIMENSION_SCORE,
+    map: DIMENSION_SCORE,
+    dimension_explanations_mad: REQUIRED_TEXT,
+    dimension_explanations_mao: REQUIRED_TEXT,
+    dimension_explanations_maa: REQUIRED_TEXT,
+    dimension_explanations_map: REQUIRED_TEXT,
+    overall_recommendation: REQUIRED_TEXT,
+    clause_facts: CLAUSE_FACTS_SCHEMA,
+    flagged_clauses: { type: 'array', items: FLAGGED_CLAUSE_SCHEMA },
+  },
+};
+
+// 長合約分段分析：單一段落的摘要與條款發現
+const SECTION_FINDINGS_SCHEMA = {
+  type: 'object',
+  required: ['summary', 'clause_facts', 'findings'],
+  properties: {
+    summary: REQUIRED_TEXT,
+    clause_facts: CLAUSE_FACTS_SCHEMA,
+    findings: { type: 'array', items: FLAGGED_CLAUSE_SCHEMA },
+  },
+};
+
+// 各維度引用的段落 ID（例如 ["S2", "S5"]）
+const SECTION_CITATIONS = { type: 'array', items: REQUIRED_TEXT };
+
+// 長合約彙整評分：與 scoring 相同，另需標示每個條款與維度引用的段落
+const AGGREGATION_SCHEMA = {
+  ...SCORING_SCHEMA,
+  required: [...SCORING_SCHEMA.required, 'dimension_citations'],
+  properties: {
+    ...SCORING_SCHEMA.properties,
+    dimension_citations: {
+      type: 'object',
+      required: ['mad', 'mao', 'maa', 'map'],
+      properties: { mad: SECTION_CITATIONS, mao: SECTION_CITATIONS, maa: SECTION_CITATIONS, map: SECTION_CITATIONS },
+      additionalProperties: false,
+    },
+    flagged_clauses: {
+      type: 'array',
+      items: {
+        ...FLAGGED_CLAUSE_SCHEMA,
+        required: [...FLAGGED_CLAUSE_SCHEMA.required, 'section_id'],
+        properties: { ...FLAGGED_CLAUSE_SCHEMA.properties, section_id: REQUIRED_TEXT },
+      },
+    },
+  },
+};
+
+/**
+ * 各階段回應的 Schema（redline 說明另有容錯處理，不在此驗證）
+ */
+const RESPONSE_SCHEMAS = {
+  basic_info: BASIC_INFO_SCHEMA,
+  scoring: SCORING_SCHEMA,
+  section_findings: SECTION_FINDINGS_SCHEMA,
+  aggregation: AGGREGATION_SCHEMA,
+};
+
+/**
+ * 建立限定段落 ID 的彙整評分 Schema（引用不存在的段落時要求模型修正）
+ * @param {Array<string>} sectionIds - 段落 ID
+ * @returns {Object} Schema
+ */
+function buildAggregationSchema(sectionIds) {
+  const sectionId = { type: 'string', enum: sectionIds };
+  const citations = { type: 'array', items: sectionId };
+  const { dimension_citations: dimensionCitations, flagged_clauses: flaggedClauses } = AGGREGATION_SCHEMA.properties;
+  return {
+    ...AGGREGATION_SCHEMA,
+    properties: {
+      ...AGGREGATION_SCHEMA.properties,
+      dimension_citations: {
+        ...dimensionCitations,
+        properties: { mad: citations, mao: citations, maa: citations, map: citations },
+      },
+      flagged_clauses: {
+        ...flaggedClauses,
+        items: {
+          ...flaggedClauses.items,
+          properties: { ...flaggedClauses.items.properties, section_id: sectionId },
+        },
+      },
+    },
+  };
+}
+
+/**
+ * 取得值在 JSON Schema 中的型別名稱
+ * @param {*} value
+ * @returns {string}
+ */
+function typeOf(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  return typeof value;
+}
+
+/**
+ * 依 Schema 驗證值
+ * @param {Object} schema - Schema
+ * @param {*} value - 要驗證的值
+ * @param {string} path - 目前的欄位路徑（錯誤訊息用）
+ * @returns {Array<string>} 錯誤訊息
+ */
+function validateAgainstSchema(schema, value, path = '$') {
+  const actualType = typeOf(value);
+
+  if (schema.type === 'number') {
+    if (actualType !== 'number' || !Number.isFinite(value)) {
+      return [`${path} 必須是數字，目前為 ${JSON.stringify(value)}`];
+    }
+  } else if (schema.type && actualType !== schema.type) {
+    return [`${path} 必須是 ${schema.type}，目前為 ${actualType}`];
+  }
+
+  const errors = [];
+
+  if (schema.enum && !schema.enum.includes(value)) {
+    errors.push(`${path} 必須是 ${schema.enum.join(' | ')} 之一，目前為 ${JSON.stringify(value)}`);
+  }
+  if (schema.minimum !== undefined && value < schema.minimum) {
+    errors.push(`${path} 不可小於 ${schema.minimum}，目前為 ${value}`);
+  }
+  if (schema.maximum !== undefined && value > schema.maximum) {
+    errors.push(`${path} 不可大於 ${schema.maximum}，目前為 ${value}`);
+  }
+  if (schema.minLength !== undefined && value.trim().length < schema.minLength) {
+    errors.push(`${path} 不可為空字串`);
+  }
+
+  if (schema.type === 'object') {
+    for (const key of schema.required || []) {
+      if (value[key] === undefined) {
+        errors.push(`${path}.${key} 為必填欄位`);
+      }
+    }
+    for (const [key, childSchema] of Object.entries(schema.properties || {})) {
+      if (value[key] !== undefined) {
+        errors.push(...validateAgainstSchema(childSchema, value[key], `${path}.${key}`));
+      }
+    }
+    if (schema.additionalProperties === false) {
+      for (const key of Object.keys(value)) {
+        if (!schema.properties?.[key]) {
+          errors.push(`${path}.${key} 不是允許的欄位`);
+        }
+      }
+    }
+  }
+
+  if (schema.type === 'array' && schema.items) {
+    value.forEach((item, index) => {
+      errors.push(...validateAgainstSchema(schema.items, item, `${path}[${index}]`));
+    });
+  }
+
+  return errors;
+}
+
+/**
+ * 驗證階段回應
+ * @param {string} stage - 階段名稱（basic_info、scoring、section_findings、aggregation）
+ * @param {*} data - 解析後的回應
+ * @returns {Array<string>} 錯誤訊息，通過時為空陣列
+ */
+function validateModelResponse(stage, data) {
+  const schema = RESPONSE_SCHEMAS[stage];
+  if (!schema) {
+    throw new Error(`未宣告 ${stage} 階段的回應 Schema`);
+  }
+  return validateAgainstSchema(schema, data);
+}
+
+export { RESPONSE_SCHEMAS, buildAggregationSchema, validateAgainstSchema, validateModelResponse };
@@ -0,0 +1,170 @@
+import fs from "fs";
+import crypto from "crypto";
+
+// =========================
+//    MAD 確定性規則引擎
+// =========================
+
+const SCORING_RULES_PATH = process.env.SCORING_RULES_PATH || './config/scoringRules.json';
+
+// 判斷否定語句時，只檢查關鍵字前後這個範圍內的文字
+const NEGATION_WINDOW = 10;
+
+/**
+ * 讀取規則設定（每次評分時重新讀取，修改設定檔後不需重啟伺服器）
+ * @returns {Object} { config, version }，version 為設定檔內容的 SHA-256 前 12 碼
+ */
+function loadScoringRules() {
+  const content = fs.readFileSync(SCORING_RULES_PATH, 'utf8');
+  const config = JSON.parse(content);
+
+  if (!['floor', 'replace'].includes(config.mode)) {
+    throw new Error(`規則設定 mode 必須是 floor 或 replace，目前為 ${config.mode}`);
+  }
+
+  return {
+    config,
+    version: crypto.createHash('sha256').update(content).digest('hex').substring(0, 12),
+  };
+}
+
+/**
+ * 在背景調查文字中尋找未被否定的關鍵字
+ *
+ * 例如「該公司無任何破產紀錄」不算命中，「負責人遭限制出境」算命中
+ *
+ * @param {string} text - 背景調查回答
+ * @param {string} keyword - 關鍵字
+ * @param {Object} config - 規則設定（negation_terms、negation_suffixes）
+ * @returns {string|null} 命中的句子片段，未命中則為 null
+ */
+function findAffirmedKeyword(text, keyword, config) {
+  const lowerText = text.toLowerCase();
+  const lowerKeyword = keyword.toLowerCase();
+  const negationTerms = config.negation_terms || [];
+  const negationSuffixes = config.negation_suffixes || [];
+
+  let index = lowerText.indexOf(lowerKeyword);
+  while (index !== -1) {
+    // 只在同一句內判斷否定（以句號、分號、逗號、換行分句）
+    const sentenceStart = Math.max(
+      ...['。', '；', ';', '，', ',', '\n'].map(mark => lowerText.lastIndexOf(mark, index))
+    ) + 1;
+    const before = lowerText.substring(Math.max(sentenceStart, index - NEGATION_WINDOW), index);
+    const after = lowerText.substring(index + lowerKeyword.length, index + lowerKeyword.length + NEGATION_WINDOW);
+
+    const negated = negationTerms.some(term => before.includes(term.toLowerCase())) ||
+      negationSuffixes.some(suffix => after.includes(suffix.toLowerCase()));
+
+    if (!negated) {
+      return text.substring(sentenceStart, Math.min(text.length, index + keyword.length + NEGATION_WINDOW)).trim();
+    }
+
+    index = lowerText.indexOf(lowerKeyword, index + lowerKeyword.length);
+  }
+
+  return null;
+}
+
+/**
+ * 判斷單一規則是否成立
+ * @param {Object} rule - 規則
+ * @param {Object} clauseFacts - AI 抽取的條款事實
+ * @param {Object} companyData - 背景調查結果
+ * @param {Object} config - 規則設定
+ * @returns {Object|null} 命中證據，未命中則為 null
+ */
+function evaluateRule(rule, clauseFacts, companyData, config) {
+  const { when } = rule;
+
+  if (when.fact) {
+    const value = clauseFacts?.[when.fact];
+    return value === when.equals ? { fact: when.fact, value } : null;
+  }
+
+  if (when.background_keywords) {
+    for (const source of config.background_sources || []) {
+      const answer = companyData?.[source]?.answer;
+      if (!answer) continue;
+
+      for (const keyword of when.background_keywords) {
+        const excerpt = findAffirmedKeyword(answer, keyword, config);
+        if (excerpt) {
+          return { source, keyword, excerpt };
+        }
+      }
+    }
+  }
+
+  return null;
+}
+
+/**
+ * 以確定性規則調整 AI 給出的 MAD 分數
+ *
+ * 模式：
+ * - floor：規則加總作為 MAD 下限，最終 MAD = max(AI 的 MAD, 規則加總)
+ * - replace：IP、管轄等受規則管轄的條款改由規則計分，
+ *            最終 MAD = 其他分類條款的 AI 影響加總 + 規則加總
+ * 任何 set 規則（致命傷）命中時，MAD 直接等於 set 值
+ *
+ * @param {Object} result - AI 評分結果（含 mad、clause_facts）
+ * @param {Array<Object>} flaggedClauses - 整理後的 flagged_clauses
+ * @param {Object} companyData - 背景調查結果
+ * @returns {Object} { mad, rule_engine }，rule_engine 保存於合約記錄以供稽核
+ */
+function applyScoringRules(result, flaggedClauses, companyData) {
+  const { config, version } = loadScoringRules();
+  const clauseFacts = result.clause_facts || {};
+  const modelMad = result.mad;
+
+  const firedRules = [];
+  for (const rule of config.rules) {
+    const evidence = evaluateRule(rule, clauseFacts, companyData, config);
+    if (evidence) {
+      firedRules.push({
+        id: rule.id,
+        description: rule.description,
+        effect: rule.effect,
+        evidence,
+      });
+    }
+  }
+
+  const madRules = firedRules.filter(rule => rule.effect.dimension === 'mad');
+  const ruleMad = madRules.reduce((sum, rule) => sum + (rule.effect.add || 0), 0);
+  const setValues = madRules.filter(rule => typeof rule.effect.set === 'number').map(rule => rule.effect.set);
+
+  let mad;
+  if (setValues.length > 0) {
+    mad = Math.max(...setValues);
+  } else if (config.mode === 'replace') {
+    const governed = new Set(config.governed_categories || []);
+    const residualMad = (flaggedClauses || [])
+      .filter(clause => !governed.has(clause.category))
+      .reduce((sum, clause) => sum + Math.max(0, clause.impact?.mad || 0), 0);
+    mad = residualMad + ruleMad;
+  } else {
+    mad = Math.max(modelMad, ruleMad);
+  }
+  mad = Math.max(0, Math.min(100, Math.round(mad)));
+
+  if (firedRules.length > 0 || mad !== modelMad) {
+    console.log(`⚖️ 規則引擎 (${config.mode}): ${firedRules.map(r => r.id).join(', ') || '無規則命中'}，MAD ${modelMad} → ${mad}`);
+  }
+
+  return {
+    mad,
+    rule_engine: {
+      mode: config.mode,
+      rules_version: version,
+      model_mad: modelMad,
+      final_mad: mad,
+      clause_facts: clauseFacts,
+      fired_rules: firedRules,
+      evaluated_at: new Date().toISOString(),
+    },
+  };
+}
+
+export { applyScoringRules };
@@ -0,0 +1,190 @@
+import { getDatabase } from "./contractStore.js";
+
+// =========================
+//    評分設定檔 (Scoring Profiles)
+// =========================
+
+const DEFAULT_PROFILE_NAME = 'default';
+
+/**
+ * 內建預設設定檔：與原本寫死在 calculateHealthScore 的公式相同
+ * 總分 = [(100 - MAD) × 60%] + [(MAO + MAA + MAP)/3 × 40%] + 獎勵分，MAD > 35 時上限 59 分
+ */
+const DEFAULT_SCORING_PROFILE = {
+  name: DEFAULT_PROFILE_NAME,
+  description: 'Elite Strategy Distribution（A 級主力化）',
+  weights: { safety: 0.6, value: 0.4 },
+  value_weights: { mao: 1, maa: 1, map: 1 },
+  bonuses: [
+    { label: 'A級加速', mad_below: 5, mao_above: 75, points: 5 },
+    { label: 'S級加速', mad_below: 5, mao_above: 85, points: 3 },
+  ],
+  circuit_breaker: { mad_above: 35, score_cap: 59 },
+  tiers: [
+    { tier: 'S', min_score: 90, label: '王者' },
+    { tier: 'A', min_score: 80, label: '優質' },
+    { tier: 'B', min_score: 70, label: '標準' },
+    { tier: 'C', min_score: 60, label: '觀察' },
+    { tier: 'D', min_score: 0, label: '淘汰' },
+  ],
+};
+
+/**
+ * 檢查是否為有限數字
+ * @param {*} value
+ * @returns {boolean}
+ */
+function isNumber(value) {
+  return typeof value === 'number' && Number.isFinite(value);
+}
+
+/**
+ * 驗證設定檔內容
+ * @param {Object} profile - 設定檔
+ * @returns {Array<string>} 錯誤訊息列表（空陣列代表通過）
+ */
+function validateScoringProfile(profile) {
+  const errors = [];
+
+  if (!profile || typeof profile !== 'object') {
+    return ['設定檔必須是物件'];
+  }
+
+  if (!isNumber(profile.weights?.safety) || !isNumber(profile.weights?.value) ||
+      profile.weights.safety < 0 || profile.weights.value < 0) {
+    errors.push('weights.safety 與 weights.value 必須是非負數字');
+  }
+
+  const valueWeights = profile.value_weights || {};
+  if (!['mao', 'maa', 'map'].every(key => isNumber(valueWeights[key]) && valueWeights[key] >= 0) ||
+      valueWeights.mao + valueWeights.maa + valueWeights.map <= 0) {
+    errors.push('value_weights.mao / maa / map 必須是非負數字，且總和大於 0');
+  }
+
+  if (!Array.isArray(profile.bonuses)) {
+    errors.push('bonuses 必須是陣列');
+  } else {
+    profile.bonuses.forEach((bonus, index) => {
+      if (!isNumber(bonus.mad_below) || !isNumber(bonus.mao_above) || !isNumber(bonus.points)) {
+        errors.push(`bonuses[${index}] 必須包含數字 mad_below、mao_above、points`);
+      }
+    });
+  }
+
+  if (profile.circuit_breaker !== null &&
+      (!isNumber(profile.circuit_breaker?.mad_above) || !isNumber(profile.circuit_breaker?.score_cap))) {
+    errors.push('circuit_breaker 必須是 null 或包含數字 mad_above、score_cap');
+  }
+
+  if (!Array.isArray(profile.tiers) || profile.tiers.length === 0) {
+    errors.push('tiers 必須是非空陣列');
+  } else {
+    profile.tiers.forEach((tier, index) => {
+      if (typeof tier.tier !== 'string' || !tier.tier || !isNumber(tier.min_score) || typeof tier.label !== 'string') {
+        errors.push(`tiers[${index}] 必須包含 tier、min_score、label`);
+      }
+    });
+    if (!profile.tiers.some(tier => tier.min_score <= 0)) {
+      errors.push('tiers 必須有一個 min_score 為 0 的最低等級');
+    }
+  }
+
+  return errors;
+}
+
+/**
+ * 整理設定檔（只保留已知欄位，等級依 min_score 由高到低排序）
+ * @param {string} name - 設定檔名稱
+ * @param {Object} profile - 設定檔
+ * @returns {Object}
+ */
+function normalizeScoringProfile(name, profile) {
+  return {
+    name,
+    description: profile.description || '',
+    weights: { safety: profile.weights.safety, value: profile.weights.value },
+    value_weights: {
+      mao: profile.value_weights.mao,
+      maa: profile.value_weights.maa,
+      map: profile.value_weights.map,
+    },
+    bonuses: profile.bonuses.map(bonus => ({
+      label: bonus.label || '獎勵',
+      mad_below: bonus.mad_below,
+      mao_above: bonus.mao_above,
+      points: bonus.points,
+    })),
+    circuit_breaker: profile.circuit_breaker
+      ? { mad_above: profile.circuit_breaker.mad_above, score_cap: profile.circuit_breaker.score_cap }
+      : null,
+    tiers: [...profile.tiers]
+      .map(tier => ({ tier: tier.tier, min_score: tier.min_score, label: tier.label }))
+      .sort((a, b) => b.min_score - a.min_score),
+  };
+}
+
+/**
+ * 列出所有設定檔（內建 default 未被覆寫時也會列出）
+ * @returns {Array<Object>}
+ */
+function listScoringProfiles() {
+  const rows = getDatabase().prepare('SELECT data, updated_at FROM scoring_profiles ORDER BY name').all();
+  const profiles = rows.map(row => ({ ...JSON.parse(row.data), updated_at: row.updated_at }));
+
+  if (!profiles.some(profile => profile.name === DEFAULT_PROFILE_NAME)) {
+    profiles.unshift({ ...DEFAULT_SCORING_PROFILE, built_in: true });
+  }
+  return profiles;
+}
+
+/**
+ * 取得設定檔
+ * @param {string} name - 設定檔名稱
+ * @returns {Object|null} 設定檔，不存在則為 null
+ */
+function getScoringProfile(name = DEFAULT_PROFILE_NAME) {
+  const row = getDatabase().prepare('SELECT data FROM scoring_profiles WHERE name = ?').get(name);
+  if (row) return JSON.parse(row.data);
+  return name === DEFAULT_PROFILE_NAME ? DEFAULT_SCORING_PROFILE : null;
+}
+
+/**
+ * 新增或更新設定檔
+ * @param {string} name - 設定檔名稱
+ * @param {Object} profile - 設定檔內容
+ * @returns {Object} { profile } 或 { errors }
+ */
+function saveScoringProfile(name, profile) {
+  const errors = validateScoringProfile(profile);
+  if (errors.length > 0) {
+    return { errors };
+  }
+
+  const normalized = normalizeScoringProfile(name, profile);
+  getDatabase().prepare(`
+    INSERT INTO scoring_profiles (name, data, updated_at) VALUES (?, ?, ?)
+    ON CONFLICT (name) DO UPDATE SET data = excluded.data, updated_at = excluded.updated_at
+  `).run(name, JSON.stringify(normalized), new Date().toISOString());
+
+  return { profile: normalized };
+}
+
+/**
+ * 刪除設定檔（刪除 default 會恢復為內建設定）
+ * @param {string} name - 設定檔名稱
+ * @returns {boolean} 是否有刪除資料
+ */
+function deleteScoringProfile(name) {
+  const info = getDatabase().prepare('DELETE FROM scoring_profiles WHERE name = ?').run(name);
+  return info.changes > 0;
+}
+
+export {
+  DEFAULT_PROFILE_NAME,
+  DEFAULT_SCORING_PROFILE,
+  validateScoringProfile,
+  listScoringProfiles,
+  getScoringProfile,
+  saveScoringProfile,
+  deleteScoringProfile,
+};
@@ -0,0 +1,304 @@
+import fs from "fs";
+import path from "path";
+import crypto from "crypto";
+import { getDatabase } from "./contractStore.js";
+import { checkDocumentType } from "./documentIngestion.js";
+import { UPLOAD_MAX_BYTES, createUploadError, detectFileSignature } from "./uploadValidation.js";
+import { listZipEntries, readZipEntry } from "./zipArchive.js";
+
+// =========================
+//    批次上傳
+// =========================
+//
+// 一次上傳多份文件或 ZIP 壓縮檔，每份文件各自建立分析任務。
+// 批次與每個檔案的處理結果保存在 upload_batches / upload_batch_items（contractStore.js 遷移 v11），
+// 任務結束後仍可查詢；任務本身只存在記憶體中。
+
+// 每個批次的文件數上限（含 ZIP 內的文件）
+const BATCH_MAX_FILES = parseInt(process.env.BATCH_MAX_FILES || '100', 10);
+// ZIP 壓縮檔的大小上限（MB）；壓縮檔內的每份文件仍受 UPLOAD_MAX_MB 限制
+const BATCH_MAX_ZIP_BYTES = (Number(process.env.BATCH_MAX_ZIP_MB) || 200) * 1024 * 1024;
+// 每個批次的 ZIP 壓縮檔解壓縮後的總大小上限（MB），解壓縮前依中央目錄檢查，避免壓縮炸彈佔滿磁碟
+const BATCH_MAX_EXPANDED_BYTES = (Number(process.env.BATCH_MAX_EXPANDED_MB) || 500) * 1024 * 1024;
+
+// 檔案處理狀態
+const BATCH_ITEM_STATUSES = ['queued', 'running', 'completed', 'duplicate', 'failed'];
+
+// 壓縮檔中略過的系統檔案（macOS 資源檔、Windows 縮圖快取、隱藏檔）
+const IGNORED_ARCHIVE_ENTRY = /(^|\/)(__MACOSX\/|\.[^/]*$|Thumbs\.db$|desktop\.ini$)/i;
+
+/**
+ * 是否為 ZIP 壓縮檔（依副檔名）
+ * @param {string} filename - 檔名
+ * @returns {boolean}
+ */
+function isZipFilename(filename) {
+  return path.extname(filename || '').toLowerCase() === '.zip';
+}
+
+/**
+ * 將上傳的 ZIP 壓縮檔解開為待處理的文件
+ *
+ * 解壓縮前先以中央目錄記錄的大小檢查文件數與總大小，超過上限時整個壓縮檔都不解壓縮
+ *
+ * 每個文件：
+ * {
+ *   filename: "合約/服務合約.pdf",  // 壓縮檔內的路徑
+ *   archive: "legacy.zip",
+ *   path: "uploads/..." | null,      // 解壓縮後的暫存檔，無法處理時為 null
+ *   size: 48213,                     // 解壓縮後的大小，未解壓縮時為 0
+ *   error: Error | null              // createUploadError 建立的錯誤
+ * }
+ *
+ * @param {string} archivePath - 上傳的壓縮檔暫存路徑
+ * @param {string} archiveName - 壓縮檔原始檔名
+ * @param {Function} createTempPath - (filename) => 暫存檔路徑
+ * @param {Object} limits - 批次剩餘的額度 { maxFiles, maxBytes }
+ * @returns {Array<Object>}
+ * @throws {Error} 超過文件數（too_many_files）或解壓縮後總大小（archive_too_large）上限
+ */
+function expandUploadedArchive(archivePath, archiveName, createTempPath, {
+  maxFiles = BATCH_MAX_FILES,
+  maxBytes = BATCH_MAX_EXPANDED_BYTES,
+} = {}) {
+  const buffer = fs.readFileSync(archivePath);
+  if (detectFileSignature(buffer) !== 'zip') {
+    throw createUploadError(400, 'type_mismatch', '檔案內容與副檔名不符（不是 ZIP 壓縮檔）');
+  }
+
+  let entries;
+  try {
+    entries = listZipEntries(buffer);
+  } catch (error) {
+    throw createUploadError(400, 'corrupt_document', `無法讀取 ZIP 壓縮檔: ${error.message}`);
+  }
+
+  const documents = entries.filter(entry => !entry.directory && !IGNORED_ARCHIVE_ENTRY.test(entry.name));
+  if (documents.length > maxFiles) {
+    throw createUploadError(400, 'too_many_files', `一次最多上傳 ${BATCH_MAX_FILES} 份文件（含壓縮檔內的文件），「${archiveName}」內有 ${documents.length} 份`);
+  }
+
+  const items = documents.map(entry => {
+    const item = { filename: entry.name, archive: archiveName, path: null, size: 0, error: null };
+    const typeError = checkDocumentType(entry.name);
+    if (typeError) {
+      item.error = createUploadError(400, 'unsupported_type', typeError);
+    } else if (entry.encrypted) {
+      item.error = createUploadError(422, 'encrypted_document', '壓縮檔中的文件已加密，請移除密碼後再上傳');
+    } else if (entry.size > UPLOAD_MAX_BYTES) {
+      item.error = createUploadError(413, 'file_too_large', `文件超過 ${UPLOAD_MAX_BYTES / 1024 / 1024} MB 上限`);
+    }
+    return { entry, item };
+  });
+
+  // 中央目錄中重疊的項目也各自計入，總大小即為實際會寫入的大小
+  const expandedBytes = items
+    .filter(({ item }) => !item.error)
+    .reduce((total, { entry }) => total + entry.size, 0);
+  if (expandedBytes > maxBytes) {
+    throw createUploadError(413, 'archive_too_large', `壓縮檔解壓縮後超過 ${BATCH_MAX_EXPANDED_BYTES / 1024 / 1024} MB 上限（「${archiveName}」）`);
+  }
+
+  for (const { entry, item } of items) {
+    if (item.error) continue;
+    try {
+      const tempPath = createTempPath(entry.name);
+      fs.writeFileSync(tempPath, readZipEntry(buffer, entry), { mode: 0o600 });
+      item.path = tempPath;
+      item.size = entry.size;
+    } catch (error) {
+      item.error = createUploadError(400, 'corrupt_document', `無法解壓縮: ${error.message}`);
+    }
+  }
+  return items.map(({ item }) => item);
+}
+
+/**
+ * 將資料列轉為批次中的檔案
+ * @param {Object} row - 資料列
+ * @returns {Object}
+ */
+function rowToItem(row) {
+  return {
+    index: row.item_index,
+    filename: row.filename,
+    archive: row.archive,
+    status: row.status,
+    code: row.code,
+    error: row.error,
+    file_hash: row.file_hash,
+    job_id: row.job_id,
+    contract_id: row.contract_id,
+    duplicate_of_item: row.duplicate_of_item,
+    result: row.result ? JSON.parse(row.result) : null,
+    updated_at: row.updated_at,
+  };
+}
+
+/**
+ * 統計各狀態的檔案數
+ * @param {Array<Object>} items - 檔案
+ * @returns {Object} { total, queued, running, completed, duplicate, failed }
+ */
+function summarizeItems(items) {
+  const summary = { total: items.length };
+  for (const status of BATCH_ITEM_STATUSES) {
+    summary[status] = items.filter(item => item.status === status).length;
+  }
+  return summary;
+}
+
+/**
+ * 將資料列與檔案組成批次
+ * @param {Object} row - upload_batches 資料列
+ * @param {Array<Object>} items - 檔案
+ * @returns {Object}
+ */
+function toBatch(row, items) {
+  const summary = summarizeItems(items);
+  return {
+    batch_id: row.batch_id,
+    team_id: row.team_id,
+    user_id: row.user_id,
+    username: row.username,
+    scoring_profile: row.scoring_profile,
+    created_at: row.created_at,
+    summary,
+    finished: summary.queued === 0 && summary.running === 0,
+  };
+}
+
+/**
+ * 建立批次
+ * @param {Object} user - 上傳者
+ * @param {Object} options - { teamId, scoringProfile, items: [{ filename, archive, status, code, error, file_hash, job_id, contract_id, duplicate_of_item, result }] }
+ * @returns {Object} 批次（含檔案）
+ */
+function createBatch(user, { teamId = null, scoringProfile, items }) {
+  const database = getDatabase();
+  const now = new Date().toISOString();
+  const batchId = crypto.randomBytes(12).toString('hex');
+
+  const insertItem = database.prepare(`
+    INSERT INTO upload_batch_items (
+      batch_id, item_index, filename, archive, status, code, error, file_hash, job_id, contract_id, duplicate_of_item, result, updated_at
+    ) VALUES (
+      @batch_id, @item_index, @filename, @archive, @status, @code, @error, @file_hash, @job_id, @contract_id, @duplicate_of_item, @result, @updated_at
+    )
+  `);
+
+  database.transaction(() => {
+    database.prepare(`
+      INSERT INTO upload_batches (batch_id, team_id, user_id, username, scoring_profile, created_at)
+      VALUES (?, ?, ?, ?, ?, ?)
+    `).run(batchId, teamId, user?.user_id ?? null, user?.username ?? null, scoringProfile, now);
+
+    items.forEach((item, index) => {
+      insertItem.run({
+        batch_id: batchId,
+        item_index: index,
+        filename: item.filename,
+        archive: item.archive ?? null,
+        status: item.status,
+        code: item.code ?? null,
+        error: item.error ?? null,
+        file_hash: item.file_hash ?? null,
+        job_id: item.job_id ?? null,
+        contract_id: item.contract_id ?? null,
+        duplicate_of_item: item.duplicate_of_item ?? null,
+        result: item.result ? JSON.stringify(item.result) : null,
+        updated_at: now,
+      });
+    });
+  })();
+
+  return getBatch(batchId);
+}
+
+/**
+ * 更新批次中單一檔案的狀態（由分析任務呼叫）
+ * @param {string} batchId - 批次 ID
+ * @param {number} index - 檔案序號
+ * @param {Object} changes - { status, job_id, contract_id, error, code, result }
+ */
+function updateBatchItem(batchId, index, changes) {
+  const current = getDatabase()
+    .prepare('SELECT * FROM upload_batch_items WHERE batch_id = ? AND item_index = ?')
+    .get(batchId, index);
+  if (!current) return;
+
+  const next = { ...rowToItem(current), ...changes };
+  getDatabase().prepare(`
+    UPDATE upload_batch_items
+    SET status = ?, code = ?, error = ?, job_id = ?, contract_id = ?, result = ?, updated_at = ?
+    WHERE batch_id = ? AND item_index = ?
+  `).run(
+    next.status,
+    next.code,
+    next.error,
+    next.job_id,
+    next.contract_id,
+    next.result ? JSON.stringify(next.result) : null,
+    new Date().toISOString(),
+    batchId,
+    index
+  );
+}
+
+/**
+ * 取得批次與所有檔案的狀態
+ * @param {string} batchId - 批次 ID
+ * @returns {Object|null}
+ */
+function getBatch(batchId) {
+  const row = getDatabase().prepare('SELECT * FROM upload_batches WHERE batch_id = ?').get(batchId);
+  if (!row) return null;
+  const items = getDatabase()
+    .prepare('SELECT * FROM upload_batch_items WHERE batch_id = ? ORDER BY item_index')
+    .all(batchId)
+    .map(rowToItem);
+  return { ...toBatch(row, items), items };
+}
+
+/**
+ * 列出批次（新到舊，不含檔案明細）
+ * @param {Object} options - { teamId: 限定團隊, limit: 筆數上限 }
+ * @returns {Array<Object>}
+ */
+function listBatches({ teamId = null, limit = 50 } = {}) {
+  const rows = getDatabase()
+    .prepare(`
+      SELECT * FROM upload_batches
+      WHERE (@teamId IS NULL OR team_id = @teamId)
+      ORDER BY created_at DESC, rowid DESC
+      LIMIT @limit
+    `)
+    .all({ teamId, limit });
+  const selectItems = getDatabase().prepare('SELECT status FROM upload_batch_items WHERE batch_id = ?');
+  return rows.map(row => toBatch(row, selectItems.all(row.batch_id)));
+}
+
+/**
+ * 將尚未結束的檔案標示為失敗（伺服器重新啟動時，記憶體中的任務與暫存檔都已不存在）
+ * @returns {number} 標示的檔案數
+ */
+function failInterruptedBatchItems() {
+  return getDatabase().prepare(`
+    UPDATE upload_batch_items
+    SET status = 'failed', code = 'interrupted', error = '伺服器重新啟動，分析中斷，請重新上傳', updated_at = ?
+    WHERE status IN ('queued', 'running')
+  `).run(new Date().toISOString()).changes;
+}
+
+export {
+  BATCH_MAX_FILES,
+  BATCH_MAX_ZIP_BYTES,
+  BATCH_MAX_EXPANDED_BYTES,
+  isZipFilename,
+  expandUploadedArchive,
+  createBatch,
+  updateBatchItem,
+  getBatch,
+  listBatches,
+  failInterruptedBatchItems,
+};
@@ -0,0 +1,333 @@
+import fs from "fs";
+import { getDocumentProxy } from "unpdf";
+import { getDocumentType, checkDocumentType } from "./documentIngestion.js";
+import { listZipEntries, readZipEntry } from "./zipArchive.js";
+
+// =========================
+//    上傳文件驗證
+// =========================
+//
+// 上傳的文件在建立分析任務前檢查：
+// - 大小（multer 的 limits）與頁數上限
+// - 檔案內容（magic bytes）必須與副檔名相符
+// - 拒絕加密或有密碼保護的文件、含巨集的 Word 文件、含 JavaScript 或啟動動作的 PDF
+// 不通過時拋出帶有 HTTP 狀態與錯誤代碼的錯誤，由路由回傳 4xx
+
+// 單一檔案大小上限（MB）
+const UPLOAD_MAX_BYTES = (Number(process.env.UPLOAD_MAX_MB) || 25) * 1024 * 1024;
+// PDF 與 Word 文件的頁數上限（Word 依文件屬性記錄的頁數）
+const UPLOAD_MAX_PAGES = parseInt(process.env.UPLOAD_MAX_PAGES || '300', 10);
+
+// .docx 解壓縮後的大小上限（相對於檔案大小上限），避免壓縮炸彈
+const MAX_DOCX_EXPANSION = 20;
+
+// 純文字檔檢查是否為二進位檔的長度
+const TEXT_SNIFF_BYTES = 8192;
+
+// 各種檔案開頭的 magic bytes
+const FILE_SIGNATURES = [
+  { type: 'pdf', bytes: Buffer.from('%PDF-') },
+  { type: 'zip', bytes: Buffer.from([0x50, 0x4b, 0x03, 0x04]) },
+  { type: 'ole', bytes: Buffer.from([0xd0, 0xcf, 0x11, 0xe0, 0xa1, 0xb1, 0x1a, 0xe1]) },
+  { type: 'png', bytes: Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]) },
+  { type: 'jpeg', bytes: Buffer.from([0xff, 0xd8, 0xff]) },
+  { type: 'tiff', bytes: Buffer.from([0x49, 0x49, 0x2a, 0x00]) },
+  { type: 'tiff', bytes: Buffer.from([0x4d, 0x4d, 0x00, 0x2a]) },
+  { type: 'bmp', bytes: Buffer.from('BM') },
+];
+
+// 各副檔名允許的檔案內容
+const EXPECTED_SIGNATURES = {
+  '.pdf': ['pdf'],
+  '.docx': ['zip', 'ole'], // 加密的 .docx 是 OLE 容器，內容檢查時回傳「已加密」
+  '.doc': ['ole'],
+  '.png': ['png'],
+  '.jpg': ['jpeg'],
+  '.jpeg': ['jpeg'],
+  '.tif': ['tiff'],
+  '.tiff': ['tiff'],
+  '.bmp': ['bmp'],
+  '.webp': ['webp'],
+};
+
+// OLE 容器中代表 VBA 巨集或加密內容的項目名稱
+const OLE_MACRO_ENTRIES = ['Macros', '_VBA_PROJECT_CUR', 'VBA', '_VBA_PROJECT'];
+const OLE_ENCRYPTION_ENTRIES = ['EncryptionInfo', 'EncryptedPackage'];
+
+// OOXML 中代表 VBA 巨集的檔案
+const DOCX_MACRO_ENTRY = /(^|\/)(vbaProject\.bin|vbaData\.xml)$/i;
+
+// 未壓縮的 PDF 物件中開啟時會執行的動作；pdf.js 不會回報 OpenAction 的 Launch 與連結註解上的 JavaScript，以此補足
+const PDF_ACTIVE_CONTENT = /\/(JavaScript|JS|Launch)\b/;
+
+/**
+ * 建立上傳驗證錯誤
+ * @param {number} status - HTTP 狀態碼
+ * @param {string} code - 錯誤代碼
+ * @param {string} message - 錯誤訊息
+ * @returns {Error}
+ */
+function createUploadError(status, code, message) {
+  const error = new Error(message);
+  error.status = status;
+  error.code = code;
+  return error;
+}
+
+/**
+ * 依檔案開頭判斷檔案內容類型
+ * @param {Buffer} buffer - 檔案內容
+ * @returns {string|null} pdf、zip、ole、png、jpeg、tiff、bmp、webp，無法判斷時為 null
+ */
+function detectFileSignature(buffer) {
+  if (buffer.length >= 12 && buffer.toString('latin1', 0, 4) === 'RIFF' && buffer.toString('latin1', 8, 12) === 'WEBP') {
+    return 'webp';
+  }
+  const match = FILE_SIGNATURES.find(signature => buffer.subarray(0, signature.bytes.length).equals(signature.bytes));
+  return match ? match.type : null;
+}
+
+/**
+ * 讀取 OLE 複合文件（.doc 與加密的 Office 文件）的目錄
+ * @param {Buffer} buffer - 檔案內容
+ * @returns {Object} { entries: [{ name, start, size }], streamOffset: (entry) => number|null }
+ */
+function readOleDirectory(buffer) {
+  const sectorSize = 1 << buffer.readUInt16LE(0x1e);
+  const miniStreamCutoff = buffer.readUInt32LE(0x38);
+  const sectorOffset = sector => (sector + 1) * sectorSize;
+  const isSector = sector => sector < 0xfffffffa && sectorOffset(sector) + sectorSize <= buffer.length;
+
+  // FAT 所在的磁區：檔頭記錄前 109 個，其餘在 DIFAT 磁區鏈
+  const fatSectors = [];
+  for (let index = 0; index < 109; index++) {
+    fatSectors.push(buffer.readUInt32LE(0x4c + index * 4));
+  }
+  let difatSector = buffer.readUInt32LE(0x44);
+  for (let count = buffer.readUInt32LE(0x48); count > 0 && isSector(difatSector); count--) {
+    const offset = sectorOffset(difatSector);
+    for (let index = 0; index < sectorSize / 4 - 1; index++) {
+      fatSectors.push(buffer.readUInt32LE(offset + index * 4));
+    }
+    difatSector = buffer.readUInt32LE(offset + sectorSize - 4);
+  }
+
+  const fat = [];
+  for (const sector of fatSectors.filter(isSector)) {
+    const offset = sectorOffset(sector);
+    for (let index = 0; index < sectorSize / 4; index++) {
+      fat.push(buffer.readUInt32LE(offset + index * 4));
+    }
+  }
+
+  // 目錄磁區鏈，每個項目 128 bytes
+  const entries = [];
+  const visited = new Set();
+  for (let sector = buffer.readUInt32LE(0x30); isSector(sector) && !visited.has(sector); sector = fat[sector]) {
+    visited.add(sector);
+    const offset = sectorOffset(sector);
+    for (let entryOffset = offset; entryOffset < offset + sectorSize; entryOffset += 128) {
+      const nameLength = buffer.readUInt16LE(entryOffset + 0x40);
+      if (nameLength < 2) continue;
+      entries.push({
+        name: buffer.toString('utf16le', entryOffset, entryOffset + Math.min(nameLength, 64) - 2),
+        start: buffer.readUInt32LE(entryOffset + 0x74),
+        size: buffer.readUInt32LE(entryOffset + 0x78),
+      });
+    }
+  }
+
+  return {
+    entries,
+    // 只有存放在一般磁區（不小於 mini stream 門檻）的串流可以直接定位開頭
+    streamOffset: entry => (entry.size >= miniStreamCutoff && isSector(entry.start) ? sectorOffset(entry.start) : null),
+  };
+}
+
+/**
+ * 檢查 OLE 容器（.doc，或加密後的 .docx）
+ * @param {Buffer} buffer - 檔案內容
+ * @param {string} kind - 副檔名代表的類型（doc、docx）
+ */
+function inspectOleDocument(buffer, kind) {
+  let directory;
+  try {
+    directory = readOleDirectory(buffer);
+  } catch {
+    throw createUploadError(400, 'corrupt_document', '無法讀取 Word 文件（檔案可能已損毀）');
+  }
+  const names = new Set(directory.entries.map(entry => entry.name));
+
+  if (OLE_ENCRYPTION_ENTRIES.some(name => names.has(name))) {
+    throw createUploadError(422, 'encrypted_document', '文件已加密或設有開啟密碼，請移除密碼後再上傳');
+  }
+  if (kind === 'docx') {
+    throw createUploadError(400, 'type_mismatch', '檔案內容與副檔名不符（不是 .docx 文件）');
+  }
+  if (OLE_MACRO_ENTRIES.some(name => names.has(name))) {
+    throw createUploadError(422, 'macro_document', 'Word 文件含有巨集，基於安全考量不接受，請另存為不含巨集的文件後再上傳');
+  }
+
+  const wordDocument = directory.entries.find(entry => entry.name === 'WordDocument');
+  if (!wordDocument) {
+    throw createUploadError(400, 'type_mismatch', '檔案內容與副檔名不符（不是 Word 97-2003 文件）');
+  }
+  // FIB 的 fEncrypted 旗標（WordDocument 串流 0x0A 的第 8 位元）
+  const offset = directory.streamOffset(wordDocument);
+  if (offset !== null && buffer.readUInt16LE(offset + 0x0a) & 0x0100) {
+    throw createUploadError(422, 'encrypted_document', '文件已加密或設有開啟密碼，請移除密碼後再上傳');
+  }
+}
+
+/**
+ * 檢查 .docx（ZIP 容器）
+ * @param {Buffer} buffer - 檔案內容
+ * @returns {number|null} 文件屬性記錄的頁數
+ */
+function inspectDocx(buffer) {
+  let entries;
+  try {
+    entries = listZipEntries(buffer);
+  } catch {
+    throw createUploadError(400, 'corrupt_document', '無法讀取 Word 文件（檔案可能已損毀）');
+  }
+
+  if (entries.some(entry => entry.encrypted)) {
+    throw createUploadError(422, 'encrypted_document', '文件已加密或設有開啟密碼，請移除密碼後再上傳');
+  }
+  if (!entries.some(entry => entry.name === 'word/document.xml')) {
+    throw createUploadError(400, 'type_mismatch', '檔案內容與副檔名不符（不是 .docx 文件）');
+  }
+  if (entries.some(entry => DOCX_MACRO_ENTRY.test(entry.name))) {
+    throw createUploadError(422, 'macro_document', 'Word 文件含有巨集，基於安全考量不接受，請另存為不含巨集的文件後再上傳');
+  }
+  const expandedSize = entries.reduce((sum, entry) => sum + entry.size, 0);
+  if (expandedSize > UPLOAD_MAX_BYTES * MAX_DOCX_EXPANSION) {
+    throw createUploadError(413, 'file_too_large', 'Word 文件解壓縮後的內容過大');
+  }
+
+  // 頁數只在 Word 存檔時記錄於 docProps/app.xml，沒有時不檢查
+  const appProperties = entries.find(entry => entry.name === 'docProps/app.xml');
+  if (!appProperties) return null;
+  try {
+    const match = readZipEntry(buffer, appProperties).toString('utf8').match(/<Pages>(\d+)<\/Pages>/);
+    return match ? parseInt(match[1], 10) : null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * 透過 pdf.js 解析後的文件判斷是否含有主動內容（物件串流壓縮後的物件也能檢查到）
+ * - 文件層級：Catalog 的 OpenAction／AA 與 Names 中的 JavaScript
+ * - 頁面層級：頁面的 AA 與註解的動作
+ * - 連結註解指向本機檔案（Launch、GoToR）或不安全的網址（例如 javascript:）
+ * @param {Object} pdf - pdf.js 的 PDFDocumentProxy
+ * @returns {Promise<boolean>}
+ */
+async function hasPdfActiveContent(pdf) {
+  if (await pdf.getJSActions()) return true;
+
+  for (let pageNumber = 1; pageNumber <= pdf.numPages; pageNumber++) {
+    const page = await pdf.getPage(pageNumber);
+    if (await page.getJSActions()) return true;
+
+    const annotations = await page.getAnnotations();
+    if (annotations.some(annotation => annotation.actions || (annotation.unsafeUrl && !annotation.url))) {
+      return true;
+    }
+  }
+  return false;
+}
+
+/**
+ * 檢查 PDF
+ * @param {Buffer} buffer - 檔案內容
+ * @returns {Promise<number>} 頁數
+ */
+async function inspectPdf(buffer) {
+  let pdf;
+  try {
+    pdf = await getDocumentProxy(new Uint8Array(buffer));
+  } catch (error) {
+    if (error?.name === 'PasswordException') {
+      throw createUploadError(422, 'encrypted_document', 'PDF 設有開啟密碼，請移除密碼後再上傳');
+    }
+    throw createUploadError(400, 'corrupt_document', '無法讀取 PDF 文件（檔案可能已損毀）');
+  }
+  try {
+    if (PDF_ACTIVE_CONTENT.test(buffer.toString('latin1')) || await hasPdfActiveContent(pdf)) {
+      throw createUploadError(422, 'active_content', 'PDF 含有 JavaScript 或啟動外部程式的動作，基於安全考量不接受');
+    }
+    return pdf.numPages;
+  } finally {
+    await pdf.destroy();
+  }
+}
+
+/**
+ * 驗證上傳的文件內容（大小由 multer 限制，這裡檢查內容與頁數）
+ * @param {string} filePath - 上傳的暫存檔路徑
+ * @param {string} originalFilename - 原始檔名
+ * @returns {Promise<Object>} { kind, pages }，pages 為 null 表示無法得知頁數
+ * @throws {Error} 帶有 status 與 code 的上傳驗證錯誤
+ */
+async function validateUploadedFile(filePath, originalFilename) {
+  const type = getDocumentType(originalFilename);
+  if (!type) {
+    throw createUploadError(400, 'unsupported_type', checkDocumentType(originalFilename));
+  }
+
+  const buffer = fs.readFileSync(filePath);
+  if (buffer.length === 0) {
+    throw createUploadError(400, 'empty_file', '上傳的文件是空的');
+  }
+  if (buffer.length > UPLOAD_MAX_BYTES) {
+    throw createUploadError(413, 'file_too_large', `文件超過 ${UPLOAD_MAX_BYTES / 1024 / 1024} MB 上限`);
+  }
+
+  const signature = detectFileSignature(buffer);
+  if (type.kind === 'text') {
+    // 純文字檔不能是其他已知格式，也不能含有 NUL（二進位檔）
+    if (signature || buffer.subarray(0, TEXT_SNIFF_BYTES).includes(0)) {
+      throw createUploadError(400, 'type_mismatch', '檔案內容與副檔名不符（不是純文字檔）');
+    }
+  } else if (!EXPECTED_SIGNATURES[type.extension].includes(signature)) {
+    throw createUploadError(400, 'type_mismatch', `檔案內容與副檔名不符（不是 ${type.label} 文件）`);
+  }
+
+  let pages = null;
+  if (type.kind === 'pdf') {
+    pages = await inspectPdf(buffer);
+  } else if (signature === 'ole') {
+    inspectOleDocument(buffer, type.kind);
+  } else if (type.kind === 'docx') {
+    pages = inspectDocx(buffer);
+  } else if (type.kind === 'image') {
+    pages = 1;
+  }
+
+  if (pages !== null && pages > UPLOAD_MAX_PAGES) {
+    throw createUploadError(413, 'too_many_pages', `文件共 ${pages} 頁，超過 ${UPLOAD_MAX_PAGES} 頁上限`);
+  }
+  return { kind: type.kind, pages };
+}
+
+/**
+ * 刪除上傳的暫存檔（已刪除時忽略）
+ * @param {string|undefined} filePath - 暫存檔路徑
+ */
+function removeUploadedFile(filePath) {
+  if (filePath) {
+    fs.rmSync(filePath, { force: true });
+  }
+}
+
+export {
+  UPLOAD_MAX_BYTES,
+  UPLOAD_MAX_PAGES,
+  createUploadError,
+  detectFileSignature,
+  validateUploadedFile,
+  removeUploadedFile,
+};
@@ -0,0 +1,208 @@
+import zlib from "zlib";
+
+// =========================
+//    ZIP 檔案讀取
+// =========================
+//
+// 讀取中央目錄與個別檔案，用於檢查 .docx 內容（巨集、加密）與展開批次上傳的壓縮檔；
+// 寫入只用於產生 .docx 報告。不支援 ZIP64 與分割壓縮檔
+
+const END_OF_CENTRAL_DIRECTORY = 0x06054b50;
+const CENTRAL_DIRECTORY_ENTRY = 0x02014b50;
+const LOCAL_FILE_HEADER = 0x04034b50;
+
+// 中央目錄結尾的固定長度與註解長度上限
+const END_OF_CENTRAL_DIRECTORY_SIZE = 22;
+const MAX_COMMENT_LENGTH = 0xffff;
+
+// 一般旗標：檔名以 UTF-8 記錄
+const UTF8_FLAG = 0x800;
+// 修改日期 1980-01-01 00:00（DOS 格式），相同內容產生相同的檔案
+const DOS_DATE = 0x21;
+
+// CRC-32（IEEE 802.3）查表；zlib.crc32 需要 Node.js 20.15 以上，因此自行計算
+const CRC32_TABLE = Array.from({ length: 256 }, (_, index) => {
+  let value = index;
+  for (let bit = 0; bit < 8; bit++) {
+    value = value & 1 ? 0xedb88320 ^ (value >>> 1) : value >>> 1;
+  }
+  return value >>> 0;
+});
+
+/**
+ * 計算 ZIP 項目使用的 CRC-32
+ * @param {Buffer} data - 內容
+ * @returns {number} 無號 32 位元整數
+ */
+function crc32(data) {
+  let crc = 0xffffffff;
+  for (const byte of data) {
+    crc = CRC32_TABLE[(crc ^ byte) & 0xff] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
+/**
+ * 解碼 ZIP 內的檔名：有 UTF-8 旗標或可以 UTF-8 解碼時使用 UTF-8，否則視為 Big5（繁體中文 Windows 建立的壓縮檔）
+ * @param {Buffer} bytes - 檔名
+ * @param {boolean} utf8Flag - 是否有 UTF-8 旗標
+ * @returns {string}
+ */
+function decodeEntryName(bytes, utf8Flag) {
+  try {
+    return new TextDecoder('utf-8', { fatal: !utf8Flag }).decode(bytes);
+  } catch {
+    return new TextDecoder('big5').decode(bytes);
+  }
+}
+
+/**
+ * 列出 ZIP 檔案中的項目
+ *
+ * 每個項目：
+ * {
+ *   name: "word/document.xml",
+ *   size: 12034,            // 解壓縮後的大小
+ *   compressed_size: 3021,
+ *   method: 8,              // 0 未壓縮、8 deflate
+ *   encrypted: false,
+ *   directory: false,
+ *   local_offset: 0
+ * }
+ *
+ * @param {Buffer} buffer - ZIP 檔案內容
+ * @returns {Array<Object>}
+ */
+function listZipEntries(buffer) {
+  const minOffset = Math.max(0, buffer.length - END_OF_CENTRAL_DIRECTORY_SIZE - MAX_COMMENT_LENGTH);
+  let endOffset = -1;
+  for (let offset = buffer.length - END_OF_CENTRAL_DIRECTORY_SIZE; offset >= minOffset; offset--) {
+    if (buffer.readUInt32LE(offset) === END_OF_CENTRAL_DIRECTORY) {
+      endOffset = offset;
+      break;
+    }
+  }
+  if (endOffset < 0) {
+    throw new Error('不是有效的 ZIP 檔案');
+  }
+
+  const count = buffer.readUInt16LE(endOffset + 10);
+  let offset = buffer.readUInt32LE(endOffset + 16);
+  if (count === 0xffff || offset === 0xffffffff) {
+    throw new Error('不支援 ZIP64 格式');
+  }
+
+  const entries = [];
+  for (let index = 0; index < count; index++) {
+    if (offset + 46 > buffer.length || buffer.readUInt32LE(offset) !== CENTRAL_DIRECTORY_ENTRY) {
+      throw new Error('ZIP 中央目錄已損毀');
+    }
+    const flags = buffer.readUInt16LE(offset + 8);
+    const nameLength = buffer.readUInt16LE(offset + 28);
+    const extraLength = buffer.readUInt16LE(offset + 30);
+    const commentLength = buffer.readUInt16LE(offset + 32);
+    const name = decodeEntryName(buffer.subarray(offset + 46, offset + 46 + nameLength), Boolean(flags & 0x800));
+
+    entries.push({
+      name,
+      size: buffer.readUInt32LE(offset + 24),
+      compressed_size: buffer.readUInt32LE(offset + 20),
+      method: buffer.readUInt16LE(offset + 10),
+      encrypted: Boolean(flags & 0x1),
+      directory: name.endsWith('/'),
+      local_offset: buffer.readUInt32LE(offset + 42),
+    });
+    offset += 46 + nameLength + extraLength + commentLength;
+  }
+  return entries;
+}
+
+/**
+ * 讀取 ZIP 中的單一檔案
+ * @param {Buffer} buffer - ZIP 檔案內容
+ * @param {Object} entry - listZipEntries 的項目
+ * @returns {Buffer} 解壓縮後的內容
+ */
+function readZipEntry(buffer, entry) {
+  if (entry.encrypted) {
+    throw new Error(`ZIP 中的檔案已加密: ${entry.name}`);
+  }
+  const offset = entry.local_offset;
+  if (offset + 30 > buffer.length || buffer.readUInt32LE(offset) !== LOCAL_FILE_HEADER) {
+    throw new Error(`ZIP 檔案已損毀: ${entry.name}`);
+  }
+  const start = offset + 30 + buffer.readUInt16LE(offset + 26) + buffer.readUInt16LE(offset + 28);
+  const data = buffer.subarray(start, start + entry.compressed_size);
+
+  let content;
+  if (entry.method === 0) {
+    content = Buffer.from(data);
+  } else if (entry.method === 8) {
+    // 以中央目錄記錄的大小限制解壓縮結果，避免壓縮炸彈
+    content = zlib.inflateRawSync(data, { maxOutputLength: Math.max(entry.size, 1) });
+  } else {
+    throw new Error(`不支援的 ZIP 壓縮方式 (${entry.method}): ${entry.name}`);
+  }
+  if (content.length !== entry.size) {
+    throw new Error(`ZIP 檔案已損毀: ${entry.name}`);
+  }
+  return content;
+}
+
+/**
+ * 產生 ZIP 檔案（deflate 壓縮，檔名以 UTF-8 記錄）
+ * @param {Object} files - { 檔名: 內容 (Buffer|string) }，依物件順序寫入
+ * @returns {Buffer}
+ */
+function createZip(files) {
+  const localParts = [];
+  const centralParts = [];
+  let offset = 0;
+
+  for (const [name, content] of Object.entries(files)) {
+    const data = Buffer.from(content);
+    const compressed = zlib.deflateRawSync(data);
+    const nameBytes = Buffer.from(name, 'utf8');
+    const crc = crc32(data);
+
+    const local = Buffer.alloc(30);
+    local.writeUInt32LE(LOCAL_FILE_HEADER, 0);
+    local.writeUInt16LE(20, 4);
+    local.writeUInt16LE(UTF8_FLAG, 6);
+    local.writeUInt16LE(8, 8);
+    local.writeUInt16LE(DOS_DATE, 12);
+    local.writeUInt32LE(crc, 14);
+    local.writeUInt32LE(compressed.length, 18);
+    local.writeUInt32LE(data.length, 22);
+    local.writeUInt16LE(nameBytes.length, 26);
+
+    const central = Buffer.alloc(46);
+    central.writeUInt32LE(CENTRAL_DIRECTORY_ENTRY, 0);
+    central.writeUInt16LE(20, 4);
+    central.writeUInt16LE(20, 6);
+    central.writeUInt16LE(UTF8_FLAG, 8);
+    central.writeUInt16LE(8, 10);
+    central.writeUInt16LE(DOS_DATE, 14);
+    central.writeUInt32LE(crc, 16);
+    central.writeUInt32LE(compressed.length, 20);
+    central.writeUInt32LE(data.length, 24);
+    central.writeUInt16LE(nameBytes.length, 28);
+    central.writeUInt32LE(offset, 42);
+
+    localParts.push(local, nameBytes, compressed);
+    centralParts.push(central, nameBytes);
+    offset += local.length + nameBytes.length + compressed.length;
+  }
+
+  const centralDirectory = Buffer.concat(centralParts);
+  const count = Object.keys(files).length;
+  const end = Buffer.alloc(END_OF_CENTRAL_DIRECTORY_SIZE);
+  end.writeUInt32LE(END_OF_CENTRAL_DIRECTORY, 0);
+  end.writeUInt16LE(count, 8);
+  end.writeUInt16LE(count, 10);
+  end.writeUInt32LE(centralDirectory.length, 12);
+  end.writeUInt32LE(offset, 16);
+  return Buffer.concat([...localParts, centralDirectory, end]);
+}
+
+export { listZipEntries, readZipEntry, createZip, crc32 };
@@ -1,1072 +1,2380 @@
-import express from "express";
-import multer from "multer";
-import OpenAI from "openai";
-import { TavilyClient } from "tavily";
-import "dotenv/config";
-import fs from "fs";
-import path from "path";
-import crypto from "crypto";
-import mammoth from "mammoth";
-
-const app = express();
-
-// Enable CORS for frontend
-app.use((req, res, next) => {
-  res.header('Access-Control-Allow-Origin', '*');
-  res.header('Access-Control-Allow-Methods', 'GET, POST, PUT, DELETE, OPTIONS');
-  res.header('Access-Control-Allow-Headers', 'Content-Type');
-  if (req.method === 'OPTIONS') {
-    return res.sendStatus(200);
-  }
-  next();
-});
-
-// Serve static files from frontend folder
-app.use(express.static('./frontend'));
-
-// Configure multer to preserve file extension
-const storage = multer.diskStorage({
-  destination: "uploads/",
-  filename: (req, file, cb) => {
-    const uniqueSuffix = Date.now() + "-" + Math.round(Math.random() * 1e9);
-    cb(null, uniqueSuffix + path.extname(file.originalname));
-  },
-});
-
-const upload = multer({ storage: storage });
-
-const openai = new OpenAI({
-  apiKey: process.env.OPENAI_API_KEY,
-});
-
-const tavily = new TavilyClient({
-  apiKey: process.env.TAVILY_API_KEY,
-});
-
-// =========================
-//    合約存儲管理函數
-// =========================
-
-const CONTRACTS_DB = './contracts.json';
-
-/**
- * 計算文件 hash (用於檢測重複)
- */
-function calculateFileHash(filePath) {
-  const fileBuffer = fs.readFileSync(filePath);
-  const hashSum = crypto.createHash('sha256');
-  hashSum.update(fileBuffer);
-  return hashSum.digest('hex');
-}
-
-/**
- * 讀取所有合約
- */
-function getAllContracts() {
-  if (!fs.existsSync(CONTRACTS_DB)) {
-    return [];
-  }
-  const data = fs.readFileSync(CONTRACTS_DB, 'utf8');
-  return JSON.parse(data);
-}
-
-/**
- * 保存所有合約
- */
-function saveAllContracts(contracts) {
-  fs.writeFileSync(CONTRACTS_DB, JSON.stringify(contracts, null, 2));
-}
-
-/**
- * 根據 hash 查找合約
- */
-function findContractByHash(fileHash) {
-  const contracts = getAllContracts();
-  return contracts.find(c => c.file_hash === fileHash);
-}
-
-/**
- * 根據 ID 查找合約
- */
-function findContractById(contractId) {
-  const contracts = getAllContracts();
-  return contracts.find(c => c.contract_id === contractId);
-}
-
-/**
- * 保存合約分析結果
- */
-function saveContract(contractData) {
-  const contracts = getAllContracts();
-  const existingIndex = contracts.findIndex(c => c.contract_id === contractData.contract_id);
-
-  if (existingIndex >= 0) {
-    // 更新現有合約
-    contracts[existingIndex] = contractData;
-  } else {
-    // 新增合約
-    contracts.push(contractData);
-  }
-
-  saveAllContracts(contracts);
-  return contractData;
-}
-
-// =========================
-//    合約分析輔助函數
-// =========================
-
-/**
- * 計算合約健康評分 (Elite Strategy Distribution - A 級主力化)
- *
- * 這個函數使用 M.A.X. 的四維度模型來評估合約的整體健康度：
- *
- * 四個維度：
- * - MAD (Mutually Assured Destruction - 生存風險指標): 0-100, 越高越危險
- * - MAO (Mutual Advantage Optimization - 互利營收指標): 0-100, 越高越好
- * - MAA (Mutual Assured Attrition - 互相保證消耗): 0-100, 越高代表綁定越深/越穩定
- * - MAP (Mutual Assured Potential - 戰略潛力指標): 0-100, 越高越好
- *
- * 更新後的 Aggressive Scoring 公式 (讓 A 級成為主力 - 40%):
- * 總分 = [(100 - MAD) × 60%] + [(MAO + MAA + MAP)/3 × 40%] + 獎勵分
- *
- *
- * 獎勵機制 (推動 A 級主力化):
- * - A 級加速: MAD < 5 且 MAO > 75 → +5 分 (推升至 A 級)
- * - S 級加速: MAD < 5 且 MAO > 85 → 額外 +3 分 (共 +8 分，推升至 S 級)
- *
- * 熔斷機制：
- * - 若 MAD > 35: 總分強制不得超過 59 分（不及格）
- *
- * 等級劃分 (目標分佈):
- * - S 級 (90-100): 獨角獸 - 10% | MAD<5, MAO>85 | 你的公司擁有絕對議價權
- * - A 級 (80-89): 核心營收 - 40% 【主力部隊】 | MAD<5, MAO>75 | 優質合約是標準配備
- * - B 級 (70-79): 備份選項 - 30% | 安全但平庸 | 食之無味，棄之可惜
- * - C 級 (60-69): 改進區 - 15% | 不合格草約 | 需要談判改進
- * - D 級 (<60): 拒絕往來 - 5% | 劇毒合約 | 系統熔斷
- *
- * @param {Object} overallDimensions - 整體維度分數 { mad, mao, maa, map }
- * @returns {Object} { score: 健康評分 (0-100), dimensions: { mad, mao, maa, map }, tier: 等級 }
- */
-function calculateHealthScore(overallDimensions) {
-  // 預設值
-  const dimensions = {
-    mad: overallDimensions?.mad || 0,
-    mao: overallDimensions?.mao || 50,
-    maa: overallDimensions?.maa || 50,
-    map: overallDimensions?.map || 0
-  };
-
-  const { mad, mao, maa, map } = dimensions;
-
-  // 計算安全性得分 (Safety Score) - 50% 權重 (從 60% 調降)
-  const safetyScore = (100 - mad) * 0.6;
-
-  // 計算價值性得分 (Value Score) - 50% 權重 (從 40% 提升)
-  // MAO 佔 50% 權重，MAA 和 MAP 各佔 25% (強調營收的重要性)
-  const valueWeighted = (mao  + maa + map)/3;
-  const valueScore = valueWeighted * 0.4;
-
-  // 計算原始總分
-  let rawScore = safetyScore + valueScore;
-
-  // 🎯 獎勵機制：推動 A 級主力化
-  let bonusPoints = 0;
-  let bonusReason = '';
-
-  // A 級加速器：MAD < 5 且 MAO > 75 → +5 分
-  if (mad < 5 && mao > 75) {
-    bonusPoints += 5;
-    bonusReason += 'A級加速(+5) ';
-  }
-
-  // S 級加速器：MAD < 5 且 MAO > 85 → 額外 +3 分 (總共 +8)
-  if (mad < 5 && mao > 85) {
-    bonusPoints += 3;
-    bonusReason += 'S級加速(+3) ';
-  }
-
-  rawScore += bonusPoints;
-
-  if (bonusPoints > 0) {
-    console.log(`✨ 獎勵加分: ${bonusReason}(總計 +${bonusPoints} 分)`);
-  }
-
-  // 🔴 熔斷機制：MAD > 35 (風險過高區)
-  // 只要生存風險超過 35 分，無論利潤多高，總分強制不得超過 59 分（不及格）
-  if (mad > 35) {
-    rawScore = Math.min(rawScore, 59);
-    console.log(`⚠️ 風險熔斷觸發！MAD = ${mad} > 35，健康評分上限鎖定為 59 分`);
-  }
-
-  // 限制在 0-100 範圍內
-  const finalScore = Math.round(Math.min(100, Math.max(0, rawScore)));
-
-  // 判斷等級
-  let tier = 'D';
-  let tierLabel = '淘汰';
-  if (finalScore >= 90) {
-    tier = 'S';
-    tierLabel = '王者';
-  } else if (finalScore >= 80) {
-    tier = 'A';
-    tierLabel = '優質';
-  } else if (finalScore >= 70) {
-    tier = 'B';
-    tierLabel = '標準';
-  } else if (finalScore >= 60) {
-    tier = 'C';
-    tierLabel = '觀察';
-  }
-
-  console.log(`計算詳情: 安全分(${safetyScore.toFixed(1)}) + 價值分(${valueScore.toFixed(1)}) + 獎勵(${bonusPoints}) = ${finalScore} 分 [${tier}級-${tierLabel}]`);
-
-  return {
-    score: finalScore,
-    dimensions: dimensions,
-    tier: tier,
-    tierLabel: tierLabel,
-    breakdown: {
-      safetyScore: Math.round(safetyScore * 10) / 10,
-      valueScore: Math.round(valueScore * 10) / 10,
-      bonusPoints: bonusPoints
-    }
-  };
-}
-
-/**
- * 修復常見的 JSON 格式問題（增強版）
- * @param {string} jsonStr - JSON 字串
- * @returns {string} 修復後的 JSON 字串
- */
-function fixCommonJSONIssues(jsonStr) {
-  let fixed = jsonStr;
-
-  // 移除 JSON 中的註解（// 和 /* */）
-  fixed = fixed.replace(/\/\/.*$/gm, "");
-  fixed = fixed.replace(/\/\*[\s\S]*?\*\//g, "");
-
-  // 移除尾隨逗號（trailing commas）- 多次運行以處理嵌套情況
-  for (let i = 0; i < 3; i++) {
-    fixed = fixed.replace(/,(\s*[}\]])/g, "$1");
-  }
-
-  return fixed;
-}
-
-/**
- * 修復 OpenAI 常見的 JSON 結構錯誤
- * 注意：隨著扁平 JSON 格式的使用，大部分結構性修復已不再需要
- * 此函數保留用於向後兼容舊的 JSON 回應
- * @param {string} jsonStr - 可能有結構問題的 JSON 字串
- * @returns {string} 修復後的 JSON 字串
- */
-function fixJSONStructure(jsonStr) {
-  // 使用扁平 JSON 格式後，結構性問題已在 normalizeAIResponse() 中處理
-  // 此函數保留僅用於向後兼容，實際上不再需要複雜的字串操作
-  return jsonStr;
-}
-
-/**
- * 從 OpenAI 回應中提取 JSON
- * 處理可能包含 markdown code blocks 或額外文字的情況
- * @param {string} text - OpenAI 回應文字
- * @returns {Object} 解析後的 JSON 物件（扁平格式）
- */
-function extractJSON(text) {
-  // 嘗試直接解析
-  try {
-    return JSON.parse(text);
-  } catch (e) {
-    console.log("直接解析失敗，嘗試其他方法...");
-
-    // 嘗試提取 markdown code block 中的 JSON
-    let jsonMatch = text.match(/```(?:json)?\s*(\{[\s\S]*?\})\s*```/);
-    if (jsonMatch) {
-      try {
-        return JSON.parse(jsonMatch[1]);
-      } catch (e2) {
-        console.log("從 markdown 提取失敗，嘗試修復 JSON...");
-        try {
-          let fixed = fixJSONStructure(jsonMatch[1]);
-          fixed = fixCommonJSONIssues(fixed);
-          return JSON.parse(fixed);
-        } catch (e3) {
-          console.error("修復失敗:", e3.message);
-        }
-      }
-    }
-
-    // 嘗試找到第一個 { 和最後一個 }
-    const firstBrace = text.indexOf("{");
-    const lastBrace = text.lastIndexOf("}");
-
-    if (firstBrace !== -1 && lastBrace !== -1 && lastBrace > firstBrace) {
-      const jsonStr = text.substring(firstBrace, lastBrace + 1);
-
-      // 先嘗試直接解析
-      try {
-        return JSON.parse(jsonStr);
-      } catch (e2) {
-        console.log("提取的 JSON 解析失敗，嘗試修復...");
-        // 嘗試修復結構和常見問題後再解析
-        try {
-          let fixed = fixJSONStructure(jsonStr);
-          fixed = fixCommonJSONIssues(fixed);
-          console.log("修復後的 JSON:", fixed.substring(0, 200) + "...");
-          return JSON.parse(fixed);
-        } catch (e3) {
-          console.error("修復後仍失敗:", e3.message);
-          console.error("嘗試的修復 JSON:", fixed.substring(0, 1000));
-          throw new Error(`無法解析 JSON，即使修復後仍失敗。原始錯誤: ${e3.message}\n提取的 JSON: ${jsonStr.substring(0, 500)}`);
-        }
-      }
-    }
-
-    // 如果都失敗，拋出詳細錯誤
-    throw new Error(`無法從回應中提取 JSON。原始錯誤: ${e.message}\n完整回應: ${text.substring(0, 1000)}`);
-  }
-}
-
-/**
- * 帶超時和重試的 Tavily 搜索包裝函數
- * @param {Object} searchParams - Tavily 搜索參數
- * @param {number} timeout - 超時時間（毫秒），預設 60000ms
- * @param {number} retries - 重試次數，預設 2
- * @returns {Promise<Object>} 搜索結果或空結果
- */
-async function tavilySearchWithTimeout(searchParams, timeout = 60000, retries = 2) {
-  for (let attempt = 1; attempt <= retries; attempt++) {
-    try {
-      const controller = new AbortController();
-      const timeoutId = setTimeout(() => controller.abort(), timeout);
-
-      const result = await Promise.race([
-        tavily.search(searchParams),
-        new Promise((_, reject) => {
-          setTimeout(() => reject(new Error('Tavily request timeout')), timeout);
-        })
-      ]);
-
-      clearTimeout(timeoutId);
-      return result;
-    } catch (error) {
-      console.warn(`⚠️ Tavily 搜索失敗 (嘗試 ${attempt}/${retries}): ${error.message}`);
-
-      if (attempt === retries) {
-        console.error(`❌ Tavily 搜索最終失敗: ${searchParams.query.substring(0, 50)}...`);
-        // 返回空結果而不是拋出錯誤，讓系統可以繼續運作
-        return { answer: null, results: [] };
-      }
-
-      // 等待後重試（指數退避）
-      const waitTime = Math.min(2000 * Math.pow(2, attempt - 1), 8000);
-      console.log(`   等待 ${waitTime}ms 後重試...`);
-      await new Promise(resolve => setTimeout(resolve, waitTime));
-    }
-  }
-
-  return { answer: null, results: [] };
-}
-
-/**
- * 執行公司背景調查（使用 Tavily API）
- * @param {string} companyName - 公司名稱
- * @returns {Promise<Object>} 背景調查結果
- */
-async function performCompanyBackgroundCheck(companyName) {
-  console.log(`對「${companyName}」進行背景調查...`);
-
-  // 使用 Promise.allSettled 確保即使部分請求失敗也能繼續
-  const results = await Promise.allSettled([
-    tavilySearchWithTimeout({
-      query: `關於「${companyName}」的公司簡介。請用繁體中文回答。`,
-      max_results: 3,
-      search_depth: 'advanced',
-      include_answer: true,
-    }),
-    tavilySearchWithTimeout({
-      query: `關於「${companyName}」的海關進出口記錄、貿易數據、進出口業務。請用繁體中文回答。`,
-      max_results: 3,
-      search_depth: 'advanced',
-      include_answer: true,
-    }),
-    tavilySearchWithTimeout({
-      query: `關於「${companyName}」的法律合規狀況、訴訟記錄、破產紀錄、詐欺前科、法規遵循。如果沒有相關公司記錄，請堅決說無記錄，避免發生錯誤信息引起法律糾紛。請用繁體中文回答。`,
-      max_results: 3,
-      search_depth: 'advanced',
-      include_answer: true,
-    }),
-    tavilySearchWithTimeout({
-      query: `「${companyName}」的公司負責人是誰？董事長、總經理、代表人姓名。請用繁體中文回答。`,
-      max_results: 3,
-      search_depth: 'advanced',
-      include_answer: true,
-    }),
-    tavilySearchWithTimeout({
-      query: `「${companyName}」公司負責人的法律問題、訴訟記錄、違法紀錄、司法案件、限制出境、欠稅。如果沒有相關公司記錄，請堅決說無記錄，避免發生錯誤信息引起法律糾紛。請用繁體中文回答。`,
-      max_results: 3,
-      search_depth: 'advanced',
-      include_answer: true,
-    })
-  ]);
-
-  // 提取結果，失敗的返回空結果
-  const extractResult = (settledResult) => {
-    if (settledResult.status === 'fulfilled') {
-      return settledResult.value;
-    }
-    console.warn(`⚠️ 背景調查項目失敗: ${settledResult.reason?.message || '未知錯誤'}`);
-    return { answer: null, results: [] };
-  };
-
-  const [companyProfile, customsInfo, legalInfo, responsiblePersonInfo, responsiblePersonLegal] = results.map(extractResult);
-
-  // 統計成功率
-  const successCount = results.filter(r => r.status === 'fulfilled' && r.value?.answer).length;
-  console.log(`📊 背景調查完成: ${successCount}/5 項成功獲取資訊`);
-
-  return {
-    profile: companyProfile,
-    customs: customsInfo,
-    legal: legalInfo,
-    responsible_person: responsiblePersonInfo,
-    responsible_person_legal: responsiblePersonLegal
-  };
-}
-
-/**
- * 使用 OpenAI 分析合約（包含公司背景）
- * @param {string|null} fileId - OpenAI 文件 ID (PDF 文件)
- * @param {string} companyName - 公司名稱
- * @param {Object} companyData - 公司背景調查結果
- * @param {string|null} documentText - 文件文本內容 (DOCX 文件)
- * @returns {Promise<Object>} 合約分析結果
- */
-async function analyzeContractWithBackground(fileId, companyName, companyData, documentText = null) {
-  console.log(`使用公司背景分析合約...`);
-
-  // 構建背景調查上下文
-  const backgroundContext = `
-────────────────────
-【背景調查結果】
-────────────────────
-你已經針對「${companyName}」進行了深入的背景調查，結果如下：
-
-**公司簡介**: ${companyData.profile.answer || '未找到相關資訊'}
-
-**海關進出口記錄**: ${companyData.customs.answer || '未找到相關資訊'}
-
-**法律合規狀況**: ${companyData.legal.answer || '未找到相關資訊'}
-
-**公司負責人**: ${companyData.responsible_person.answer || '未找到相關資訊'}
-
-**負責人法律狀況**: ${companyData.responsible_person_legal.answer || '未找到相關資訊'}
-
-**重要提示**:
-請仔細審查上述背景調查結果，特別注意：
-- 如發現破產記錄、詐欺前科、負責人限制出境或欠稅大戶等致命風險，MAD 應直接給 90+ 分觸發熔斷
-- 如發現勞資糾紛、民事訴訟等警告級別風險，請在 MAD 評分時適度考慮
-- 注意區分否定表述（如"無限制出境"表示安全）和實際風險（"限制出境"表示危險）
-- 5年以上的舊案可視為背景雜訊，僅輕微調整 MAD 分數
-`;
-
-  // 呼叫 OpenAI API
-  const response = await openai.responses.create({
-    model: "gpt-4.1",
-    text: {
-      format: {
-        type: "json_object"
-      }
-    },
-    temperature: 0,
-    input: [
-      {
-        role: "user",
-        content: [
-          {
-            type: "input_text",
-            text: `你是一個資深合約談判專家和法律顧問。請仔細分析這份合約文件，進行整體評估。
-
-${backgroundContext}
-
-CRITICAL:
-你必須只回傳「純 JSON」，不得包含任何其他文字、說明、標題或 markdown 格式。
-不得在 JSON 之外輸出任何內容，否則視為系統錯誤。
-
-你的角色：
-你是一名「深度合約談判專家與法律顧問 Agent」，任務不是評論合約，而是依照以下【不可違反的演算法規則】進行評分。
-你的評分必須可回測、可重現，且與商業決策一致。
-
-────────────────────
-【總體評估任務】
-────────────────────
-
-你必須對整份合約進行四個維度的整體評分，並提供每一維度的專業解釋：
-
-1 MAD — 生存風險指標（唯一扣分項）
-2 MAO — 互利營收指標
-3 MAA — 互相保證消耗／承諾深度（正向指標）
-4 MAP — 戰略潛力與憲章指標
-
-────────────────────
-【MAD：生存風險指標（0–100，越高越危險）】
-核心問題：「這份合約會不會殺死公司？」
-
-⚠️ MAD 是唯一的風險扣分項，不得因 MAO、MAA、MAP 高分而抵銷致命風險。
-
-【風險分層過濾（強制規則）】
-
-🔴 致命傷（直接 100 分，觸發熔斷，不可被抵銷）：
-- 破產紀錄
-- 詐欺前科
-- 負責人限制出境
-- 欠稅大戶
-→ 命中任一項，MAD 必須 = 100
-
-🟡 背景雜訊（僅可扣 5–10 分，不得擴大解讀）：
-- 5 年前的勞資糾紛
-- 單純商業民事訴訟（非被告或金額小）
-→ 若合約最終仍被簽署，代表此為可接受雜訊，模型必須忽略放大解讀
-
-【IP 權利灰階評分（強制套用）】
-- IP 完全歸我方／乙方：MAD +0
-- IP 共有／另案協議：約定但不確定：MAD +5～10
-- IP 完全歸對方：MAD +60～80（重傷，原則上不建議簽）
-
-【司法管轄權（V3.1 規則）】
-- 我方所在地法院：MAD +0
-- 對方所在地法院，且對方為付費者：MAD +0（僅提醒，不扣分）
-- 國內異地（非雙方所在地）：不得算入 MAD
-- 海外／第三地法院：MAD +40（司法阻斷，高風險）
-
-────────────────────
-【MAO：互利營收指標（0–100，越高越好）】
-核心問題：「這份合約現在能為公司創造多少實質收益？」
-
-- 0–40：基本交易（市價、無優勢）
-- 41–60：優於市場（價格、付款期、穩定性）
-- 61–80：顯著獲利（獨家、保證量、預付款、槓桿效應）
-- 81–100：壟斷級優勢（免費 IP、對方承擔成本、高度槓桿）
-
-可評估「以小博大」、「成功報酬」、「資金槓桿」等設計。
-
-────────────────────
-【MAA：互相保證消耗／承諾深度（0–100，正向指標）】
-核心問題：「雙方為這段關係押了多少不可撤銷的資源？」
-
-⚠️ MAA 是加分項，不得因行政流程或人工操作而扣分。
-
-- 0–40 流動式交易：無低消、無訂金、隨用隨棄
-- 41–65 預約制維護：訂金、預付款、定期會議、指定窗口
-- 66–87 硬性鎖定：保證採購、沈沒成本、高額解約金、利潤綁定
-- 88–100 共生／排他：獨家條款、股權互持、核心命脈託管
-
-評估重點是「財務鎖定、時間承諾、成效綁定」，而非麻不麻煩。
-
-────────────────────
-【MAP：戰略潛力與憲章指標（0–100，越高越好）】
-核心問題：「這份合約是否成為公司未來的跳板？」
-
-⚠️ 標準行政作業（人工驗收、文件審查、例行會議）= 0 分（綠區）
-不得因『非數位化』或『有人工作業』而扣分。
-
-- 0 分：無法執行（無法開單、無法履約）
-- 1–40：純交易里程碑（能做生意）
-- 41–65：功能性賦能
-  - 資質取得（ISO、專利、合規）
-  - 效率提升（外包非核心）
-  - 履歷背書（案例、Portfolio）
-- 66–80：戰略槓桿
-  - 政府／政策資源
-  - 金融槓桿（補助、授信、估值）
-  - 知識轉移、風險共擔（Success Fee）
-- 81–100：生態系共生
-  - 獨家／排他
-  - 憲章高度對齊、深度資料共享
-  - 世界級品牌光環
-  - 建立競爭門檻
-
-────────────────────
-【輸出格式（嚴格遵守）】
-
-{
-  "mad": 0-100,
-  "mao": 0-100,
-  "maa": 0-100,
-  "map": 0-100,
-  "dimension_explanations_mad": "100–200 字，引用具體條款，說明風險是否為致命或雜訊",
-  "dimension_explanations_mao": "100–200 字，說明營收結構與槓桿",
-  "dimension_explanations_maa": "100–200 字，說明雙方承諾與鎖定程度",
-  "dimension_explanations_map": "100–200 字，說明是否構成跳板或戰略資產",
-  "overall_recommendation": "150–250 字，明確給出是否建議簽署、風險邊界、談判優化點"
-}
-
-⚠️ 嚴禁：
-- 使用模糊語言
-- 將行政成本誤判為風險
-- 將背景雜訊誤判為致命傷
-- 在 JSON 外輸出任何內容
-- 使用巢狀的 dimensions 或 dimension_explanations 物件`,
-          },
-          ...(documentText
-            ? [{ type: "input_text", text: `\n\n以下是合約文件內容：\n\n${documentText}` }]
-            : [{ type: "input_file", file_id: fileId }]
-          ),
-        ],
-      },
-    ],
-  });
-
-  // 解析回應
-  const result = extractJSON(response.output_text);
-  return result;
-}
-
-// =========================
-//    PDF 上傳 + AI 分析
-// =========================
-app.post("/upload", upload.single("file"), async (req, res) => {
-  try {
-    const filePath = req.file.path;
-    // Fix encoding issue for non-ASCII filenames (Chinese characters, etc.)
-    const originalFilename = Buffer.from(req.file.originalname, 'latin1').toString('utf8');
-
-    // 1. 計算文件 hash 檢測重複
-    const fileHash = calculateFileHash(filePath);
-    const existingContract = findContractByHash(fileHash);
-
-    if (existingContract) {
-      // 發現重複文件
-      fs.unlinkSync(filePath); // 刪除臨時文件
-      return res.json({
-        success: true,
-        duplicate: true,
-        existing_contract: existingContract,
-        message: "此合約已存在於系統中"
-      });
-    }
-
-    // 2. 處理 DOCX 文件：提取文本
-    let extractedText = null;
-    let uploaded = null;
-    const fileExtension = path.extname(originalFilename).toLowerCase();
-
-    if (fileExtension === '.docx' || fileExtension === '.doc') {
-      console.log(`檢測到 ${fileExtension} 文件，正在提取文本...`);
-      try {
-        const result = await mammoth.extractRawText({ path: filePath });
-        extractedText = result.value;
-        console.log('文本提取成功');
-      } catch (extractError) {
-        console.error('DOCX 文本提取失敗:', extractError);
-        fs.unlinkSync(filePath);
-        return res.status(400).json({
-          success: false,
-          error: `無法處理 ${fileExtension} 文件: ${extractError.message}`
-        });
-      }
-    } else {
-      // 3. 上傳 PDF 文件至 Files API
-      uploaded = await openai.files.create({
-        file: fs.createReadStream(filePath),
-        purpose: "assistants",
-      });
-    }
-
-    // ========================================
-    // 階段 1: 快速提取公司名稱
-    // ========================================
-    console.log("階段 1: 提取基本資訊...");
-
-    const basicInfoPrompt = `請快速分析這份合約文件，只提取以下基本資訊：
-
-1. 文件類型（合約/報價單）
-2. **乙方公司名稱**（對方公司的完整名稱）
-
-⚠️ 重要提醒：
-- 只提取「乙方」公司名稱，不要提取「甲方」
-- 甲方 = 我方公司（不需要分析）
-- 乙方 = 對方公司（需要背景調查的公司）
-- 如果合約中有「甲方：XXX公司」和「乙方：YYY公司」，只回傳 YYY公司
-- 絕對不可以回傳甲方的公司名稱
-
-CRITICAL: 只回傳 JSON 格式，不要其他文字：
-{
-  "document_type": "合約",
-  "seller_company": "乙方公司名稱（只填對方公司，不可填我方公司）"
-}`;
-
-    const basicInfoContent = extractedText
-      ? [{ type: "input_text", text: `${basicInfoPrompt}\n\n以下是合約文件內容：\n\n${extractedText}` }]
-      : [
-          { type: "input_text", text: basicInfoPrompt },
-          { type: "input_file", file_id: uploaded.id }
-        ];
-
-    const basicInfoResponse = await openai.responses.create({
-      model: "gpt-5.2",
-      text: {
-        format: {
-          type: "json_object"
-        }
-      },
-      temperature: 0,
-      input: [
-        {
-          role: "user",
-          content: basicInfoContent,
-        },
-      ],
-    });
-
-    let basicInfo;
-    try {
-      basicInfo = extractJSON(basicInfoResponse.output_text);
-      console.log("基本資訊:", basicInfo);
-    } catch (e) {
-      console.error("無法提取基本資訊:", e);
-      fs.unlinkSync(filePath);
-      return res.status(500).json({
-        success: false,
-        error: "無法提取合約基本資訊"
-      });
-    }
-
-    const documentType = basicInfo.document_type;
-    const sellerCompany = basicInfo.seller_company;
-
-    if (!sellerCompany || sellerCompany === "未知") {
-      fs.unlinkSync(filePath);
-      return res.json({
-        success: false,
-        message: "無法確定乙方公司名稱"
-      });
-    }
-
-    // ========================================
-    // 階段 2: Tavily 背景調查
-    // ========================================
-    console.log(`階段 2: 對「${sellerCompany}」進行背景調查...`);
-
-    const companyData = await performCompanyBackgroundCheck(sellerCompany);
-
-    console.log("背景調查完成，準備傳遞給 OpenAI 進行評估...");
-
-    // ========================================
-    // 階段 3: 完整合約評分（包含背景調查結果）
-    // ========================================
-    console.log("階段 3: 進行完整合約評分...");
-
-    // 使用輔助函數進行合約分析
-    let result;
-    try {
-      result = await analyzeContractWithBackground(
-        uploaded ? uploaded.id : null,
-        sellerCompany,
-        companyData,
-        extractedText
-      );
-      console.log("成功解析 JSON，提取的資料:", JSON.stringify(result, null, 2));
-    } catch (parseError) {
-      console.error("JSON 解析失敗:", parseError.message);
-      return res.status(500).json({
-        success: false,
-        error: "AI 回應格式錯誤",
-        details: parseError.message,
-      });
-    }
-
-    // Validate flat format dimensions
-    const requiredDimensions = ['mad', 'mao', 'maa', 'map'];
-    for (const dim of requiredDimensions) {
-      if (typeof result[dim] !== 'number' ||
-          isNaN(result[dim]) ||
-          result[dim] < 0 ||
-          result[dim] > 100) {
-        console.error(`維度 ${dim} 的值無效:`, result[dim]);
-        return res.status(500).json({
-          success: false,
-          error: "AI 回應的維度評分無效",
-          details: `${dim} 的值必須是 0-100 之間的數字`,
-        });
-      }
-    }
-
-    // ========================================
-    // 階段 4: 計算健康評分並保存結果
-    // ========================================
-    const dimensions = {
-      mad: result.mad,
-      mao: result.mao,
-      maa: result.maa,
-      map: result.map
-    };
-
-    const healthScoreResult = calculateHealthScore(dimensions);
-    const healthScore = healthScoreResult.score;
-    const healthDimensions = healthScoreResult.dimensions;
-    const healthTier = healthScoreResult.tier;
-    const healthTierLabel = healthScoreResult.tierLabel;
-    const scoreBreakdown = healthScoreResult.breakdown;
-
-    const dimensionExplanations = {
-      mad: result.dimension_explanations_mad || '',
-      mao: result.dimension_explanations_mao || '',
-      maa: result.dimension_explanations_maa || '',
-      map: result.dimension_explanations_map || ''
-    };
-
-    const overallRecommendation = result.overall_recommendation || '';
-
-    // Clean up uploaded files
-    fs.unlinkSync(filePath);
-
-    // 保存合約分析結果到數據庫
-    const contractId = crypto.randomBytes(16).toString('hex');
-    const savedContractData = {
-      contract_id: contractId,
-      file_hash: fileHash,
-      file_id: uploaded ? uploaded.id : null,  // 保存 OpenAI file_id 供後續重新評估使用 (DOCX 文件為 null)
-      filename: originalFilename,
-      upload_date: new Date().toISOString(),
-      health_score: healthScore,
-      health_tier: healthTier,
-      health_tier_label: healthTierLabel,
-      score_breakdown: scoreBreakdown,
-      health_dimensions: healthDimensions,
-      dimension_explanations: dimensionExplanations,
-      overall_recommendation: overallRecommendation,
-      document_type: documentType,
-      seller_company: sellerCompany,
-      raw_data: result,
-      company_data: companyData, // Tavily 背景調查原始結果
-    };
-
-    saveContract(savedContractData);
-
-    console.log(`✅ 合約分析完成！ID: ${contractId}, 健康評分: ${healthScore} 分 [${healthTier}級-${healthTierLabel}]`);
-
-    // 返回完整分析結果
-    res.json({
-      contract_id: contractId,
-      success: true,
-      health_score: healthScore,
-      health_tier: healthTier,
-      health_tier_label: healthTierLabel,
-      score_breakdown: scoreBreakdown,
-      health_dimensions: healthDimensions,
-      dimension_explanations: dimensionExplanations,
-      overall_recommendation: overallRecommendation,
-      document_type: documentType,
-      seller_company: sellerCompany,
-      raw_data: result,
-      company_data: companyData, // Tavily 背景調查原始結果
-    });
-  } catch (err) {
-    console.error(err);
-    res.status(500).json({ error: err.message });
-  }
-});
-
-// =========================
-//    合約管理 API
-// =========================
-
-// 獲取所有合約列表
-app.get("/contracts", (req, res) => {
-  try {
-    const contracts = getAllContracts();
-    // 只返回列表需要的基本資訊
-    const contractsList = contracts.map(c => ({
-      contract_id: c.contract_id,
-      filename: c.filename,
-      seller_company: c.seller_company,
-      health_score: c.health_score,
-      health_tier: c.health_tier,
-      health_tier_label: c.health_tier_label,
-      health_dimensions: c.health_dimensions,
-      upload_date: c.upload_date,
-      document_type: c.document_type,
-    }));
-    res.json({ success: true, contracts: contractsList });
-  } catch (err) {
-    res.status(500).json({ error: err.message });
-  }
-});
-
-// 獲取特定合約詳情
-app.get("/contracts/:id", (req, res) => {
-  try {
-    const contract = findContractById(req.params.id);
-    if (!contract) {
-      return res.status(404).json({ error: "合約不存在" });
-    }
-    res.json({ success: true, contract });
-  } catch (err) {
-    res.status(500).json({ error: err.message });
-  }
-});
-
-// 替換現有合約
-app.post("/contracts/:id/replace", upload.single("file"), async (req, res) => {
-  try {
-    const existingContract = findContractById(req.params.id);
-    if (!existingContract) {
-      return res.status(404).json({ error: "合約不存在" });
-    }
-
-    // 刪除舊合約，處理新文件（重用上傳邏輯）
-    // 簡化：讓前端重新上傳即可，這裡主要是刪除舊記錄
-    const contracts = getAllContracts();
-    const filtered = contracts.filter(c => c.contract_id !== req.params.id);
-    saveAllContracts(filtered);
-
-    res.json({ success: true, message: "合約已刪除，請重新上傳" });
-  } catch (err) {
-    res.status(500).json({ error: err.message });
-  }
-});
-
-
-// 刪除合約
-app.delete("/contracts/:id", (req, res) => {
-  try {
-    const contracts = getAllContracts();
-    const filtered = contracts.filter(c => c.contract_id !== req.params.id);
-
-    if (contracts.length === filtered.length) {
-      return res.status(404).json({ error: "合約不存在" });
-    }
-
-    saveAllContracts(filtered);
-    res.json({ success: true, message: "合約已刪除" });
-  } catch (err) {
-    res.status(500).json({ error: err.message });
-  }
-});
-
-// 更新公司名稱並重新評估合約
-app.put("/contracts/:id/update-company", express.json(), async (req, res) => {
-  try {
-    const contractId = req.params.id;
-    const { new_company_name } = req.body;
-
-    if (!new_company_name || new_company_name.trim() === "") {
-      return res.status(400).json({ error: "公司名稱不能為空" });
-    }
-
-    const existingContract = findContractById(contractId);
-    if (!existingContract) {
-      return res.status(404).json({ error: "合約不存在" });
-    }
-
-    console.log(`\n🔄 更新合約 ${contractId} 的公司名稱: ${existingContract.seller_company} → ${new_company_name}`);
-
-    // ========================================
-    // 階段 1: Tavily 背景調查（使用新公司名稱）
-    // ========================================
-    console.log(`階段 1: 對「${new_company_name}」進行背景調查...`);
-
-    const companyData = await performCompanyBackgroundCheck(new_company_name);
-
-    // ========================================
-    // 階段 2: 重新評估合約維度（使用新公司背景）
-    // ========================================
-    console.log("階段 2: 使用新公司背景重新評估合約...");
-
-    // 檢查是否有保存的 file_id
-    if (!existingContract.file_id) {
-      // 舊合約沒有 file_id，無法重新分析，僅更新公司背景
-      console.warn("警告: 此合約沒有保存 file_id，無法重新分析維度。僅更新背景調查資料。");
-
-      const healthScoreResult = calculateHealthScore(existingContract.health_dimensions);
-      const updatedContract = {
-        ...existingContract,
-        seller_company: new_company_name,
-        company_data: companyData,
-        health_score: healthScoreResult.score,
-        health_tier: healthScoreResult.tier,
-        health_tier_label: healthScoreResult.tierLabel,
-        score_breakdown: healthScoreResult.breakdown,
-        last_updated: new Date().toISOString(),
-      };
-
-      saveContract(updatedContract);
-
-      return res.json({
-        success: true,
-        message: "公司名稱已更新，背景調查已重新執行（維度評分未改變，因為舊合約缺少文件資料）",
-        contract: updatedContract
-      });
-    }
-
-    // 使用輔助函數重新分析合約
-    let result;
-    try {
-      result = await analyzeContractWithBackground(existingContract.file_id, new_company_name, companyData);
-    } catch (e) {
-      console.error("無法解析 AI 回應:", e);
-      throw new Error("AI 回應格式錯誤: " + e.message);
-    }
-
-    // 計算新的健康評分
-    const dimensions = {
-      mad: result.mad,
-      mao: result.mao,
-      maa: result.maa,
-      map: result.map
-    };
-
-    const healthScoreResult = calculateHealthScore(dimensions);
-    const healthScore = healthScoreResult.score;
-    const healthDimensions = healthScoreResult.dimensions;
-    const healthTier = healthScoreResult.tier;
-    const healthTierLabel = healthScoreResult.tierLabel;
-    const scoreBreakdown = healthScoreResult.breakdown;
-
-    const dimensionExplanations = {
-      mad: result.dimension_explanations_mad || '',
-      mao: result.dimension_explanations_mao || '',
-      maa: result.dimension_explanations_maa || '',
-      map: result.dimension_explanations_map || ''
-    };
-
-    const overallRecommendation = result.overall_recommendation || '';
-
-    // 更新合約資料
-    const updatedContract = {
-      ...existingContract,
-      seller_company: new_company_name,
-      company_data: companyData,
-      health_score: healthScore,
-      health_tier: healthTier,
-      health_tier_label: healthTierLabel,
-      score_breakdown: scoreBreakdown,
-      health_dimensions: healthDimensions,
-      dimension_explanations: dimensionExplanations,
-      overall_recommendation: overallRecommendation,
-      raw_data: result,
-      last_updated: new Date().toISOString(),
-    };
-
-    saveContract(updatedContract);
-
-    console.log(`✅ 合約更新完成！新公司名稱: ${new_company_name}, 健康評分: ${healthScore} 分 [${healthTier}級-${healthTierLabel}]`);
-    console.log(`   維度更新: MAD=${healthDimensions.mad}, MAO=${healthDimensions.mao}, MAA=${healthDimensions.maa}, MAP=${healthDimensions.map}`);
-
-    // 返回更新後的合約資料
-    res.json({
-      success: true,
-      message: "公司名稱已更新，合約已重新評估",
-      contract: updatedContract
-    });
-
-  } catch (err) {
-    console.error("更新合約失敗:", err);
-    res.status(500).json({ error: err.message });
-  }
-});
-
-// 啟動伺服器
-app.listen(3000, () => console.log("Server running on port 3000"));
+import express from "express";
+import multer from "multer";
+import "dotenv/config";
+import fs from "fs";
+import path from "path";
+import crypto from "crypto";
+import {
+  listContractSummaries,
+  listContractSummariesBySeller,
+  findContractByHash,
+  findContractById,
+  saveContract,
+  supersedeContract,
+  deleteContract,
+  restoreContract,
+  listContractRevisions,
+  getContractRevision,
+  saveContractDocument,
+  getContractDocument,
+} from "./backend/contractStore.js";
+import {
+  SESSION_TTL_HOURS,
+  ROLE_PERMISSIONS,
+  listTeams,
+  createTeam,
+  listUsers,
+  getUser,
+  createUser,
+  updateUser,
+  authenticateUser,
+  createSession,
+  deleteSession,
+  createApiKey,
+  listApiKeys,
+  revokeApiKey,
+  resolveAccessToken,
+  createStreamToken,
+  consumeStreamToken,
+  hasPermission,
+  canAccessContract,
+  contractScopeFor,
+} from "./backend/auth.js";
+import {
+  CONTRACT_STATUSES,
+  getContractStatus,
+  isAssessmentLocked,
+  getOverrideTriggers,
+  checkWorkflowAction,
+  applyWorkflowAction,
+  addReviewComment,
+  listReviewEvents,
+  listAvailableActions,
+} from "./backend/contractWorkflow.js";
+import { isEncryptionEnabled } from "./backend/encryption.js";
+import {
+  saveOriginalDocument,
+  deleteOriginalDocument,
+  hasOriginalDocument,
+  readOriginalDocument,
+  withOriginalDocumentFile,
+} from "./backend/documentStore.js";
+import { diffAssessments } from "./backend/assessmentDiff.js";
+import { checkDocumentType, getDocumentType, ingestDocument, isOcrDocument } from "./backend/documentIngestion.js";
+import {
+  UPLOAD_MAX_BYTES,
+  createUploadError,
+  validateUploadedFile,
+  removeUploadedFile,
+} from "./backend/uploadValidation.js";
+import {
+  BATCH_MAX_FILES,
+  BATCH_MAX_ZIP_BYTES,
+  BATCH_MAX_EXPANDED_BYTES,
+  isZipFilename,
+  expandUploadedArchive,
+  createBatch,
+  updateBatchItem,
+  getBatch,
+  listBatches,
+  failInterruptedBatchItems,
+} from "./backend/uploadBatches.js";
+import { buildRedline } from "./backend/redline.js";
+import { createLLMProvider, trackTokenUsage } from "./backend/llmProvider.js";
+import { RESEARCH_KEYS, buildResearchQueries, createResearchProvider } from "./backend/researchProvider.js";
+import {
+  extractBasicInfo,
+  requiresChunkedAnalysis,
+  analyzeContractWithBackground,
+  scoreAnalysisResult,
+} from "./backend/contractAnalysis.js";
+import { calculateHealthScore } from "./backend/healthScore.js";
+import { extractJSON } from "./backend/jsonResponse.js";
+import { applyScoringRules } from "./backend/ruleEngine.js";
+import {
+  DEFAULT_PROFILE_NAME,
+  validateScoringProfile,
+  listScoringProfiles,
+  getScoringProfile,
+  saveScoringProfile,
+  deleteScoringProfile,
+} from "./backend/scoringProfiles.js";
+import { buildPortfolioReport, buildWhatIfReport } from "./backend/portfolioReport.js";
+import { REPORT_FORMATS, generateContractReport } from "./backend/contractReport.js";
+import {
+  BACKGROUND_CHECK_TTL_HOURS,
+  getLatestBackgroundCheck,
+  listBackgroundCheckHistory,
+  saveBackgroundCheck,
+} from "./backend/companyRegistry.js";
+import { normalizeCompanyName } from "./backend/companyName.js";
+import { buildCompanyList, buildCompanyProfile } from "./backend/companyProfiles.js";
+import { listModelOutputFailures, getModelOutputFailure } from "./backend/modelOutputFailures.js";
+import {
+  MAX_EXPORT_LIMIT,
+  recordAuditEvent,
+  parseAuditQuery,
+  listAuditEvents,
+  auditEventsToCsv,
+} from "./backend/auditLog.js";
+import { enqueueJob, getJob, findActiveJob, subscribeJob, isJobFinished } from "./backend/jobQueue.js";
+
+const app = express();
+
+if (!isEncryptionEnabled()) {
+  console.warn("⚠️ 未設定 CONTRACT_ENCRYPTION_KEY：合約敏感欄位與原始文件將以明文保存（見 DEPLOYMENT.md）");
+}
+
+// 允許跨來源呼叫 API 的前端網址（逗號分隔），預設只允許本伺服器提供的前端頁面
+const CORS_ALLOWED_ORIGINS = (process.env.CORS_ALLOWED_ORIGINS || 'http://localhost:3000,http://127.0.0.1:3000')
+  .split(',')
+  .map(origin => origin.trim())
+  .filter(Boolean);
+
+// Enable CORS for frontend
+app.use((req, res, next) => {
+  const origin = req.headers.origin;
+  if (origin && CORS_ALLOWED_ORIGINS.includes(origin)) {
+    res.header('Access-Control-Allow-Origin', origin);
+    res.header('Vary', 'Origin');
+  }
+  res.header('Access-Control-Allow-Methods', 'GET, POST, PUT, DELETE, OPTIONS');
+  res.header('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+  // 前端下載報告時從 Content-Disposition 取得檔名
+  res.header('Access-Control-Expose-Headers', 'Content-Disposition');
+  if (req.method === 'OPTIONS') {
+    return res.sendStatus(200);
+  }
+  next();
+});
+
+// Serve static files from frontend folder
+app.use(express.static('./frontend'));
+
+// 上傳文件的暫存目錄（分析任務結束後刪除）
+const UPLOAD_DIR = process.env.UPLOAD_DIR || 'uploads/';
+
+// 任務佇列只存在記憶體中，伺服器重新啟動前留下的暫存檔不會再被分析，未完成的批次檔案標示為中斷
+if (fs.existsSync(UPLOAD_DIR)) {
+  for (const name of fs.readdirSync(UPLOAD_DIR)) {
+    removeUploadedFile(path.join(UPLOAD_DIR, name));
+  }
+}
+const interruptedBatchItems = failInterruptedBatchItems();
+if (interruptedBatchItems > 0) {
+  console.warn(`⚠️ ${interruptedBatchItems} 份批次上傳的文件因伺服器重新啟動而中斷`);
+}
+
+/**
+ * 產生上傳暫存檔的路徑：不使用用戶端提供的檔名，副檔名取自支援的格式
+ * @param {string} originalFilename - 原始檔名
+ * @returns {string}
+ */
+function createUploadTempPath(originalFilename) {
+  const uniqueSuffix = Date.now() + "-" + crypto.randomBytes(6).toString('hex');
+  const extension = getDocumentType(originalFilename)?.extension || (isZipFilename(originalFilename) ? '.zip' : '');
+  return path.join(UPLOAD_DIR, uniqueSuffix + extension);
+}
+
+const storage = multer.diskStorage({
+  destination: UPLOAD_DIR,
+  filename: (req, file, cb) => {
+    const originalFilename = Buffer.from(file.originalname, 'latin1').toString('utf8');
+    cb(null, path.basename(createUploadTempPath(originalFilename)));
+  },
+});
+
+/**
+ * 建立 multer 的格式檢查：不支援的格式在寫入磁碟前拒絕
+ * @param {boolean} allowZip - 是否接受 ZIP 壓縮檔（批次上傳）
+ * @returns {Function} multer fileFilter
+ */
+function createFileFilter(allowZip) {
+  return (req, file, cb) => {
+    const originalFilename = Buffer.from(file.originalname, 'latin1').toString('utf8');
+    const typeError = allowZip && isZipFilename(originalFilename) ? null : checkDocumentType(originalFilename);
+    if (typeError) {
+      return cb(createUploadError(400, 'unsupported_type', typeError));
+    }
+    cb(null, true);
+  };
+}
+
+// 超過大小上限時 multer 會刪除寫到一半的檔案
+const upload = multer({
+  storage: storage,
+  limits: { fileSize: UPLOAD_MAX_BYTES, files: 1, fields: 20 },
+  fileFilter: createFileFilter(false),
+});
+
+// 批次上傳：ZIP 壓縮檔的上限較大，一般文件的大小在建立批次時逐一檢查
+const batchUpload = multer({
+  storage: storage,
+  limits: { fileSize: BATCH_MAX_ZIP_BYTES, files: BATCH_MAX_FILES, fields: 20 },
+  fileFilter: createFileFilter(true),
+});
+
+/**
+ * 回傳上傳驗證錯誤
+ * @param {Object} res - Express response
+ * @param {Error} error - createUploadError 建立的錯誤
+ */
+function sendUploadError(res, error) {
+  res.status(error.status).json({ success: false, error: error.message, code: error.code });
+}
+
+/**
+ * 將 multer 錯誤轉為上傳驗證錯誤
+ * @param {Error} error - multer.MulterError
+ * @param {Object} limits - { fieldName, maxBytes, maxFiles }
+ * @returns {Error}
+ */
+function toUploadError(error, { fieldName, maxBytes, maxFiles }) {
+  switch (error.code) {
+    case 'LIMIT_FILE_SIZE':
+      return createUploadError(413, 'file_too_large', `文件超過 ${maxBytes / 1024 / 1024} MB 上限`);
+    case 'LIMIT_FILE_COUNT':
+      return createUploadError(400, 'too_many_files', maxFiles === 1 ? '一次只能上傳一份文件' : `一次最多上傳 ${maxFiles} 份文件`);
+    case 'LIMIT_UNEXPECTED_FILE':
+      return createUploadError(400, 'unexpected_field', `文件欄位名稱錯誤，請使用 ${fieldName}`);
+    default:
+      return createUploadError(400, 'invalid_upload', error.message);
+  }
+}
+
+/**
+ * 接收上傳文件的 middleware：格式、大小與欄位錯誤回傳 4xx，不進入路由
+ * @param {string} fieldName - 表單欄位名稱
+ * @param {Object} options - { batch: 是否為批次上傳（多份文件或 ZIP） }
+ * @returns {Function} Express middleware
+ */
+function receiveUpload(fieldName, { batch = false } = {}) {
+  const handler = batch ? batchUpload.array(fieldName, BATCH_MAX_FILES) : upload.single(fieldName);
+  const limits = batch
+    ? { fieldName, maxBytes: BATCH_MAX_ZIP_BYTES, maxFiles: BATCH_MAX_FILES }
+    : { fieldName, maxBytes: UPLOAD_MAX_BYTES, maxFiles: 1 };
+  return (req, res, next) => {
+    handler(req, res, error => {
+      if (!error) return next();
+      if (error.status) return sendUploadError(res, error);
+      if (error instanceof multer.MulterError) {
+        return sendUploadError(res, toUploadError(error, limits));
+      }
+      next(error);
+    });
+  };
+}
+
+// LLM 供應商與各階段模型由環境變數設定（LLM_PROVIDER、BASIC_INFO_MODEL、SCORING_MODEL、REDLINE_MODEL）
+const llm = createLLMProvider();
+console.log(`🤖 LLM 供應商: ${llm.name}（基本資訊: ${llm.models.basic_info}，評分: ${llm.models.scoring}，條款比對: ${llm.models.redline}）`);
+
+// 背景調查搜尋供應商由環境變數設定（RESEARCH_PROVIDER），查詢範本在 config/researchQueries.json
+const research = createResearchProvider();
+console.log(`🔎 背景調查搜尋供應商: ${research.name}`);
+
+// =========================
+//    合約存儲管理函數
+// =========================
+
+// 合約資料存放於 SQLite（見 backend/contractStore.js），舊版 contracts.json 請以 npm run import:contracts 匯入
+
+/**
+ * 計算文件 hash (用於檢測重複)
+ */
+function calculateFileHash(filePath) {
+  const fileBuffer = fs.readFileSync(filePath);
+  const hashSum = crypto.createHash('sha256');
+  hashSum.update(fileBuffer);
+  return hashSum.digest('hex');
+}
+
+// =========================
+//    合約分析輔助函數
+// =========================
+
+/**
+ * 取得評分設定檔（指定的設定檔已被刪除時退回 default）
+ * @param {string|undefined} profileName - 設定檔名稱
+ * @returns {Object} 評分設定檔
+ */
+function resolveScoringProfile(profileName) {
+  const profile = getScoringProfile(profileName || DEFAULT_PROFILE_NAME);
+  if (!profile) {
+    console.warn(`⚠️ 評分設定檔「${profileName}」不存在，改用 ${DEFAULT_PROFILE_NAME}`);
+    return getScoringProfile(DEFAULT_PROFILE_NAME);
+  }
+  return profile;
+}
+
+/**
+ * 帶超時和重試的背景調查搜索包裝函數
+ * @param {Object} request - 搜尋請求 { key, query, companyName, options }
+ * @param {number} timeout - 超時時間（毫秒），預設 60000ms
+ * @param {number} retries - 重試次數，預設 2
+ * @returns {Promise<Object>} 搜索結果或空結果
+ */
+async function researchSearchWithTimeout(request, timeout = 60000, retries = 2) {
+  for (let attempt = 1; attempt <= retries; attempt++) {
+    let timeoutId;
+    try {
+      return await Promise.race([
+        research.search(request),
+        new Promise((_, reject) => {
+          timeoutId = setTimeout(() => reject(new Error(`${research.name} request timeout`)), timeout);
+        })
+      ]);
+    } catch (error) {
+      console.warn(`⚠️ ${research.name} 搜索失敗 (嘗試 ${attempt}/${retries}): ${error.message}`);
+
+      if (attempt === retries) {
+        console.error(`❌ ${research.name} 搜索最終失敗: ${request.query.substring(0, 50)}...`);
+        // 返回空結果而不是拋出錯誤，讓系統可以繼續運作
+        return { answer: null, results: [] };
+      }
+
+      // 等待後重試（指數退避）
+      const waitTime = Math.min(2000 * Math.pow(2, attempt - 1), 8000);
+      console.log(`   等待 ${waitTime}ms 後重試...`);
+      await new Promise(resolve => setTimeout(resolve, waitTime));
+    } finally {
+      // 搜尋先完成時清除計時器，避免逾時計時器留到時間到才釋放
+      clearTimeout(timeoutId);
+    }
+  }
+
+  return { answer: null, results: [] };
+}
+
+/**
+ * 執行公司背景調查（搜尋供應商與查詢範本皆可設定）
+ * @param {string} companyName - 公司名稱
+ * @param {Function|null} onProgress - 每完成一項搜索時呼叫 (completed, total)
+ * @returns {Promise<Object>} 背景調查結果 { profile, customs, legal, responsible_person, responsible_person_legal }
+ */
+async function performCompanyBackgroundCheck(companyName, onProgress = null) {
+  console.log(`對「${companyName}」進行背景調查...`);
+
+  const queries = buildResearchQueries(companyName);
+
+  // 回報每一項搜索的完成進度
+  let completedCount = 0;
+  const trackProgress = (promise) => promise.finally(() => {
+    completedCount++;
+    if (onProgress) onProgress(completedCount, queries.length);
+  });
+
+  // 使用 Promise.allSettled 確保即使部分請求失敗也能繼續
+  const results = await Promise.allSettled(
+    queries.map(({ key, query, options }) =>
+      trackProgress(researchSearchWithTimeout({ key, query, companyName, options }))
+    )
+  );
+
+  // 提取結果，失敗的返回空結果
+  const extractResult = (settledResult) => {
+    if (settledResult.status === 'fulfilled') {
+      return settledResult.value;
+    }
+    console.warn(`⚠️ 背景調查項目失敗: ${settledResult.reason?.message || '未知錯誤'}`);
+    return { answer: null, results: [] };
+  };
+
+  const companyData = {};
+  queries.forEach(({ key }, index) => {
+    companyData[key] = extractResult(results[index]);
+  });
+
+  // 統計成功率
+  const successCount = results.filter(r => r.status === 'fulfilled' && r.value?.answer).length;
+  console.log(`📊 背景調查完成: ${successCount}/${queries.length} 項成功獲取資訊`);
+
+  return companyData;
+}
+
+/**
+ * 取得公司背景調查：優先使用未過期的快取快照，否則重新查詢並保存新快照
+ *
+ * 所有搜索項目全部失敗（沒有任何 answer）時不寫入快取，避免把空結果保存一整個有效期限
+ *
+ * @param {string} companyName - 公司名稱
+ * @param {Object} options - { forceRefresh: 忽略快取, onProgress: (completed, total) }
+ * @returns {Promise<Object>} { snapshot_id, checked_at, from_cache, data }
+ */
+async function getCompanyBackgroundCheck(companyName, { forceRefresh = false, onProgress = null } = {}) {
+  if (!forceRefresh) {
+    const cached = getLatestBackgroundCheck(companyName);
+    if (cached && cached.is_fresh) {
+      console.log(`♻️ 使用「${companyName}」的背景調查快取 (${cached.checked_at})`);
+      if (onProgress) onProgress(RESEARCH_KEYS.length, RESEARCH_KEYS.length);
+      return { snapshot_id: cached.snapshot_id, checked_at: cached.checked_at, from_cache: true, data: cached.data };
+    }
+  }
+
+  const companyData = await performCompanyBackgroundCheck(companyName, onProgress);
+  const hasAnswer = Object.values(companyData).some(item => item?.answer);
+
+  if (!hasAnswer) {
+    console.warn(`⚠️ 「${companyName}」的背景調查沒有任何結果，不寫入快取`);
+    return { snapshot_id: null, checked_at: new Date().toISOString(), from_cache: false, data: companyData };
+  }
+
+  const snapshot = saveBackgroundCheck(companyName, companyData);
+  return { snapshot_id: snapshot.snapshot_id, checked_at: snapshot.checked_at, from_cache: false, data: companyData };
+}
+
+/**
+ * 合約上記錄的背景調查快照資訊
+ * @param {Object} backgroundCheck - getCompanyBackgroundCheck 的結果
+ * @returns {Object} { snapshot_id, checked_at, from_cache }
+ */
+function toBackgroundCheckReference(backgroundCheck) {
+  return {
+    snapshot_id: backgroundCheck.snapshot_id,
+    checked_at: backgroundCheck.checked_at,
+    from_cache: backgroundCheck.from_cache,
+  };
+}
+
+// =========================
+//    PDF 上傳 + AI 分析
+// =========================
+
+/**
+ * 建立帶有詳細資訊的分析錯誤（由任務佇列回報給前端）
+ * @param {string} message - 錯誤訊息
+ * @param {string} details - 詳細資訊（可選）
+ * @param {string} failureId - AI 回應驗證失敗紀錄 ID（可選）
+ * @returns {Error}
+ */
+function createAnalysisError(message, details = undefined, failureId = undefined) {
+  const error = new Error(message);
+  error.details = details;
+  error.failure_id = failureId;
+  return error;
+}
+
+/**
+ * 執行完整的合約分析流程（由背景任務佇列呼叫）
+ *
+ * 階段：提取文件內容 → 提取乙方公司名稱 → 背景調查 → AI 評分 → 計算健康評分並保存
+ *
+ * @param {Object} payload - { filePath, originalFilename, fileHash, scoringProfileName, predecessorId, ownerUserId, teamId }
+ * @param {Function} reportProgress - (stage, message, progress) 回報目前階段
+ * @returns {Promise<Object>} 與原 POST /upload 回應相同格式的分析結果
+ */
+async function runUploadAnalysis(payload, reportProgress) {
+  const {
+    filePath,
+    originalFilename,
+    fileHash,
+    scoringProfileName,
+    predecessorId = null,
+    ownerUserId = null,
+    teamId = null,
+  } = payload;
+
+  try {
+    // 1. 本機擷取文件文字（掃描頁與圖片以 OCR 辨識），保存後供文字差異比對使用
+    let extractedText = null;
+    let uploaded = null;
+    let documentRecord = null;
+    const fileType = getDocumentType(originalFilename);
+
+    reportProgress('extracting_text', '正在讀取合約文件');
+
+    try {
+      documentRecord = await ingestDocument(filePath, originalFilename, {
+        onOcrProgress: (completed, total) => {
+          reportProgress('extracting_text', `正在辨識掃描文件文字 ${completed}/${total}`, { current: completed, total });
+        }
+      });
+      console.log(`文件文字擷取完成（${documentRecord.extractor}，${documentRecord.text.length} 字）`);
+    } catch (extractError) {
+      // 供應商能直接讀取 PDF 時，擷取失敗只影響文字比對
+      if (!(fileType.kind === 'pdf' && llm.supportsFiles)) {
+        console.error(`${fileType.label} 文件擷取失敗:`, extractError);
+        throw createAnalysisError(`無法讀取${fileType.label}文件`, extractError.message);
+      }
+      console.warn(`⚠️ PDF 文字擷取失敗，此合約將無法進行文字比對: ${extractError.message}`);
+    }
+
+    // 2. 有文字層的 PDF 且供應商能直接讀取檔案時上傳 PDF；其他格式（含 OCR 辨識的掃描檔）與需要分段分析的長合約送出擷取的文字
+    if (fileType.kind === 'pdf' && llm.supportsFiles && !isOcrDocument(documentRecord) && !requiresChunkedAnalysis(documentRecord?.text)) {
+      uploaded = await llm.uploadFile(filePath);
+    } else if (documentRecord && documentRecord.text.trim()) {
+      extractedText = documentRecord.text;
+    } else {
+      throw createAnalysisError(`無法從${fileType.label}文件中擷取文字（文件可能是空白，或掃描品質過低無法辨識）`);
+    }
+
+    // ========================================
+    // 階段 1: 快速提取公司名稱
+    // ========================================
+    console.log("階段 1: 提取基本資訊...");
+    reportProgress('extracting_seller', '正在提取乙方公司名稱');
+
+    // 累計本次分析的 token 用量，記錄在合約上
+    const analysisLlm = trackTokenUsage(llm);
+
+    let basicInfo;
+    try {
+      basicInfo = await extractBasicInfo(analysisLlm, {
+        fileId: uploaded ? uploaded.id : null,
+        documentText: extractedText,
+        context: { trigger: predecessorId ? 'replace' : 'upload', filename: originalFilename },
+      });
+      console.log("基本資訊:", basicInfo);
+    } catch (e) {
+      console.error("無法提取基本資訊:", e);
+      throw createAnalysisError("無法提取合約基本資訊", e.details || e.message, e.failure_id);
+    }
+
+    const documentType = basicInfo.document_type;
+    const sellerCompany = basicInfo.seller_company;
+
+    if (!sellerCompany || sellerCompany === "未知") {
+      throw createAnalysisError("無法確定乙方公司名稱");
+    }
+
+    // ========================================
+    // 階段 2: 背景調查
+    // ========================================
+    console.log(`階段 2: 對「${sellerCompany}」進行背景調查...`);
+    reportProgress('background_check', `正在對「${sellerCompany}」進行背景調查 0/${RESEARCH_KEYS.length}`, { current: 0, total: RESEARCH_KEYS.length });
+
+    const backgroundCheck = await getCompanyBackgroundCheck(sellerCompany, {
+      onProgress: (completed, total) => {
+        reportProgress('background_check', `正在對「${sellerCompany}」進行背景調查 ${completed}/${total}`, { current: completed, total });
+      }
+    });
+    const companyData = backgroundCheck.data;
+
+    console.log("背景調查完成，準備傳遞給 OpenAI 進行評估...");
+
+    // ========================================
+    // 階段 3: 完整合約評分（包含背景調查結果）
+    // ========================================
+    console.log("階段 3: 進行完整合約評分...");
+    reportProgress('scoring', 'AI 正在進行四維度評分');
+
+    // 使用輔助函數進行合約分析
+    let result;
+    let analysisSections = null;
+    try {
+      ({ analysis_sections: analysisSections = null, ...result } = await analyzeContractWithBackground(analysisLlm, {
+        fileId: uploaded ? uploaded.id : null,
+        companyName: sellerCompany,
+        companyData,
+        documentText: extractedText,
+        documentPages: documentRecord?.pages,
+        context: { trigger: predecessorId ? 'replace' : 'upload', filename: originalFilename, seller_company: sellerCompany },
+        onSectionProgress: (completed, total) => {
+          reportProgress('scoring', `AI 正在分段分析長合約 ${completed}/${total}`, { current: completed, total });
+        },
+      }));
+      console.log("成功解析 JSON，提取的資料:", JSON.stringify(result, null, 2));
+    } catch (parseError) {
+      console.error("AI 評分失敗:", parseError.message);
+      throw createAnalysisError("AI 回應格式錯誤", parseError.details || parseError.message, parseError.failure_id);
+    }
+
+    // ========================================
+    // 階段 4: 套用評分規則、計算健康評分並保存結果
+    // ========================================
+    reportProgress('saving', '正在計算健康評分並保存結果');
+
+    const scoringProfile = resolveScoringProfile(scoringProfileName);
+    const { flaggedClauses, ruleOutcome, healthScoreResult } = scoreAnalysisResult(result, companyData, scoringProfile);
+    const healthScore = healthScoreResult.score;
+    const healthDimensions = healthScoreResult.dimensions;
+    const healthTier = healthScoreResult.tier;
+    const healthTierLabel = healthScoreResult.tierLabel;
+    const scoreBreakdown = healthScoreResult.breakdown;
+
+    const dimensionExplanations = {
+      mad: result.dimension_explanations_mad || '',
+      mao: result.dimension_explanations_mao || '',
+      maa: result.dimension_explanations_maa || '',
+      map: result.dimension_explanations_map || ''
+    };
+
+    const overallRecommendation = result.overall_recommendation || '';
+
+    // 保存合約分析結果到數據庫
+    const contractId = crypto.randomBytes(16).toString('hex');
+    const savedContractData = {
+      contract_id: contractId,
+      file_hash: fileHash,
+      file_id: uploaded ? uploaded.id : null,  // 保存 OpenAI file_id（非 PDF 或 OCR 辨識的文件為 null）
+      filename: originalFilename,
+      upload_date: new Date().toISOString(),
+      owner_user_id: ownerUserId, // 上傳者
+      team_id: teamId, // 合約所屬團隊（決定誰看得到這份合約）
+      status: 'draft', // 審核狀態（見 backend/contractWorkflow.js）
+      health_score: healthScore,
+      health_tier: healthTier,
+      health_tier_label: healthTierLabel,
+      score_breakdown: scoreBreakdown,
+      scoring_profile: scoringProfile.name,
+      health_dimensions: healthDimensions,
+      dimension_explanations: dimensionExplanations,
+      overall_recommendation: overallRecommendation,
+      flagged_clauses: flaggedClauses,
+      rule_engine: ruleOutcome.rule_engine,
+      document_type: documentType,
+      seller_company: sellerCompany,
+      raw_data: result,
+      company_data: companyData, // 背景調查原始結果
+      background_check: toBackgroundCheckReference(backgroundCheck),
+      analysis_mode: analysisSections ? 'chunked' : 'single', // 長合約分段分析（見 backend/contractAnalysis.js）
+      analysis_sections: analysisSections,
+      dimension_citations: result.dimension_citations || null, // 分段分析時各維度引用的段落
+      token_usage: analysisLlm.getTokenUsage(),
+    };
+
+    // 保存原始文件（設定金鑰時加密），重新評估時不依賴供應商端的 file_id
+    const original = saveOriginalDocument(contractId, filePath);
+    savedContractData.original_document = { size: original.size, stored_at: new Date().toISOString() };
+
+    const models = { basic_info: llm.models.basic_info, scoring: llm.models.scoring };
+    if (analysisSections) {
+      models.section_findings = llm.models.section_findings;
+    }
+    const uploader = ownerUserId ? getUser(ownerUserId) : null;
+    const predecessor = predecessorId ? findContractById(predecessorId) : null;
+    try {
+      if (predecessorId) {
+        // 新版本：保留原合約，並以 predecessor_id 串接
+        savedContractData.predecessor_id = predecessorId;
+        supersedeContract(predecessorId, savedContractData, { trigger: 'replace', models });
+      } else {
+        saveContract(savedContractData, { trigger: 'upload', models });
+      }
+    } catch (error) {
+      // 合約沒有寫入時一併刪除剛保存的原始文件，不留下沒有對應合約的檔案
+      deleteOriginalDocument(contractId);
+      throw error;
+    }
+    if (predecessor) {
+      recordAuditEvent(uploader, 'replace', predecessor, {
+        before: predecessor,
+        after: findContractById(predecessorId),
+        details: { replacement_id: contractId, filename: originalFilename },
+      });
+    }
+    recordAuditEvent(uploader, 'upload', savedContractData, {
+      after: savedContractData,
+      details: { file_hash: fileHash, predecessor_id: predecessorId },
+    });
+
+    if (documentRecord && documentRecord.text.trim()) {
+      saveContractDocument(contractId, documentRecord);
+    }
+
+    console.log(`✅ 合約分析完成！ID: ${contractId}, 健康評分: ${healthScore} 分 [${healthTier}級-${healthTierLabel}]`);
+
+    // 返回完整分析結果
+    return {
+      contract_id: contractId,
+      predecessor_id: predecessorId,
+      success: true,
+      health_score: healthScore,
+      health_tier: healthTier,
+      health_tier_label: healthTierLabel,
+      score_breakdown: scoreBreakdown,
+      scoring_profile: scoringProfile.name,
+      health_dimensions: healthDimensions,
+      dimension_explanations: dimensionExplanations,
+      overall_recommendation: overallRecommendation,
+      flagged_clauses: flaggedClauses,
+      rule_engine: ruleOutcome.rule_engine,
+      document_type: documentType,
+      seller_company: sellerCompany,
+      raw_data: result,
+      company_data: companyData, // 背景調查原始結果
+      background_check: toBackgroundCheckReference(backgroundCheck),
+      analysis_mode: savedContractData.analysis_mode,
+      analysis_sections: analysisSections,
+      dimension_citations: savedContractData.dimension_citations,
+      token_usage: savedContractData.token_usage,
+    };
+  } finally {
+    // Clean up uploaded files（無論成功或失敗）
+    removeUploadedFile(filePath);
+  }
+}
+
+/**
+ * 新版本合約的分析任務：執行完整分析流程後，與原合約比較維度、等級與風險條款
+ * @param {Object} payload - 同 runUploadAnalysis，另含 predecessorId
+ * @param {Function} reportProgress - (stage, message, progress) => void
+ * @returns {Promise<Object>} 分析結果，另含 comparison
+ */
+async function runReplaceAnalysis(payload, reportProgress) {
+  const result = await runUploadAnalysis(payload, reportProgress);
+  const predecessor = findContractById(payload.predecessorId);
+  const diff = diffAssessments(predecessor, findContractById(result.contract_id));
+  const madDelta = diff.dimensions.mad.delta;
+
+  console.log(`🔀 新版本比較: MAD ${diff.dimensions.mad.before} → ${diff.dimensions.mad.after}, ${diff.health_tier.before}級 → ${diff.health_tier.after}級`);
+
+  return {
+    ...result,
+    comparison: {
+      predecessor_id: payload.predecessorId,
+      contract_id: result.contract_id,
+      mad_improved: madDelta === null ? null : madDelta < 0,
+      ...diff,
+    },
+  };
+}
+
+/**
+ * 批次上傳中單一文件的分析任務：執行完整分析流程，並將結果記錄在批次中
+ * @param {Object} payload - 同 runUploadAnalysis，另含 batchId、itemIndex
+ * @param {Function} reportProgress - (stage, message, progress) => void
+ * @returns {Promise<Object>} 分析結果
+ */
+async function runBatchItemAnalysis(payload, reportProgress) {
+  const { batchId, itemIndex } = payload;
+  updateBatchItem(batchId, itemIndex, { status: 'running' });
+  try {
+    const result = await runUploadAnalysis(payload, reportProgress);
+    updateBatchItem(batchId, itemIndex, {
+      status: 'completed',
+      contract_id: result.contract_id,
+      result: {
+        seller_company: result.seller_company,
+        health_score: result.health_score,
+        health_tier: result.health_tier,
+      },
+    });
+    return result;
+  } catch (err) {
+    updateBatchItem(batchId, itemIndex, { status: 'failed', code: 'analysis_failed', error: err.message });
+    throw err;
+  }
+}
+
+// =========================
+//    登入驗證 API
+// =========================
+
+/**
+ * 取得請求的存取 token（Authorization: Bearer <登入 token 或 API 金鑰>）
+ * @param {Object} req - Express 請求
+ * @returns {string|null}
+ */
+function getRequestToken(req) {
+  const match = /^Bearer\s+(.+)$/i.exec(req.headers.authorization || '');
+  return match ? match[1].trim() : null;
+}
+
+/**
+ * 驗證登入狀態，通過後將使用者放在 req.user
+ * EventSource 無法自訂標頭，任務進度串流另接受 ?stream_token=（由 POST /jobs/:id/stream-token 取得，只能使用一次）
+ */
+function requireAuth(req, res, next) {
+  const token = getRequestToken(req);
+  const stream = !token && req.method === 'GET' ? /^\/jobs\/([^/]+)\/events$/.exec(req.path) : null;
+  const auth = stream
+    ? consumeStreamToken(req.query.stream_token, `job:${stream[1]}`)
+    : resolveAccessToken(token);
+  if (!auth) {
+    return res.status(401).json({ error: "請先登入" });
+  }
+  req.user = auth.user;
+  req.authType = auth.auth_type;
+  req.accessToken = token;
+  next();
+}
+
+/**
+ * 建立檢查角色權限的 middleware（權限定義見 backend/auth.js 的 ROLE_PERMISSIONS）
+ * @param {string} permission - 需要的權限
+ * @returns {Function} Express middleware
+ */
+function requirePermission(permission) {
+  return (req, res, next) => {
+    if (!hasPermission(req.user, permission)) {
+      return res.status(403).json({ error: "權限不足", required_permission: permission });
+    }
+    next();
+  };
+}
+
+/**
+ * 查找目前使用者可存取的合約（其他團隊的合約視同不存在）
+ * @param {Object} user - 使用者
+ * @param {string} contractId - 合約 ID
+ * @returns {Object|undefined}
+ */
+function findAccessibleContract(user, contractId, { includeDeleted = false } = {}) {
+  const contract = findContractById(contractId, { includeDeleted });
+  return contract && canAccessContract(user, contract) ? contract : undefined;
+}
+
+/**
+ * 使用者能否刪除（或還原）合約：管理員可處理任何合約；上傳者只能處理自己尚未送審（或已退回）的合約
+ * @param {Object} user - 使用者
+ * @param {Object} contract - 合約
+ * @returns {boolean}
+ */
+function canDeleteContract(user, contract) {
+  const ownDraft = contract.owner_user_id === user.user_id
+    && ['draft', 'rejected'].includes(getContractStatus(contract))
+    && hasPermission(user, 'contract:upload');
+  return hasPermission(user, 'contract:delete') || ownDraft;
+}
+
+// 以帳號密碼登入，回傳 Bearer token
+app.post("/auth/login", express.json(), (req, res) => {
+  try {
+    const { username, password } = req.body || {};
+    if (typeof username !== 'string' || typeof password !== 'string' || !username || !password) {
+      return res.status(400).json({ error: "請輸入帳號與密碼" });
+    }
+
+    const user = authenticateUser(username.trim(), password);
+    if (!user) {
+      return res.status(401).json({ error: "帳號或密碼錯誤" });
+    }
+
+    const session = createSession(user.user_id);
+    console.log(`🔑 使用者登入: ${user.username}（${user.team_name}）`);
+    res.json({
+      success: true,
+      token: session.token,
+      expires_at: session.expires_at,
+      user,
+      permissions: ROLE_PERMISSIONS[user.role] || [],
+    });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// 以下所有 API 都需要登入（登入 token 或 API 金鑰）
+app.use(requireAuth);
+
+// 登出（使目前的登入 token 失效）
+app.post("/auth/logout", (req, res) => {
+  try {
+    if (req.authType === 'session') {
+      deleteSession(req.accessToken);
+    }
+    res.json({ success: true, message: "已登出" });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// 目前登入的使用者
+app.get("/auth/me", (req, res) => {
+  res.json({
+    success: true,
+    user: req.user,
+    permissions: ROLE_PERMISSIONS[req.user.role] || [],
+    auth_type: req.authType,
+    session_ttl_hours: SESSION_TTL_HOURS,
+  });
+});
+
+// 變更自己的密碼（其他登入 token 一併失效，需重新登入）
+app.put("/auth/password", express.json(), (req, res) => {
+  try {
+    const { current_password, new_password } = req.body || {};
+    if (typeof current_password !== 'string' || !authenticateUser(req.user.username, current_password)) {
+      return res.status(400).json({ error: "目前的密碼不正確" });
+    }
+
+    const { errors } = updateUser(req.user.user_id, { password: new_password });
+    if (errors) {
+      return res.status(400).json({ error: "密碼格式錯誤", details: errors });
+    }
+    res.json({ success: true, message: "密碼已變更，請重新登入" });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// 列出自己的 API 金鑰
+app.get("/auth/api-keys", (req, res) => {
+  try {
+    res.json({ success: true, api_keys: listApiKeys(req.user.user_id) });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// 建立 API 金鑰（完整金鑰只在此回應中出現一次）
+app.post("/auth/api-keys", express.json(), (req, res) => {
+  try {
+    const name = typeof req.body?.name === 'string' ? req.body.name.trim() : '';
+    if (!name || name.length > 64) {
+      return res.status(400).json({ error: "請提供 API 金鑰名稱（最多 64 字）" });
+    }
+
+    const { api_key, key } = createApiKey(req.user.user_id, name);
+    res.json({ success: true, message: "請立即保存 API 金鑰，之後無法再次查看", api_key, key });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// 撤銷自己的 API 金鑰
+app.delete("/auth/api-keys/:id", (req, res) => {
+  try {
+    if (!revokeApiKey(req.user.user_id, req.params.id)) {
+      return res.status(404).json({ error: "API 金鑰不存在或已撤銷" });
+    }
+    res.json({ success: true, message: "API 金鑰已撤銷" });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// =========================
+//    使用者與團隊管理 API（管理員）
+// =========================
+
+// 列出所有團隊
+app.get("/teams", requirePermission('users:manage'), (req, res) => {
+  try {
+    res.json({ success: true, teams: listTeams() });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// 建立團隊
+app.post("/teams", requirePermission('users:manage'), express.json(), (req, res) => {
+  try {
+    const { team, errors } = createTeam(req.body?.name);
+    if (errors) {
+      return res.status(400).json({ error: "團隊資料錯誤", details: errors });
+    }
+    res.json({ success: true, team });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// 列出所有使用者
+app.get("/users", requirePermission('users:manage'), (req, res) => {
+  try {
+    res.json({ success: true, users: listUsers() });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// 建立使用者
+app.post("/users", requirePermission('users:manage'), express.json(), (req, res) => {
+  try {
+    const { user, errors } = createUser(req.body || {});
+    if (errors) {
+      return res.status(400).json({ error: "使用者資料錯誤", details: errors });
+    }
+    console.log(`👤 建立使用者: ${user.username}（${user.team_name}，${user.role}）`);
+    res.json({ success: true, user });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// 更新使用者（顯示名稱、密碼、角色、團隊、停用）
+app.put("/users/:id", requirePermission('users:manage'), express.json(), (req, res) => {
+  try {
+    const outcome = updateUser(req.params.id, req.body || {});
+    if (!outcome) {
+      return res.status(404).json({ error: "使用者不存在" });
+    }
+    if (outcome.errors) {
+      return res.status(400).json({ error: "使用者資料錯誤", details: outcome.errors });
+    }
+    res.json({ success: true, user: outcome.user });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// =========================
+//    合約上傳 API
+// =========================
+
+// 上傳合約：檢查重複後立即回傳任務 ID，分析在背景執行
+app.post("/upload", requirePermission('contract:upload'), receiveUpload("file"), async (req, res) => {
+  // 暫存檔交給分析任務後由任務刪除，其他情況（包含錯誤）在回應時刪除
+  let handedOff = false;
+  try {
+    if (!req.file) {
+      return sendUploadError(res, createUploadError(400, 'missing_file', '請選擇要上傳的合約文件'));
+    }
+
+    const filePath = req.file.path;
+    // Fix encoding issue for non-ASCII filenames (Chinese characters, etc.)
+    const originalFilename = Buffer.from(req.file.originalname, 'latin1').toString('utf8');
+
+    // 指定的評分設定檔（可選，預設 default）
+    const scoringProfileName = req.body?.scoring_profile || DEFAULT_PROFILE_NAME;
+    if (!getScoringProfile(scoringProfileName)) {
+      return res.status(400).json({
+        success: false,
+        error: `評分設定檔「${scoringProfileName}」不存在`
+      });
+    }
+
+    // 檢查檔案內容、頁數、加密與巨集
+    await validateUploadedFile(filePath, originalFilename);
+
+    // 1. 計算文件 hash 檢測重複
+    const fileHash = calculateFileHash(filePath);
+    const existingContract = findContractByHash(fileHash, { teamId: req.user.team_id });
+
+    if (existingContract) {
+      // 發現重複文件
+      return res.json({
+        success: true,
+        duplicate: true,
+        existing_contract: existingContract,
+        message: "此合約已存在於系統中"
+      });
+    }
+
+    // 同一文件已在分析中：回傳既有任務，避免重複分析
+    const activeJob = findActiveJob(payload => payload.fileHash === fileHash && payload.teamId === req.user.team_id);
+    if (activeJob) {
+      return res.status(202).json({
+        success: true,
+        job_id: activeJob.job_id,
+        status: activeJob.status,
+        message: "此合約正在分析中"
+      });
+    }
+
+    const job = enqueueJob('upload', {
+      filePath,
+      originalFilename,
+      fileHash,
+      scoringProfileName,
+      ownerUserId: req.user.user_id,
+      teamId: req.user.team_id,
+    }, runUploadAnalysis, { userId: req.user.user_id, teamId: req.user.team_id });
+    handedOff = true;
+
+    res.status(202).json({
+      success: true,
+      job_id: job.job_id,
+      status: job.status,
+      filename: originalFilename,
+    });
+  } catch (err) {
+    if (err.status) {
+      return sendUploadError(res, err);
+    }
+    console.error(err);
+    res.status(500).json({ error: err.message });
+  } finally {
+    if (!handedOff) {
+      removeUploadedFile(req.file?.path);
+    }
+  }
+});
+
+// =========================
+//    批次上傳 API
+// =========================
+
+/**
+ * 將上傳驗證錯誤記錄在批次的檔案上（其他錯誤往外拋出）
+ * @param {Object} item - 批次中的檔案
+ * @param {Error} error - 錯誤
+ */
+function rejectBatchItem(item, error) {
+  if (!error.status) throw error;
+  item.status = 'failed';
+  item.code = error.code;
+  item.error = error.message;
+}
+
+// 批次上傳：欄位 files 可包含多份文件或 ZIP 壓縮檔，每份文件各自驗證、去除重複後排入分析
+app.post("/batches", requirePermission('contract:upload'), receiveUpload("files", { batch: true }), async (req, res) => {
+  // 上傳與解壓縮的暫存檔，交給分析任務的由任務刪除，其餘（包含錯誤）在回應時刪除
+  const tempPaths = new Set((req.files || []).map(file => file.path));
+  try {
+    if (!req.files || req.files.length === 0) {
+      return sendUploadError(res, createUploadError(400, 'missing_file', '請選擇要上傳的合約文件或 ZIP 壓縮檔'));
+    }
+
+    const scoringProfileName = req.body?.scoring_profile || DEFAULT_PROFILE_NAME;
+    if (!getScoringProfile(scoringProfileName)) {
+      return res.status(400).json({
+        success: false,
+        error: `評分設定檔「${scoringProfileName}」不存在`
+      });
+    }
+
+    // 1. 展開 ZIP 壓縮檔（文件數與解壓縮後的總大小超過上限時整個批次失敗）
+    const candidates = [];
+    let expandedBytes = 0;
+    for (const file of req.files) {
+      const filename = Buffer.from(file.originalname, 'latin1').toString('utf8');
+      if (!isZipFilename(filename)) {
+        candidates.push({ filename, archive: null, path: file.path, error: null });
+        continue;
+      }
+      try {
+        const expanded = expandUploadedArchive(file.path, filename, entryName => {
+          const tempPath = createUploadTempPath(entryName);
+          tempPaths.add(tempPath);
+          return tempPath;
+        }, {
+          maxFiles: BATCH_MAX_FILES - candidates.length,
+          maxBytes: BATCH_MAX_EXPANDED_BYTES - expandedBytes,
+        });
+        candidates.push(...expanded);
+        expandedBytes += expanded.reduce((total, item) => total + item.size, 0);
+      } catch (error) {
+        if (!error.status) throw error;
+        if (error.code === 'too_many_files' || error.code === 'archive_too_large') {
+          return sendUploadError(res, error);
+        }
+        candidates.push({ filename, archive: null, path: null, error });
+      }
+    }
+    if (candidates.length === 0) {
+      return sendUploadError(res, createUploadError(400, 'missing_file', '壓縮檔中沒有合約文件'));
+    }
+    if (candidates.length > BATCH_MAX_FILES) {
+      return sendUploadError(res, createUploadError(400, 'too_many_files', `一次最多上傳 ${BATCH_MAX_FILES} 份文件（含壓縮檔內的文件），此批次共 ${candidates.length} 份`));
+    }
+
+    // 2. 逐一驗證，並與既有合約、分析中的任務及同批次的其他文件比對 file_hash
+    const items = [];
+    const queuedPaths = new Map();
+    const seenHashes = new Map();
+    for (const [index, candidate] of candidates.entries()) {
+      const item = { filename: candidate.filename, archive: candidate.archive, status: 'queued' };
+      items.push(item);
+      if (candidate.error) {
+        rejectBatchItem(item, candidate.error);
+        continue;
+      }
+      try {
+        await validateUploadedFile(candidate.path, candidate.filename);
+      } catch (error) {
+        rejectBatchItem(item, error);
+        continue;
+      }
+
+      item.file_hash = calculateFileHash(candidate.path);
+      const existingContract = findContractByHash(item.file_hash, { teamId: req.user.team_id });
+      const activeJob = existingContract
+        ? null
+        : findActiveJob(payload => payload.fileHash === item.file_hash && payload.teamId === req.user.team_id);
+      if (seenHashes.has(item.file_hash)) {
+        item.status = 'duplicate';
+        item.duplicate_of_item = seenHashes.get(item.file_hash);
+      } else if (existingContract) {
+        item.status = 'duplicate';
+        item.contract_id = existingContract.contract_id;
+      } else if (activeJob) {
+        item.status = 'duplicate';
+        item.job_id = activeJob.job_id;
+      } else {
+        seenHashes.set(item.file_hash, index);
+        queuedPaths.set(index, candidate.path);
+      }
+    }
+
+    // 3. 建立批次後排入分析（任務開始時會更新批次中的狀態，必須先建立批次）
+    const batch = createBatch(req.user, { teamId: req.user.team_id, scoringProfile: scoringProfileName, items });
+    for (const [index, filePath] of queuedPaths) {
+      const job = enqueueJob('upload', {
+        filePath,
+        originalFilename: path.basename(items[index].filename),
+        fileHash: items[index].file_hash,
+        scoringProfileName,
+        ownerUserId: req.user.user_id,
+        teamId: req.user.team_id,
+        batchId: batch.batch_id,
+        itemIndex: index,
+      }, runBatchItemAnalysis, { userId: req.user.user_id, teamId: req.user.team_id });
+      tempPaths.delete(filePath);
+      updateBatchItem(batch.batch_id, index, { job_id: job.job_id });
+    }
+
+    console.log(`📦 批次上傳 ${batch.batch_id}: ${items.length} 份文件，排入分析 ${queuedPaths.size} 份`);
+    res.status(202).json({ success: true, batch: getBatch(batch.batch_id) });
+  } catch (err) {
+    if (err.status) {
+      return sendUploadError(res, err);
+    }
+    console.error(err);
+    res.status(500).json({ error: err.message });
+  } finally {
+    for (const tempPath of tempPaths) {
+      removeUploadedFile(tempPath);
+    }
+  }
+});
+
+// 列出批次（新到舊），一般使用者只看得到自己團隊的批次
+app.get("/batches", (req, res) => {
+  try {
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 50, 1), 500);
+    const batches = listBatches({ ...contractScopeFor(req.user), limit });
+    res.json({ success: true, count: batches.length, batches });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// 批次摘要：每份文件的狀態、合約 ID 與失敗原因
+app.get("/batches/:id", (req, res) => {
+  try {
+    const batch = getBatch(req.params.id);
+    // 批次與合約一樣依團隊限制可見範圍
+    if (!batch || !canAccessContract(req.user, batch)) {
+      return res.status(404).json({ error: "批次不存在" });
+    }
+    res.json({ success: true, batch });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// =========================
+//    分析任務 API
+// =========================
+
+/**
+ * 查找目前使用者可查詢的任務（與合約相同，依任務所屬的團隊限制；重複上傳時會回傳同團隊其他人的任務）
+ * @param {Object} user - 使用者
+ * @param {string} jobId - 任務 ID
+ * @returns {Object|null}
+ */
+function findAccessibleJob(user, jobId) {
+  const job = getJob(jobId);
+  return job && (job.user_id === user.user_id || canAccessContract(user, job)) ? job : null;
+}
+
+// 查詢任務狀態
+app.get("/jobs/:id", (req, res) => {
+  const job = findAccessibleJob(req.user, req.params.id);
+  if (!job) {
+    return res.status(404).json({ error: "任務不存在" });
+  }
+  res.json({ success: true, job });
+});
+
+// 建立開啟任務進度串流用的 token（60 秒內有效，只能使用一次）
+app.post("/jobs/:id/stream-token", (req, res) => {
+  const job = findAccessibleJob(req.user, req.params.id);
+  if (!job) {
+    return res.status(404).json({ error: "任務不存在" });
+  }
+  const { token, expires_at } = createStreamToken(req.user.user_id, `job:${job.job_id}`);
+  res.json({ success: true, stream_token: token, expires_at });
+});
+
+// 以 Server-Sent Events 串流任務進度
+app.get("/jobs/:id/events", (req, res) => {
+  const job = findAccessibleJob(req.user, req.params.id);
+  if (!job) {
+    return res.status(404).json({ error: "任務不存在" });
+  }
+
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    'Connection': 'keep-alive',
+    'X-Accel-Buffering': 'no', // 避免 Nginx 緩衝事件
+  });
+
+  let unsubscribe = null;
+  let heartbeat = null;
+
+  const closeStream = () => {
+    if (unsubscribe) unsubscribe();
+    if (heartbeat) clearInterval(heartbeat);
+  };
+
+  // 事件名稱：progress（進行中）、completed、failed
+  const sendEvent = (currentJob) => {
+    const eventName = isJobFinished(currentJob) ? currentJob.status : 'progress';
+    res.write(`event: ${eventName}\ndata: ${JSON.stringify(currentJob)}\n\n`);
+    if (isJobFinished(currentJob)) {
+      closeStream();
+      res.end();
+    }
+  };
+
+  // 先送出目前狀態，讓重新連線的前端立即同步
+  sendEvent(job);
+  if (isJobFinished(job)) {
+    return;
+  }
+
+  unsubscribe = subscribeJob(job.job_id, sendEvent);
+  heartbeat = setInterval(() => res.write(': ping\n\n'), 15000);
+  req.on('close', closeStream);
+});
+
+// =========================
+//    合約管理 API
+// =========================
+
+// 獲取所有合約列表
+app.get("/contracts", (req, res) => {
+  try {
+    const status = req.query.status || null;
+    if (status && !CONTRACT_STATUSES[status]) {
+      return res.status(400).json({ error: `status 必須是 ${Object.keys(CONTRACT_STATUSES).join(' | ')} 之一` });
+    }
+    // ?deleted=true 列出已刪除（可還原）的合約
+    const deleted = req.query.deleted === 'true';
+
+    // 只返回列表需要的基本資訊
+    const contractsList = listContractSummaries({ ...contractScopeFor(req.user), status, deleted });
+    res.json({ success: true, contracts: contractsList });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// 獲取特定合約詳情
+app.get("/contracts/:id", (req, res) => {
+  try {
+    const contract = findAccessibleContract(req.user, req.params.id);
+    if (!contract) {
+      return res.status(404).json({ error: "合約不存在" });
+    }
+    recordAuditEvent(req.user, 'view', contract);
+    res.json({ success: true, contract });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// 下載上傳的原始文件（伺服器端解密）
+app.get("/contracts/:id/original", (req, res) => {
+  try {
+    const contract = findAccessibleContract(req.user, req.params.id);
+    if (!contract) {
+      return res.status(404).json({ error: "合約不存在" });
+    }
+
+    const content = readOriginalDocument(contract.contract_id);
+    if (!content) {
+      return res.status(404).json({ error: "此合約沒有保存原始文件（原始文件保存功能上線前上傳）" });
+    }
+    recordAuditEvent(req.user, 'view', contract, { details: { original_document: true } });
+
+    res.attachment(contract.filename || `${contract.contract_id}.pdf`);
+    res.send(content);
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// 匯出合約分析報告：format=pdf（預設）或 docx，在伺服器本機產生
+app.get("/contracts/:id/report", (req, res) => {
+  try {
+    const format = req.query.format || 'pdf';
+    if (!REPORT_FORMATS[format]) {
+      return res.status(400).json({ error: `format 必須是 ${Object.keys(REPORT_FORMATS).join(' | ')} 之一` });
+    }
+    const contract = findAccessibleContract(req.user, req.params.id);
+    if (!contract) {
+      return res.status(404).json({ error: "合約不存在" });
+    }
+
+    const report = generateContractReport(contract, format, { generatedBy: req.user.username });
+    recordAuditEvent(req.user, 'view', contract, { details: { report: format } });
+
+    res.attachment(report.filename);
+    res.type(report.contentType).send(report.buffer);
+  } catch (err) {
+    // 伺服器缺少中文字型時為 503
+    res.status(err.status || 500).json({ error: err.message, code: err.code });
+  }
+});
+
+// 上傳新版本取代現有合約（原合約保留為前一版本），完成後回傳新舊版本比較
+app.post("/contracts/:id/replace", requirePermission('contract:upload'), receiveUpload("file"), async (req, res) => {
+  // 暫存檔交給分析任務後由任務刪除，其他情況（包含錯誤）在回應時刪除
+  let handedOff = false;
+  try {
+    if (!req.file) {
+      return sendUploadError(res, createUploadError(400, 'missing_file', '請上傳新版本的合約文件'));
+    }
+
+    const filePath = req.file.path;
+    const originalFilename = Buffer.from(req.file.originalname, 'latin1').toString('utf8');
+
+    const existingContract = findAccessibleContract(req.user, req.params.id);
+    if (!existingContract) {
+      return res.status(404).json({ error: "合約不存在" });
+    }
+
+    if (existingContract.superseded_by) {
+      return res.status(409).json({
+        error: "此合約已被新版本取代，請對最新版本上傳修訂",
+        superseded_by: existingContract.superseded_by
+      });
+    }
+
+    // 預設沿用原合約的評分設定檔，新舊版本才能直接比較
+    const scoringProfileName = req.body?.scoring_profile || existingContract.scoring_profile || DEFAULT_PROFILE_NAME;
+    if (!getScoringProfile(scoringProfileName)) {
+      return res.status(400).json({
+        success: false,
+        error: `評分設定檔「${scoringProfileName}」不存在`
+      });
+    }
+
+    // 檢查檔案內容、頁數、加密與巨集
+    await validateUploadedFile(filePath, originalFilename);
+
+    const fileHash = calculateFileHash(filePath);
+    if (fileHash === existingContract.file_hash) {
+      return res.status(400).json({ error: "新文件與原合約內容相同" });
+    }
+
+    // 新版本沿用原合約的團隊，重複檢查也限定在同一團隊
+    const duplicateContract = findContractByHash(fileHash, { teamId: existingContract.team_id });
+    if (duplicateContract) {
+      return res.json({
+        success: true,
+        duplicate: true,
+        existing_contract: duplicateContract,
+        message: "此合約已存在於系統中"
+      });
+    }
+
+    // 同一份合約已有新版本在分析中：回傳既有任務，避免產生分岔的版本（只比對同一團隊的任務）
+    const teamId = existingContract.team_id ?? null;
+    const activeJob = findActiveJob(payload => payload.teamId === teamId
+      && (payload.predecessorId === req.params.id || payload.fileHash === fileHash));
+    if (activeJob) {
+      return res.status(202).json({
+        success: true,
+        job_id: activeJob.job_id,
+        status: activeJob.status,
+        message: "此合約的新版本正在分析中"
+      });
+    }
+
+    const job = enqueueJob('replace', {
+      filePath,
+      originalFilename,
+      fileHash,
+      scoringProfileName,
+      predecessorId: req.params.id,
+      ownerUserId: req.user.user_id,
+      teamId,
+    }, runReplaceAnalysis, { userId: req.user.user_id, teamId });
+    handedOff = true;
+
+    res.status(202).json({
+      success: true,
+      job_id: job.job_id,
+      status: job.status,
+      filename: originalFilename,
+      predecessor_id: req.params.id,
+    });
+  } catch (err) {
+    if (err.status) {
+      return sendUploadError(res, err);
+    }
+    console.error(err);
+    res.status(500).json({ error: err.message });
+  } finally {
+    if (!handedOff) {
+      removeUploadedFile(req.file?.path);
+    }
+  }
+});
+
+// 刪除合約
+app.delete("/contracts/:id", (req, res) => {
+  try {
+    const contract = findAccessibleContract(req.user, req.params.id);
+    if (!contract) {
+      return res.status(404).json({ error: "合約不存在" });
+    }
+
+    if (!canDeleteContract(req.user, contract)) {
+      return res.status(403).json({ error: "只有管理員或上傳者（草稿、已退回的合約）可以刪除合約" });
+    }
+
+    // 軟刪除：合約仍保留在資料庫中，可用 POST /contracts/:id/restore 還原
+    const deletedContract = deleteContract(req.params.id, req.user.username);
+    if (!deletedContract) {
+      return res.status(404).json({ error: "合約不存在" });
+    }
+    recordAuditEvent(req.user, 'delete', contract, { before: contract, after: deletedContract });
+
+    res.json({ success: true, message: "合約已刪除（可還原）", deleted_at: deletedContract.deleted_at });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// 還原已刪除的合約
+app.post("/contracts/:id/restore", (req, res) => {
+  try {
+    const contract = findAccessibleContract(req.user, req.params.id, { includeDeleted: true });
+    if (!contract) {
+      return res.status(404).json({ error: "合約不存在" });
+    }
+    if (!contract.deleted_at) {
+      return res.status(409).json({ error: "合約未被刪除" });
+    }
+    if (!canDeleteContract(req.user, contract)) {
+      return res.status(403).json({ error: "只有管理員或上傳者（草稿、已退回的合約）可以還原合約" });
+    }
+
+    const restoredContract = restoreContract(req.params.id);
+    if (!restoredContract) {
+      return res.status(409).json({ error: "合約未被刪除" });
+    }
+    recordAuditEvent(req.user, 'restore', contract, { before: contract, after: restoredContract });
+
+    res.json({ success: true, message: "合約已還原", contract: restoredContract });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// 審核中、已核准或已簽署的合約不可修改評估
+const ASSESSMENT_LOCKED_ERROR = "合約審核中或已核准，不能修改評估；如需修改請上傳新版本";
+
+// 更新公司名稱並重新評估合約
+app.put("/contracts/:id/update-company", requirePermission('contract:edit'), express.json(), async (req, res) => {
+  try {
+    const contractId = req.params.id;
+    const { new_company_name } = req.body;
+
+    if (!new_company_name || new_company_name.trim() === "") {
+      return res.status(400).json({ error: "公司名稱不能為空" });
+    }
+
+    const existingContract = findAccessibleContract(req.user, contractId);
+    if (!existingContract) {
+      return res.status(404).json({ error: "合約不存在" });
+    }
+    if (isAssessmentLocked(existingContract)) {
+      return res.status(409).json({ error: ASSESSMENT_LOCKED_ERROR, status: getContractStatus(existingContract) });
+    }
+
+    console.log(`\n🔄 更新合約 ${contractId} 的公司名稱: ${existingContract.seller_company} → ${new_company_name}`);
+
+    // ========================================
+    // 階段 1: 背景調查（使用新公司名稱）
+    // ========================================
+    console.log(`階段 1: 對「${new_company_name}」進行背景調查...`);
+
+    const backgroundCheck = await getCompanyBackgroundCheck(new_company_name);
+    const companyData = backgroundCheck.data;
+
+    // ========================================
+    // 階段 2: 重新評估合約維度（使用新公司背景）
+    // ========================================
+    console.log("階段 2: 使用新公司背景重新評估合約...");
+
+    // 文件來源：有文字層的 PDF 且供應商能讀取檔案時，重新上傳保存的原始文件；否則（含 OCR 辨識的掃描檔與需要分段分析的長合約）
+    // 使用本機保存的文件文字；兩者皆無的舊合約才使用上傳時的 file_id（供應商端可能已刪除）
+    const storedDocument = getContractDocument(contractId);
+    const isPdf = getDocumentType(existingContract.filename)?.kind === 'pdf';
+    const useOriginal = Boolean(
+      llm.supportsFiles && isPdf && !isOcrDocument(storedDocument) && !requiresChunkedAnalysis(storedDocument?.text)
+      && hasOriginalDocument(contractId)
+    );
+    const useFileId = Boolean(!useOriginal && !storedDocument && llm.supportsFiles && existingContract.file_id);
+    if (!useOriginal && !useFileId && !storedDocument) {
+      // 沒有可供重新分析的文件，僅更新公司背景
+      console.warn("警告: 此合約沒有保存原始文件、文件文字或 file_id，無法重新分析維度。僅更新背景調查資料。");
+
+      // 以原有的 AI 評分與條款事實，搭配新的背景調查重新套用規則（致命傷規則可能改變）
+      const previousModelMad = existingContract.rule_engine?.model_mad ?? existingContract.health_dimensions?.mad ?? 0;
+      const ruleOutcome = applyScoringRules(
+        { ...existingContract.raw_data, mad: previousModelMad },
+        existingContract.flagged_clauses || [],
+        companyData
+      );
+      const healthScoreResult = calculateHealthScore(
+        { ...existingContract.health_dimensions, mad: ruleOutcome.mad },
+        resolveScoringProfile(existingContract.scoring_profile)
+      );
+      const updatedContract = {
+        ...existingContract,
+        seller_company: new_company_name,
+        company_data: companyData,
+        background_check: toBackgroundCheckReference(backgroundCheck),
+        health_dimensions: healthScoreResult.dimensions,
+        rule_engine: ruleOutcome.rule_engine,
+        health_score: healthScoreResult.score,
+        health_tier: healthScoreResult.tier,
+        health_tier_label: healthScoreResult.tierLabel,
+        score_breakdown: healthScoreResult.breakdown,
+        scoring_profile: healthScoreResult.breakdown.profile,
+        last_updated: new Date().toISOString(),
+      };
+
+      saveContract(updatedContract, {
+        trigger: 'company_rename',
+        models: { basic_info: null, scoring: null },
+      });
+      recordAuditEvent(req.user, 'company_rename', existingContract, {
+        before: existingContract,
+        after: updatedContract,
+        details: { reanalyzed: false },
+      });
+
+      return res.json({
+        success: true,
+        message: "公司名稱已更新，背景調查已重新執行（因舊合約缺少文件資料，AI 維度評分未重新執行，僅依新背景調查重新套用評分規則）",
+        contract: updatedContract
+      });
+    }
+
+    // 使用輔助函數重新分析合約
+    let fileId = useFileId ? existingContract.file_id : null;
+    if (useOriginal) {
+      fileId = (await withOriginalDocumentFile(contractId, existingContract.filename, tempPath => llm.uploadFile(tempPath))).id;
+    }
+
+    const analysisLlm = trackTokenUsage(llm);
+    let result;
+    let analysisSections = null;
+    try {
+      ({ analysis_sections: analysisSections = null, ...result } = await analyzeContractWithBackground(analysisLlm, {
+        fileId,
+        companyName: new_company_name,
+        companyData,
+        documentText: fileId ? null : storedDocument.text,
+        documentPages: fileId ? null : storedDocument.pages,
+        context: { trigger: 'company_rename', contract_id: contractId, seller_company: new_company_name },
+      }));
+    } catch (e) {
+      console.error("無法解析 AI 回應:", e);
+      return res.status(502).json({ error: "AI 回應格式錯誤", details: e.details || e.message, failure_id: e.failure_id });
+    }
+
+    // 套用評分規則並計算新的健康評分
+    const { flaggedClauses, ruleOutcome, healthScoreResult } = scoreAnalysisResult(
+      result,
+      companyData,
+      resolveScoringProfile(existingContract.scoring_profile)
+    );
+    const healthScore = healthScoreResult.score;
+    const healthDimensions = healthScoreResult.dimensions;
+    const healthTier = healthScoreResult.tier;
+    const healthTierLabel = healthScoreResult.tierLabel;
+    const scoreBreakdown = healthScoreResult.breakdown;
+
+    const dimensionExplanations = {
+      mad: result.dimension_explanations_mad || '',
+      mao: result.dimension_explanations_mao || '',
+      maa: result.dimension_explanations_maa || '',
+      map: result.dimension_explanations_map || ''
+    };
+
+    const overallRecommendation = result.overall_recommendation || '';
+
+    // 更新合約資料
+    const updatedContract = {
+      ...existingContract,
+      file_id: fileId || existingContract.file_id,
+      seller_company: new_company_name,
+      company_data: companyData,
+      background_check: toBackgroundCheckReference(backgroundCheck),
+      health_score: healthScore,
+      health_tier: healthTier,
+      health_tier_label: healthTierLabel,
+      score_breakdown: scoreBreakdown,
+      scoring_profile: scoreBreakdown.profile,
+      health_dimensions: healthDimensions,
+      dimension_explanations: dimensionExplanations,
+      overall_recommendation: overallRecommendation,
+      flagged_clauses: flaggedClauses,
+      rule_engine: ruleOutcome.rule_engine,
+      raw_data: result,
+      analysis_mode: analysisSections ? 'chunked' : 'single',
+      analysis_sections: analysisSections,
+      dimension_citations: result.dimension_citations || null,
+      token_usage: analysisLlm.getTokenUsage(),
+      last_updated: new Date().toISOString(),
+    };
+
+    saveContract(updatedContract, {
+      trigger: 'company_rename',
+      models: analysisSections
+        ? { basic_info: null, scoring: llm.models.scoring, section_findings: llm.models.section_findings }
+        : { basic_info: null, scoring: llm.models.scoring },
+    });
+    recordAuditEvent(req.user, 'company_rename', existingContract, {
+      before: existingContract,
+      after: updatedContract,
+      details: { reanalyzed: true },
+    });
+
+    console.log(`✅ 合約更新完成！新公司名稱: ${new_company_name}, 健康評分: ${healthScore} 分 [${healthTier}級-${healthTierLabel}]`);
+    console.log(`   維度更新: MAD=${healthDimensions.mad}, MAO=${healthDimensions.mao}, MAA=${healthDimensions.maa}, MAP=${healthDimensions.map}`);
+
+    // 返回更新後的合約資料
+    res.json({
+      success: true,
+      message: "公司名稱已更新，合約已重新評估",
+      contract: updatedContract
+    });
+
+  } catch (err) {
+    console.error("更新合約失敗:", err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// 以指定評分設定檔重新計算健康評分（使用已保存的維度分數，不重新呼叫 OpenAI）
+app.post("/contracts/:id/rescore", requirePermission('contract:edit'), express.json(), (req, res) => {
+  try {
+    const existingContract = findAccessibleContract(req.user, req.params.id);
+    if (!existingContract) {
+      return res.status(404).json({ error: "合約不存在" });
+    }
+    if (isAssessmentLocked(existingContract)) {
+      return res.status(409).json({ error: ASSESSMENT_LOCKED_ERROR, status: getContractStatus(existingContract) });
+    }
+
+    if (!existingContract.health_dimensions) {
+      return res.status(400).json({ error: "此合約沒有維度分數，無法重新計分" });
+    }
+
+    const profileName = req.body?.scoring_profile || existingContract.scoring_profile || DEFAULT_PROFILE_NAME;
+    const profile = getScoringProfile(profileName);
+    if (!profile) {
+      return res.status(400).json({ error: `評分設定檔「${profileName}」不存在` });
+    }
+
+    const healthScoreResult = calculateHealthScore(existingContract.health_dimensions, profile);
+    const updatedContract = {
+      ...existingContract,
+      health_score: healthScoreResult.score,
+      health_tier: healthScoreResult.tier,
+      health_tier_label: healthScoreResult.tierLabel,
+      score_breakdown: healthScoreResult.breakdown,
+      scoring_profile: profile.name,
+      last_updated: new Date().toISOString(),
+    };
+
+    saveContract(updatedContract, {
+      trigger: 'rescore',
+      models: { basic_info: null, scoring: null },
+    });
+    recordAuditEvent(req.user, 'rescore', existingContract, { before: existingContract, after: updatedContract });
+
+    console.log(`🔁 合約 ${existingContract.contract_id} 以「${profile.name}」重新計分: ${existingContract.health_tier}級 → ${updatedContract.health_tier}級`);
+
+    res.json({
+      success: true,
+      message: "已重新計算健康評分",
+      previous: {
+        health_score: existingContract.health_score,
+        health_tier: existingContract.health_tier,
+        scoring_profile: existingContract.scoring_profile || DEFAULT_PROFILE_NAME,
+      },
+      contract: updatedContract
+    });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// =========================
+//    合約審核流程 API
+// =========================
+
+// 審核狀態、目前使用者可執行的動作與審核紀錄
+app.get("/contracts/:id/reviews", (req, res) => {
+  try {
+    const contract = findAccessibleContract(req.user, req.params.id);
+    if (!contract) {
+      return res.status(404).json({ error: "合約不存在" });
+    }
+
+    const status = getContractStatus(contract);
+    res.json({
+      success: true,
+      contract_id: contract.contract_id,
+      status,
+      status_label: CONTRACT_STATUSES[status],
+      available_actions: listAvailableActions(req.user, contract),
+      override_triggers: getOverrideTriggers(contract),
+      approval_override: contract.approval_override ?? null,
+      events: listReviewEvents(contract.contract_id),
+    });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// 變更審核狀態：submit（送審）、approve（核准）、reject（退回）、sign（標記已簽署）
+app.post("/contracts/:id/status", express.json(), (req, res) => {
+  try {
+    const contract = findAccessibleContract(req.user, req.params.id);
+    if (!contract) {
+      return res.status(404).json({ error: "合約不存在" });
+    }
+
+    const { action, ...input } = req.body || {};
+    const blocked = checkWorkflowAction(req.user, contract, action, input);
+    if (blocked) {
+      const { status, ...body } = blocked;
+      return res.status(status).json(body);
+    }
+
+    const { contract: updatedContract, event } = applyWorkflowAction(req.user, contract, action, input);
+    recordAuditEvent(req.user, 'status_change', contract, {
+      before: contract,
+      after: updatedContract,
+      details: { workflow_action: action, review_event_id: event.event_id },
+    });
+    res.json({
+      success: true,
+      message: `合約狀態已更新為「${CONTRACT_STATUSES[updatedContract.status]}」`,
+      contract: updatedContract,
+      event,
+    });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// 新增審閱留言
+app.post("/contracts/:id/comments", express.json(), (req, res) => {
+  try {
+    const contract = findAccessibleContract(req.user, req.params.id);
+    if (!contract) {
+      return res.status(404).json({ error: "合約不存在" });
+    }
+
+    const outcome = addReviewComment(req.user, contract, req.body?.comment);
+    if (outcome.error) {
+      return res.status(outcome.status).json({ error: outcome.error });
+    }
+    res.json({ success: true, event: outcome.event });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// =========================
+//    合約版本紀錄 API
+// =========================
+
+// 列出合約的所有評估版本（由舊到新）
+app.get("/contracts/:id/revisions", (req, res) => {
+  try {
+    const contract = findAccessibleContract(req.user, req.params.id);
+    if (!contract) {
+      return res.status(404).json({ error: "合約不存在" });
+    }
+
+    const revisions = listContractRevisions(req.params.id);
+    recordAuditEvent(req.user, 'view', contract, { details: { revisions: true } });
+    res.json({ success: true, contract_id: req.params.id, count: revisions.length, revisions });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// 比較兩個版本（預設為最新版本與前一版）
+app.get("/contracts/:id/revisions/compare", (req, res) => {
+  try {
+    const contract = findAccessibleContract(req.user, req.params.id);
+    const revisions = contract ? listContractRevisions(req.params.id) : [];
+    if (revisions.length === 0) {
+      return res.status(404).json({ error: "合約不存在或尚無版本紀錄" });
+    }
+
+    const latest = revisions[revisions.length - 1].revision_number;
+    const to = req.query.to !== undefined ? parseInt(req.query.to, 10) : latest;
+    const from = req.query.from !== undefined ? parseInt(req.query.from, 10) : to - 1;
+
+    const fromRevision = getContractRevision(req.params.id, from);
+    const toRevision = getContractRevision(req.params.id, to);
+    if (!fromRevision || !toRevision) {
+      return res.status(404).json({ error: `版本不存在（from=${req.query.from ?? from}, to=${req.query.to ?? to}）` });
+    }
+
+    recordAuditEvent(req.user, 'view', contract, { details: { compare_revisions: [from, to] } });
+    res.json({
+      success: true,
+      from: fromRevision,
+      to: toRevision,
+      diff: diffAssessments(fromRevision.contract, toRevision.contract),
+    });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// 獲取單一版本的完整內容
+app.get("/contracts/:id/revisions/:revision", (req, res) => {
+  try {
+    const contract = findAccessibleContract(req.user, req.params.id);
+    const revision = contract ? getContractRevision(req.params.id, parseInt(req.params.revision, 10)) : undefined;
+    if (!revision) {
+      return res.status(404).json({ error: "版本不存在" });
+    }
+    recordAuditEvent(req.user, 'view', contract, { details: { revision: revision.revision_number } });
+    res.json({ success: true, revision });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// =========================
+//    合約文字差異 API
+// =========================
+
+// 送給模型說明的條款數與每段文字長度上限，避免超出 context
+const MAX_EXPLAINED_CLAUSES = 50;
+const MAX_EXPLAINED_CLAUSE_CHARS = 1500;
+
+/**
+ * 請模型說明每個變動條款對 MAD/MAO/MAA/MAP 的影響
+ * @param {Object} redline - buildRedline 的結果
+ * @param {Object} fromContract - 舊版合約
+ * @param {Object} toContract - 新版合約
+ * @returns {Promise<Object>} { summary, clauses: [{ index, impact: { mad, mao, maa, map }, explanation }] }
+ */
+async function explainRedlineChanges(redline, fromContract, toContract) {
+  const truncate = text => text && text.length > MAX_EXPLAINED_CLAUSE_CHARS
+    ? `${text.substring(0, MAX_EXPLAINED_CLAUSE_CHARS)}…（以下省略）`
+    : text;
+
+  const changes = redline.clauses
+    .filter(clause => clause.status !== 'unchanged')
+    .slice(0, MAX_EXPLAINED_CLAUSES)
+    .map(clause => ({
+      index: clause.index,
+      status: clause.status,
+      before: truncate(clause.before?.text || null),
+      after: truncate(clause.after?.text || null),
+    }));
+
+  if (changes.length === 0) {
+    return { summary: '兩份合約文字沒有差異。', clauses: [] };
+  }
+
+  const response = await llm.generateJSON('redline', [
+    {
+      type: "input_text",
+      text: `你是一個資深合約談判專家。以下是同一份合約兩個版本之間的條款變動，請說明每個變動對我方四個維度分數的影響。
+
+四個維度：
+- MAD 生存風險指標（0–100，越高越危險；impact 為正代表風險增加）
+- MAO 互利營收指標（越高越好）
+- MAA 互相保證消耗／承諾深度（越高越好）
+- MAP 戰略潛力與憲章指標（越高越好）
+
+目前評分：
+- 舊版（${fromContract.filename}）：MAD ${fromContract.health_dimensions?.mad ?? '未知'}、MAO ${fromContract.health_dimensions?.mao ?? '未知'}、MAA ${fromContract.health_dimensions?.maa ?? '未知'}、MAP ${fromContract.health_dimensions?.map ?? '未知'}
+- 新版（${toContract.filename}）：MAD ${toContract.health_dimensions?.mad ?? '未知'}、MAO ${toContract.health_dimensions?.mao ?? '未知'}、MAA ${toContract.health_dimensions?.maa ?? '未知'}、MAP ${toContract.health_dimensions?.map ?? '未知'}
+
+status 說明：modified = 條款修改、added = 新版新增、removed = 新版刪除
+
+條款變動（JSON）：
+${JSON.stringify(changes, null, 2)}
+
+CRITICAL: 只回傳 JSON 格式，不要其他文字：
+{
+  "summary": "100–200 字，總結此次修改對我方是改善或惡化，以及最需要注意的變動",
+  "clauses": [
+    {
+      "index": 條款 index（與輸入相同）,
+      "impact": { "mad": 0, "mao": 0, "maa": 0, "map": 0 },
+      "explanation": "50–100 字，說明這個變動為何影響上述維度；純文字修正或無實質影響時 impact 皆為 0"
+    }
+  ]
+}`,
+    },
+  ]);
+
+  const result = extractJSON(response.text);
+  return {
+    summary: result.summary || '',
+    clauses: Array.isArray(result.clauses) ? result.clauses : [],
+  };
+}
+
+// 比較兩份合約的條款文字（紅線），並由模型說明變動對各維度的影響
+app.post("/redline", express.json(), async (req, res) => {
+  try {
+    const { from_contract_id: fromId, to_contract_id: toId, explain = true } = req.body || {};
+    if (!fromId || !toId) {
+      return res.status(400).json({ error: "缺少 from_contract_id 或 to_contract_id" });
+    }
+    if (fromId === toId) {
+      return res.status(400).json({ error: "請選擇兩份不同的合約" });
+    }
+    // AI 說明需呼叫付費模型，僅限具審閱權限的使用者
+    if (explain && !hasPermission(req.user, 'contract:review')) {
+      return res.status(403).json({ error: "權限不足", required_permission: 'contract:review' });
+    }
+
+    const fromContract = findAccessibleContract(req.user, fromId);
+    const toContract = findAccessibleContract(req.user, toId);
+    if (!fromContract || !toContract) {
+      return res.status(404).json({ error: "合約不存在" });
+    }
+
+    const fromDocument = getContractDocument(fromId);
+    const toDocument = getContractDocument(toId);
+    const missing = [[fromContract, fromDocument], [toContract, toDocument]]
+      .filter(([, document]) => !document)
+      .map(([contract]) => contract.filename);
+    if (missing.length > 0) {
+      return res.status(409).json({
+        error: `以下合約沒有保存文件文字（上傳於此功能之前，或為掃描型 PDF），請重新上傳後再比較：${missing.join('、')}`,
+      });
+    }
+
+    const redline = buildRedline(fromDocument.text, toDocument.text);
+
+    let explanation = null;
+    if (explain) {
+      try {
+        explanation = await explainRedlineChanges(redline, fromContract, toContract);
+        const byIndex = new Map(explanation.clauses.map(item => [item.index, item]));
+        for (const clause of redline.clauses) {
+          const item = byIndex.get(clause.index);
+          if (item) {
+            clause.impact = item.impact || null;
+            clause.explanation = item.explanation || '';
+          }
+        }
+      } catch (explainError) {
+        // 說明失敗時仍回傳文字差異
+        console.error('條款變動說明失敗:', explainError);
+        explanation = { error: explainError.message };
+      }
+    }
+
+    const describe = contract => ({
+      contract_id: contract.contract_id,
+      filename: contract.filename,
+      seller_company: contract.seller_company,
+      upload_date: contract.upload_date,
+      health_score: contract.health_score,
+      health_tier: contract.health_tier,
+      health_dimensions: contract.health_dimensions,
+    });
+
+    // 比對讀取兩份合約的文字，各記錄一筆檢視
+    recordAuditEvent(req.user, 'view', fromContract, { details: { redline_with: toId } });
+    recordAuditEvent(req.user, 'view', toContract, { details: { redline_with: fromId } });
+
+    res.json({
+      success: true,
+      from: describe(fromContract),
+      to: describe(toContract),
+      redline,
+      explanation,
+    });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// =========================
+//    評分設定檔 API
+// =========================
+
+// 列出所有評分設定檔
+app.get("/scoring-profiles", (req, res) => {
+  try {
+    res.json({ success: true, profiles: listScoringProfiles() });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// 獲取特定評分設定檔
+app.get("/scoring-profiles/:name", (req, res) => {
+  try {
+    const profile = getScoringProfile(req.params.name);
+    if (!profile) {
+      return res.status(404).json({ error: "評分設定檔不存在" });
+    }
+    res.json({ success: true, profile });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// 新增或更新評分設定檔
+app.put("/scoring-profiles/:name", requirePermission('scoring_profiles:manage'), express.json(), (req, res) => {
+  try {
+    const name = req.params.name.trim();
+    if (!/^[\w-]{1,64}$/.test(name)) {
+      return res.status(400).json({ error: "設定檔名稱只能包含英數字、底線與連字號（最多 64 字）" });
+    }
+
+    const { profile, errors } = saveScoringProfile(name, req.body);
+    if (errors) {
+      return res.status(400).json({ error: "評分設定檔格式錯誤", details: errors });
+    }
+
+    res.json({ success: true, profile });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// 刪除評分設定檔（刪除 default 會恢復為內建設定）
+app.delete("/scoring-profiles/:name", requirePermission('scoring_profiles:manage'), (req, res) => {
+  try {
+    if (!deleteScoringProfile(req.params.name)) {
+      return res.status(404).json({ error: "評分設定檔不存在" });
+    }
+    res.json({ success: true, message: "評分設定檔已刪除" });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// =========================
+//    公司背景調查 API
+// =========================
+
+// 列出所有交易對象（依正規化公司名稱分組，最差 MAD 由高到低）
+app.get("/companies", (req, res) => {
+  try {
+    const companies = buildCompanyList(listContractSummaries(contractScopeFor(req.user)));
+    res.json({ success: true, count: companies.length, companies });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// 獲取公司檔案：所有合約、分數歷程、最差 MAD 與最新背景調查
+app.get("/companies/:name", (req, res) => {
+  try {
+    const companyName = req.params.name;
+    // 背景調查快照為各團隊共用的快取，一般使用者只看得到自己團隊的合約使用過的快照
+    const scope = contractScopeFor(req.user);
+    const contracts = listContractSummariesBySeller(companyName, scope);
+    const latest = getLatestBackgroundCheck(companyName, scope);
+    if (contracts.length === 0 && !latest) {
+      return res.status(404).json({ error: "查無此公司的合約或背景調查資料" });
+    }
+
+    res.json({
+      success: true,
+      company: {
+        ...buildCompanyProfile(contracts, latest),
+        normalized_name: normalizeCompanyName(companyName),
+        ttl_hours: BACKGROUND_CHECK_TTL_HOURS,
+        history: listBackgroundCheckHistory(companyName, scope),
+      }
+    });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// 強制重新執行公司背景調查（忽略快取，會產生付費的搜尋呼叫，權限同重新評估）
+app.post("/companies/:name/refresh", requirePermission('contract:edit'), async (req, res) => {
+  try {
+    const companyName = req.params.name.trim();
+    if (!companyName) {
+      return res.status(400).json({ error: "公司名稱不能為空" });
+    }
+
+    console.log(`\n🔄 強制刷新「${companyName}」的背景調查`);
+    const backgroundCheck = await getCompanyBackgroundCheck(companyName, { forceRefresh: true });
+
+    if (!backgroundCheck.snapshot_id) {
+      return res.status(502).json({
+        success: false,
+        error: "背景調查沒有取得任何結果，未更新快取",
+        background_check: backgroundCheck
+      });
+    }
+
+    res.json({
+      success: true,
+      message: "背景調查已更新",
+      background_check: backgroundCheck
+    });
+  } catch (err) {
+    console.error("刷新背景調查失敗:", err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// =========================
+//    合約組合報表 API
+// =========================
+
+/**
+ * 列出使用者可見且仍有效的合約摘要（已被新版本取代的草稿不列入報表）
+ * @param {Object} user - 使用者
+ * @returns {Array<Object>}
+ */
+function listCurrentContractSummaries(user) {
+  return listContractSummaries(contractScopeFor(user)).filter(contract => !contract.superseded_by);
+}
+
+// 目前合約組合的等級分佈、維度直方圖與平均值
+app.get("/reports/portfolio", (req, res) => {
+  try {
+    const report = buildPortfolioReport(listCurrentContractSummaries(req.user));
+    res.json({ success: true, report });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// What-if：以候選評分設定檔重算所有合約（不保存），回報等級變化
+app.post("/reports/portfolio/what-if", express.json(), (req, res) => {
+  try {
+    let profile;
+    if (req.body?.profile) {
+      // 尚未保存的候選設定檔
+      const errors = validateScoringProfile(req.body.profile);
+      if (errors.length > 0) {
+        return res.status(400).json({ error: "評分設定檔格式錯誤", details: errors });
+      }
+      profile = {
+        ...req.body.profile,
+        name: req.body.profile.name || 'candidate',
+        tiers: [...req.body.profile.tiers].sort((a, b) => b.min_score - a.min_score),
+      };
+    } else {
+      const profileName = req.body?.scoring_profile;
+      if (!profileName) {
+        return res.status(400).json({ error: "請提供 scoring_profile 或 profile" });
+      }
+      profile = getScoringProfile(profileName);
+      if (!profile) {
+        return res.status(400).json({ error: `評分設定檔「${profileName}」不存在` });
+      }
+    }
+
+    const report = buildWhatIfReport(
+      listCurrentContractSummaries(req.user),
+      profile,
+      (dimensions, candidate) => calculateHealthScore(dimensions, candidate, { silent: true })
+    );
+    res.json({ success: true, report });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// =========================
+//    稽核紀錄 API
+// =========================
+
+// 合約的稽核紀錄（看得到合約的使用者皆可查詢，包含已刪除的合約）
+app.get("/contracts/:id/audit-log", (req, res) => {
+  try {
+    const contract = findAccessibleContract(req.user, req.params.id, { includeDeleted: true });
+    if (!contract) {
+      return res.status(404).json({ error: "合約不存在" });
+    }
+
+    const { filters, errors } = parseAuditQuery(req.query);
+    if (errors) {
+      return res.status(400).json({ error: "查詢條件錯誤", details: errors });
+    }
+    const events = listAuditEvents({ ...filters, contractId: contract.contract_id });
+    res.json({ success: true, contract_id: contract.contract_id, count: events.length, events });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// 查詢所有稽核紀錄（新到舊）
+app.get("/audit-log", requirePermission('audit_log:view'), (req, res) => {
+  try {
+    const { filters, errors } = parseAuditQuery(req.query);
+    if (errors) {
+      return res.status(400).json({ error: "查詢條件錯誤", details: errors });
+    }
+    const events = listAuditEvents(filters);
+    res.json({ success: true, count: events.length, events });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// 匯出稽核紀錄：format=csv（預設）或 json，查詢條件同 GET /audit-log
+app.get("/audit-log/export", requirePermission('audit_log:view'), (req, res) => {
+  try {
+    const format = req.query.format || 'csv';
+    if (!['csv', 'json'].includes(format)) {
+      return res.status(400).json({ error: "format 必須是 csv | json 之一" });
+    }
+    const { filters, errors } = parseAuditQuery(
+      { limit: String(MAX_EXPORT_LIMIT), ...req.query },
+      MAX_EXPORT_LIMIT
+    );
+    if (errors) {
+      return res.status(400).json({ error: "查詢條件錯誤", details: errors });
+    }
+
+    const events = listAuditEvents(filters);
+    const filename = `audit-log-${new Date().toISOString().slice(0, 10)}.${format}`;
+    res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+    if (format === 'json') {
+      res.json({ exported_at: new Date().toISOString(), count: events.length, events });
+    } else {
+      res.type('text/csv; charset=utf-8').send(auditEventsToCsv(events));
+    }
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// =========================
+//    AI 回應驗證失敗紀錄 API
+// =========================
+
+// 列出未通過格式驗證的 AI 回應（新到舊）
+app.get("/model-output-failures", requirePermission('model_output_failures:view'), (req, res) => {
+  try {
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 50, 1), 500);
+    const failures = listModelOutputFailures({ stage: req.query.stage || null, limit });
+    res.json({ success: true, count: failures.length, failures });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// 單筆失敗紀錄，包含每次嘗試的回應原文與驗證錯誤
+app.get("/model-output-failures/:id", requirePermission('model_output_failures:view'), (req, res) => {
+  try {
+    const failure = getModelOutputFailure(req.params.id);
+    if (!failure) {
+      return res.status(404).json({ error: "失敗紀錄不存在" });
+    }
+    res.json({ success: true, failure });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// 啟動伺服器（測試時 NODE_ENV=test，由測試程式匯入 app 自行監聽）
+if (process.env.NODE_ENV !== 'test') {
+  app.listen(3000, () => console.log("Server running on port 3000"));
+}
+
+export { app };
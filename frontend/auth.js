@@ -0,0 +1,103 @@
+// =========================
+//    前端登入狀態
+// =========================
+//
+// 登入 token 保存在 localStorage，所有 API 請求以 authFetch 加上 Authorization 標頭；
+// 收到 401（未登入或登入已過期）時導向 login.html，登入後回到原頁面
+
+const AUTH_API_BASE = 'http://localhost:3000';
+const AUTH_TOKEN_KEY = 'tgsa_auth_token';
+const AUTH_USER_KEY = 'tgsa_auth_user';
+
+function getAuthToken() {
+    return localStorage.getItem(AUTH_TOKEN_KEY);
+}
+
+function getCurrentUser() {
+    try {
+        return JSON.parse(localStorage.getItem(AUTH_USER_KEY));
+    } catch (error) {
+        return null;
+    }
+}
+
+function saveAuthSession(token, user) {
+    localStorage.setItem(AUTH_TOKEN_KEY, token);
+    localStorage.setItem(AUTH_USER_KEY, JSON.stringify(user));
+}
+
+function clearAuthSession() {
+    localStorage.removeItem(AUTH_TOKEN_KEY);
+    localStorage.removeItem(AUTH_USER_KEY);
+}
+
+// 依登入時取得的角色權限判斷是否顯示操作按鈕（伺服器仍會再次檢查）
+function userHasPermission(permission) {
+    const user = getCurrentUser();
+    return Boolean(user && (user.permissions || []).includes(permission));
+}
+
+function redirectToLogin() {
+    clearAuthSession();
+    const current = window.location.pathname.split('/').pop() + window.location.search;
+    window.location.href = `login.html?next=${encodeURIComponent(current)}`;
+}
+
+// 帶登入 token 的 fetch；401 時導向登入頁
+async function authFetch(url, options = {}) {
+    const headers = new Headers(options.headers || {});
+    const token = getAuthToken();
+    if (token) {
+        headers.set('Authorization', `Bearer ${token}`);
+    }
+
+    const response = await fetch(url, { ...options, headers });
+    if (response.status === 401) {
+        redirectToLogin();
+    }
+    return response;
+}
+
+// EventSource 無法自訂標頭：先換取只能開啟此任務串流一次的 token，登入 token 不出現在網址中
+// 串流 token 使用後即失效，連線中斷（readyState 為 CLOSED）後需重新呼叫
+async function openJobEventSource(jobId) {
+    const jobUrl = `${AUTH_API_BASE}/jobs/${encodeURIComponent(jobId)}`;
+    const response = await authFetch(`${jobUrl}/stream-token`, { method: 'POST' });
+    const data = await response.json().catch(() => ({}));
+    if (!response.ok) {
+        const error = new Error(data.error || `HTTP ${response.status}`);
+        error.status = response.status;
+        throw error;
+    }
+    return new EventSource(`${jobUrl}/events?stream_token=${encodeURIComponent(data.stream_token)}`);
+}
+
+async function logout(event) {
+    if (event) event.preventDefault();
+    await authFetch(`${AUTH_API_BASE}/auth/logout`, { method: 'POST' }).catch(() => null);
+    clearAuthSession();
+    window.location.href = 'login.html';
+}
+
+// 在側邊欄顯示目前使用者與登出連結
+function renderCurrentUser() {
+    const container = document.getElementById('currentUser');
+    const user = getCurrentUser();
+    if (!container || !user) return;
+
+    const name = document.createElement('span');
+    name.textContent = `👤 ${user.display_name || user.username}（${user.team_name}）`;
+    const logoutLink = document.createElement('a');
+    logoutLink.href = '#';
+    logoutLink.textContent = '登出';
+    logoutLink.addEventListener('click', logout);
+
+    container.replaceChildren(name, logoutLink);
+}
+
+// 沒有登入 token 時直接導向登入頁，不載入頁面資料
+if (!getAuthToken()) {
+    redirectToLogin();
+} else {
+    document.addEventListener('DOMContentLoaded', renderCurrentUser);
+}
@@ -0,0 +1,70 @@
+import "dotenv/config";
+import crypto from "crypto";
+import { parseArgs } from "util";
+import { assignUnownedContracts } from "../backend/contractStore.js";
+import { createTeam, createUser, findTeamByName } from "../backend/auth.js";
+
+// =========================
+//    建立使用者帳號
+// =========================
+//
+// 用法: npm run user:create -- --username alice --team 法務部 [--role uploader|reviewer|approver|admin] [--display-name 王小明]
+//                             [--password ...] [--assign-unowned]
+// 團隊不存在時會自動建立；未指定 --password 時產生隨機密碼並顯示一次。
+// --assign-unowned 會把帳號功能上線前上傳的合約（沒有團隊）指派給此使用者的團隊。
+// 第一個管理員帳號必須以此指令建立，之後可由管理員透過 /users API 管理帳號。
+
+const { values } = parseArgs({
+  options: {
+    username: { type: 'string' },
+    password: { type: 'string' },
+    'display-name': { type: 'string' },
+    team: { type: 'string' },
+    role: { type: 'string', default: 'uploader' },
+    'assign-unowned': { type: 'boolean', default: false },
+  },
+});
+
+if (!values.username || !values.team) {
+  console.error('❌ 請指定 --username 與 --team');
+  process.exit(1);
+}
+
+try {
+  let team = findTeamByName(values.team.trim());
+  if (!team) {
+    const created = createTeam(values.team);
+    if (created.errors) {
+      console.error(`❌ 無法建立團隊: ${created.errors.join('；')}`);
+      process.exit(1);
+    }
+    team = created.team;
+    console.log(`✅ 已建立團隊: ${team.name}`);
+  }
+
+  const password = values.password || crypto.randomBytes(12).toString('base64url');
+  const { user, errors } = createUser({
+    username: values.username,
+    password,
+    display_name: values['display-name'],
+    role: values.role,
+    team_id: team.team_id,
+  });
+  if (errors) {
+    console.error(`❌ 無法建立使用者:\n  - ${errors.join('\n  - ')}`);
+    process.exit(1);
+  }
+
+  console.log(`✅ 已建立使用者: ${user.username}（${user.team_name}，${user.role}）`);
+  if (!values.password) {
+    console.log(`🔑 初始密碼: ${password}（只顯示這一次，請登入後變更）`);
+  }
+
+  if (values['assign-unowned']) {
+    const assigned = assignUnownedContracts(team.team_id, user.user_id);
+    console.log(`📦 已將 ${assigned} 份沒有團隊的合約指派給「${team.name}」`);
+  }
+} catch (err) {
+  console.error(`❌ 建立使用者失敗: ${err.message}`);
+  process.exit(1);
+}
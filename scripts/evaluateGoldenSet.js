@@ -0,0 +1,209 @@
+import "dotenv/config";
+import fs from "fs";
+import path from "path";
+import { parseArgs } from "util";
+import { createLLMProvider } from "../backend/llmProvider.js";
+import { buildResearchQueries, createFixtureProvider } from "../backend/researchProvider.js";
+import { extractDocumentText } from "../backend/documentText.js";
+import {
+  PROMPT_VERSION,
+  extractBasicInfo,
+  analyzeContractWithBackground,
+  scoreAnalysisResult,
+} from "../backend/contractAnalysis.js";
+import { DEFAULT_PROFILE_NAME, getScoringProfile } from "../backend/scoringProfiles.js";
+import { loadGoldenSet, evaluateCaseRuns, summarizeGoldenSet, compareGoldenReports } from "../backend/goldenSet.js";
+
+// =========================
+//    黃金樣本評估
+// =========================
+//
+// 用法: npm run eval:golden [-- --set golden/goldenSet.json --runs 5 --baseline data/golden-reports/前一次.json]
+// 每個樣本重複執行「提取乙方 → AI 評分 → 規則引擎 → 健康評分」N 次（不寫入資料庫），
+// 背景調查固定使用樣本指定的錄製結果，變異只來自 LLM。
+// 報告寫入 GOLDEN_REPORT_DIR（預設 ./data/golden-reports），可用 --baseline 與先前的報告比較。
+
+const GOLDEN_REPORT_DIR = process.env.GOLDEN_REPORT_DIR || './data/golden-reports';
+
+const { values: args } = parseArgs({
+  options: {
+    set: { type: 'string', default: './golden/goldenSet.json' },
+    runs: { type: 'string' },
+    baseline: { type: 'string' },
+    out: { type: 'string', default: GOLDEN_REPORT_DIR },
+  },
+});
+
+/**
+ * 準備送給 LLM 的文件：.txt 直接讀取，PDF 在供應商支援時上傳檔案，其他格式送出本機擷取的文字
+ * @param {Object} llm - LLM 供應商
+ * @param {string} documentPath - 文件路徑
+ * @returns {Promise<Object>} { fileId, documentText }
+ */
+async function prepareDocument(llm, documentPath) {
+  const fileExtension = path.extname(documentPath).toLowerCase();
+
+  if (fileExtension === '.txt') {
+    return { fileId: null, documentText: fs.readFileSync(documentPath, 'utf8') };
+  }
+  if (fileExtension === '.pdf' && llm.supportsFiles) {
+    const uploaded = await llm.uploadFile(documentPath);
+    return { fileId: uploaded.id, documentText: null };
+  }
+
+  const { text } = await extractDocumentText(documentPath, documentPath);
+  if (!text.trim()) {
+    throw new Error(`無法擷取 ${documentPath} 的文字`);
+  }
+  return { fileId: null, documentText: text };
+}
+
+/**
+ * 讀取樣本的背景調查錄製結果
+ * @param {Object} provider - fixture 搜尋供應商
+ * @param {string} companyName - 公司名稱
+ * @returns {Promise<Object>} { profile, customs, legal, responsible_person, responsible_person_legal }
+ */
+async function loadCompanyData(provider, companyName) {
+  const companyData = {};
+  for (const { key, query, options } of buildResearchQueries(companyName)) {
+    companyData[key] = await provider.search({ key, query, companyName, options });
+  }
+  return companyData;
+}
+
+/**
+ * 執行一次完整分析
+ * @param {Object} llm - LLM 供應商
+ * @param {Object} document - prepareDocument 的結果
+ * @param {Object} researchProvider - fixture 搜尋供應商
+ * @param {Object} scoringProfile - 評分設定檔
+ * @param {string} caseId - 樣本 ID（記錄在 AI 回應驗證失敗紀錄中）
+ * @returns {Promise<Object>} evaluateCaseRuns 使用的單次結果
+ */
+async function runOnce(llm, document, researchProvider, scoringProfile, caseId) {
+  const context = { trigger: 'golden_set', case_id: caseId };
+  const basicInfo = await extractBasicInfo(llm, { ...document, context });
+  const sellerCompany = basicInfo.seller_company;
+  if (!sellerCompany || sellerCompany === "未知") {
+    throw new Error("無法確定乙方公司名稱");
+  }
+
+  const companyData = await loadCompanyData(researchProvider, sellerCompany);
+  const result = await analyzeContractWithBackground(llm, { ...document, companyName: sellerCompany, companyData, context });
+
+  const { ruleOutcome, healthScoreResult } = scoreAnalysisResult(result, companyData, scoringProfile, { silent: true });
+  return {
+    seller_company: sellerCompany,
+    model_mad: result.mad,
+    dimensions: healthScoreResult.dimensions,
+    health_score: healthScoreResult.score,
+    health_tier: healthScoreResult.tier,
+    circuit_breaker_triggered: healthScoreResult.breakdown.circuitBreakerTriggered,
+    fired_rules: ruleOutcome.rule_engine.fired_rules.map(({ id, effect }) => ({ id, effect })),
+    rules_version: ruleOutcome.rule_engine.rules_version,
+  };
+}
+
+/**
+ * 格式化統計值
+ * @param {Object|null} stats - { mean, stddev }
+ * @returns {string}
+ */
+function formatStats(stats) {
+  return stats ? `${stats.mean}±${stats.stddev}` : '-';
+}
+
+/**
+ * 格式化差異
+ * @param {Object} change - { before, after, delta }
+ * @returns {string}
+ */
+function formatChange(change) {
+  if (change.delta === null) return `${change.before ?? '-'} → ${change.after ?? '-'}`;
+  return `${change.before} → ${change.after} (${change.delta > 0 ? '+' : ''}${change.delta})`;
+}
+
+async function main() {
+  const goldenSet = loadGoldenSet(args.set);
+  const runs = args.runs ? Number(args.runs) : goldenSet.runs;
+  if (!Number.isInteger(runs) || runs < 1) {
+    throw new Error(`--runs 必須是正整數，目前為 ${args.runs}`);
+  }
+
+  const profileName = goldenSet.scoring_profile || DEFAULT_PROFILE_NAME;
+  const scoringProfile = getScoringProfile(profileName);
+  if (!scoringProfile) {
+    throw new Error(`評分設定檔「${profileName}」不存在`);
+  }
+
+  const llm = createLLMProvider();
+  console.log(`🧪 黃金樣本評估: ${goldenSet.cases.length} 個樣本 × ${runs} 次（LLM: ${llm.name}，評分模型 ${llm.models.scoring}，提示詞版本 ${PROMPT_VERSION}）`);
+
+  const caseReports = [];
+  let rulesVersion = null;
+  for (const testCase of goldenSet.cases) {
+    console.log(`\n▶ ${testCase.id}${testCase.description ? `：${testCase.description}` : ''}`);
+    const researchProvider = createFixtureProvider(testCase.researchDir || undefined);
+
+    const caseRuns = [];
+    let document = null;
+    for (let attempt = 1; attempt <= runs; attempt++) {
+      try {
+        document = document || await prepareDocument(llm, testCase.documentPath);
+        const run = await runOnce(llm, document, researchProvider, scoringProfile, testCase.id);
+        rulesVersion = run.rules_version;
+        caseRuns.push(run);
+        console.log(`   第 ${attempt} 次: ${run.health_score} 分 [${run.health_tier}]，MAD ${run.model_mad} → ${run.dimensions.mad}，規則 ${run.fired_rules.map(rule => rule.id).join(', ') || '無'}`);
+      } catch (err) {
+        const message = err.details ? `${err.message}: ${err.details}` : err.message;
+        caseRuns.push({ error: message, failure_id: err.failure_id });
+        console.error(`   第 ${attempt} 次失敗: ${message}`);
+      }
+    }
+
+    const report = evaluateCaseRuns(testCase, caseRuns);
+    caseReports.push(report);
+    console.log(`   等級一致率 ${report.tier_agreement ?? '-'}（眾數 ${report.modal_tier ?? '-'}），MAD ${formatStats(report.dimensions.mad)}，MAO ${formatStats(report.dimensions.mao)}，MAA ${formatStats(report.dimensions.maa)}，MAP ${formatStats(report.dimensions.map)}`);
+    for (const violation of report.rule_violations) {
+      console.log(`   ⚠️ 規則違反（第 ${violation.run} 次）: ${violation.message}`);
+    }
+    for (const miss of report.expectation_misses) {
+      console.log(`   ⚠️ 不符預期（第 ${miss.run} 次）: ${miss.message}`);
+    }
+  }
+
+  const summary = summarizeGoldenSet(caseReports);
+  const report = {
+    generated_at: new Date().toISOString(),
+    golden_set: args.set,
+    description: goldenSet.description,
+    runs_per_case: runs,
+    llm: { provider: llm.name, models: llm.models },
+    prompt_version: PROMPT_VERSION,
+    rules_version: rulesVersion,
+    scoring_profile: scoringProfile.name,
+    summary,
+    cases: caseReports,
+  };
+
+  fs.mkdirSync(args.out, { recursive: true });
+  const reportPath = path.join(args.out, `golden-${report.generated_at.replace(/[:.]/g, '-')}.json`);
+  fs.writeFileSync(reportPath, JSON.stringify(report, null, 2));
+
+  console.log(`\n📊 平均等級一致率 ${summary.average_tier_agreement ?? '-'}，預期等級命中率 ${summary.average_expected_tier_rate ?? '-'}，失敗 ${summary.failed_runs}/${summary.runs} 次，規則違反 ${summary.rule_violations} 項，不符預期 ${summary.expectation_misses} 項`);
+  console.log(`✅ 報告已保存: ${reportPath}`);
+
+  if (args.baseline) {
+    const baseline = JSON.parse(fs.readFileSync(args.baseline, 'utf8'));
+    console.log(`\n🔀 與 ${args.baseline} 比較（提示詞 ${baseline.prompt_version} → ${PROMPT_VERSION}，評分模型 ${baseline.llm?.models?.scoring} → ${llm.models.scoring}）`);
+    for (const comparison of compareGoldenReports(baseline, report)) {
+      console.log(`   ${comparison.id}: 等級 ${formatChange(comparison.modal_tier)}，平均分數 ${formatChange(comparison.health_score_mean)}，一致率 ${formatChange(comparison.tier_agreement)}，MAD 標準差 ${formatChange(comparison.stddev.mad)}，每次規則違反 ${formatChange(comparison.rule_violations_per_run)}`);
+    }
+  }
+}
+
+main().catch(err => {
+  console.error(`❌ 評估失敗: ${err.message}`);
+  process.exit(1);
+});
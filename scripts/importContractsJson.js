@@ -0,0 +1,26 @@
+import "dotenv/config";
+import fs from "fs";
+import { importContractsFromJson } from "../backend/contractStore.js";
+
+// =========================
+//    一次性匯入 contracts.json → SQLite
+// =========================
+//
+// 用法: npm run import:contracts [-- path/to/contracts.json]
+// 每筆合約以完整 JSON 保存，score_breakdown、last_updated 等欄位都會保留；
+// 已存在的 contract_id 會略過，重複執行不會產生重複資料。
+
+const jsonPath = process.argv[2] || './contracts.json';
+
+if (!fs.existsSync(jsonPath)) {
+  console.error(`❌ 找不到 ${jsonPath}`);
+  process.exit(1);
+}
+
+try {
+  const { total, imported, skipped } = importContractsFromJson(jsonPath);
+  console.log(`✅ 匯入完成: 共 ${total} 筆，新增 ${imported} 筆，略過 ${skipped} 筆（已存在或缺少 contract_id）`);
+} catch (err) {
+  console.error(`❌ 匯入失敗: ${err.message}`);
+  process.exit(1);
+}
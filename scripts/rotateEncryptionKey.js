@@ -0,0 +1,53 @@
+import "dotenv/config";
+import { parseArgs } from "util";
+import { generateEncryptionKey, getCurrentKeyId, isEncryptionEnabled } from "../backend/encryption.js";
+import { reencryptContractData } from "../backend/contractStore.js";
+import { reencryptBackgroundChecks } from "../backend/companyRegistry.js";
+import { reencryptModelOutputFailures } from "../backend/modelOutputFailures.js";
+import { reencryptReviewEvents } from "../backend/contractWorkflow.js";
+import { DOCUMENT_STORE_DIR, reencryptOriginalDocuments } from "../backend/documentStore.js";
+
+// =========================
+//    加密金鑰輪替
+// =========================
+//
+// 用法:
+//   npm run encryption:rotate -- --generate-key   產生新金鑰
+//   npm run encryption:rotate                      以 CONTRACT_ENCRYPTION_KEY 重新加密所有資料
+//
+// 輪替步驟：把新金鑰設為 CONTRACT_ENCRYPTION_KEY、舊金鑰移到 CONTRACT_ENCRYPTION_PREVIOUS_KEYS，
+// 執行本指令後即可移除舊金鑰。首次設定金鑰時執行，也會將既有的明文資料加密。
+// 請先停止伺服器並備份 data/ 目錄。
+
+const { values } = parseArgs({
+  options: {
+    'generate-key': { type: 'boolean', default: false },
+  },
+});
+
+if (values['generate-key']) {
+  console.log(generateEncryptionKey());
+  process.exit(0);
+}
+
+if (!isEncryptionEnabled()) {
+  console.error('❌ 請先設定 CONTRACT_ENCRYPTION_KEY（可用 --generate-key 產生）');
+  process.exit(1);
+}
+
+try {
+  console.log(`🔐 以金鑰 ${getCurrentKeyId()} 重新加密...`);
+  const contracts = reencryptContractData();
+  const backgroundChecks = reencryptBackgroundChecks();
+  const failures = reencryptModelOutputFailures();
+  const reviews = reencryptReviewEvents();
+  const originals = reencryptOriginalDocuments();
+
+  console.log(`✅ 合約 ${contracts.contracts} 筆、評估版本 ${contracts.revisions} 筆、合約全文 ${contracts.documents} 筆`);
+  console.log(`✅ 背景調查快照 ${backgroundChecks} 筆、AI 回應驗證失敗紀錄 ${failures} 筆、審核留言 ${reviews} 筆`);
+  console.log(`✅ 原始文件 ${originals} 個（${DOCUMENT_STORE_DIR}）`);
+  console.log('所有資料已使用目前的金鑰，可以從 CONTRACT_ENCRYPTION_PREVIOUS_KEYS 移除舊金鑰');
+} catch (err) {
+  console.error(`❌ 重新加密失敗: ${err.message}`);
+  process.exit(1);
+}
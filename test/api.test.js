@@ -0,0 +1,924 @@
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { fileURLToPath } from "url";
+import mammoth from "mammoth";
+import { buildPdf } from "./support/pdf.js";
+import { buildZip } from "./support/office.js";
+
+// =========================
+//    API 路由測試
+// =========================
+//
+// 以模擬 LLM（fixtures/llm）與錄製的背景調查結果（fixtures/research）執行完整流程，不連網
+// 測試依序執行並共用同一個暫存資料庫
+
+const fixturesDir = fileURLToPath(new URL('../fixtures/', import.meta.url));
+const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'contract-api-test-'));
+
+process.env.NODE_ENV = 'test';
+process.env.CONTRACTS_DB_PATH = path.join(tempDir, 'contracts.db');
+process.env.LLM_PROVIDER = 'mock';
+process.env.LLM_MOCK_FIXTURES_DIR = path.join(fixturesDir, 'llm');
+process.env.RESEARCH_PROVIDER = 'fixture';
+process.env.RESEARCH_FIXTURES_DIR = path.join(fixturesDir, 'research');
+process.env.RESEARCH_RECORD_DIR = '';
+process.env.CONTRACT_ENCRYPTION_KEY = Buffer.alloc(32, 7).toString('base64');
+process.env.DOCUMENT_STORE_DIR = path.join(tempDir, 'documents');
+process.env.UPLOAD_DIR = path.join(tempDir, 'uploads');
+process.env.UPLOAD_MAX_MB = '1';
+process.env.BATCH_MAX_EXPANDED_MB = '2';
+// 字型檔不存在：PDF 報告回傳 503（PDF 的產生另見 contractReport.test.js）
+process.env.REPORT_FONT_PATH = path.join(tempDir, 'missing-font.ttf');
+
+// 伺服器的進度日誌會與 node --test 的 stdout 報告協定混在一起（Node 20 解析多位元組字元時會失敗），測試時不輸出
+// 錯誤仍由 console.error 寫到 stderr
+console.log = () => {};
+
+const { app } = await import('../backendserver.js');
+const { saveModelOutputFailure } = await import('../backend/modelOutputFailures.js');
+const { createTeam, createUser } = await import('../backend/auth.js');
+const { getDatabase } = await import('../backend/contractStore.js');
+const { auditEventsToCsv } = await import('../backend/auditLog.js');
+
+const SELLER = '範例科技股份有限公司';
+
+const CONTRACT_V1 = buildPdf([
+  ['Service Agreement', 'Article 1 Payment', 'The buyer shall pay within 30 days after acceptance.'],
+  ['Article 2 Jurisdiction', 'Taipei District Court shall have jurisdiction.'],
+]);
+
+const CONTRACT_V2 = buildPdf([
+  ['Service Agreement', 'Article 1 Payment', 'The buyer shall pay within 90 days after acceptance.'],
+  ['Article 2 Confidentiality', 'Both parties shall keep this agreement confidential.'],
+  ['Article 3 Jurisdiction', 'Taipei District Court shall have jurisdiction.'],
+]);
+
+let server;
+let baseUrl;
+
+// 測試之間共用的 ID
+let contractId;
+let replacementId;
+
+// 法務部的管理員、上傳者、審閱者、核准者，與另一個團隊的上傳者；未指定 token 的請求以管理員身分送出
+const ADMIN = { username: 'admin', password: 'admin-password' };
+const UPLOADER = { username: 'uploader', password: 'uploader-password' };
+const REVIEWER = { username: 'reviewer', password: 'reviewer-password' };
+const APPROVER = { username: 'approver', password: 'approver-password' };
+const OUTSIDER = { username: 'outsider', password: 'outsider-password' };
+let adminToken;
+let uploaderToken;
+let reviewerToken;
+let approverToken;
+let outsiderToken;
+
+before(async () => {
+  server = app.listen(0);
+  await new Promise(resolve => server.once('listening', resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+
+  const { team: legal } = createTeam('法務部');
+  const { team: sales } = createTeam('業務部');
+  createUser({ ...ADMIN, role: 'admin', team_id: legal.team_id });
+  createUser({ ...UPLOADER, team_id: legal.team_id });
+  createUser({ ...REVIEWER, role: 'reviewer', team_id: legal.team_id });
+  createUser({ ...APPROVER, role: 'approver', team_id: legal.team_id });
+  createUser({ ...OUTSIDER, team_id: sales.team_id });
+  adminToken = (await request('POST', '/auth/login', ADMIN, null)).body.token;
+  uploaderToken = (await request('POST', '/auth/login', UPLOADER, null)).body.token;
+  reviewerToken = (await request('POST', '/auth/login', REVIEWER, null)).body.token;
+  approverToken = (await request('POST', '/auth/login', APPROVER, null)).body.token;
+  outsiderToken = (await request('POST', '/auth/login', OUTSIDER, null)).body.token;
+});
+
+after(() => {
+  server.close();
+  server.closeAllConnections();
+  fs.rmSync(tempDir, { recursive: true, force: true });
+});
+
+/**
+ * 送出 JSON 請求
+ * @param {string} method - HTTP 方法
+ * @param {string} route - 路徑
+ * @param {Object} body - 請求內容（可選）
+ * @param {string|null} token - Bearer token（預設為管理員，null 表示不登入）
+ * @returns {Promise<Object>} { status, body }
+ */
+async function request(method, route, body = undefined, token = adminToken) {
+  const headers = body === undefined ? {} : { 'Content-Type': 'application/json' };
+  if (token) {
+    headers.Authorization = `Bearer ${token}`;
+  }
+  const response = await fetch(`${baseUrl}${route}`, {
+    method,
+    headers,
+    body: body === undefined ? undefined : JSON.stringify(body),
+  });
+  return { status: response.status, body: await response.json() };
+}
+
+/**
+ * 以 multipart/form-data 上傳文件
+ * @param {string} route - 路徑
+ * @param {Buffer|null} file - 文件內容，null 表示不附檔案
+ * @param {string} filename - 檔名
+ * @param {Object} fields - 其他欄位
+ * @param {string} token - Bearer token（預設為管理員）
+ * @returns {Promise<Object>} { status, body }
+ */
+async function uploadFile(route, file, filename, fields = {}, token = adminToken) {
+  const form = new FormData();
+  if (file) {
+    form.append('file', new Blob([file], { type: 'application/pdf' }), filename);
+  }
+  for (const [key, value] of Object.entries(fields)) {
+    form.append(key, value);
+  }
+  const response = await fetch(`${baseUrl}${route}`, {
+    method: 'POST',
+    headers: { Authorization: `Bearer ${token}` },
+    body: form,
+  });
+  return { status: response.status, body: await response.json() };
+}
+
+/**
+ * 等待背景任務結束
+ * @param {string} jobId - 任務 ID
+ * @param {string} token - Bearer token（預設為管理員）
+ * @returns {Promise<Object>} 任務
+ */
+async function waitForJob(jobId, token = adminToken) {
+  const deadline = Date.now() + 10000;
+  while (Date.now() < deadline) {
+    const { body } = await request('GET', `/jobs/${jobId}`, undefined, token);
+    if (body.job.status === 'completed' || body.job.status === 'failed') {
+      return body.job;
+    }
+    await new Promise(resolve => setTimeout(resolve, 50));
+  }
+  throw new Error(`任務 ${jobId} 未在時間內完成`);
+}
+
+test('POST /auth/login 驗證帳號密碼', async () => {
+  assert.equal((await request('POST', '/auth/login', { username: 'admin' }, null)).status, 400);
+  assert.equal((await request('POST', '/auth/login', { ...ADMIN, password: 'wrong-password' }, null)).status, 401);
+  assert.equal((await request('POST', '/auth/login', { username: 'nobody', password: 'whatever-password' }, null)).status, 401);
+
+  const { status, body } = await request('POST', '/auth/login', ADMIN, null);
+  assert.equal(status, 200);
+  assert.ok(body.token);
+  assert.equal(body.user.team_name, '法務部');
+  assert.equal(body.user.password_hash, undefined);
+});
+
+test('未登入或 token 無效時回傳 401，前端頁面不需登入', async () => {
+  assert.equal((await request('GET', '/contracts', undefined, null)).status, 401);
+  assert.equal((await request('GET', '/contracts', undefined, 'invalid-token')).status, 401);
+  assert.equal((await uploadFile('/upload', CONTRACT_V1, 'v1.pdf', {}, 'invalid-token')).status, 401);
+  assert.equal((await fetch(`${baseUrl}/login.html`)).status, 200);
+});
+
+test('CORS 只允許設定的來源', async () => {
+  const allowed = await fetch(`${baseUrl}/contracts`, { method: 'OPTIONS', headers: { Origin: 'http://localhost:3000' } });
+  assert.equal(allowed.headers.get('access-control-allow-origin'), 'http://localhost:3000');
+  assert.match(allowed.headers.get('access-control-allow-headers'), /Authorization/);
+
+  const other = await fetch(`${baseUrl}/contracts`, { method: 'OPTIONS', headers: { Origin: 'http://evil.example' } });
+  assert.equal(other.headers.get('access-control-allow-origin'), null);
+});
+
+test('GET /auth/me 與 API 金鑰', async () => {
+  const me = await request('GET', '/auth/me');
+  assert.equal(me.body.user.username, 'admin');
+  assert.equal(me.body.auth_type, 'session');
+
+  assert.equal((await request('POST', '/auth/api-keys', { name: ' ' })).status, 400);
+  const created = await request('POST', '/auth/api-keys', { name: '報表腳本' });
+  assert.equal(created.status, 200);
+  assert.match(created.body.api_key, /^tgsa_/);
+
+  const viaKey = await request('GET', '/auth/me', undefined, created.body.api_key);
+  assert.equal(viaKey.body.auth_type, 'api_key');
+  assert.equal(viaKey.body.user.username, 'admin');
+
+  const { body: list } = await request('GET', '/auth/api-keys');
+  assert.equal(list.api_keys.length, 1);
+  assert.ok(list.api_keys[0].last_used_at);
+  assert.equal(list.api_keys[0].key_hash, undefined);
+
+  assert.equal((await request('DELETE', `/auth/api-keys/${created.body.key.key_id}`)).status, 200);
+  assert.equal((await request('DELETE', `/auth/api-keys/${created.body.key.key_id}`)).status, 404);
+  assert.equal((await request('GET', '/auth/me', undefined, created.body.api_key)).status, 401);
+});
+
+test('使用者與團隊管理僅限管理員', async () => {
+  assert.equal((await request('GET', '/users', undefined, outsiderToken)).status, 403);
+  assert.equal((await request('POST', '/teams', { name: '採購部' }, outsiderToken)).status, 403);
+
+  const { body: team } = await request('POST', '/teams', { name: '採購部' });
+  assert.equal((await request('POST', '/teams', { name: '採購部' })).status, 400);
+
+  const invalid = await request('POST', '/users', { username: 'a', password: 'short', team_id: 'missing', role: 'owner' });
+  assert.equal(invalid.status, 400);
+  assert.equal(invalid.body.details.length, 4);
+
+  const created = await request('POST', '/users', { username: 'buyer', password: 'buyer-password', team_id: team.team.team_id });
+  assert.equal(created.status, 200);
+  assert.equal(created.body.user.role, 'uploader');
+  assert.equal((await request('GET', '/users')).body.users.length, 6);
+
+  // 停用帳號後既有的登入 token 失效，也無法再登入
+  const { body: login } = await request('POST', '/auth/login', { username: 'buyer', password: 'buyer-password' }, null);
+  assert.equal((await request('PUT', `/users/${created.body.user.user_id}`, { disabled: true })).status, 200);
+  assert.equal((await request('GET', '/auth/me', undefined, login.token)).status, 401);
+  assert.equal((await request('POST', '/auth/login', { username: 'buyer', password: 'buyer-password' }, null)).status, 401);
+
+  // 不能移除最後一位管理員
+  const { body: me } = await request('GET', '/auth/me');
+  const demote = await request('PUT', `/users/${me.user.user_id}`, { role: 'member' });
+  assert.equal(demote.status, 400);
+  assert.equal((await request('PUT', '/users/missing', { display_name: 'x' })).status, 404);
+});
+
+test('各角色的權限', async () => {
+  const { body } = await request('GET', '/auth/me', undefined, reviewerToken);
+  assert.deepEqual(body.permissions, ['contract:comment', 'contract:review']);
+
+  assert.equal((await uploadFile('/upload', CONTRACT_V1, 'v1.pdf', {}, reviewerToken)).status, 403);
+  assert.equal((await request('PUT', '/scoring-profiles/other', {}, uploaderToken)).status, 403);
+  assert.equal((await request('DELETE', '/scoring-profiles/default', undefined, approverToken)).status, 403);
+});
+
+test('GET /scoring-profiles 包含內建 default 設定檔', async () => {
+  const { status, body } = await request('GET', '/scoring-profiles');
+
+  assert.equal(status, 200);
+  assert.ok(body.profiles.some(profile => profile.name === 'default'));
+});
+
+test('PUT /scoring-profiles/:name 新增設定檔並驗證格式', async () => {
+  const { body: defaults } = await request('GET', '/scoring-profiles/default');
+  const strict = {
+    ...defaults.profile,
+    description: '嚴格',
+    circuit_breaker: { mad_above: 10, score_cap: 59 },
+  };
+
+  const created = await request('PUT', '/scoring-profiles/strict', strict);
+  assert.equal(created.status, 200);
+  assert.equal(created.body.profile.name, 'strict');
+
+  const invalid = await request('PUT', '/scoring-profiles/broken', { weights: { safety: -1 } });
+  assert.equal(invalid.status, 400);
+  assert.ok(invalid.body.details.length > 0);
+
+  const badName = await request('PUT', `/scoring-profiles/${encodeURIComponent('含 空白')}`, strict);
+  assert.equal(badName.status, 400);
+});
+
+test('GET /scoring-profiles/:name', async () => {
+  assert.equal((await request('GET', '/scoring-profiles/strict')).body.profile.circuit_breaker.mad_above, 10);
+  assert.equal((await request('GET', '/scoring-profiles/missing')).status, 404);
+});
+
+test('POST /upload 指定不存在的評分設定檔時回傳 400', async () => {
+  const { status, body } = await uploadFile('/upload', CONTRACT_V1, 'v1.pdf', { scoring_profile: 'missing' });
+
+  assert.equal(status, 400);
+  assert.match(body.error, /missing/);
+});
+
+test('POST /upload 不支援的文件格式在分析前回傳 400', async () => {
+  const { status, body } = await uploadFile('/upload', Buffer.from('PK'), '報價單.xlsx');
+
+  assert.equal(status, 400);
+  assert.match(body.error, /不支援的文件格式: \.xlsx/);
+});
+
+test('POST /upload 驗證文件內容並回傳錯誤代碼，不留下暫存檔', async () => {
+  const missing = await uploadFile('/upload', null, '');
+  assert.equal(missing.status, 400);
+  assert.equal(missing.body.code, 'missing_file');
+
+  const tooLarge = await uploadFile('/upload', Buffer.alloc(1024 * 1024 + 1, 'a'), '合約.txt');
+  assert.equal(tooLarge.status, 413);
+  assert.equal(tooLarge.body.code, 'file_too_large');
+
+  const mismatch = await uploadFile('/upload', Buffer.from('PK\x03\x04 not a pdf'), '合約.pdf');
+  assert.equal(mismatch.status, 400);
+  assert.equal(mismatch.body.code, 'type_mismatch');
+
+  const script = buildPdf([['Service Agreement']], {
+    catalog: '/OpenAction << /S /JavaScript /JS (app.alert(1)) >> ',
+    objectStream: true,
+  });
+  const active = await uploadFile('/upload', script, '合約.pdf');
+  assert.equal(active.status, 422);
+  assert.equal(active.body.code, 'active_content');
+
+  assert.deepEqual(fs.readdirSync(process.env.UPLOAD_DIR), []);
+});
+
+test('POST /upload 建立分析任務，GET /jobs/:id/events 串流到完成', async () => {
+  const { status, body } = await uploadFile('/upload', CONTRACT_V1, 'v1.pdf');
+  assert.equal(status, 202);
+  assert.ok(body.job_id);
+  assert.equal(body.filename, 'v1.pdf');
+
+  // EventSource 無法自訂標頭，以只能使用一次的串流 token 登入；網址中的登入 token 不被接受
+  const eventsUrl = `${baseUrl}/jobs/${body.job_id}/events`;
+  assert.equal((await fetch(`${eventsUrl}?access_token=${adminToken}`)).status, 401);
+  const { body: streamToken } = await request('POST', `/jobs/${body.job_id}/stream-token`);
+  assert.ok(Date.parse(streamToken.expires_at) - Date.now() <= 60 * 1000);
+  const response = await fetch(`${eventsUrl}?stream_token=${streamToken.stream_token}`);
+  assert.equal(response.headers.get('content-type'), 'text/event-stream');
+  const stream = await response.text();
+  assert.match(stream, /event: completed/);
+  assert.equal((await fetch(`${eventsUrl}?stream_token=${streamToken.stream_token}`)).status, 401);
+
+  const job = await waitForJob(body.job_id);
+  assert.equal(job.status, 'completed');
+  assert.equal(job.result.seller_company, SELLER);
+  // fixtures/llm/scoring.json：MAD 15、MAO 72、MAA 55、MAP 48 → 51 + 23.3 = 74
+  assert.equal(job.result.health_score, 74);
+  assert.equal(job.result.health_tier, 'B');
+  assert.deepEqual(job.result.rule_engine.fired_rules, []);
+  contractId = job.result.contract_id;
+
+  // 同團隊的其他使用者（重複上傳時會取得這個任務 ID）看得到任務，其他團隊看不到
+  assert.ok(job.team_id);
+  assert.equal((await request('GET', `/jobs/${body.job_id}`, undefined, reviewerToken)).body.job.team_id, job.team_id);
+  assert.equal((await request('POST', `/jobs/${body.job_id}/stream-token`, undefined, reviewerToken)).status, 200);
+  assert.equal((await request('GET', `/jobs/${body.job_id}`, undefined, outsiderToken)).status, 404);
+  assert.equal((await request('POST', `/jobs/${body.job_id}/stream-token`, undefined, outsiderToken)).status, 404);
+});
+
+test('GET /jobs/:id 與 /jobs/:id/events 任務不存在時回傳 404', async () => {
+  assert.equal((await request('GET', '/jobs/missing')).status, 404);
+  assert.equal((await request('GET', '/jobs/missing/events')).status, 404);
+  assert.equal((await request('POST', '/jobs/missing/stream-token')).status, 404);
+});
+
+test('POST /upload 重複文件直接回傳既有合約', async () => {
+  const { status, body } = await uploadFile('/upload', CONTRACT_V1, 'v1-copy.pdf');
+
+  assert.equal(status, 200);
+  assert.equal(body.duplicate, true);
+  assert.equal(body.existing_contract.contract_id, contractId);
+});
+
+test('GET /contracts', async () => {
+  const { status, body } = await request('GET', '/contracts');
+
+  assert.equal(status, 200);
+  assert.equal(body.contracts.length, 1);
+  assert.equal(body.contracts[0].contract_id, contractId);
+  assert.equal(body.contracts[0].seller_company, SELLER);
+});
+
+test('GET /contracts/:id', async () => {
+  const { status, body } = await request('GET', `/contracts/${contractId}`);
+  assert.equal(status, 200);
+  assert.equal(body.contract.filename, 'v1.pdf');
+  assert.equal(body.contract.health_dimensions.mad, 15);
+  assert.equal(body.contract.owner_user_id, (await request('GET', '/auth/me')).body.user.user_id);
+
+  assert.equal((await request('GET', '/contracts/missing')).status, 404);
+});
+
+test('合約敏感欄位與原始文件加密保存', async () => {
+  const row = getDatabase().prepare('SELECT data FROM contracts WHERE contract_id = ?').get(contractId);
+  const stored = JSON.parse(row.data);
+  assert.equal(stored.overall_recommendation, undefined);
+  assert.equal(stored.company_data, undefined);
+  assert.match(stored.encrypted_fields, /^enc:v1:/);
+  assert.ok(!row.data.includes('無破產紀錄'));
+  assert.ok(!row.data.includes('（模擬回應）'));
+
+  const document = getDatabase().prepare('SELECT text FROM contract_documents WHERE contract_id = ?').get(contractId);
+  assert.match(document.text, /^enc:v1:/);
+
+  const storedFile = fs.readFileSync(path.join(tempDir, 'documents', `${contractId}.bin`));
+  assert.equal(storedFile.subarray(0, 8).toString(), 'TGSAENC1');
+  assert.ok(!storedFile.includes(Buffer.from('Service Agreement')));
+
+  // API 回傳解密後的內容
+  const response = await fetch(`${baseUrl}/contracts/${contractId}/original`, {
+    headers: { Authorization: `Bearer ${adminToken}` },
+  });
+  assert.equal(response.status, 200);
+  assert.match(response.headers.get('content-disposition'), /v1\.pdf/);
+  assert.deepEqual(Buffer.from(await response.arrayBuffer()), CONTRACT_V1);
+  assert.equal((await request('GET', `/contracts/${contractId}/original`, undefined, outsiderToken)).status, 404);
+});
+
+test('GET /contracts/:id/report 匯出 Word 報告，沒有中文字型時 PDF 回傳 503', async () => {
+  const download = async format => {
+    const response = await fetch(`${baseUrl}/contracts/${contractId}/report?format=${format}`, {
+      headers: { Authorization: `Bearer ${adminToken}` },
+    });
+    return { response, body: Buffer.from(await response.arrayBuffer()) };
+  };
+
+  const pdf = await download('pdf');
+  assert.equal(pdf.response.status, 503);
+  assert.equal(JSON.parse(pdf.body.toString()).code, 'report_font_unavailable');
+
+  const docx = await download('docx');
+  assert.equal(docx.response.status, 200);
+  assert.match(docx.response.headers.get('content-disposition'), /^attachment; .*filename\*=UTF-8''.*\.docx$/);
+  const { value } = await mammoth.extractRawText({ buffer: docx.body });
+  assert.ok(value.includes(SELLER));
+  assert.ok(value.includes('（模擬回應）'));
+
+  assert.equal((await request('GET', `/contracts/${contractId}/report?format=xlsx`)).status, 400);
+  assert.equal((await request('GET', `/contracts/${contractId}/report`, undefined, outsiderToken)).status, 404);
+
+  // 匯出報告記錄為 view 稽核事件（失敗的匯出不記錄）
+  const { body: audit } = await request('GET', `/audit-log?contract_id=${contractId}&action=view`);
+  assert.deepEqual(
+    audit.events.filter(event => event.details?.report).map(event => event.details.report),
+    ['docx']
+  );
+});
+
+test('POST /contracts/:id/rescore 以其他設定檔重新計分', async () => {
+  const { status, body } = await request('POST', `/contracts/${contractId}/rescore`, { scoring_profile: 'strict' });
+
+  assert.equal(status, 200);
+  assert.equal(body.previous.health_score, 74);
+  assert.equal(body.previous.scoring_profile, 'default');
+  // MAD 15 > 10 觸發 strict 的熔斷
+  assert.equal(body.contract.health_score, 59);
+  assert.equal(body.contract.health_tier, 'D');
+  assert.equal(body.contract.scoring_profile, 'strict');
+
+  assert.equal((await request('POST', `/contracts/${contractId}/rescore`, { scoring_profile: 'missing' })).status, 400);
+  assert.equal((await request('POST', '/contracts/missing/rescore', {})).status, 404);
+});
+
+test('GET /contracts/:id/revisions 與 /revisions/:revision', async () => {
+  const { status, body } = await request('GET', `/contracts/${contractId}/revisions`);
+  assert.equal(status, 200);
+  assert.deepEqual(body.revisions.map(revision => revision.trigger), ['upload', 'rescore']);
+
+  const first = await request('GET', `/contracts/${contractId}/revisions/1`);
+  assert.equal(first.status, 200);
+  assert.equal(first.body.revision.contract.health_score, 74);
+  assert.deepEqual(first.body.revision.models, { basic_info: 'mock', scoring: 'mock' });
+
+  assert.equal((await request('GET', `/contracts/${contractId}/revisions/99`)).status, 404);
+  assert.equal((await request('GET', '/contracts/missing/revisions')).status, 404);
+});
+
+test('GET /contracts/:id/revisions/compare 預設比較最新兩個版本', async () => {
+  const { status, body } = await request('GET', `/contracts/${contractId}/revisions/compare`);
+
+  assert.equal(status, 200);
+  assert.equal(body.from.revision_number, 1);
+  assert.equal(body.to.revision_number, 2);
+  assert.deepEqual(body.diff.health_score, { before: 74, after: 59, delta: -15 });
+  assert.equal(body.diff.health_tier.changed, true);
+  assert.ok(body.diff.changed_fields.includes('scoring_profile'));
+
+  assert.equal((await request('GET', `/contracts/${contractId}/revisions/compare?from=1&to=9`)).status, 404);
+});
+
+test('PUT /contracts/:id/update-company 以新公司名稱重新評估', async () => {
+  const { status, body } = await request('PUT', `/contracts/${contractId}/update-company`, { new_company_name: SELLER });
+
+  assert.equal(status, 200);
+  assert.equal(body.message, '公司名稱已更新，合約已重新評估');
+  assert.equal(body.contract.seller_company, SELLER);
+  // 背景調查快取在上傳時已建立
+  assert.equal(body.contract.background_check.from_cache, true);
+
+  assert.equal((await request('PUT', `/contracts/${contractId}/update-company`, { new_company_name: ' ' })).status, 400);
+  assert.equal((await request('PUT', '/contracts/missing/update-company', { new_company_name: SELLER })).status, 404);
+});
+
+test('POST /contracts/:id/replace 驗證請求', async () => {
+  assert.equal((await uploadFile(`/contracts/${contractId}/replace`, null, '')).status, 400);
+  assert.equal((await uploadFile('/contracts/missing/replace', CONTRACT_V2, 'v2.pdf')).status, 404);
+
+  assert.equal((await uploadFile(`/contracts/${contractId}/replace`, Buffer.from('PK'), 'v2.xlsx')).status, 400);
+
+  const sameFile = await uploadFile(`/contracts/${contractId}/replace`, CONTRACT_V1, 'v1.pdf');
+  assert.equal(sameFile.status, 400);
+});
+
+test('POST /contracts/:id/replace 分析新版本並與原合約比較', async () => {
+  const { status, body } = await uploadFile(`/contracts/${contractId}/replace`, CONTRACT_V2, 'v2.pdf');
+  assert.equal(status, 202);
+  assert.equal(body.predecessor_id, contractId);
+
+  const job = await waitForJob(body.job_id);
+  assert.equal(job.status, 'completed');
+  assert.equal(job.result.predecessor_id, contractId);
+  assert.equal(job.result.comparison.predecessor_id, contractId);
+  replacementId = job.result.contract_id;
+
+  const { body: predecessor } = await request('GET', `/contracts/${contractId}`);
+  assert.equal(predecessor.contract.superseded_by, replacementId);
+
+  // 已被取代的合約不能再上傳新版本
+  assert.equal((await uploadFile(`/contracts/${contractId}/replace`, CONTRACT_V2, 'v2.pdf')).status, 409);
+});
+
+test('POST /redline 依條款比較兩份合約的文字', async () => {
+  const { status, body } = await request('POST', '/redline', {
+    from_contract_id: contractId,
+    to_contract_id: replacementId,
+  });
+
+  assert.equal(status, 200);
+  assert.deepEqual(body.redline.stats, { unchanged: 1, modified: 2, added: 1, removed: 0 });
+
+  const payment = body.redline.clauses.find(clause => clause.after?.heading === 'Article 1 Payment');
+  assert.equal(payment.status, 'modified');
+  assert.deepEqual(
+    payment.segments.filter(segment => segment.type !== 'equal'),
+    [{ type: 'delete', text: '30' }, { type: 'insert', text: '90' }]
+  );
+  assert.match(body.explanation.summary, /模擬回應/);
+});
+
+test('POST /redline 驗證請求', async () => {
+  assert.equal((await request('POST', '/redline', { from_contract_id: contractId })).status, 400);
+  assert.equal((await request('POST', '/redline', { from_contract_id: contractId, to_contract_id: contractId })).status, 400);
+  assert.equal((await request('POST', '/redline', { from_contract_id: contractId, to_contract_id: 'missing' })).status, 404);
+
+  const withoutExplanation = await request('POST', '/redline', {
+    from_contract_id: contractId,
+    to_contract_id: replacementId,
+    explain: false,
+  });
+  assert.equal(withoutExplanation.body.explanation, null);
+});
+
+test('POST /redline 的 AI 說明需要 contract:review 權限', async () => {
+  const body = { from_contract_id: contractId, to_contract_id: replacementId };
+
+  const denied = await request('POST', '/redline', body, uploaderToken);
+  assert.equal(denied.status, 403);
+  assert.equal(denied.body.required_permission, 'contract:review');
+
+  const textOnly = await request('POST', '/redline', { ...body, explain: false }, uploaderToken);
+  assert.equal(textOnly.status, 200);
+  assert.equal(textOnly.body.explanation, null);
+
+  assert.equal((await request('POST', '/redline', body, reviewerToken)).status, 200);
+});
+
+test('GET /companies 依公司彙整合約', async () => {
+  const { status, body } = await request('GET', '/companies');
+
+  assert.equal(status, 200);
+  assert.equal(body.count, 1);
+  assert.equal(body.companies[0].company_name, SELLER);
+  assert.equal(body.companies[0].contract_count, 2);
+});
+
+test('GET /companies/:name 回傳公司檔案', async () => {
+  const { status, body } = await request('GET', `/companies/${encodeURIComponent(SELLER)}`);
+
+  assert.equal(status, 200);
+  assert.equal(body.company.score_history.length, 2);
+  assert.equal(body.company.latest_background_check.findings.length, 5);
+
+  assert.equal((await request('GET', `/companies/${encodeURIComponent('不存在的公司')}`)).status, 404);
+  // 背景調查快照只對有此公司合約的團隊顯示
+  assert.equal((await request('GET', `/companies/${encodeURIComponent(SELLER)}`, undefined, outsiderToken)).status, 404);
+});
+
+test('POST /companies/:name/refresh 忽略快取重新調查', async () => {
+  const { body: before } = await request('GET', `/companies/${encodeURIComponent(SELLER)}`);
+  const { status, body } = await request('POST', `/companies/${encodeURIComponent(SELLER)}/refresh`);
+
+  assert.equal(status, 200);
+  assert.equal(body.background_check.from_cache, false);
+  assert.notEqual(body.background_check.snapshot_id, before.company.latest_background_check.snapshot_id);
+
+  // 重新調查會產生付費的搜尋呼叫，需要重新評估的權限
+  assert.equal((await request('POST', `/companies/${encodeURIComponent(SELLER)}/refresh`, undefined, reviewerToken)).status, 403);
+});
+
+test('GET /reports/portfolio 不計入已被取代的合約', async () => {
+  const { status, body } = await request('GET', '/reports/portfolio');
+
+  assert.equal(status, 200);
+  assert.equal(body.report.total_contracts, 1);
+});
+
+test('POST /reports/portfolio/what-if 以候選設定檔重算', async () => {
+  const { status, body } = await request('POST', '/reports/portfolio/what-if', { scoring_profile: 'strict' });
+  assert.equal(status, 200);
+  assert.equal(body.report.profile, 'strict');
+  assert.equal(body.report.scored_contracts, 1);
+
+  assert.equal((await request('POST', '/reports/portfolio/what-if', {})).status, 400);
+  assert.equal((await request('POST', '/reports/portfolio/what-if', { scoring_profile: 'missing' })).status, 400);
+});
+
+test('審核流程：送審、退回、D 級需覆核才能核准、簽署', async () => {
+  // 以 strict 重新計分：MAD 15 > 10 觸發熔斷，59 分 D 級
+  assert.equal((await request('POST', `/contracts/${replacementId}/rescore`, { scoring_profile: 'strict' })).body.contract.health_tier, 'D');
+
+  const status = (token, body) => request('POST', `/contracts/${replacementId}/status`, body, token);
+
+  // 已被取代的合約不能送審
+  assert.equal((await request('POST', `/contracts/${contractId}/status`, { action: 'submit' }, uploaderToken)).status, 409);
+  assert.equal((await status(uploaderToken, { action: 'submit' })).status, 200);
+  assert.equal((await status(uploaderToken, { action: 'submit' })).status, 409);
+  assert.equal((await status(uploaderToken, { action: 'publish' })).status, 400);
+
+  // 審核中不能修改評估
+  assert.equal((await request('POST', `/contracts/${replacementId}/rescore`, { scoring_profile: 'default' })).status, 409);
+  assert.equal((await request('PUT', `/contracts/${replacementId}/update-company`, { new_company_name: SELLER })).status, 409);
+
+  assert.equal((await request('POST', `/contracts/${replacementId}/comments`, { comment: '第 2 條付款期限過長' }, reviewerToken)).status, 200);
+  assert.equal((await request('POST', `/contracts/${replacementId}/comments`, { comment: ' ' }, reviewerToken)).status, 400);
+  assert.equal((await status(reviewerToken, { action: 'approve' })).status, 403);
+  assert.equal((await status(reviewerToken, { action: 'reject' })).status, 400);
+  assert.equal((await status(reviewerToken, { action: 'reject', comment: '請與對方協商付款期限' })).body.contract.status, 'rejected');
+
+  // 退回後可重新送審
+  assert.equal((await status(uploaderToken, { action: 'submit', comment: '已補充說明' })).body.contract.status, 'under_review');
+
+  const withoutOverride = await status(approverToken, { action: 'approve', override_reason: '已取得主管同意' });
+  assert.equal(withoutOverride.status, 400);
+  assert.equal(withoutOverride.body.requires_override, true);
+  assert.deepEqual(withoutOverride.body.override_triggers.map(trigger => trigger.code), ['tier_d', 'circuit_breaker']);
+  assert.equal((await status(approverToken, { action: 'approve', override: true, override_reason: ' ' })).status, 400);
+
+  const approved = await status(approverToken, { action: 'approve', override: true, override_reason: '策略合作，已取得總經理同意' });
+  assert.equal(approved.status, 200);
+  assert.equal(approved.body.contract.status, 'approved');
+  assert.equal(approved.body.contract.approval_override.reason, '策略合作，已取得總經理同意');
+  assert.equal(approved.body.contract.approval_override.username, 'approver');
+  // 覆核理由在合約資料與審核事件中都加密保存
+  const storedContract = getDatabase().prepare('SELECT data FROM contracts WHERE contract_id = ?').get(replacementId).data;
+  assert.ok(!storedContract.includes('總經理'));
+  assert.equal(JSON.parse(storedContract).approval_override, undefined);
+
+  assert.equal((await status(approverToken, { action: 'sign' })).status, 403);
+  assert.equal((await status(uploaderToken, { action: 'sign' })).body.contract.status, 'signed');
+
+  const { body: reviews } = await request('GET', `/contracts/${replacementId}/reviews`, undefined, uploaderToken);
+  assert.equal(reviews.status, 'signed');
+  assert.deepEqual(reviews.available_actions, []);
+  assert.deepEqual(reviews.events.map(event => event.action), ['submit', 'comment', 'reject', 'submit', 'approve', 'sign']);
+  assert.equal(reviews.events[4].override_triggers.length, 2);
+
+  // 評估版本不因狀態變更而增加
+  assert.deepEqual((await request('GET', `/contracts/${replacementId}/revisions`)).body.revisions.map(revision => revision.trigger), ['replace', 'rescore']);
+
+  assert.deepEqual((await request('GET', '/contracts?status=signed')).body.contracts.map(item => item.contract_id), [replacementId]);
+  assert.equal((await request('GET', '/contracts?status=unknown')).status, 400);
+
+  // 上傳者不能刪除已簽署的合約
+  assert.equal((await request('DELETE', `/contracts/${replacementId}`, undefined, uploaderToken)).status, 403);
+});
+
+test('GET /model-output-failures 列出 AI 回應驗證失敗紀錄', async () => {
+  // 模擬回應檔都通過驗證，分析過程不會產生失敗紀錄
+  assert.equal((await request('GET', '/model-output-failures')).body.count, 0);
+
+  const saved = saveModelOutputFailure({
+    stage: 'scoring',
+    model: 'mock',
+    context: { trigger: 'upload', filename: 'v1.pdf' },
+    attempts: [{ attempt: 1, model: 'mock', response_text: '{"mad": 120}', errors: ['$.mad 不可大於 100，目前為 120'] }],
+  });
+
+  const { status, body } = await request('GET', '/model-output-failures?stage=scoring');
+  assert.equal(status, 200);
+  assert.equal(body.count, 1);
+  assert.equal(body.failures[0].attempt_count, 1);
+  assert.equal(body.failures[0].attempts, undefined);
+  assert.equal((await request('GET', '/model-output-failures?stage=basic_info')).body.count, 0);
+
+  const detail = await request('GET', `/model-output-failures/${saved.failure_id}`);
+  assert.equal(detail.status, 200);
+  assert.equal(detail.body.failure.attempts[0].response_text, '{"mad": 120}');
+  assert.equal((await request('GET', '/model-output-failures/missing')).status, 404);
+});
+
+test('其他團隊看不到、也不能修改或刪除合約', async () => {
+  assert.equal((await request('GET', '/contracts', undefined, outsiderToken)).body.contracts.length, 0);
+  assert.equal((await request('GET', `/contracts/${contractId}`, undefined, outsiderToken)).status, 404);
+  assert.equal((await request('GET', `/contracts/${contractId}/revisions`, undefined, outsiderToken)).status, 404);
+  assert.equal((await request('GET', `/contracts/${contractId}/revisions/1`, undefined, outsiderToken)).status, 404);
+  assert.equal((await request('POST', `/contracts/${contractId}/rescore`, {}, outsiderToken)).status, 404);
+  assert.equal((await request('DELETE', `/contracts/${replacementId}`, undefined, outsiderToken)).status, 404);
+  assert.equal((await request('POST', '/redline', { from_contract_id: contractId, to_contract_id: replacementId, explain: false }, outsiderToken)).status, 404);
+  assert.equal((await request('GET', '/companies', undefined, outsiderToken)).body.count, 0);
+  assert.equal((await request('GET', '/reports/portfolio', undefined, outsiderToken)).body.report.total_contracts, 0);
+  assert.equal((await request('GET', '/model-output-failures', undefined, outsiderToken)).status, 403);
+
+  // 管理員看得到所有團隊的合約
+  assert.equal((await request('GET', '/contracts')).body.contracts.length, 2);
+});
+
+test('DELETE /contracts/:id 軟刪除，POST /contracts/:id/restore 還原', async () => {
+  const deleted = await request('DELETE', `/contracts/${replacementId}`);
+  assert.equal(deleted.status, 200);
+  assert.ok(deleted.body.deleted_at);
+  assert.equal((await request('DELETE', `/contracts/${replacementId}`)).status, 404);
+  assert.equal((await request('GET', `/contracts/${replacementId}`)).status, 404);
+  assert.ok(!(await request('GET', '/contracts')).body.contracts.some(item => item.contract_id === replacementId));
+
+  // 已刪除的合約仍保留在資料庫，可列出並還原
+  const trash = await request('GET', '/contracts?deleted=true');
+  assert.deepEqual(trash.body.contracts.map(item => item.contract_id), [replacementId]);
+  assert.equal(trash.body.contracts[0].deleted_by, 'admin');
+  assert.equal((await request('POST', `/contracts/${replacementId}/restore`, undefined, outsiderToken)).status, 404);
+
+  const restored = await request('POST', `/contracts/${replacementId}/restore`);
+  assert.equal(restored.status, 200);
+  assert.equal(restored.body.contract.deleted_at, undefined);
+  assert.equal((await request('GET', `/contracts/${replacementId}`)).status, 200);
+  assert.equal((await request('POST', `/contracts/${replacementId}/restore`)).status, 409);
+
+  assert.equal((await request('DELETE', `/contracts/${replacementId}`)).status, 200);
+});
+
+test('稽核紀錄記錄每個動作的執行者與變更前後的值', async () => {
+  const { status, body } = await request('GET', `/audit-log?contract_id=${replacementId}`);
+  assert.equal(status, 200);
+  // 新到舊
+  assert.deepEqual(
+    [...new Set(body.events.map(event => event.action))],
+    ['delete', 'view', 'restore', 'status_change', 'rescore', 'upload']
+  );
+  const deletion = body.events[0];
+  assert.equal(deletion.username, 'admin');
+  assert.equal(deletion.before.deleted_at, null);
+  assert.ok(deletion.after.deleted_at);
+  assert.deepEqual(deletion.changed_fields, ['deleted_at']);
+
+  const approval = body.events.find(event => event.details?.workflow_action === 'approve');
+  assert.equal(approval.username, 'approver');
+  assert.deepEqual([approval.before.status, approval.after.status], ['under_review', 'approved']);
+
+  // 原合約：上傳新版本、更新公司名稱、重新計分
+  const { body: original } = await request('GET', `/audit-log?contract_id=${contractId}&action=replace`);
+  assert.equal(original.count, 1);
+  assert.equal(original.events[0].details.replacement_id, replacementId);
+  assert.deepEqual(original.events[0].changed_fields, ['superseded_by']);
+  const { body: rescore } = await request('GET', `/audit-log?contract_id=${contractId}&action=rescore`);
+  assert.deepEqual([rescore.events[0].before.scoring_profile, rescore.events[0].after.scoring_profile], ['default', 'strict']);
+
+  // 版本紀錄、版本比較與文字比對也記錄為檢視
+  const { body: views } = await request('GET', `/audit-log?contract_id=${contractId}&action=view`);
+  const viewDetails = views.events.map(event => event.details || {});
+  assert.ok(viewDetails.some(details => details.revisions === true));
+  assert.ok(viewDetails.some(details => details.revision === 1));
+  assert.ok(viewDetails.some(details => details.compare_revisions?.join() === '1,2'));
+  assert.ok(viewDetails.some(details => details.redline_with === replacementId));
+
+  // 同團隊的使用者可查詢單一合約的紀錄（包含已刪除的合約），全部紀錄僅限管理員
+  const contractLog = await request('GET', `/contracts/${replacementId}/audit-log?action=delete`, undefined, uploaderToken);
+  assert.equal(contractLog.status, 200);
+  assert.equal(contractLog.body.count, 2);
+  assert.equal((await request('GET', `/contracts/${replacementId}/audit-log`, undefined, outsiderToken)).status, 404);
+  assert.equal((await request('GET', '/audit-log', undefined, uploaderToken)).status, 403);
+  assert.equal((await request('GET', '/audit-log?action=rename')).status, 400);
+  assert.equal((await request('GET', '/audit-log?from=yesterday')).status, 400);
+
+  // 稽核紀錄只能新增
+  assert.throws(() => getDatabase().prepare('DELETE FROM audit_log').run(), /只能新增/);
+  assert.throws(() => getDatabase().prepare("UPDATE audit_log SET username = 'someone'").run(), /只能新增/);
+});
+
+test('GET /audit-log/export 匯出 CSV 與 JSON', async () => {
+  const response = await fetch(`${baseUrl}/audit-log/export?contract_id=${replacementId}`, {
+    headers: { Authorization: `Bearer ${adminToken}` },
+  });
+  assert.equal(response.status, 200);
+  assert.match(response.headers.get('content-type'), /^text\/csv/);
+  assert.match(response.headers.get('content-disposition'), /attachment; filename="audit-log-.*\.csv"/);
+  const csv = Buffer.from(await response.arrayBuffer());
+  // UTF-8 BOM 讓 Excel 以 UTF-8 開啟
+  assert.deepEqual([...csv.subarray(0, 3)], [0xef, 0xbb, 0xbf]);
+  const lines = csv.toString('utf8', 3).trim().split('\r\n');
+  assert.equal(lines[0], 'created_at,event_id,contract_id,team_id,action,action_label,user_id,username,changed_fields,before,after,details');
+  assert.match(lines[1], /,delete,刪除,/);
+
+  // 以 = + - @ 開頭的文字加上 ' 前綴，Excel 不會當成公式執行
+  const [, row] = auditEventsToCsv([{ username: '=HYPERLINK("http://evil.example")', action: '@SUM(A1)', user_id: 3 }])
+    .trim().split('\r\n');
+  assert.equal(row, `,,,,'@SUM(A1),,3,"'=HYPERLINK(""http://evil.example"")",,,,`);
+
+  const json = await request('GET', `/audit-log/export?format=json&action=upload`);
+  assert.equal(json.status, 200);
+  assert.ok(json.body.events.every(event => event.action === 'upload'));
+  assert.equal((await request('GET', '/audit-log/export?format=xml')).status, 400);
+});
+
+test('DELETE /scoring-profiles/:name', async () => {
+  assert.equal((await request('DELETE', '/scoring-profiles/strict')).status, 200);
+  assert.equal((await request('DELETE', '/scoring-profiles/strict')).status, 404);
+});
+
+test('POST /batches 批次上傳多份文件與 ZIP，去除重複並記錄每份文件的結果', async () => {
+  assert.equal((await uploadFile('/batches', null, '')).body.code, 'missing_file');
+
+  const contractV3 = buildPdf([['Service Agreement', 'Article 1 Payment', 'The buyer shall pay within 45 days.']]);
+  const archive = buildZip({
+    '舊合約/v3.pdf': contractV3,
+    '備份/v3.pdf': contractV3,
+    '舊合約/報價單.xlsx': 'PK',
+    '__MACOSX/舊合約/._v3.pdf': 'resource fork',
+  });
+
+  const form = new FormData();
+  form.append('files', new Blob([CONTRACT_V1], { type: 'application/pdf' }), 'v1.pdf');
+  form.append('files', new Blob([archive], { type: 'application/zip' }), '舊合約.zip');
+  const response = await fetch(`${baseUrl}/batches`, {
+    method: 'POST',
+    headers: { Authorization: `Bearer ${adminToken}` },
+    body: form,
+  });
+  const { batch } = await response.json();
+  assert.equal(response.status, 202);
+
+  assert.deepEqual(batch.items.map(item => [item.filename, item.archive]), [
+    ['v1.pdf', null],
+    ['舊合約/v3.pdf', '舊合約.zip'],
+    ['備份/v3.pdf', '舊合約.zip'],
+    ['舊合約/報價單.xlsx', '舊合約.zip'],
+  ]);
+  const [existing, queued, repeated, unsupported] = batch.items;
+  assert.equal(existing.status, 'duplicate');
+  assert.equal(existing.contract_id, contractId);
+  assert.ok(queued.job_id);
+  assert.equal(repeated.status, 'duplicate');
+  assert.equal(repeated.duplicate_of_item, 1);
+  assert.equal(unsupported.status, 'failed');
+  assert.equal(unsupported.code, 'unsupported_type');
+
+  const job = await waitForJob(queued.job_id);
+  assert.equal(job.status, 'completed');
+
+  const summary = await request('GET', `/batches/${batch.batch_id}`);
+  assert.equal(summary.status, 200);
+  assert.equal(summary.body.batch.finished, true);
+  assert.deepEqual(summary.body.batch.summary, { total: 4, queued: 0, running: 0, completed: 1, duplicate: 2, failed: 1 });
+  assert.equal(summary.body.batch.items[1].contract_id, job.result.contract_id);
+  assert.equal(summary.body.batch.items[1].result.health_tier, 'B');
+  assert.equal((await request('GET', `/contracts/${job.result.contract_id}`)).body.contract.filename, 'v3.pdf');
+
+  assert.deepEqual((await request('GET', '/batches')).body.batches.map(item => item.batch_id), [batch.batch_id]);
+  assert.equal((await request('GET', `/batches/${batch.batch_id}`, undefined, outsiderToken)).status, 404);
+  assert.equal((await request('GET', '/batches', undefined, outsiderToken)).body.count, 0);
+  assert.deepEqual(fs.readdirSync(process.env.UPLOAD_DIR), []);
+});
+
+test('POST /batches 在解壓縮前拒絕文件過多或解壓縮後過大的壓縮檔', async () => {
+  const uploadArchive = async files => {
+    const form = new FormData();
+    form.append('files', new Blob([buildZip(files)], { type: 'application/zip' }), 'bomb.zip');
+    const response = await fetch(`${baseUrl}/batches`, {
+      method: 'POST',
+      headers: { Authorization: `Bearer ${adminToken}` },
+      body: form,
+    });
+    return { status: response.status, body: await response.json() };
+  };
+
+  // 超過 BATCH_MAX_FILES（預設 100）份
+  const manyEntries = Object.fromEntries(Array.from({ length: 150 }, (_, index) => [`合約/${index}.txt`, `第 ${index} 份`]));
+  const tooMany = await uploadArchive(manyEntries);
+  assert.equal(tooMany.status, 400);
+  assert.equal(tooMany.body.code, 'too_many_files');
+
+  // 每份都在 UPLOAD_MAX_MB 以內，合計超過 BATCH_MAX_EXPANDED_MB
+  const large = 'a'.repeat(900 * 1024);
+  const tooLarge = await uploadArchive({ 'a.txt': large, 'b.txt': large, 'c.txt': large });
+  assert.equal(tooLarge.status, 413);
+  assert.equal(tooLarge.body.code, 'archive_too_large');
+
+  assert.deepEqual(fs.readdirSync(process.env.UPLOAD_DIR), []);
+  assert.equal((await request('GET', '/batches')).body.count, 1);
+});
+
+test('其他團隊上傳相同文件時建立自己的合約', async () => {
+  const { status, body } = await uploadFile('/upload', CONTRACT_V1, 'v1.pdf', {}, outsiderToken);
+  assert.equal(status, 202);
+
+  const job = await waitForJob(body.job_id, outsiderToken);
+  assert.equal(job.status, 'completed');
+  assert.notEqual(job.result.contract_id, contractId);
+  assert.deepEqual((await request('GET', '/contracts', undefined, outsiderToken)).body.contracts.map(item => item.contract_id), [job.result.contract_id]);
+});
+
+test('POST /auth/logout 使登入 token 失效', async () => {
+  assert.equal((await request('POST', '/auth/logout', undefined, outsiderToken)).status, 200);
+  assert.equal((await request('GET', '/auth/me', undefined, outsiderToken)).status, 401);
+});
@@ -0,0 +1,229 @@
+import { test, after } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { fileURLToPath } from "url";
+
+const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'contract-analysis-test-'));
+process.env.CONTRACTS_DB_PATH = path.join(tempDir, 'contracts.db');
+// 以較小的門檻測試長合約分段分析
+process.env.CHUNKED_ANALYSIS_MIN_CHARS = '1500';
+process.env.SECTION_MAX_CHARS = '800';
+
+const { generateValidatedJSON, extractBasicInfo, analyzeContractWithBackground } = await import('../backend/contractAnalysis.js');
+const { getModelOutputFailure } = await import('../backend/modelOutputFailures.js');
+const { splitIntoSections } = await import('../backend/contractSections.js');
+const { trackTokenUsage } = await import('../backend/llmProvider.js');
+
+const fixturesDir = fileURLToPath(new URL('../fixtures/llm/', import.meta.url));
+
+after(() => {
+  fs.rmSync(tempDir, { recursive: true, force: true });
+});
+
+/**
+ * 依序回傳指定回應的 LLM 供應商，並記錄每次收到的輸入
+ * @param {Array<string>} responses - 每次呼叫回傳的文字
+ * @returns {Object} 供應商，calls 為 [{ stage, content }]
+ */
+function scriptedProvider(responses) {
+  const calls = [];
+  return {
+    calls,
+    async generateJSON(stage, content) {
+      calls.push({ stage, content });
+      return { text: responses[Math.min(calls.length - 1, responses.length - 1)], model: 'scripted' };
+    },
+  };
+}
+
+const content = [{ type: 'input_text', text: '請提取乙方公司名稱' }];
+
+test('回應通過驗證時只呼叫一次', async () => {
+  const llm = scriptedProvider(['{"document_type": "合約", "seller_company": "乙公司"}']);
+
+  const data = await generateValidatedJSON(llm, 'basic_info', content);
+
+  assert.deepEqual(data, { document_type: '合約', seller_company: '乙公司' });
+  assert.equal(llm.calls.length, 1);
+});
+
+test('未通過驗證時附上錯誤訊息重新詢問', async () => {
+  const llm = scriptedProvider([
+    '{"document_type": "合約"}',
+    '{"document_type": "合約", "seller_company": "乙公司"}',
+  ]);
+
+  const data = await generateValidatedJSON(llm, 'basic_info', content);
+
+  assert.equal(data.seller_company, '乙公司');
+  assert.equal(llm.calls.length, 2);
+
+  const retry = llm.calls[1].content;
+  assert.deepEqual(retry[0], content[0]);
+  assert.match(retry[1].text, /\$\.seller_company 為必填欄位/);
+  assert.match(retry[1].text, /\{"document_type": "合約"\}/);
+  assert.match(retry[1].text, /"required": \[\s*"document_type",\s*"seller_company"\s*\]/);
+});
+
+test('回應不是 JSON 時同樣重新詢問', async () => {
+  const llm = scriptedProvider([
+    '抱歉，我無法判斷',
+    '{"document_type": "合約", "seller_company": "乙公司"}',
+  ]);
+
+  await generateValidatedJSON(llm, 'basic_info', content);
+
+  assert.match(llm.calls[1].content[1].text, /回應不是有效的 JSON: 無法從回應中提取 JSON/);
+});
+
+test('超過重試上限時保存失敗紀錄並丟出錯誤', async () => {
+  const llm = scriptedProvider(['{"document_type": "合約", "seller_company": ""}']);
+
+  const error = await generateValidatedJSON(llm, 'basic_info', content, { filename: 'a.pdf' }).catch(err => err);
+
+  // 第一次呼叫 + LLM_REPAIR_ATTEMPTS（預設 2）次修正
+  assert.equal(llm.calls.length, 3);
+  assert.equal(error.message, 'basic_info 回應經 3 次嘗試仍未通過格式驗證');
+  assert.equal(error.details, '$.seller_company 不可為空字串');
+
+  const failure = getModelOutputFailure(error.failure_id);
+  assert.equal(failure.stage, 'basic_info');
+  assert.equal(failure.model, 'scripted');
+  assert.deepEqual(failure.context, { filename: 'a.pdf' });
+  assert.deepEqual(failure.errors, ['$.seller_company 不可為空字串']);
+  assert.deepEqual(failure.attempts.map(attempt => attempt.attempt), [1, 2, 3]);
+  assert.equal(failure.attempts[0].response_text, '{"document_type": "合約", "seller_company": ""}');
+});
+
+// =========================
+//    長合約分段分析
+// =========================
+
+/**
+ * 讀取模擬回應檔
+ * @param {string} stage - 階段名稱
+ * @returns {Object}
+ */
+function readFixture(stage) {
+  return JSON.parse(fs.readFileSync(path.join(fixturesDir, `${stage}.json`), 'utf8'));
+}
+
+/**
+ * 依階段回傳指定回應的 LLM 供應商（每次呼叫回報固定的 token 用量）
+ * @param {Object} responses - { 階段: [每次呼叫回傳的物件] }
+ * @returns {Object} 供應商，calls 為 [{ stage, content }]
+ */
+function stageProvider(responses) {
+  const calls = [];
+  const counts = {};
+  return {
+    calls,
+    async generateJSON(stage, content) {
+      calls.push({ stage, content });
+      const list = responses[stage];
+      const index = Math.min(counts[stage] = (counts[stage] ?? -1) + 1, list.length - 1);
+      return { text: JSON.stringify(list[index]), model: 'scripted', usage: { input_tokens: 100, output_tokens: 20 } };
+    },
+  };
+}
+
+// 六條各約 300 字的合約（超過 CHUNKED_ANALYSIS_MIN_CHARS）
+const LONG_CONTRACT = Array.from({ length: 6 }, (_, index) => (
+  `第${'一二三四五六'[index]}條 約定事項\n${`本條約定第${index + 1}項義務，雙方應依約履行。`.repeat(20)}`
+)).join('\n\n');
+
+test('長合約依條款切分為段落並標示頁碼', () => {
+  const half = Math.floor(LONG_CONTRACT.length / 2);
+  const pages = [
+    { page: 1, start: 0, end: half },
+    { page: 2, start: half + 2, end: LONG_CONTRACT.length },
+  ];
+
+  const sections = splitIntoSections(LONG_CONTRACT, pages);
+
+  assert.ok(sections.length >= 3);
+  assert.deepEqual(sections.map(section => section.section_id), sections.map((_, index) => `S${index + 1}`));
+  assert.ok(sections.every(section => section.text.length <= 800));
+  assert.match(sections[0].title, /^第一條 約定事項/);
+  assert.deepEqual(sections[0].pages, { from: 1, to: 1 });
+  assert.equal(sections[sections.length - 1].pages.to, 2);
+  // 段落依序涵蓋全文
+  assert.equal(sections[0].start, 0);
+  assert.equal(sections[sections.length - 1].end, LONG_CONTRACT.length);
+  assert.ok(sections.every((section, index) => index === 0 || section.start === sections[index - 1].end));
+});
+
+test('長合約逐段擷取條款發現後彙整評分，並引用段落', async () => {
+  const aggregation = readFixture('aggregation');
+  const provider = stageProvider({
+    section_findings: [readFixture('section_findings')],
+    aggregation: [
+      // 引用不存在的段落時要求修正
+      { ...aggregation, dimension_citations: { ...aggregation.dimension_citations, mad: ['S99'] } },
+      aggregation,
+    ],
+  });
+  const llm = trackTokenUsage(provider);
+  const progress = [];
+
+  const result = await analyzeContractWithBackground(llm, {
+    companyName: '乙公司',
+    companyData: {},
+    documentText: LONG_CONTRACT,
+    onSectionProgress: (completed, total) => progress.push(`${completed}/${total}`),
+  });
+
+  const sectionCount = splitIntoSections(LONG_CONTRACT).length;
+  assert.deepEqual(provider.calls.map(call => call.stage), [
+    ...Array(sectionCount).fill('section_findings'),
+    'aggregation',
+    'aggregation',
+  ]);
+  assert.match(provider.calls[sectionCount + 1].content[1].text, /\$\.dimension_citations\.mad\[0\] 必須是 S1 \| S2/);
+  assert.equal(result.analysis_sections.length, sectionCount);
+  assert.equal(progress[progress.length - 1], `${sectionCount}/${sectionCount}`);
+  assert.deepEqual(result.dimension_citations, aggregation.dimension_citations);
+  assert.equal(result.flagged_clauses[0].section_id, 'S1');
+
+  const [first] = result.analysis_sections;
+  assert.equal(first.section_id, 'S1');
+  assert.match(first.summary, /模擬回應/);
+  assert.equal(first.findings[0].category, 'penalty');
+
+  const usage = llm.getTokenUsage();
+  assert.equal(usage.calls, sectionCount + 2);
+  assert.deepEqual(usage.by_stage.aggregation, { calls: 2, input_tokens: 200, output_tokens: 40 });
+  assert.equal(usage.total_tokens, (sectionCount + 2) * 120);
+  assert.equal(usage.unreported_calls, 0);
+});
+
+test('彙整提示詞只包含各段落的審閱結果，不含合約全文', async () => {
+  const provider = stageProvider({
+    section_findings: [readFixture('section_findings')],
+    aggregation: [readFixture('aggregation')],
+  });
+
+  await analyzeContractWithBackground(provider, { companyName: '乙公司', companyData: {}, documentText: LONG_CONTRACT });
+
+  const sectionCalls = provider.calls.filter(call => call.stage === 'section_findings');
+  assert.match(sectionCalls[1].content[0].text, /你目前審閱的是段落 S2/);
+  assert.match(sectionCalls[1].content[1].text, /以下是段落 S2 的內容/);
+
+  const [aggregationCall] = provider.calls.filter(call => call.stage === 'aggregation');
+  const prompt = aggregationCall.content[0].text;
+  assert.match(prompt, /"section_id": "S1"/);
+  assert.match(prompt, /懲罰性違約金/);
+  assert.doesNotMatch(prompt, /本條約定第1項義務/);
+});
+
+test('長合約提取基本資訊時只送出合約開頭', async () => {
+  const provider = stageProvider({ basic_info: [{ document_type: '合約', seller_company: '乙公司' }] });
+
+  await extractBasicInfo(provider, { documentText: `${'甲'.repeat(30000)}尾端` });
+
+  const text = provider.calls[0].content[0].text;
+  assert.doesNotMatch(text, /尾端/);
+  assert.match(text, /以上為開頭部分/);
+});
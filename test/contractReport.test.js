@@ -0,0 +1,117 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import mammoth from "mammoth";
+import { extractText } from "unpdf";
+import { listZipEntries, readZipEntry } from "../backend/zipArchive.js";
+
+// =========================
+//    合約分析報告
+// =========================
+
+// 測試環境不一定有中文字型，PDF 改用 DejaVu Sans（只檢查英文內容）
+process.env.REPORT_FONT_PATH ||= '/usr/share/fonts/truetype/dejavu/DejaVuSans.ttf';
+
+const { buildReportContent, generateContractReport } = await import('../backend/contractReport.js');
+
+const CONTRACT = {
+  contract_id: 'a1b2c3d4e5f6',
+  filename: 'service-agreement.pdf',
+  upload_date: '2025-12-24T10:30:00.000Z',
+  seller_company: 'ACME Trading Ltd.',
+  scoring_profile: 'default',
+  status: 'approved',
+  health_score: 85,
+  health_tier: 'A',
+  health_tier_label: '優質',
+  score_breakdown: { safetyScore: 58.2, valueScore: 25.1, bonusPoints: 5, circuitBreakerTriggered: false },
+  health_dimensions: { mad: 15, mao: 78, maa: 60, map: 50 },
+  dimension_explanations: {
+    mad: 'Payment terms are balanced & jurisdiction is <Taipei>.',
+    mao: 'Recurring revenue for both parties.',
+    maa: 'Two-year commitment.',
+    map: 'Opens a new market.',
+  },
+  dimension_citations: { mad: ['S1', 'S3'] },
+  overall_recommendation: 'Proceed with signing.\nReview the renewal clause next year.',
+  company_data: {
+    profile: {
+      answer: 'Founded in 1999, 200 employees.',
+      results: [1, 2, 3, 4].map(index => ({ title: `Source ${index}`, url: `https://example.com/${index}` })),
+    },
+    legal: { answer: '   ', results: [] },
+  },
+};
+
+test('報告內容包含評分、四維度說明、整體建議與背景調查', () => {
+  const { title, blocks } = buildReportContent(CONTRACT, { generatedBy: 'alice', generatedAt: new Date('2026-01-01T00:00:00Z') });
+  const texts = blocks.map(block => block.text);
+
+  assert.equal(title, '合約健檢報告 - ACME Trading Ltd.');
+  assert.deepEqual(blocks.find(block => block.type === 'score'), { type: 'score', score: 85, tier: 'A', tier_label: '優質', color: '#48bb78' });
+  assert.deepEqual(blocks[1].rows[4], ['審核狀態', '已核准']);
+  assert.match(blocks[1].rows[5][1], /（alice）$/);
+  assert.deepEqual(blocks[4].rows.map(row => row[1]), ['58.2', '25.1', '5', '85 / 100']);
+  assert.ok(texts.includes('MAD 生存風險：15 分（越高越危險）'));
+  assert.ok(texts.includes(CONTRACT.dimension_explanations.maa));
+  assert.ok(texts.includes('依據段落：S1、S3'));
+  assert.ok(texts.includes(CONTRACT.overall_recommendation));
+  assert.ok(!texts.some(text => /熔斷/.test(text)));
+
+  // 沒有內容的背景調查項目略過，來源最多 3 筆
+  assert.ok(texts.includes('公司簡介'));
+  assert.ok(!texts.includes('法律合規'));
+  assert.equal(texts.filter(text => text?.startsWith('來源：')).length, 3);
+});
+
+test('沒有分析結果的欄位以預設文字顯示', () => {
+  const { blocks } = buildReportContent({ contract_id: 'x', score_breakdown: { circuitBreakerTriggered: true } });
+  const texts = blocks.map(block => block.text);
+
+  assert.equal(blocks[0].text, '未知公司');
+  assert.ok(texts.includes('沒有整體建議'));
+  assert.ok(texts.includes('沒有背景調查結果'));
+  assert.ok(texts.some(text => /熔斷/.test(text)));
+  assert.equal(texts.filter(text => text === '沒有說明').length, 4);
+});
+
+test('PDF 報告可擷取文字並自動分頁', async () => {
+  const longContract = {
+    ...CONTRACT,
+    dimension_explanations: { ...CONTRACT.dimension_explanations, mad: 'Balanced payment terms. '.repeat(400) },
+  };
+  const report = generateContractReport(longContract, 'pdf', { generatedBy: 'alice' });
+
+  assert.equal(report.contentType, 'application/pdf');
+  assert.match(report.filename, /^合約健檢報告_ACME Trading Ltd\._\d{4}-\d{2}-\d{2}\.pdf$/);
+  assert.equal(report.buffer.subarray(0, 5).toString(), '%PDF-');
+
+  const { totalPages, text } = await extractText(new Uint8Array(report.buffer), { mergePages: true });
+  assert.ok(totalPages >= 2);
+  assert.match(text, /ACME Trading Ltd\./);
+  assert.match(text, /85 \/ 100/);
+  assert.match(text, /Proceed with signing\./);
+  assert.match(text, /https:\/\/example\.com\/3/);
+});
+
+test('Word 報告為有效的 .docx', async () => {
+  const report = generateContractReport(CONTRACT, 'docx');
+
+  assert.equal(report.contentType, 'application/vnd.openxmlformats-officedocument.wordprocessingml.document');
+  assert.match(report.filename, /\.docx$/);
+
+  const entries = listZipEntries(report.buffer);
+  assert.ok(entries.some(entry => entry.name === 'word/document.xml'));
+  const documentXml = readZipEntry(report.buffer, entries.find(entry => entry.name === 'word/document.xml')).toString('utf8');
+  assert.match(documentXml, /balanced &amp; jurisdiction is &lt;Taipei&gt;/);
+
+  const { value } = await mammoth.extractRawText({ buffer: report.buffer });
+  assert.match(value, /ACME Trading Ltd\./);
+  assert.match(value, /MAO 互利營收：78 分/);
+  assert.match(value, /Proceed with signing\./);
+  assert.match(value, /Review the renewal clause next year\./);
+  assert.match(value, /Founded in 1999/);
+});
+
+test('不支援的報告格式', () => {
+  assert.throws(() => generateContractReport(CONTRACT, 'xlsx'), /不支援的報告格式/);
+});
@@ -0,0 +1,73 @@
+import { test, after } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { buildPdf } from "./support/pdf.js";
+import { checkDocumentType, getDocumentType, ingestDocument, isOcrDocument } from "../backend/documentIngestion.js";
+
+// =========================
+//    合約文件擷取
+// =========================
+//
+// OCR 需要語言檔，這裡只測試不需要 OCR 的格式
+
+const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'contract-ingestion-test-'));
+
+after(() => {
+  fs.rmSync(tempDir, { recursive: true, force: true });
+});
+
+/**
+ * 寫入暫存檔
+ * @param {string} filename - 檔名
+ * @param {Buffer|string} content - 內容
+ * @returns {string} 路徑
+ */
+function writeTempFile(filename, content) {
+  const filePath = path.join(tempDir, filename);
+  fs.writeFileSync(filePath, content);
+  return filePath;
+}
+
+test('依副檔名判斷文件格式，不支援的格式回傳錯誤訊息', () => {
+  assert.equal(getDocumentType('合約.PDF').kind, 'pdf');
+  assert.equal(getDocumentType('舊版合約.doc').kind, 'doc');
+  assert.equal(getDocumentType('掃描.jpeg').kind, 'image');
+  assert.equal(checkDocumentType('合約.docx'), null);
+
+  assert.match(checkDocumentType('報價單.xlsx'), /不支援的文件格式: \.xlsx/);
+  assert.match(checkDocumentType('合約'), /無副檔名/);
+});
+
+test('有文字層的 PDF 保留每頁在全文中的位置', async () => {
+  const filePath = writeTempFile('contract.pdf', buildPdf([
+    ['Article 1 Payment', 'The buyer shall pay within 30 days.'],
+    ['Article 2 Jurisdiction', 'Taipei District Court.'],
+  ]));
+
+  const document = await ingestDocument(filePath, 'contract.pdf');
+  assert.equal(document.extractor, 'unpdf');
+  assert.equal(document.pages.length, 2);
+  assert.equal(isOcrDocument(document), false);
+
+  const [first, second] = document.pages;
+  assert.match(document.text.slice(first.start, first.end), /within 30 days/);
+  assert.match(document.text.slice(second.start, second.end), /^Article 2 Jurisdiction/);
+});
+
+test('純文字檔支援 UTF-8 與 Big5', async () => {
+  const utf8 = await ingestDocument(writeTempFile('utf8.txt', '\uFEFF第一條 付款條件'), 'utf8.txt');
+  assert.deepEqual(utf8, { text: '第一條 付款條件', pages: null, extractor: 'text' });
+
+  // Big5 編碼的「合約」
+  const big5 = await ingestDocument(writeTempFile('big5.txt', Buffer.from([0xa6, 0x58, 0xac, 0xf9])), 'big5.txt');
+  assert.equal(big5.text, '合約');
+});
+
+test('不支援的格式拋出錯誤', async () => {
+  await assert.rejects(
+    ingestDocument(writeTempFile('sheet.xlsx', 'PK'), 'sheet.xlsx'),
+    /不支援的文件格式/
+  );
+});
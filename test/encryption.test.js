@@ -0,0 +1,175 @@
+import { test, after } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import os from "os";
+import path from "path";
+
+// =========================
+//    靜態資料加密與金鑰輪替
+// =========================
+
+const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'contract-encryption-test-'));
+process.env.CONTRACTS_DB_PATH = path.join(tempDir, 'contracts.db');
+process.env.DOCUMENT_STORE_DIR = path.join(tempDir, 'documents');
+
+const OLD_KEY = Buffer.alloc(32, 1).toString('base64');
+const NEW_KEY = Buffer.alloc(32, 2).toString('base64');
+process.env.CONTRACT_ENCRYPTION_KEY = OLD_KEY;
+process.env.CONTRACT_ENCRYPTION_PREVIOUS_KEYS = '';
+
+// 資料庫遷移日誌不輸出到測試報告
+console.log = () => {};
+
+const {
+  encryptText,
+  decryptText,
+  encryptBuffer,
+  decryptBuffer,
+  sealFields,
+  openFields,
+  getCurrentKeyId,
+} = await import('../backend/encryption.js');
+const { saveContract, findContractById, getContractRevision, getDatabase, reencryptContractData } = await import('../backend/contractStore.js');
+const {
+  saveOriginalDocument,
+  deleteOriginalDocument,
+  hasOriginalDocument,
+  readOriginalDocument,
+  reencryptOriginalDocuments,
+} = await import('../backend/documentStore.js');
+const { addReviewComment, listReviewEvents, reencryptReviewEvents } = await import('../backend/contractWorkflow.js');
+
+after(() => {
+  fs.rmSync(tempDir, { recursive: true, force: true });
+});
+
+/**
+ * 切換環境變數中的金鑰
+ * @param {string} current - 目前金鑰
+ * @param {Array<string>} previous - 舊金鑰
+ */
+function useKeys(current, previous = []) {
+  process.env.CONTRACT_ENCRYPTION_KEY = current;
+  process.env.CONTRACT_ENCRYPTION_PREVIOUS_KEYS = previous.join(',');
+}
+
+test('文字與檔案加密後可解密，每次密文不同', () => {
+  useKeys(OLD_KEY);
+  const first = encryptText('合約內容');
+  assert.match(first, /^enc:v1:[0-9a-f]{8}:/);
+  assert.notEqual(encryptText('合約內容'), first);
+  assert.equal(decryptText(first), '合約內容');
+  // 明文（加密功能上線前的資料）原樣回傳
+  assert.equal(decryptText('明文'), '明文');
+
+  const buffer = Buffer.from('%PDF-1.4 ...');
+  const encrypted = encryptBuffer(buffer);
+  assert.equal(encrypted.subarray(0, 8).toString(), 'TGSAENC1');
+  assert.deepEqual(decryptBuffer(encrypted), buffer);
+});
+
+test('密文遭竄改或缺少金鑰時無法解密', () => {
+  useKeys(OLD_KEY);
+  const encrypted = encryptText('合約內容');
+  const parts = encrypted.split(':');
+  parts[5] = Buffer.from('tampered').toString('base64');
+  assert.throws(() => decryptText(parts.join(':')));
+
+  useKeys(NEW_KEY);
+  assert.throws(() => decryptText(encrypted), /找不到金鑰/);
+  useKeys(NEW_KEY, [OLD_KEY]);
+  assert.equal(decryptText(encrypted), '合約內容');
+});
+
+test('金鑰格式錯誤時拋出錯誤', () => {
+  useKeys('too-short');
+  assert.throws(() => getCurrentKeyId(), /32 bytes/);
+  useKeys(OLD_KEY);
+});
+
+test('sealFields 只加密指定欄位', () => {
+  useKeys(OLD_KEY);
+  const sealed = sealFields({ contract_id: 'a1', status: 'draft', raw_data: { mad: 15 } }, ['raw_data', 'company_data']);
+  assert.equal(sealed.contract_id, 'a1');
+  assert.equal(sealed.raw_data, undefined);
+  assert.match(sealed.encrypted_fields, /^enc:v1:/);
+  assert.deepEqual(openFields(sealed), { contract_id: 'a1', status: 'draft', raw_data: { mad: 15 } });
+
+  useKeys('');
+  const plain = { contract_id: 'a1', raw_data: { mad: 15 } };
+  assert.equal(sealFields(plain, ['raw_data']), plain);
+  useKeys(OLD_KEY);
+});
+
+test('金鑰輪替後以新金鑰重新加密合約、版本與原始文件', () => {
+  useKeys(OLD_KEY);
+  const contract = {
+    contract_id: 'c0ffee',
+    filename: '合約.pdf',
+    seller_company: '範例科技股份有限公司',
+    health_score: 74,
+    overall_recommendation: '建議簽署',
+    company_data: { legal: '無重大訴訟' },
+  };
+  saveContract(contract, { trigger: 'upload' });
+  const sourcePath = path.join(tempDir, 'upload.pdf');
+  fs.writeFileSync(sourcePath, '%PDF-1.4 original');
+  saveOriginalDocument('c0ffee', sourcePath);
+
+  // 新金鑰為目前金鑰、舊金鑰仍可解密
+  useKeys(NEW_KEY, [OLD_KEY]);
+  const newKeyId = getCurrentKeyId();
+  assert.deepEqual(reencryptContractData(), { contracts: 1, revisions: 1, documents: 0 });
+  assert.equal(reencryptOriginalDocuments(), 1);
+  // 已使用目前金鑰的資料不會重寫
+  assert.deepEqual(reencryptContractData(), { contracts: 0, revisions: 0, documents: 0 });
+  assert.equal(reencryptOriginalDocuments(), 0);
+
+  const stored = JSON.parse(getDatabase().prepare('SELECT data FROM contracts WHERE contract_id = ?').get('c0ffee').data);
+  assert.equal(stored.encrypted_fields.split(':')[2], newKeyId);
+
+  // 移除舊金鑰後仍可讀取
+  useKeys(NEW_KEY);
+  assert.equal(findContractById('c0ffee').overall_recommendation, '建議簽署');
+  assert.deepEqual(getContractRevision('c0ffee', 1).contract.company_data, { legal: '無重大訴訟' });
+  assert.equal(readOriginalDocument('c0ffee').toString(), '%PDF-1.4 original');
+
+  // 加入加密清單前以明文寫入的欄位（覆核核准）也會在輪替時加密
+  getDatabase().prepare(`
+    UPDATE contracts SET data = json_set(data, '$.approval_override', json(?)) WHERE contract_id = 'c0ffee'
+  `).run(JSON.stringify({ username: 'approver', reason: '已取得總經理同意' }));
+  assert.deepEqual(reencryptContractData(), { contracts: 1, revisions: 0, documents: 0 });
+  const resealed = getDatabase().prepare('SELECT data FROM contracts WHERE contract_id = ?').get('c0ffee').data;
+  assert.ok(!resealed.includes('總經理'));
+  assert.equal(findContractById('c0ffee').approval_override.reason, '已取得總經理同意');
+
+  // 合約寫入失敗時刪除已保存的原始文件（重複刪除不會出錯）
+  deleteOriginalDocument('c0ffee');
+  assert.equal(hasOriginalDocument('c0ffee'), false);
+  assert.doesNotThrow(() => deleteOriginalDocument('c0ffee'));
+});
+
+test('審核留言加密保存，金鑰輪替後仍可讀取', () => {
+  useKeys(OLD_KEY);
+  saveContract({ contract_id: 'feed01', filename: '審核.pdf' }, { trigger: 'upload' });
+  const reviewer = { user_id: 'u1', username: 'reviewer', role: 'reviewer' };
+  const { event } = addReviewComment(reviewer, { contract_id: 'feed01' }, '第 5 條付款期限過長');
+  assert.equal(event.comment, '第 5 條付款期限過長');
+
+  const stored = getDatabase().prepare('SELECT comment, override_reason FROM contract_reviews WHERE event_id = ?').get(event.event_id);
+  assert.match(stored.comment, /^enc:v1:/);
+  assert.equal(stored.override_reason, null);
+
+  // 加密功能上線前的明文留言也會在輪替時加密
+  getDatabase().prepare(`
+    INSERT INTO contract_reviews (event_id, contract_id, action, comment, created_at)
+    VALUES ('legacy', 'feed01', 'comment', '舊留言', '2025-01-01T00:00:00.000Z')
+  `).run();
+
+  useKeys(NEW_KEY, [OLD_KEY]);
+  assert.equal(reencryptReviewEvents(), 2);
+  assert.equal(reencryptReviewEvents(), 0);
+
+  useKeys(NEW_KEY);
+  assert.deepEqual(listReviewEvents('feed01').map(item => item.comment), ['舊留言', '第 5 條付款期限過長']);
+});
@@ -0,0 +1,162 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { fileURLToPath } from "url";
+import { loadGoldenSet, evaluateCaseRuns, summarizeGoldenSet, compareGoldenReports } from "../backend/goldenSet.js";
+
+const goldenSetPath = fileURLToPath(new URL('../golden/goldenSet.json', import.meta.url));
+
+const FATAL_BANKRUPTCY = { id: 'fatal_bankruptcy', effect: { dimension: 'mad', set: 100 } };
+
+/**
+ * 建立單次分析結果
+ * @param {Object} overrides - 覆寫的欄位
+ * @returns {Object}
+ */
+function run(overrides = {}) {
+  return {
+    seller_company: '範例科技股份有限公司',
+    model_mad: 15,
+    dimensions: { mad: 15, mao: 72, maa: 55, map: 48 },
+    health_score: 74,
+    health_tier: 'B',
+    fired_rules: [],
+    ...overrides,
+  };
+}
+
+const testCase = (expected = {}) => ({ id: 'case', description: '', expected });
+
+test('loadGoldenSet 讀取範例樣本集並以樣本集目錄解析路徑', () => {
+  const goldenSet = loadGoldenSet(goldenSetPath);
+
+  assert.equal(goldenSet.runs, 3);
+  assert.deepEqual(goldenSet.cases.map(item => item.id), ['standard_service', 'bankrupt_supplier', 'overseas_jurisdiction']);
+  assert.ok(fs.existsSync(goldenSet.cases[0].documentPath));
+  assert.equal(goldenSet.cases[0].researchDir, null);
+  assert.ok(fs.existsSync(path.join(goldenSet.cases[1].researchDir, 'legal.json')));
+});
+
+test('loadGoldenSet 一次列出所有格式錯誤', () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'golden-set-test-'));
+  const filePath = path.join(dir, 'set.json');
+  fs.writeFileSync(path.join(dir, 'a.txt'), '合約');
+  fs.writeFileSync(filePath, JSON.stringify({
+    cases: [
+      { id: 'a', document: 'missing.txt', expected: { tiers: [], dimensions: { foo: [0, 1], mad: [50, 10] } } },
+      { id: 'a', document: 'a.txt', research: 'missing', expected: { must_fire: 'fatal_bankruptcy' } },
+    ],
+  }));
+
+  try {
+    assert.throws(() => loadGoldenSet(filePath), error => {
+      for (const expected of [
+        'cases[0].document 找不到文件: missing.txt',
+        'cases[0].expected.tiers 必須是非空的等級陣列',
+        'cases[0].expected.dimensions 包含未知的維度: foo',
+        'cases[0].expected.dimensions.mad 必須是 [最小值, 最大值]',
+        'cases[1].id 重複: a',
+        'cases[1].research 找不到背景調查目錄: missing',
+        'cases[1].expected.must_fire 必須是規則 ID 陣列',
+      ]) {
+        assert.ok(error.message.includes(expected), expected);
+      }
+      return true;
+    });
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+test('evaluateCaseRuns 計算各維度變異與等級一致率', () => {
+  const report = evaluateCaseRuns(testCase({ tiers: ['B'] }), [
+    run(),
+    run({ dimensions: { mad: 25, mao: 72, maa: 55, map: 48 }, health_score: 68, health_tier: 'C' }),
+    run(),
+    run({ dimensions: { mad: 15, mao: 72, maa: 55, map: 48 } }),
+  ]);
+
+  assert.deepEqual(report.dimensions.mad, { mean: 17.5, stddev: 4.33, min: 15, max: 25 });
+  assert.deepEqual(report.dimensions.mao, { mean: 72, stddev: 0, min: 72, max: 72 });
+  assert.deepEqual(report.tiers, { B: 3, C: 1 });
+  assert.equal(report.modal_tier, 'B');
+  assert.equal(report.tier_agreement, 0.75);
+  assert.equal(report.expected_tier_rate, 0.75);
+  assert.deepEqual(report.expectation_misses, [{ run: 2, type: 'tier_out_of_range', message: '等級 C，預期 B' }]);
+});
+
+test('evaluateCaseRuns 失敗的分析不列入統計', () => {
+  const report = evaluateCaseRuns(testCase(), [run(), { error: 'AI 回應格式錯誤' }]);
+
+  assert.equal(report.failed_runs, 1);
+  assert.deepEqual(report.errors, [{ run: 2, error: 'AI 回應格式錯誤' }]);
+  assert.equal(report.tier_agreement, 1);
+  assert.equal(report.expected_tier_rate, null);
+
+  const allFailed = evaluateCaseRuns(testCase(), [{ error: 'x' }]);
+  assert.equal(allFailed.tier_agreement, null);
+  assert.equal(allFailed.dimensions.mad, null);
+});
+
+test('evaluateCaseRuns 致命傷命中但 AI 的 MAD 未達 100 時記為規則違反', () => {
+  const report = evaluateCaseRuns(testCase({ must_fire: ['fatal_bankruptcy'] }), [
+    run({ model_mad: 15, dimensions: { mad: 100, mao: 72, maa: 55, map: 48 }, fired_rules: [FATAL_BANKRUPTCY] }),
+    run({ model_mad: 100, dimensions: { mad: 100, mao: 72, maa: 55, map: 48 }, fired_rules: [FATAL_BANKRUPTCY] }),
+    run({ model_mad: 100, dimensions: { mad: 90, mao: 72, maa: 55, map: 48 }, fired_rules: [FATAL_BANKRUPTCY] }),
+    run(),
+  ]);
+
+  assert.deepEqual(report.rule_violations.map(({ run, type }) => ({ run, type })), [
+    { run: 1, type: 'model_fatal_miss' },
+    { run: 3, type: 'fatal_not_enforced' },
+    { run: 4, type: 'must_fire_missing' },
+  ]);
+  assert.deepEqual(report.fired_rules, ['fatal_bankruptcy']);
+});
+
+test('evaluateCaseRuns 檢查 must_not_fire、乙方公司與分數範圍', () => {
+  const report = evaluateCaseRuns(testCase({
+    seller_company: '範例科技(股)公司',
+    health_score: [80, 100],
+    dimensions: { mad: [0, 10] },
+    must_not_fire: ['fatal_bankruptcy'],
+  }), [
+    run({ seller_company: '其他公司', fired_rules: [FATAL_BANKRUPTCY], model_mad: 100 }),
+  ]);
+
+  assert.deepEqual(report.rule_violations.map(item => item.type), ['must_not_fire_fired', 'fatal_not_enforced']);
+  assert.deepEqual(report.expectation_misses.map(item => item.type), ['seller_mismatch', 'score_out_of_range', 'dimension_out_of_range']);
+});
+
+test('summarizeGoldenSet 與 compareGoldenReports', () => {
+  const before = {
+    cases: [
+      evaluateCaseRuns(testCase({ must_fire: ['fatal_bankruptcy'] }), [run(), run()]),
+    ],
+  };
+  const after = {
+    cases: [
+      evaluateCaseRuns(testCase({ must_fire: ['fatal_bankruptcy'] }), [
+        run(),
+        run({ dimensions: { mad: 25, mao: 72, maa: 55, map: 48 }, health_score: 68, health_tier: 'C' }),
+        run(),
+        run(),
+      ]),
+    ],
+  };
+
+  const summary = summarizeGoldenSet(after.cases);
+  assert.equal(summary.runs, 4);
+  assert.equal(summary.rule_violations, 4);
+  assert.equal(summary.average_tier_agreement, 0.75);
+  assert.equal(summary.max_dimension_stddev.mad, 4.33);
+
+  const [comparison] = compareGoldenReports(before, after);
+  assert.equal(comparison.id, 'case');
+  assert.deepEqual(comparison.tier_agreement, { before: 1, after: 0.75, delta: -0.25 });
+  assert.deepEqual(comparison.stddev.mad, { before: 0, after: 4.33, delta: 4.33 });
+  // 每次分析都有 1 項違反，執行次數不同仍可比較
+  assert.deepEqual(comparison.rule_violations_per_run, { before: 1, after: 1, delta: 0 });
+});
@@ -0,0 +1,123 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { calculateHealthScore } from "../backend/healthScore.js";
+import { DEFAULT_SCORING_PROFILE } from "../backend/scoringProfiles.js";
+
+// 測試只驗證計算結果，不輸出計算日誌
+const score = (dimensions, profile = DEFAULT_SCORING_PROFILE) =>
+  calculateHealthScore(dimensions, profile, { silent: true });
+
+test('預設公式為安全分 60% + 價值分 40%', () => {
+  const result = score({ mad: 20, mao: 60, maa: 30, map: 30 });
+
+  assert.equal(result.breakdown.safetyScore, 48);
+  assert.equal(result.breakdown.valueScore, 16);
+  assert.equal(result.breakdown.bonusPoints, 0);
+  assert.equal(result.score, 64);
+  assert.equal(result.tier, 'C');
+  assert.equal(result.tierLabel, '觀察');
+  assert.equal(result.breakdown.profile, 'default');
+});
+
+test('A 級加速：MAD < 5 且 MAO > 75 加 5 分', () => {
+  const result = score({ mad: 4, mao: 76, maa: 50, map: 50 });
+
+  assert.equal(result.breakdown.bonusPoints, 5);
+  // 57.6 + 23.47 + 5 = 86.07
+  assert.equal(result.score, 86);
+  assert.equal(result.tier, 'A');
+});
+
+test('S 級加速與 A 級加速疊加：MAO > 85 共加 8 分', () => {
+  const result = score({ mad: 0, mao: 86, maa: 70, map: 70 });
+
+  assert.equal(result.breakdown.bonusPoints, 8);
+  // 60 + 30.13 + 8 = 98.13
+  assert.equal(result.score, 98);
+  assert.equal(result.tier, 'S');
+});
+
+test('獎勵門檻為嚴格比較：MAD = 5 或 MAO = 75 不加分', () => {
+  assert.equal(score({ mad: 5, mao: 90, maa: 50, map: 50 }).breakdown.bonusPoints, 0);
+  assert.equal(score({ mad: 0, mao: 75, maa: 50, map: 50 }).breakdown.bonusPoints, 0);
+  // MAO = 85 只有 A 級加速
+  assert.equal(score({ mad: 0, mao: 85, maa: 50, map: 50 }).breakdown.bonusPoints, 5);
+});
+
+test('熔斷：MAD > 35 時總分上限 59 分', () => {
+  const result = score({ mad: 36, mao: 100, maa: 100, map: 100 });
+
+  // 未熔斷時為 38.4 + 40 = 78.4
+  assert.equal(result.breakdown.circuitBreakerTriggered, true);
+  assert.equal(result.score, 59);
+  assert.equal(result.tier, 'D');
+});
+
+test('熔斷門檻為嚴格比較：MAD = 35 不觸發', () => {
+  const result = score({ mad: 35, mao: 100, maa: 100, map: 100 });
+
+  assert.equal(result.breakdown.circuitBreakerTriggered, false);
+  assert.equal(result.score, 79);
+  assert.equal(result.tier, 'B');
+});
+
+test('熔斷時原始分數低於上限則保留原始分數', () => {
+  const result = score({ mad: 90, mao: 50, maa: 50, map: 50 });
+
+  assert.equal(result.breakdown.circuitBreakerTriggered, true);
+  assert.equal(result.score, 26);
+});
+
+test('設定檔 circuit_breaker 為 null 時不熔斷', () => {
+  const profile = { ...DEFAULT_SCORING_PROFILE, circuit_breaker: null };
+  const result = score({ mad: 36, mao: 100, maa: 100, map: 100 }, profile);
+
+  assert.equal(result.breakdown.circuitBreakerTriggered, false);
+  assert.equal(result.score, 78);
+});
+
+test('等級邊界：80 分為 A、79 分為 B、60 分為 C、59 分為 D', () => {
+  assert.equal(score({ mad: 0, mao: 50, maa: 50, map: 50 }).score, 80);
+  assert.equal(score({ mad: 0, mao: 50, maa: 50, map: 50 }).tier, 'A');
+  assert.equal(score({ mad: 0, mao: 47.5, maa: 47.5, map: 47.5 }).score, 79);
+  assert.equal(score({ mad: 0, mao: 47.5, maa: 47.5, map: 47.5 }).tier, 'B');
+  // 54 + 6 = 60
+  assert.equal(score({ mad: 10, mao: 15, maa: 15, map: 15 }).score, 60);
+  assert.equal(score({ mad: 10, mao: 15, maa: 15, map: 15 }).tier, 'C');
+  // 52.8 + 6 = 58.8
+  assert.equal(score({ mad: 12, mao: 15, maa: 15, map: 15 }).score, 59);
+  assert.equal(score({ mad: 12, mao: 15, maa: 15, map: 15 }).tier, 'D');
+});
+
+test('總分限制在 0–100', () => {
+  const profile = {
+    ...DEFAULT_SCORING_PROFILE,
+    bonuses: [{ label: '測試', mad_below: 5, mao_above: 0, points: 50 }],
+  };
+  assert.equal(score({ mad: 0, mao: 100, maa: 100, map: 100 }, profile).score, 100);
+
+  const negativeProfile = {
+    ...DEFAULT_SCORING_PROFILE,
+    bonuses: [{ label: '測試', mad_below: 101, mao_above: -1, points: -50 }],
+  };
+  assert.equal(score({ mad: 100, mao: 0, maa: 0, map: 0 }, negativeProfile).score, 0);
+});
+
+test('缺少的維度使用預設值，MAO、MAA 為 0 時也視為 50', () => {
+  const missing = score({});
+  assert.deepEqual(missing.dimensions, { mad: 0, mao: 50, maa: 50, map: 0 });
+  assert.equal(missing.score, 73);
+
+  const zeros = score({ mad: 0, mao: 0, maa: 0, map: 0 });
+  assert.deepEqual(zeros.dimensions, { mad: 0, mao: 50, maa: 50, map: 0 });
+  assert.equal(zeros.score, 73);
+});
+
+test('value_weights 調整 MAO、MAA、MAP 的相對權重', () => {
+  const profile = { ...DEFAULT_SCORING_PROFILE, value_weights: { mao: 2, maa: 1, map: 1 } };
+  const result = score({ mad: 50, mao: 80, maa: 40, map: 0 }, profile);
+
+  // (80×2 + 40 + 0) / 4 = 50 → 價值分 20
+  assert.equal(result.breakdown.valueScore, 20);
+  assert.equal(result.score, 50);
+});
@@ -0,0 +1,49 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { extractJSON, fixCommonJSONIssues } from "../backend/jsonResponse.js";
+
+test('extractJSON 直接解析純 JSON', () => {
+  assert.deepEqual(extractJSON('{"mad": 10, "seller_company": "乙公司"}'), { mad: 10, seller_company: '乙公司' });
+});
+
+test('extractJSON 從 markdown code block 提取', () => {
+  const text = '以下是分析結果：\n```json\n{"mad": 10, "mao": 70}\n```\n如有問題請告知。';
+  assert.deepEqual(extractJSON(text), { mad: 10, mao: 70 });
+});
+
+test('extractJSON 修復 code block 中的尾隨逗號與註解', () => {
+  const text = '```\n{\n  "mad": 10, // 生存風險\n  "flagged_clauses": [1, 2,],\n}\n```';
+  assert.deepEqual(extractJSON(text), { mad: 10, flagged_clauses: [1, 2] });
+});
+
+test('extractJSON 從前後夾雜文字的回應中提取第一個 { 到最後一個 }', () => {
+  const text = '好的。{"mad": 5, "clause_facts": {"ip_ownership": "ours"}} 以上。';
+  assert.deepEqual(extractJSON(text), { mad: 5, clause_facts: { ip_ownership: 'ours' } });
+});
+
+test('extractJSON 修復夾雜文字中的尾隨逗號', () => {
+  const text = '結果如下 {"mad": 5, "mao": 60,} 謝謝';
+  assert.deepEqual(extractJSON(text), { mad: 5, mao: 60 });
+});
+
+test('extractJSON 找不到 JSON 時丟出錯誤', () => {
+  assert.throws(() => extractJSON('無法分析這份文件'), /無法從回應中提取 JSON/);
+});
+
+test('extractJSON 修復後仍無法解析時丟出錯誤', () => {
+  assert.throws(() => extractJSON('{"mad": 5, "mao": }'), /即使修復後仍失敗/);
+});
+
+test('fixCommonJSONIssues 移除巢狀的尾隨逗號', () => {
+  assert.equal(fixCommonJSONIssues('{"a": [1, 2,], "b": {"c": 1,},}'), '{"a": [1, 2], "b": {"c": 1}}');
+});
+
+test('fixCommonJSONIssues 移除單行與區塊註解', () => {
+  const fixed = fixCommonJSONIssues('{\n  /* 維度 */\n  "mad": 1 // 分數\n}');
+  assert.deepEqual(JSON.parse(fixed), { mad: 1 });
+});
+
+test('fixCommonJSONIssues 不修改正確的 JSON', () => {
+  const json = '{"mad": 1, "list": [1, 2]}';
+  assert.equal(fixCommonJSONIssues(json), json);
+});
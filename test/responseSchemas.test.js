@@ -0,0 +1,67 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import { buildAggregationSchema, validateAgainstSchema, validateModelResponse } from "../backend/responseSchemas.js";
+
+const readFixture = name => JSON.parse(fs.readFileSync(new URL(`../fixtures/llm/${name}.json`, import.meta.url), 'utf8'));
+
+test('模擬回應檔符合各階段的 Schema', () => {
+  assert.deepEqual(validateModelResponse('basic_info', readFixture('basic_info')), []);
+  assert.deepEqual(validateModelResponse('scoring', readFixture('scoring')), []);
+  assert.deepEqual(validateModelResponse('section_findings', readFixture('section_findings')), []);
+  assert.deepEqual(validateModelResponse('aggregation', readFixture('aggregation')), []);
+});
+
+test('彙整評分的條款必須標示段落，且只能引用存在的段落', () => {
+  const { section_id: _sectionId, ...clause } = readFixture('aggregation').flagged_clauses[0];
+  const response = { ...readFixture('aggregation'), flagged_clauses: [clause] };
+  assert.deepEqual(validateModelResponse('aggregation', response), ['$.flagged_clauses[0].section_id 為必填欄位']);
+
+  const schema = buildAggregationSchema(['S1', 'S2']);
+  const citing = { ...readFixture('aggregation'), dimension_citations: { mad: ['S3'], mao: [], maa: [], map: [] } };
+  assert.deepEqual(validateAgainstSchema(schema, citing), ['$.dimension_citations.mad[0] 必須是 S1 | S2 之一，目前為 "S3"']);
+});
+
+test('basic_info 缺少乙方公司或為空字串', () => {
+  assert.deepEqual(validateModelResponse('basic_info', { document_type: '合約' }), ['$.seller_company 為必填欄位']);
+  assert.deepEqual(validateModelResponse('basic_info', { document_type: '合約', seller_company: '  ' }), ['$.seller_company 不可為空字串']);
+  assert.deepEqual(validateModelResponse('basic_info', []), ['$ 必須是 object，目前為 array']);
+});
+
+test('scoring 檢查維度範圍、說明文字與條款事實', () => {
+  const response = readFixture('scoring');
+  response.mad = 120;
+  response.mao = '72';
+  delete response.dimension_explanations_maa;
+  response.overall_recommendation = '';
+  response.clause_facts.jurisdiction = 'taipei';
+
+  assert.deepEqual(validateModelResponse('scoring', response), [
+    '$.dimension_explanations_maa 為必填欄位',
+    '$.mad 不可大於 100，目前為 120',
+    '$.mao 必須是數字，目前為 "72"',
+    '$.overall_recommendation 不可為空字串',
+    '$.clause_facts.jurisdiction 必須是 our_location | counterparty_location | domestic_other | overseas | not_specified 之一，目前為 "taipei"',
+  ]);
+});
+
+test('scoring 逐項檢查 flagged_clauses', () => {
+  const response = readFixture('scoring');
+  response.flagged_clauses[0].category = 'misc';
+  response.flagged_clauses[1].impact = { mad: 5, mao: -150, maa: 0, map: 0, total: 5 };
+  delete response.flagged_clauses[1].excerpt;
+
+  assert.deepEqual(validateModelResponse('scoring', response), [
+    '$.flagged_clauses[0].category 必須是 ip_ownership | jurisdiction | termination | penalty | liability | payment | exclusivity | confidentiality | warranty | other 之一，目前為 "misc"',
+    '$.flagged_clauses[1].excerpt 為必填欄位',
+    '$.flagged_clauses[1].impact.mao 不可小於 -100，目前為 -150',
+    '$.flagged_clauses[1].impact.total 不是允許的欄位',
+  ]);
+
+  response.flagged_clauses = 'none';
+  assert.deepEqual(validateModelResponse('scoring', response), ['$.flagged_clauses 必須是 array，目前為 string']);
+});
+
+test('未宣告 Schema 的階段丟出錯誤', () => {
+  assert.throws(() => validateModelResponse('redline', {}), /未宣告 redline 階段的回應 Schema/);
+});
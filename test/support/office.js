@@ -0,0 +1,119 @@
+import zlib from "zlib";
+import { crc32 } from "../../backend/zipArchive.js";
+
+// =========================
+//    測試用 ZIP 與 OLE 檔案產生器
+// =========================
+
+/**
+ * 產生 ZIP 檔案（deflate 壓縮，檔名以 UTF-8 記錄）
+ * @param {Object} files - { 檔名: 內容 }
+ * @returns {Buffer}
+ */
+function buildZip(files) {
+  const localParts = [];
+  const centralParts = [];
+  let offset = 0;
+
+  for (const [name, content] of Object.entries(files)) {
+    const data = Buffer.from(content);
+    const compressed = zlib.deflateRawSync(data);
+    const nameBytes = Buffer.from(name);
+    const crc = crc32(data);
+
+    const local = Buffer.alloc(30);
+    local.writeUInt32LE(0x04034b50, 0);
+    local.writeUInt16LE(20, 4);
+    local.writeUInt16LE(0x800, 6);
+    local.writeUInt16LE(8, 8);
+    local.writeUInt32LE(crc, 14);
+    local.writeUInt32LE(compressed.length, 18);
+    local.writeUInt32LE(data.length, 22);
+    local.writeUInt16LE(nameBytes.length, 26);
+
+    const central = Buffer.alloc(46);
+    central.writeUInt32LE(0x02014b50, 0);
+    central.writeUInt16LE(20, 4);
+    central.writeUInt16LE(20, 6);
+    central.writeUInt16LE(0x800, 8);
+    central.writeUInt16LE(8, 10);
+    central.writeUInt32LE(crc, 16);
+    central.writeUInt32LE(compressed.length, 20);
+    central.writeUInt32LE(data.length, 24);
+    central.writeUInt16LE(nameBytes.length, 28);
+    central.writeUInt32LE(offset, 42);
+
+    localParts.push(local, nameBytes, compressed);
+    centralParts.push(central, nameBytes);
+    offset += local.length + nameBytes.length + compressed.length;
+  }
+
+  const centralDirectory = Buffer.concat(centralParts);
+  const end = Buffer.alloc(22);
+  end.writeUInt32LE(0x06054b50, 0);
+  end.writeUInt16LE(Object.keys(files).length, 8);
+  end.writeUInt16LE(Object.keys(files).length, 10);
+  end.writeUInt32LE(centralDirectory.length, 12);
+  end.writeUInt32LE(offset, 16);
+  return Buffer.concat([...localParts, centralDirectory, end]);
+}
+
+/**
+ * 產生只有目錄與 WordDocument 串流的最小 OLE 複合文件（512 bytes 磁區）
+ *
+ * 磁區 0 為 FAT、磁區 1 為目錄、磁區 2-9 為 4096 bytes 的 WordDocument 串流
+ *
+ * @param {Object} options - { entries: 其他項目名稱, encrypted: FIB 是否標示加密 }
+ * @returns {Buffer}
+ */
+function buildOleDocument({ entries = [], encrypted = false } = {}) {
+  const SECTOR = 512;
+  const END_OF_CHAIN = 0xfffffffe;
+  const FREE = 0xffffffff;
+
+  const header = Buffer.alloc(SECTOR);
+  Buffer.from('d0cf11e0a1b11ae1', 'hex').copy(header, 0);
+  header.writeUInt16LE(0x3e, 0x18);
+  header.writeUInt16LE(3, 0x1a);
+  header.writeUInt16LE(0xfffe, 0x1c);
+  header.writeUInt16LE(9, 0x1e);
+  header.writeUInt16LE(6, 0x20);
+  header.writeUInt32LE(1, 0x2c);
+  header.writeUInt32LE(1, 0x30);
+  header.writeUInt32LE(4096, 0x38);
+  header.writeUInt32LE(END_OF_CHAIN, 0x3c);
+  header.writeUInt32LE(END_OF_CHAIN, 0x44);
+  header.fill(0xff, 0x4c);
+  header.writeUInt32LE(0, 0x4c);
+
+  const fat = Buffer.alloc(SECTOR, 0xff);
+  fat.writeUInt32LE(0xfffffffd, 0);
+  fat.writeUInt32LE(END_OF_CHAIN, 4);
+  for (let sector = 2; sector < 9; sector++) {
+    fat.writeUInt32LE(sector + 1, sector * 4);
+  }
+  fat.writeUInt32LE(END_OF_CHAIN, 9 * 4);
+
+  const directory = Buffer.alloc(SECTOR);
+  const names = ['Root Entry', 'WordDocument', ...entries].slice(0, 4);
+  names.forEach((name, index) => {
+    const offset = index * 128;
+    const nameBytes = Buffer.from(`${name}\0`, 'utf16le');
+    nameBytes.copy(directory, offset);
+    directory.writeUInt16LE(nameBytes.length, offset + 0x40);
+    directory[offset + 0x42] = index === 0 ? 5 : 2;
+    directory.writeUInt32LE(FREE, offset + 0x44);
+    directory.writeUInt32LE(FREE, offset + 0x48);
+    directory.writeUInt32LE(FREE, offset + 0x4c);
+    directory.writeUInt32LE(name === 'WordDocument' ? 2 : END_OF_CHAIN, offset + 0x74);
+    directory.writeUInt32LE(name === 'WordDocument' ? 4096 : 0, offset + 0x78);
+  });
+
+  const wordDocument = Buffer.alloc(4096);
+  wordDocument.writeUInt16LE(0xa5ec, 0);
+  wordDocument.writeUInt16LE(encrypted ? 0x0100 : 0, 0x0a);
+
+  return Buffer.concat([header, fat, directory, wordDocument]);
+}
+
+export { buildZip, buildOleDocument };
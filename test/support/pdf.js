@@ -0,0 +1,140 @@
+import zlib from "zlib";
+
+// =========================
+//    測試用 PDF 產生器
+// =========================
+
+/**
+ * 跳脫 PDF 字串中的特殊字元
+ * @param {string} text
+ * @returns {string}
+ */
+function escapePdfText(text) {
+  return text.replace(/\\/g, '\\\\').replace(/\(/g, '\\(').replace(/\)/g, '\\)');
+}
+
+/**
+ * 以傳統 xref 表輸出 PDF 1.4
+ * @param {Array<string>} objects - 物件內容（索引即物件編號）
+ * @returns {Buffer}
+ */
+function serializeClassic(objects) {
+  let body = '%PDF-1.4\n';
+  const offsets = [];
+  for (let id = 1; id < objects.length; id++) {
+    offsets[id] = Buffer.byteLength(body);
+    body += `${id} 0 obj\n${objects[id]}\nendobj\n`;
+  }
+
+  const xrefOffset = Buffer.byteLength(body);
+  body += `xref\n0 ${objects.length}\n0000000000 65535 f \n`;
+  for (let id = 1; id < objects.length; id++) {
+    body += `${String(offsets[id]).padStart(10, '0')} 00000 n \n`;
+  }
+  body += `trailer\n<< /Size ${objects.length} /Root 1 0 R >>\nstartxref\n${xrefOffset}\n%%EOF\n`;
+
+  return Buffer.from(body, 'latin1');
+}
+
+/**
+ * 以物件串流與 xref 串流輸出 PDF 1.5：字典物件以 FlateDecode 壓縮在物件串流中，原始檔案看不到其內容
+ * @param {Array<string>} objects - 物件內容（索引即物件編號）
+ * @returns {Buffer}
+ */
+function serializeWithObjectStream(objects) {
+  const objectStreamId = objects.length;
+  const xrefStreamId = objects.length + 1;
+  const isStream = object => /\nstream\n/.test(object);
+
+  const compressed = [];
+  let count = 0;
+  let header = '';
+  let content = '';
+  for (let id = 1; id < objects.length; id++) {
+    if (isStream(objects[id])) continue;
+    header += `${id} ${Buffer.byteLength(content)} `;
+    content += `${objects[id]}\n`;
+    compressed[id] = count++;
+  }
+  const objectStreamData = zlib.deflateSync(Buffer.from(header + content, 'latin1'));
+
+  const parts = [Buffer.from('%PDF-1.5\n', 'latin1')];
+  let length = parts[0].length;
+  const offsets = [];
+  const append = (id, dictionary, data = null) => {
+    offsets[id] = length;
+    const chunk = data
+      ? Buffer.concat([Buffer.from(`${id} 0 obj\n${dictionary}\nstream\n`, 'latin1'), data, Buffer.from('\nendstream\nendobj\n', 'latin1')])
+      : Buffer.from(`${id} 0 obj\n${dictionary}\nendobj\n`, 'latin1');
+    parts.push(chunk);
+    length += chunk.length;
+  };
+
+  for (let id = 1; id < objects.length; id++) {
+    if (isStream(objects[id])) append(id, objects[id]);
+  }
+  append(
+    objectStreamId,
+    `<< /Type /ObjStm /N ${count} /First ${Buffer.byteLength(header)} /Filter /FlateDecode /Length ${objectStreamData.length} >>`,
+    objectStreamData
+  );
+
+  // xref 串流：/W [1 4 2]，類型 1 為檔案位置，類型 2 為物件串流中的索引
+  const entries = Buffer.alloc((xrefStreamId + 1) * 7);
+  const writeEntry = (id, type, field2, field3) => {
+    entries.writeUInt8(type, id * 7);
+    entries.writeUInt32BE(field2, id * 7 + 1);
+    entries.writeUInt16BE(field3, id * 7 + 5);
+  };
+  writeEntry(0, 0, 0, 0xffff);
+  for (let id = 1; id < objects.length; id++) {
+    if (compressed[id] !== undefined) writeEntry(id, 2, objectStreamId, compressed[id]);
+    else writeEntry(id, 1, offsets[id], 0);
+  }
+  writeEntry(objectStreamId, 1, offsets[objectStreamId], 0);
+  writeEntry(xrefStreamId, 1, length, 0);
+
+  const xrefOffset = length;
+  append(xrefStreamId, `<< /Type /XRef /Size ${xrefStreamId + 1} /W [1 4 2] /Root 1 0 R /Length ${entries.length} >>`, entries);
+  parts.push(Buffer.from(`startxref\n${xrefOffset}\n%%EOF\n`, 'latin1'));
+  return Buffer.concat(parts);
+}
+
+/**
+ * 產生只含英數文字的最小 PDF（內建 Helvetica 字型，每個元素一行）
+ * @param {Array<Array<string>>} pages - 每頁的文字行
+ * @param {Object} options - { catalog: 加入 Catalog 的項目, annotations: 第一頁的註解字典, objectStream: 是否使用物件串流 }
+ * @returns {Buffer}
+ */
+function buildPdf(pages, { catalog = '', annotations = [], objectStream = false } = {}) {
+  const objects = [];
+  const pageIds = pages.map((_, index) => 4 + index * 2);
+  const annotationIds = annotations.map((_, index) => 4 + pages.length * 2 + index);
+
+  objects[1] = `<< /Type /Catalog /Pages 2 0 R ${catalog}>>`;
+  objects[2] = `<< /Type /Pages /Kids [${pageIds.map(id => `${id} 0 R`).join(' ')}] /Count ${pages.length} >>`;
+  objects[3] = '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica >>';
+
+  pages.forEach((lines, index) => {
+    const pageId = pageIds[index];
+    const stream = [
+      'BT',
+      '/F1 12 Tf',
+      '14 TL',
+      '72 720 Td',
+      ...lines.map(line => `(${escapePdfText(line)}) '`),
+      'ET',
+    ].join('\n');
+
+    const annots = index === 0 && annotationIds.length > 0 ? ` /Annots [${annotationIds.map(id => `${id} 0 R`).join(' ')}]` : '';
+    objects[pageId] = `<< /Type /Page /Parent 2 0 R /MediaBox [0 0 612 792] /Resources << /Font << /F1 3 0 R >> >> /Contents ${pageId + 1} 0 R${annots} >>`;
+    objects[pageId + 1] = `<< /Length ${Buffer.byteLength(stream)} >>\nstream\n${stream}\nendstream`;
+  });
+  annotations.forEach((annotation, index) => {
+    objects[annotationIds[index]] = annotation;
+  });
+
+  return objectStream ? serializeWithObjectStream(objects) : serializeClassic(objects);
+}
+
+export { buildPdf };
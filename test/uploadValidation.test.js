@@ -0,0 +1,132 @@
+import { test, after } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { buildPdf } from "./support/pdf.js";
+import { buildZip, buildOleDocument } from "./support/office.js";
+
+// =========================
+//    上傳文件驗證
+// =========================
+
+const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'contract-upload-test-'));
+process.env.UPLOAD_MAX_PAGES = '2';
+
+const { detectFileSignature, validateUploadedFile } = await import('../backend/uploadValidation.js');
+const { listZipEntries, readZipEntry, crc32 } = await import('../backend/zipArchive.js');
+
+after(() => {
+  fs.rmSync(tempDir, { recursive: true, force: true });
+});
+
+/**
+ * 寫入暫存檔後驗證
+ * @param {string} filename - 檔名
+ * @param {Buffer|string} content - 內容
+ * @returns {Promise<Object>}
+ */
+function validate(filename, content) {
+  const filePath = path.join(tempDir, filename);
+  fs.writeFileSync(filePath, content);
+  return validateUploadedFile(filePath, filename);
+}
+
+/**
+ * 驗證失敗時的錯誤代碼與 HTTP 狀態
+ * @param {number} status - HTTP 狀態碼
+ * @param {string} code - 錯誤代碼
+ * @returns {Function} assert.rejects 的檢查函數
+ */
+function uploadError(status, code) {
+  return error => error.status === status && error.code === code;
+}
+
+const DOCX_PARTS = {
+  '[Content_Types].xml': '<Types/>',
+  'word/document.xml': '<w:document/>',
+};
+
+test('依 magic bytes 判斷檔案內容', () => {
+  assert.equal(detectFileSignature(buildPdf([['Article 1']])), 'pdf');
+  assert.equal(detectFileSignature(buildZip(DOCX_PARTS)), 'zip');
+  assert.equal(detectFileSignature(buildOleDocument()), 'ole');
+  assert.equal(detectFileSignature(Buffer.from('RIFF\0\0\0\0WEBPVP8 ')), 'webp');
+  assert.equal(detectFileSignature(Buffer.from('第一條 付款條件')), null);
+});
+
+test('讀取 ZIP 目錄與壓縮的檔案內容', () => {
+  const zip = buildZip({ '合約/第一版.txt': '第一條 付款條件', 'readme.txt': 'hello' });
+  const entries = listZipEntries(zip);
+
+  assert.deepEqual(entries.map(entry => entry.name), ['合約/第一版.txt', 'readme.txt']);
+  assert.equal(readZipEntry(zip, entries[0]).toString('utf8'), '第一條 付款條件');
+  assert.throws(() => listZipEntries(Buffer.from('not a zip file at all, just some text')), /不是有效的 ZIP 檔案/);
+
+  // CRC-32 標準檢查值
+  assert.equal(crc32(Buffer.from('123456789')), 0xcbf43926);
+  assert.equal(crc32(Buffer.alloc(0)), 0);
+});
+
+test('PDF 檢查內容、頁數與主動內容', async () => {
+  assert.deepEqual(await validate('ok.pdf', buildPdf([['Article 1'], ['Article 2']])), { kind: 'pdf', pages: 2 });
+
+  await assert.rejects(validate('pages.pdf', buildPdf([['1'], ['2'], ['3']])), uploadError(413, 'too_many_pages'));
+  await assert.rejects(validate('zip.pdf', buildZip(DOCX_PARTS)), uploadError(400, 'type_mismatch'));
+  await assert.rejects(validate('broken.pdf', '%PDF-1.4 truncated'), uploadError(400, 'corrupt_document'));
+
+  const launch = buildPdf([['Article 1']], { catalog: '/OpenAction << /S /Launch /F (cmd.exe) >> ' });
+  await assert.rejects(validate('launch.pdf', launch), uploadError(422, 'active_content'));
+});
+
+test('PDF 物件串流中壓縮的主動內容也會被拒絕', async () => {
+  const compressed = options => buildPdf([['Article 1']], { ...options, objectStream: true });
+  assert.deepEqual(await validate('ok.pdf', compressed({})), { kind: 'pdf', pages: 1 });
+
+  const link = action => `<< /Type /Annot /Subtype /Link /Rect [72 700 200 720] /A ${action} >>`;
+  const samples = {
+    'open-action.pdf': compressed({ catalog: '/OpenAction << /S /JavaScript /JS (app.alert(1)) >> ' }),
+    'document-aa.pdf': compressed({ catalog: '/AA << /WC << /S /JavaScript /JS (app.alert(2)) >> >> ' }),
+    'names.pdf': compressed({ catalog: '/Names << /JavaScript << /Names [(init) << /S /JavaScript /JS (app.alert(3)) >>] >> >> ' }),
+    'launch-link.pdf': compressed({ annotations: [link('<< /S /Launch /F (cmd.exe) >>')] }),
+  };
+  for (const [filename, buffer] of Object.entries(samples)) {
+    assert.ok(!/JavaScript|Launch/.test(buffer.toString('latin1')), `${filename} 的動作應在壓縮的物件串流中`);
+    await assert.rejects(validate(filename, buffer), uploadError(422, 'active_content'), filename);
+  }
+
+  const website = compressed({ annotations: [link('<< /S /URI /URI (https://example.com/terms) >>')] });
+  assert.deepEqual(await validate('website.pdf', website), { kind: 'pdf', pages: 1 });
+});
+
+test('.docx 拒絕巨集、加密與過多頁數', async () => {
+  assert.deepEqual(await validate('ok.docx', buildZip(DOCX_PARTS)), { kind: 'docx', pages: null });
+
+  const macro = buildZip({ ...DOCX_PARTS, 'word/vbaProject.bin': 'VBA' });
+  await assert.rejects(validate('macro.docx', macro), uploadError(422, 'macro_document'));
+
+  const longDocument = buildZip({ ...DOCX_PARTS, 'docProps/app.xml': '<Properties><Pages>5</Pages></Properties>' });
+  await assert.rejects(validate('long.docx', longDocument), uploadError(413, 'too_many_pages'));
+
+  // 設定開啟密碼的 .docx 是 OLE 容器
+  const encrypted = buildOleDocument({ entries: ['EncryptionInfo', 'EncryptedPackage'] });
+  await assert.rejects(validate('encrypted.docx', encrypted), uploadError(422, 'encrypted_document'));
+
+  await assert.rejects(validate('sheet.docx', buildZip({ 'xl/workbook.xml': '<workbook/>' })), uploadError(400, 'type_mismatch'));
+});
+
+test('.doc 拒絕巨集與加密', async () => {
+  assert.deepEqual(await validate('ok.doc', buildOleDocument()), { kind: 'doc', pages: null });
+  await assert.rejects(validate('macro.doc', buildOleDocument({ entries: ['Macros'] })), uploadError(422, 'macro_document'));
+  await assert.rejects(validate('encrypted.doc', buildOleDocument({ encrypted: true })), uploadError(422, 'encrypted_document'));
+});
+
+test('純文字檔與圖片檢查內容', async () => {
+  assert.deepEqual(await validate('ok.txt', '第一條 付款條件'), { kind: 'text', pages: null });
+  await assert.rejects(validate('binary.txt', Buffer.from([0x41, 0x00, 0x42])), uploadError(400, 'type_mismatch'));
+  await assert.rejects(validate('pdf.txt', buildPdf([['Article 1']])), uploadError(400, 'type_mismatch'));
+  await assert.rejects(validate('empty.txt', ''), uploadError(400, 'empty_file'));
+
+  await assert.rejects(validate('scan.png', Buffer.from([0xff, 0xd8, 0xff, 0xe0])), uploadError(400, 'type_mismatch'));
+  await assert.rejects(validate('sheet.xlsx', 'PK'), uploadError(400, 'unsupported_type'));
+});